@@ -0,0 +1,220 @@
+/**
+ * Commission Transaction Backfill Script
+ *
+ * Creates a commission_transactions record for every commission transaction
+ * posted before the table existed. Legs are grouped by their CT transaction
+ * id and the record is built from the legs' parties and amounts:
+ * - client leg ("Payment to AQC for ..."): client and gross amount
+ * - vendor leg ("Payment from AQC on behalf of ..."): vendor and net amount
+ * - incentive leg ("Incentive payment to ..."): vendor commission
+ * - company leg ("Received from ..."): company account
+ * The client commission is the gross amount less the net amount. Transactions
+ * with CANCELLED: reversal rows (or reversed legs) are imported as cancelled.
+ *
+ * Transactions that already have a record are left alone (newer ones name the
+ * user's company account in their remarks); ones whose legs do not match the
+ * layout above are skipped and listed in the report.
+ *
+ * Usage: node scripts/backfill-commission-transactions.js [--dry-run] [--report=commission-transactions-report.json]
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const { query, getConnection, parseResult, closePool } = require('../src/config/postgres');
+const { insertCommissionTransaction, TRANSACTION_STATUSES } = require('../src/services/commissionTransactions.service');
+
+const TRANSACTION_ID_PATTERN = /Commission Transaction (CT\d+)/;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+const roundRate = (rate) => Math.round(rate * 10000) / 10000;
+const amountOf = (entry) => parseFloat((entry.tns_type === 'CR' ? entry.credit : entry.debit) || 0);
+
+const transactionIdOf = (entry) => {
+  const match = entry.remarks?.match(TRANSACTION_ID_PATTERN);
+  return match ? match[1] : (/^CT\d+$/.test(entry.ti || '') ? entry.ti : null);
+};
+
+const isCancellation = (entry) => Boolean(entry.reversal_of) || Boolean(entry.remarks?.startsWith('CANCELLED:'));
+
+/**
+ * Record columns for one transaction's legs
+ * @returns {Object} { record } or { reason } when the legs cannot be read
+ */
+const buildRecord = (transactionId, legs, cancellations) => {
+  const withRemark = (text, predicate = () => true) =>
+    legs.find(leg => leg.remarks?.includes(text) && predicate(leg));
+
+  const clientLeg = withRemark('Payment to AQC for');
+  const vendorLeg = withRemark('Payment from AQC on behalf of');
+  const companyLeg = withRemark('Received from');
+  if (!clientLeg || !vendorLeg || !companyLeg) {
+    return { reason: 'Client, vendor or company leg not found' };
+  }
+  const incentiveLeg = withRemark('Incentive payment to', leg => leg.party_name !== companyLeg.party_name);
+
+  const originalAmount = amountOf(clientLeg);
+  const netAmountToVendor = amountOf(vendorLeg);
+  const clientCommissionAmount = roundAmount(originalAmount - netAmountToVendor);
+  const vendorCommissionAmount = incentiveLeg ? amountOf(incentiveLeg) : 0;
+  if (originalAmount <= 0 || clientCommissionAmount < 0) {
+    return { reason: 'Gross amount is not above the net amount paid to the vendor' };
+  }
+
+  const voucherIds = [...new Set(legs.map(leg => leg.voucher_id))];
+  const cancelled = cancellations.length > 0 || legs.some(leg => leg.is_reversed);
+  const cancellation = cancellations[0];
+
+  return {
+    record: {
+      transaction_id: transactionId,
+      voucher_id: voucherIds.length === 1 ? voucherIds[0] : null,
+      client_name: clientLeg.party_name,
+      vendor_name: vendorLeg.party_name,
+      company_account: companyLeg.party_name,
+      transaction_date: clientLeg.date,
+      original_amount: originalAmount,
+      client_commission_rate: roundRate((clientCommissionAmount / originalAmount) * 100),
+      client_commission_amount: clientCommissionAmount,
+      vendor_commission_rate: roundRate((vendorCommissionAmount / originalAmount) * 100),
+      vendor_commission_amount: vendorCommissionAmount,
+      net_amount_to_vendor: netAmountToVendor,
+      net_profit: roundAmount(clientCommissionAmount - vendorCommissionAmount),
+      status: cancelled ? TRANSACTION_STATUSES.CANCELLED : TRANSACTION_STATUSES.ACTIVE,
+      entry_ids: legs.map(leg => leg.id),
+      cancellation_voucher_id: cancellation?.voucher_id || null,
+      cancelled_at: cancelled ? (cancellation?.created_at || new Date()) : null
+    }
+  };
+};
+
+/**
+ * Import the commission transactions of a single user inside one transaction
+ */
+const backfillUser = async (userId, { dryRun }) => {
+  const { rows: entries } = parseResult(await query(
+    `SELECT *
+     FROM ledger_entries
+     WHERE user_id = $1 AND deleted_at IS NULL
+       AND (ti ~ '^CT[0-9]+$' OR remarks LIKE '%Commission Transaction CT%')
+     ORDER BY date ASC, sequence_no ASC, id ASC`,
+    [userId]
+  ));
+
+  const { rows: existing } = parseResult(await query(
+    'SELECT transaction_id FROM commission_transactions WHERE user_id = $1',
+    [userId]
+  ));
+  const recorded = new Set(existing.map(row => row.transaction_id));
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const transactionId = transactionIdOf(entry);
+    if (!transactionId || recorded.has(transactionId)) continue;
+    if (!groups.has(transactionId)) groups.set(transactionId, { legs: [], cancellations: [] });
+    groups.get(transactionId)[isCancellation(entry) ? 'cancellations' : 'legs'].push(entry);
+  }
+
+  const records = [];
+  const skipped = [];
+  for (const [transactionId, { legs, cancellations }] of groups) {
+    const { record, reason } = buildRecord(transactionId, legs, cancellations);
+    if (record) {
+      records.push(record);
+    } else {
+      skipped.push({ transactionId, reason, entryIds: legs.map(leg => leg.id) });
+    }
+  }
+
+  let imported = 0;
+  if (!dryRun && records.length > 0) {
+    const client = await getConnection();
+    try {
+      await client.query('BEGIN');
+      for (const record of records) {
+        if (await insertCommissionTransaction(client, userId, record, { skipExisting: true })) {
+          imported++;
+        }
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    userId,
+    transactions: groups.size,
+    imported: dryRun ? records.length : imported,
+    skipped
+  };
+};
+
+/**
+ * Import commission transactions for every user with CT ledger entries
+ */
+async function backfillCommissionTransactions(options = {}) {
+  const { dryRun = false } = options;
+  console.log(`🔄 Backfilling commission transactions${dryRun ? ' (dry run)' : ''}...`);
+
+  const { rows: users } = parseResult(await query(
+    `SELECT DISTINCT user_id FROM ledger_entries
+     WHERE deleted_at IS NULL AND (ti ~ '^CT[0-9]+$' OR remarks LIKE '%Commission Transaction CT%')`
+  ));
+  console.log(`👥 Found ${users.length} users with commission transaction entries`);
+
+  const results = [];
+  for (const { user_id: userId } of users) {
+    const result = await backfillUser(userId, { dryRun });
+    results.push(result);
+    console.log(
+      `✅ User ${userId}: ${result.transactions} transactions → ${result.imported} ${dryRun ? 'to import' : 'imported'} ` +
+      `(${result.skipped.length} skipped)`
+    );
+  }
+
+  const skipped = results.flatMap(result =>
+    result.skipped.map(row => ({ userId: result.userId, ...row }))
+  );
+
+  return { users: results.length, results, skipped };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const reportArg = args.find(arg => arg.startsWith('--report='));
+  const reportPath = reportArg ? reportArg.split('=')[1] : 'commission-transactions-report.json';
+
+  try {
+    const { users, skipped } = await backfillCommissionTransactions({ dryRun });
+
+    fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), dryRun, skipped }, null, 2));
+
+    console.log(`🎉 Processed ${users} users`);
+    if (skipped.length > 0) {
+      console.log(`⚠️ ${skipped.length} transactions could not be read from their legs and were skipped`);
+      console.log(`📄 Review them in ${reportPath}`);
+    } else {
+      console.log('✅ All commission transactions imported');
+    }
+  } catch (error) {
+    console.error('❌ Commission transaction backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  backfillCommissionTransactions,
+  buildRecord
+};
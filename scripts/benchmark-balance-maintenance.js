@@ -0,0 +1,170 @@
+/**
+ * Balance Maintenance Benchmark
+ *
+ * Compares the old per-row balance rewrite (reload every entry of the party
+ * and UPDATE each one) with the incremental set-based rewrite used by the
+ * ledger posting service, on a synthetic party with many entries.
+ *
+ * Everything runs inside a transaction that is rolled back, with a throwaway
+ * user, so no data is left behind.
+ *
+ * Usage: node scripts/benchmark-balance-maintenance.js [--rows=5000]
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { getConnection, parseResult, closePool } = require('../src/config/postgres');
+const { rewritePartyBalances } = require('../src/services/ledgerPosting.service');
+
+const PARTY_NAME = 'Benchmark Party';
+
+const parseRows = () => {
+  const arg = process.argv.slice(2).find(value => value.startsWith('--rows='));
+  const rows = arg ? parseInt(arg.split('=')[1], 10) : 5000;
+  return Number.isInteger(rows) && rows > 0 ? rows : 5000;
+};
+
+const timed = async (label, work) => {
+  const start = process.hrtime.bigint();
+  const result = await work();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`⏱️ ${label}: ${ms.toFixed(1)}ms`);
+  return { ms, result };
+};
+
+/**
+ * The pre-service approach: reload the whole party and UPDATE every row
+ */
+const legacyRewrite = async (client, userId) => {
+  const { rows } = parseResult(await client.query(
+    `SELECT id, tns_type, credit, debit, remarks
+     FROM ledger_entries
+     WHERE user_id = $1 AND party_name = $2
+     ORDER BY date ASC, sequence_no ASC, id ASC`,
+    [userId, PARTY_NAME]
+  ));
+
+  let runningBalance = 0;
+  for (const entry of rows) {
+    if (entry.tns_type === 'CR') {
+      runningBalance += parseFloat(entry.credit || 0);
+    } else if (entry.tns_type === 'DR') {
+      runningBalance -= parseFloat(entry.debit || 0);
+    }
+    await client.query(
+      'UPDATE ledger_entries SET balance = $1, updated_at = NOW() WHERE id = $2',
+      [runningBalance, entry.id]
+    );
+  }
+  return runningBalance;
+};
+
+const insertEntry = async (client, userId, date) => {
+  const { rows } = parseResult(await client.query(
+    `INSERT INTO ledger_entries (user_id, party_name, date, remarks, tns_type, credit, debit, balance)
+     VALUES ($1, $2, $3, 'Benchmark posting', 'CR', 250, 0, 0)
+     RETURNING *`,
+    [userId, PARTY_NAME, date]
+  ));
+  return rows[0];
+};
+
+async function runBenchmark(rowCount) {
+  const client = await getConnection();
+
+  try {
+    await client.query('BEGIN');
+
+    const { rows: [user] } = parseResult(await client.query(
+      `INSERT INTO users (email, password_hash, name)
+       VALUES ($1, 'benchmark', 'Balance Benchmark')
+       RETURNING id`,
+      [`balance-benchmark-${Date.now()}@example.invalid`]
+    ));
+
+    console.log(`📋 Seeding ${rowCount} entries for "${PARTY_NAME}"...`);
+    await client.query(
+      `INSERT INTO ledger_entries (user_id, party_name, date, remarks, tns_type, credit, debit, balance, sequence_no)
+       SELECT
+         $1,
+         $2,
+         DATE '2020-01-01' + (n / 10),
+         'Benchmark entry ' || n,
+         CASE WHEN n % 3 = 0 THEN 'DR' ELSE 'CR' END,
+         CASE WHEN n % 3 = 0 THEN 0 ELSE 100 + (n % 50) END,
+         CASE WHEN n % 3 = 0 THEN 75 + (n % 25) ELSE 0 END,
+         0,
+         (n % 10 + 1) * 1024
+       FROM generate_series(1, $3) AS n`,
+      [user.id, PARTY_NAME, rowCount]
+    );
+    await rewritePartyBalances(client, user.id, PARTY_NAME);
+
+    const lastDate = new Date(Date.UTC(2020, 0, 1) + Math.ceil(rowCount / 10) * 86400000)
+      .toISOString().split('T')[0];
+    const middleDate = new Date(Date.UTC(2020, 0, 1) + Math.floor(rowCount / 20) * 86400000)
+      .toISOString().split('T')[0];
+
+    console.log('\n📊 Posting one entry at the end of the ledger');
+    const tailEntry = await insertEntry(client, user.id, lastDate);
+    const legacyTail = await timed('Full per-row rewrite', () => legacyRewrite(client, user.id));
+    const incrementalTail = await timed('Incremental set-based rewrite', () =>
+      rewritePartyBalances(client, user.id, PARTY_NAME, tailEntry)
+    );
+
+    console.log('\n📊 Back-dating one entry into the middle of the ledger');
+    const middleEntry = await insertEntry(client, user.id, middleDate);
+    const legacyMiddle = await timed('Full per-row rewrite', () => legacyRewrite(client, user.id));
+    // Undo the legacy rewrite so the incremental run has the same work to do
+    await client.query(
+      'UPDATE ledger_entries SET balance = 0 WHERE user_id = $1 AND party_name = $2 AND (date, sequence_no, id) >= ($3::date, $4::bigint, $5::uuid)',
+      [user.id, PARTY_NAME, middleEntry.date, middleEntry.sequence_no, middleEntry.id]
+    );
+    const incrementalMiddle = await timed('Incremental set-based rewrite', () =>
+      rewritePartyBalances(client, user.id, PARTY_NAME, middleEntry)
+    );
+
+    const { rows: [check] } = parseResult(await client.query(
+      `SELECT balance FROM ledger_entries
+       WHERE user_id = $1 AND party_name = $2
+       ORDER BY date DESC, sequence_no DESC, id DESC LIMIT 1`,
+      [user.id, PARTY_NAME]
+    ));
+
+    console.log('\n📈 Results');
+    console.log(`   Tail posting:   ${(legacyTail.ms / incrementalTail.ms).toFixed(1)}x faster`);
+    console.log(`   Middle posting: ${(legacyMiddle.ms / incrementalMiddle.ms).toFixed(1)}x faster`);
+
+    const closingMatches = Math.abs(parseFloat(check.balance) - legacyMiddle.result) < 0.005 &&
+      Math.abs(incrementalMiddle.result - legacyMiddle.result) < 0.005;
+    console.log(closingMatches
+      ? `✅ Closing balances match (₹${legacyMiddle.result})`
+      : `❌ Closing balances differ: legacy ₹${legacyMiddle.result}, incremental ₹${incrementalMiddle.result}`);
+
+    return closingMatches;
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+  }
+}
+
+async function main() {
+  try {
+    const matches = await runBenchmark(parseRows());
+    if (!matches) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runBenchmark };
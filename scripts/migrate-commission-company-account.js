@@ -0,0 +1,141 @@
+/**
+ * Commission Company Account Migration Script
+ *
+ * Commission transactions used to post their company legs to a hardcoded
+ * 'AQC Company' party, whatever the user's configured company account was.
+ * This one-time migration re-homes those legs (and their cancellation legs)
+ * onto the user's company account from user_settings ('AQC' when unset),
+ * points the commission_transactions records at it and rewrites the running
+ * balances of both parties - one transaction per user.
+ *
+ * Only rows that belong to a commission transaction (CT transaction id) are
+ * moved; anything else a user posted to a party named 'AQC Company' stays.
+ * Each moved row is audited as an update.
+ *
+ * Usage: node scripts/migrate-commission-company-account.js [--dry-run]
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { query, parseResult, closePool } = require('../src/config/postgres');
+const {
+  withTransaction,
+  lockParties,
+  updateEntryRow,
+  rewriteBalancesForParties
+} = require('../src/services/ledgerPosting.service');
+const { ensurePostingAccounts } = require('../src/services/postingRules.service');
+
+const LEGACY_COMPANY_ACCOUNT = 'AQC Company';
+const DEFAULT_COMPANY_ACCOUNT = 'AQC';
+
+const COMMISSION_LEG_FILTER = `party_name = $2 AND deleted_at IS NULL
+  AND (ti ~ '^CT[0-9]+$' OR remarks LIKE '%Commission Transaction CT%')`;
+
+/**
+ * Move one user's legacy company legs onto their company account
+ */
+const migrateUser = async (userId, companyAccount, { dryRun }) => {
+  if (dryRun) {
+    const { rows: [counts] } = parseResult(await query(
+      `SELECT COUNT(*) AS legs, COUNT(*) FILTER (WHERE is_old_record) AS settled
+       FROM ledger_entries
+       WHERE user_id = $1 AND ${COMMISSION_LEG_FILTER}`,
+      [userId, LEGACY_COMPANY_ACCOUNT]
+    ));
+    return { userId, companyAccount, moved: parseInt(counts.legs, 10), settled: parseInt(counts.settled, 10) };
+  }
+
+  await ensurePostingAccounts(userId, [companyAccount]);
+
+  return withTransaction(async (client) => {
+    await lockParties(client, userId, [LEGACY_COMPANY_ACCOUNT, companyAccount]);
+
+    const { rows: legs } = parseResult(await client.query(
+      `SELECT * FROM ledger_entries
+       WHERE user_id = $1 AND ${COMMISSION_LEG_FILTER}
+       ORDER BY date ASC, sequence_no ASC, id ASC
+       FOR UPDATE`,
+      [userId, LEGACY_COMPANY_ACCOUNT]
+    ));
+
+    const moved = [];
+    for (const leg of legs) {
+      moved.push(await updateEntryRow(client, leg.id, {
+        party_name: companyAccount,
+        updated_at: new Date().toISOString()
+      }));
+    }
+
+    await client.query(
+      `UPDATE commission_transactions
+       SET company_account = $3, updated_at = NOW()
+       WHERE user_id = $1 AND company_account = $2`,
+      [userId, LEGACY_COMPANY_ACCOUNT, companyAccount]
+    );
+
+    await rewriteBalancesForParties(client, userId, [...legs, ...moved]);
+
+    return {
+      userId,
+      companyAccount,
+      moved: moved.length,
+      settled: legs.filter(leg => leg.is_old_record).length
+    };
+  });
+};
+
+/**
+ * Re-home legacy company legs for every user whose company account is not 'AQC Company'
+ */
+async function migrateCommissionCompanyAccount(options = {}) {
+  const { dryRun = false } = options;
+  console.log(`🔄 Moving '${LEGACY_COMPANY_ACCOUNT}' commission legs to configured company accounts${dryRun ? ' (dry run)' : ''}...`);
+
+  const { rows: users } = parseResult(await query(
+    `SELECT DISTINCT entries.user_id, COALESCE(NULLIF(settings.company_account, ''), $3) AS company_account
+     FROM ledger_entries AS entries
+     LEFT JOIN user_settings AS settings ON settings.user_id = entries.user_id
+     WHERE entries.party_name = $1 AND entries.deleted_at IS NULL
+       AND (entries.ti ~ '^CT[0-9]+$' OR entries.remarks LIKE '%Commission Transaction CT%')
+       AND COALESCE(NULLIF(settings.company_account, ''), $3) <> $2`,
+    [LEGACY_COMPANY_ACCOUNT, LEGACY_COMPANY_ACCOUNT, DEFAULT_COMPANY_ACCOUNT]
+  ));
+  console.log(`👥 Found ${users.length} users with '${LEGACY_COMPANY_ACCOUNT}' commission legs to move`);
+
+  const results = [];
+  for (const { user_id: userId, company_account: companyAccount } of users) {
+    const result = await migrateUser(userId, companyAccount, { dryRun });
+    results.push(result);
+    console.log(
+      `✅ User ${userId}: ${result.moved} legs ${dryRun ? 'to move' : 'moved'} to "${companyAccount}"` +
+      (result.settled > 0 ? ` (${result.settled} already settled)` : '')
+    );
+  }
+
+  return { users: results.length, results };
+}
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  try {
+    const { users, results } = await migrateCommissionCompanyAccount({ dryRun });
+    const moved = results.reduce((sum, result) => sum + result.moved, 0);
+    console.log(`🎉 Processed ${users} users, ${moved} legs ${dryRun ? 'to move' : 'moved'}`);
+  } catch (error) {
+    console.error('❌ Company account migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  migrateCommissionCompanyAccount
+};
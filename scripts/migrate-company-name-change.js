@@ -5,6 +5,7 @@
  * 1. Updates existing company party name
  * 2. Updates all existing transactions with old company name
  * 3. Handles both settled and unsettled transactions
+ * 4. Points commission transaction records at the new company name
  * 
  * @author Account Ledger Team
  * @version 1.0.0
@@ -137,6 +138,20 @@ async function migrateCompanyNameChange(userId, oldCompanyName, newCompanyName)
       console.log(`⚠️ No entries found with remarks containing old company name`);
     }
 
+    // Step 3b: Point commission transaction records at the new company account
+    const { error: commissionError } = await supabase
+      .from('commission_transactions')
+      .update({
+        company_account: newCompanyName,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId)
+      .eq('company_account', oldCompanyName);
+
+    if (commissionError) {
+      throw new Error(`Failed to update commission transactions: ${commissionError.message}`);
+    }
+
     // Step 4: Recalculate balances for all parties (since company name changed)
     console.log('📋 Step 4: Recalculating balances...');
     
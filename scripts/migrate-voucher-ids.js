@@ -0,0 +1,270 @@
+/**
+ * Voucher ID Backfill Script
+ *
+ * Assigns a voucher_id to every ledger entry created before vouchers existed.
+ * Rows are grouped with the same rules the old remark-matching delete used,
+ * but only when the match is unambiguous:
+ * 1. Commission transaction legs are grouped by their CT transaction id
+ *    (cancellation reversals form their own voucher per transaction)
+ * 2. A party entry is grouped with the company/Commission rows of the same
+ *    date and amount whose remarks point back to it - only when no other
+ *    party entry could claim those rows
+ * 3. Everything else becomes a single-row voucher
+ *
+ * Rows that could not be grouped confidently are left as single-row vouchers
+ * and listed in the report for manual review.
+ *
+ * Usage: node scripts/migrate-voucher-ids.js [--dry-run] [--report=voucher-report.json]
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const { randomUUID } = require('crypto');
+const { query, getConnection, parseResult, closePool } = require('../src/config/postgres');
+
+const SETTLEMENT_REMARK = 'Monday Final Settlement';
+const COMMISSION_PARTY = 'Commission';
+const TRANSACTION_ID_PATTERN = /Commission Transaction (CT\d+)/;
+
+const entryAmount = (entry) => parseFloat((entry.tns_type === 'CR' ? entry.credit : entry.debit) || 0);
+
+const summarizeEntry = (entry) => ({
+  id: entry.id,
+  partyName: entry.party_name,
+  date: entry.date,
+  tnsType: entry.tns_type,
+  amount: entryAmount(entry),
+  remarks: entry.remarks
+});
+
+/**
+ * Key of the commission transaction a row belongs to, if any
+ */
+const commissionTransactionKey = (entry) => {
+  const match = entry.remarks?.match(TRANSACTION_ID_PATTERN);
+  const transactionId = match ? match[1] : (/^CT\d+$/.test(entry.ti || '') ? entry.ti : null);
+  if (!transactionId) {
+    return null;
+  }
+  const cancelled = entry.remarks?.startsWith('CANCELLED:');
+  return `${cancelled ? 'cancel' : 'ct'}:${transactionId}`;
+};
+
+/**
+ * Same checks the old related-transaction lookup applied to company/Commission rows
+ */
+const looksRelated = (partyEntry, contraEntry, companyName) => {
+  if (contraEntry.date !== partyEntry.date) return false;
+  if (entryAmount(contraEntry) !== entryAmount(partyEntry)) return false;
+  if (contraEntry.is_old_record !== partyEntry.is_old_record) return false;
+
+  const remarks = contraEntry.remarks || '';
+  if (remarks.includes(partyEntry.party_name) || remarks.includes('Commission')) {
+    return true;
+  }
+  if (contraEntry.party_name === companyName) {
+    return remarks.includes('Company') || remarks.includes('AQC');
+  }
+  return remarks.includes(companyName);
+};
+
+/**
+ * Work out voucher groups for one user's ungrouped rows
+ * @returns {Object} { groups: Array<Array<entry>>, unconfident: Array<Object> }
+ */
+const planUserVouchers = (entries, companyName) => {
+  const groups = [];
+  const unconfident = [];
+  const assigned = new Set();
+
+  // 1. Commission transaction legs share their CT id
+  const byTransaction = new Map();
+  for (const entry of entries) {
+    const key = commissionTransactionKey(entry);
+    if (!key) continue;
+    if (!byTransaction.has(key)) byTransaction.set(key, []);
+    byTransaction.get(key).push(entry);
+  }
+  for (const legs of byTransaction.values()) {
+    groups.push(legs);
+    legs.forEach(entry => assigned.add(entry.id));
+  }
+
+  const remaining = entries.filter(entry => !assigned.has(entry.id));
+  const isContra = (entry) => entry.party_name === companyName || entry.party_name === COMMISSION_PARTY;
+  const isSettlement = (entry) => entry.remarks?.includes(SETTLEMENT_REMARK);
+
+  const partyEntries = remaining.filter(entry => !isContra(entry) && !isSettlement(entry));
+  const contraEntries = remaining.filter(entry => isContra(entry) && !isSettlement(entry));
+
+  // 2. Match party entries to their company/Commission rows
+  const candidatesByParty = new Map();
+  const claimantsByContra = new Map();
+  for (const partyEntry of partyEntries) {
+    const candidates = contraEntries.filter(contra => looksRelated(partyEntry, contra, companyName));
+    candidatesByParty.set(partyEntry.id, candidates);
+    for (const contra of candidates) {
+      if (!claimantsByContra.has(contra.id)) claimantsByContra.set(contra.id, []);
+      claimantsByContra.get(contra.id).push(partyEntry);
+    }
+  }
+
+  for (const partyEntry of partyEntries) {
+    const candidates = candidatesByParty.get(partyEntry.id);
+    if (candidates.length === 0) continue;
+
+    const shared = candidates.some(contra => claimantsByContra.get(contra.id).length > 1);
+    const contraParties = candidates.map(contra => contra.party_name);
+    const duplicateContra = new Set(contraParties).size !== contraParties.length;
+
+    if (shared || duplicateContra) {
+      unconfident.push({
+        ...summarizeEntry(partyEntry),
+        reason: shared
+          ? 'Company/Commission rows could belong to more than one party entry'
+          : 'More than one matching row on the same company/Commission ledger',
+        candidates: candidates.map(summarizeEntry)
+      });
+      continue;
+    }
+
+    groups.push([partyEntry, ...candidates]);
+    assigned.add(partyEntry.id);
+    candidates.forEach(contra => assigned.add(contra.id));
+  }
+
+  // 3. Everything left is its own voucher
+  for (const entry of remaining) {
+    if (assigned.has(entry.id)) continue;
+
+    if (isContra(entry) && !isSettlement(entry)) {
+      const claimants = claimantsByContra.get(entry.id) || [];
+      unconfident.push({
+        ...summarizeEntry(entry),
+        reason: claimants.length > 0
+          ? 'Matched more than one party entry'
+          : 'No matching party entry found',
+        candidates: claimants.map(summarizeEntry)
+      });
+    }
+
+    groups.push([entry]);
+  }
+
+  return { groups, unconfident };
+};
+
+/**
+ * Backfill voucher ids for a single user inside one transaction
+ */
+const backfillUser = async (userId, { dryRun }) => {
+  const { rows: settings } = parseResult(await query(
+    'SELECT company_account FROM user_settings WHERE user_id = $1',
+    [userId]
+  ));
+  const companyName = settings[0]?.company_account || 'AQC';
+
+  const { rows: entries } = parseResult(await query(
+    `SELECT *
+     FROM ledger_entries
+     WHERE user_id = $1 AND voucher_id IS NULL
+     ORDER BY date ASC, created_at ASC`,
+    [userId]
+  ));
+
+  const { groups, unconfident } = planUserVouchers(entries, companyName);
+
+  if (!dryRun) {
+    const client = await getConnection();
+    try {
+      await client.query('BEGIN');
+      for (const group of groups) {
+        await client.query(
+          'UPDATE ledger_entries SET voucher_id = $1 WHERE id = ANY($2) AND voucher_id IS NULL',
+          [randomUUID(), group.map(entry => entry.id)]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    userId,
+    companyName,
+    entries: entries.length,
+    vouchers: groups.length,
+    multiLegVouchers: groups.filter(group => group.length > 1).length,
+    unconfident
+  };
+};
+
+/**
+ * Backfill voucher ids for every user with ungrouped ledger entries
+ */
+async function migrateVoucherIds(options = {}) {
+  const { dryRun = false } = options;
+  console.log(`🔄 Backfilling voucher ids${dryRun ? ' (dry run)' : ''}...`);
+
+  const { rows: users } = parseResult(await query(
+    'SELECT DISTINCT user_id FROM ledger_entries WHERE voucher_id IS NULL'
+  ));
+  console.log(`👥 Found ${users.length} users with entries missing a voucher id`);
+
+  const results = [];
+  for (const { user_id: userId } of users) {
+    const result = await backfillUser(userId, { dryRun });
+    results.push(result);
+    console.log(
+      `✅ User ${userId}: ${result.entries} entries → ${result.vouchers} vouchers ` +
+      `(${result.multiLegVouchers} multi-leg, ${result.unconfident.length} need review)`
+    );
+  }
+
+  const unconfident = results.flatMap(result =>
+    result.unconfident.map(row => ({ userId: result.userId, ...row }))
+  );
+
+  return { users: results.length, results, unconfident };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const reportArg = args.find(arg => arg.startsWith('--report='));
+  const reportPath = reportArg ? reportArg.split('=')[1] : 'voucher-backfill-report.json';
+
+  try {
+    const { users, unconfident } = await migrateVoucherIds({ dryRun });
+
+    fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), dryRun, unconfident }, null, 2));
+
+    console.log(`🎉 Processed ${users} users`);
+    if (unconfident.length > 0) {
+      console.log(`⚠️ ${unconfident.length} rows could not be grouped confidently and were left as single-row vouchers`);
+      console.log(`📄 Review them in ${reportPath}`);
+    } else {
+      console.log('✅ All rows grouped confidently');
+    }
+  } catch (error) {
+    console.error('❌ Voucher backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  migrateVoucherIds,
+  planUserVouchers
+};
@@ -0,0 +1,45 @@
+/**
+ * Recycle Bin Purge Script
+ *
+ * Permanently deletes parties and ledger entries that have been in the
+ * recycle bin longer than their owner's retention period
+ * (user_settings.recycle_bin_retention_days, default RECYCLE_BIN_RETENTION_DAYS or 30).
+ * Meant to run once a day from a scheduler.
+ *
+ * Usage: node scripts/purge-recycle-bin.js
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { closePool } = require('../src/config/postgres');
+const { purgeExpiredForAllUsers } = require('../src/services/recycleBin.service');
+
+async function main() {
+  try {
+    console.log('🗑️ Purging expired recycle bin items...');
+    const results = await purgeExpiredForAllUsers();
+
+    for (const result of results) {
+      if (result.purgedParties > 0 || result.purgedEntries > 0) {
+        console.log(
+          `✅ User ${result.userId}: ${result.purgedParties} parties, ${result.purgedEntries} entries ` +
+          `(older than ${result.retentionDays} days)`
+        );
+      }
+    }
+
+    const parties = results.reduce((sum, result) => sum + result.purgedParties, 0);
+    const entries = results.reduce((sum, result) => sum + result.purgedEntries, 0);
+    console.log(`🎉 Purged ${parties} parties and ${entries} entries for ${results.length} users`);
+  } catch (error) {
+    console.error('❌ Recycle bin purge failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,50 @@
+/**
+ * Monday Final Run Script
+ *
+ * Runs every scheduled Monday Final settlement that is due (users with
+ * user_settings.monday_final_auto on, at their configured weekday, time and
+ * timezone). Runs are idempotent per user and period, so this can be run
+ * from cron as often as needed. This is the only scheduler: the API server
+ * runs on serverless functions, which cannot keep a timer alive, and the
+ * deployment does not run this script by itself. Without the crontab line
+ * below (see also README.md, Scheduled jobs) no scheduled settlement happens.
+ *
+ * Usage: node scripts/run-monday-final.js (or npm run run-monday-final)
+ * Crontab, every 5 minutes: 0-59/5 * * * * cd /path/to/app && node scripts/run-monday-final.js
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { closePool } = require('../src/config/postgres');
+const { runDueSettlements, RUN_STATUS } = require('../src/services/mondayFinal.service');
+
+async function main() {
+  try {
+    console.log('🗓️ Running due Monday Final settlements...');
+    const results = await runDueSettlements();
+
+    for (const result of results) {
+      if (result.status === RUN_STATUS.FAILED) {
+        console.error(`❌ User ${result.userId} (${result.idempotencyKey}): ${result.error}`);
+        process.exitCode = 1;
+      } else {
+        console.log(
+          `✅ User ${result.userId} (${result.idempotencyKey}): ${result.partiesSettled} parties, ` +
+          `${result.entriesSettled} entries settled`
+        );
+      }
+    }
+
+    console.log(`🎉 ${results.length} Monday Final runs processed`);
+  } catch (error) {
+    console.error('❌ Monday Final run failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -93,8 +93,13 @@ const finalTrialBalanceRoutes = require('./src/routes/FinalTrialBalance.routes')
 const userSettingsRoutes = require('./src/routes/userSettings.routes');
 const dashboardRoutes = require('./src/routes/dashboard.routes');
 const commissionTransactionRoutes = require('./src/routes/commissionTransaction.routes');
+const commissionStatementRoutes = require('./src/routes/commissionStatement.routes');
 const uploadRoutes = require('./src/routes/upload.routes');
 const adminRoutes = require('./src/routes/admin.routes');
+const auditRoutes = require('./src/routes/audit.routes');
+const recycleBinRoutes = require('./src/routes/recycleBin.routes');
+const periodCloseRoutes = require('./src/routes/periodClose.routes');
+const commissionRuleRoutes = require('./src/routes/commissionRules.routes');
 
 // PORT configuration
 const PORT = process.env.PORT || 5000;
@@ -134,6 +139,7 @@ app.set('trust proxy', 1);
  * - Monitor all endpoints for performance issues
  */
 const { performanceMonitor } = require('./src/middlewares/performance');
+const { requestContext } = require('./src/middlewares/requestContext');
 
 /**
  * 🚀 Performance Optimizations
@@ -197,8 +203,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Length', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Request-Id'],
+  exposedHeaders: ['Content-Length', 'X-Requested-With', 'X-Request-Id'],
   optionsSuccessStatus: 200,
   preflightContinue: false
 }));
@@ -276,6 +282,17 @@ const apiCache = new NodeCache({
 // Cache middleware for API endpoints
 const cacheMiddleware = (duration = 300) => {
   return (req, res, next) => {
+    // Only reads are cacheable - a POST (e.g. a settlement preview) must always run
+    if (req.method !== 'GET') {
+      // A successful write makes cached reads stale (balances span several mounts)
+      res.on('finish', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          apiCache.flushAll();
+        }
+      });
+      return next();
+    }
+
     const key = `${req.method}:${req.originalUrl}:${JSON.stringify(req.query)}`;
     
     // Check cache first
@@ -406,7 +423,7 @@ app.use((req, res, next) => {
   }
   
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Request-Id');
   res.header('Access-Control-Allow-Credentials', 'true');
   
   // Handle preflight requests
@@ -454,6 +471,13 @@ app.use((req, res, next) => {
  */
 app.use(performanceMonitor);
 
+/**
+ * 🧾 Request Context
+ * 
+ * Assigns a request ID and exposes it (with endpoint and user) to the audit log
+ */
+app.use(requestContext);
+
 /**
  * 📦 Compression Middleware Configuration
  * 
@@ -754,6 +778,11 @@ app.get('/api/performance', (req, res) => {
  * - /api/final-trial-balance: Trial balance reports
  * - /api/settings: User settings and preferences
  * - /api/dashboard: Dashboard statistics and analytics
+ * - /api/audit: Audit trail of ledger, party and settings changes
+ * - /api/recycle-bin: Deleted parties and entries (restore / purge)
+ * - /api/period-close: Books closed up to a date (close / reopen)
+ * - /api/commission-rules: Versioned commission rules
+ * - /api/commission-transactions/statement, /payouts: Commission owed and paid out (uncached)
  * 
  * 🔧 TROUBLESHOOTING:
  * - If route not found: Check route mounting
@@ -778,9 +807,14 @@ app.use('/api/authentication', cacheMiddleware(60), authRoutes);
 
 // Other routes with light caching (1 minute)
 app.use('/api/new-party', cacheMiddleware(60), newPartyRoutes);
+app.use('/api/commission-transactions', commissionStatementRoutes); // No caching - balances owed must be current and per user
 app.use('/api/commission-transactions', cacheMiddleware(60), commissionTransactionRoutes);
 app.use('/api/upload', uploadRoutes); // No caching for uploads
 app.use('/api/admin', cacheMiddleware(60), adminRoutes);
+app.use('/api/audit', auditRoutes); // No caching - history must be current
+app.use('/api/recycle-bin', recycleBinRoutes); // No caching - restores must show immediately
+app.use('/api/period-close', periodCloseRoutes); // No caching - the lock date must be current
+app.use('/api/commission-rules', commissionRuleRoutes); // No caching - pricing must use the latest version
 
 // Add missing API routes for better consistency
 app.use('/api/auth', authRoutes); // Alternative auth route
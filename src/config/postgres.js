@@ -1,4 +1,4 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
 // Validate required environment variables
@@ -51,6 +51,39 @@ const query = async (text, params) => {
   }
 };
 
+// Format a pg DATE value (a Date at local midnight) as 'YYYY-MM-DD'
+const toDateString = (value) => {
+  if (!(value instanceof Date)) {
+    return value;
+  }
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+// Read a query result with NUMERIC columns as numbers and DATE columns as
+// 'YYYY-MM-DD' strings, the shapes the Supabase client returns, so rows from
+// both paths are interchangeable. Done per result instead of through pg's
+// global type parsers, which would change every other pg user's results too.
+const parseResult = (result) => {
+  const numericFields = result.fields.filter(field => field.dataTypeID === types.builtins.NUMERIC).map(field => field.name);
+  const dateFields = result.fields.filter(field => field.dataTypeID === types.builtins.DATE).map(field => field.name);
+  if (numericFields.length === 0 && dateFields.length === 0) {
+    return result;
+  }
+
+  const rows = result.rows.map(row => {
+    const parsed = { ...row };
+    for (const name of numericFields) {
+      parsed[name] = parsed[name] === null ? null : parseFloat(parsed[name]);
+    }
+    for (const name of dateFields) {
+      parsed[name] = toDateString(parsed[name]);
+    }
+    return parsed;
+  });
+  return { ...result, rows };
+};
+
 // Close pool
 const closePool = async () => {
   await pool.end();
@@ -61,5 +94,6 @@ module.exports = {
   testConnection,
   getConnection,
   query,
+  parseResult,
   closePool
 };
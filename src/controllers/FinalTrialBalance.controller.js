@@ -209,6 +209,7 @@ const getFinalTrialBalance = async (req, res) => {
   try {
     const userId = req.user.id;
     const { partyName, page, limit } = req.query;
+    const hideReversed = req.query.hideReversed === 'true';
     const startTime = Date.now();
 
     // User information validated
@@ -250,7 +251,7 @@ const getFinalTrialBalance = async (req, res) => {
     const { page: validatedPage, limit: validatedLimit } = validatePagination(page, limit);
 
     // Check Redis cache first for better performance (include company name for multi-tenant support)
-    const cacheKey = `trial_balance:${userId}:${userCompanyName}:${validatedPartyName || 'all'}:${validatedPage}:${validatedLimit}`;
+    const cacheKey = `trial_balance:${userId}:${userCompanyName}:${validatedPartyName || 'all'}:${validatedPage}:${validatedLimit}:${hideReversed ? 'net' : 'gross'}`;
     const cachedData = await getCache(cacheKey);
     
     if (cachedData) {
@@ -272,6 +273,7 @@ const getFinalTrialBalance = async (req, res) => {
       .from('ledger_entries')
       .select('party_name, credit, debit, remarks, created_at')  // Only select required fields
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false }); // Add ordering for consistent results
 
     // Filter by party name if provided
@@ -279,6 +281,11 @@ const getFinalTrialBalance = async (req, res) => {
       query = query.ilike('party_name', `%${validatedPartyName}%`);
     }
 
+    // Leave out reversed vouchers and their reversals
+    if (hideReversed) {
+      query = query.eq('is_reversed', false).is('reversal_of', null);
+    }
+
     // Database query prepared
     const { data: entries, error } = await query;
 
@@ -693,7 +700,12 @@ const forceRefreshTrialBalance = async (req, res) => {
     let query = supabase
       .from('ledger_entries')
       .select('*')
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
+
+    if (req.query.hideReversed === 'true') {
+      query = query.eq('is_reversed', false).is('reversal_of', null);
+    }
 
     const { data: entries, error } = await query;
 
@@ -877,7 +889,8 @@ const getPerformanceMetrics = async (req, res) => {
     const { count } = await supabase
       .from('ledger_entries')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
     
     const dbQueryTime = Date.now() - startTime;
 
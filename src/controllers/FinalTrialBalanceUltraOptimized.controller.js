@@ -10,6 +10,7 @@
 
 const { supabase } = require('../config/supabase');
 const { getCache, setCache } = require('../config/redis');
+const { MEMO_ENTRY_TYPES } = require('../services/ledgerValidation');
 
 /**
  * ULTRA-OPTIMIZED: Get final trial balance using database aggregation
@@ -21,9 +22,10 @@ const getFinalTrialBalanceUltraOptimized = async (req, res) => {
   try {
     const userId = req.user.id;
     const { partyName, page = 1, limit = 100 } = req.query;
+    const hideReversed = req.query.hideReversed === 'true';
     
     // Check cache first (5-minute TTL)
-    const cacheKey = `trial_balance_ultra:${userId}:${partyName || 'all'}:${page}:${limit}`;
+    const cacheKey = `trial_balance_ultra:${userId}:${partyName || 'all'}:${page}:${limit}:${hideReversed ? 'net' : 'gross'}`;
     const cachedData = await getCache(cacheKey);
     
     if (cachedData) {
@@ -55,6 +57,8 @@ const getFinalTrialBalanceUltraOptimized = async (req, res) => {
         MAX(created_at) as last_transaction_date
       `)
       .eq('user_id', userId)
+      .is('deleted_at', null)
+      .not('entry_type', 'in', `(${MEMO_ENTRY_TYPES.join(',')})`) // Settlement and carry-forward memo rows
       .group('party_name')
       .order('party_name');
     
@@ -62,6 +66,11 @@ const getFinalTrialBalanceUltraOptimized = async (req, res) => {
     if (partyName) {
       query = query.ilike('party_name', `%${partyName}%`);
     }
+
+    // Leave out reversed vouchers and their reversals
+    if (hideReversed) {
+      query = query.eq('is_reversed', false).is('reversal_of', null);
+    }
     
     const { data: aggregatedData, error } = await query;
     const queryTime = Date.now() - queryStart;
@@ -155,9 +164,10 @@ const getTrialBalanceSummaryUltraOptimized = async (req, res) => {
   
   try {
     const userId = req.user.id;
+    const hideReversed = req.query.hideReversed === 'true';
     
     // Check cache first (10-minute TTL)
-    const cacheKey = `trial_balance_summary:${userId}`;
+    const cacheKey = `trial_balance_summary:${userId}:${hideReversed ? 'net' : 'gross'}`;
     const cachedData = await getCache(cacheKey);
     
     if (cachedData) {
@@ -176,7 +186,7 @@ const getTrialBalanceSummaryUltraOptimized = async (req, res) => {
     console.log('🔄 Computing ultra-optimized trial balance summary...');
     
     // ULTRA-OPTIMIZED: Single aggregation query for summary
-    const { data: summaryData, error } = await supabase
+    let summaryQuery = supabase
       .from('ledger_entries')
       .select(`
         SUM(CASE WHEN tns_type = 'CR' THEN COALESCE(credit, 0) ELSE 0 END) as total_credit,
@@ -185,7 +195,14 @@ const getTrialBalanceSummaryUltraOptimized = async (req, res) => {
         COUNT(*) as total_transactions
       `)
       .eq('user_id', userId)
-      .single();
+      .is('deleted_at', null)
+      .not('entry_type', 'in', `(${MEMO_ENTRY_TYPES.join(',')})`);
+
+    if (hideReversed) {
+      summaryQuery = summaryQuery.eq('is_reversed', false).is('reversal_of', null);
+    }
+
+    const { data: summaryData, error } = await summaryQuery.single();
     
     if (error) {
       throw new Error(`Database query failed: ${error.message}`);
@@ -12,6 +12,7 @@ const { supabase } = require('../config/supabase');
 const { getCache, setCache } = require('../config/redis');
 const admin = require('firebase-admin');
 const User = require('../models/supabase/User');
+const { recordAudit, ENTITY_TYPES, ACTIONS } = require('../services/audit.service');
 
 /**
  * Send success response with consistent format
@@ -120,11 +121,11 @@ const getDashboardStatsData = async () => {
 
   const [usersResult, partiesResult, transactionsResult, revenueResult, activeUsersResult, pendingTransactionsResult] = await Promise.allSettled([
     supabase.from('users').select('*', { count: 'exact', head: true }),
-    supabase.from('parties').select('*', { count: 'exact', head: true }),
-    supabase.from('ledger_entries').select('*', { count: 'exact', head: true }),
-    supabase.from('ledger_entries').select('credit').not('credit', 'is', null).limit(10000),
+    supabase.from('parties').select('*', { count: 'exact', head: true }).is('deleted_at', null),
+    supabase.from('ledger_entries').select('*', { count: 'exact', head: true }).is('deleted_at', null),
+    supabase.from('ledger_entries').select('credit').not('credit', 'is', null).is('deleted_at', null).limit(10000),
     supabase.from('users').select('*', { count: 'exact', head: true }).gte('updated_at', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()),
-    supabase.from('ledger_entries').select('*', { count: 'exact', head: true }).eq('chk', false)
+    supabase.from('ledger_entries').select('*', { count: 'exact', head: true }).eq('chk', false).is('deleted_at', null)
   ]);
 
   const totalUsers = usersResult.status === 'fulfilled' ? (usersResult.value.count || 0) : 0;
@@ -173,8 +174,8 @@ const getAllUsersData = async (page, limit, search) => {
 
   const userIds = users.map(user => user.id);
   const [partiesResult, transactionsResult] = await Promise.allSettled([
-    supabase.from('parties').select('user_id').in('user_id', userIds),
-    supabase.from('ledger_entries').select('user_id').in('user_id', userIds)
+    supabase.from('parties').select('user_id').in('user_id', userIds).is('deleted_at', null),
+    supabase.from('ledger_entries').select('user_id').in('user_id', userIds).is('deleted_at', null)
   ]);
 
   const partyCounts = {};
@@ -300,18 +301,21 @@ const getDashboardStats = async (req, res) => {
       // Total parties count
       supabase
         .from('parties')
-        .select('*', { count: 'exact', head: true }),
+        .select('*', { count: 'exact', head: true })
+        .is('deleted_at', null),
       
       // Total ledger entries count
       supabase
         .from('ledger_entries')
-        .select('*', { count: 'exact', head: true }),
+        .select('*', { count: 'exact', head: true })
+        .is('deleted_at', null),
       
       // Total revenue (sum of all credit amounts) - optimized query
       supabase
         .from('ledger_entries')
         .select('credit')
         .not('credit', 'is', null)
+        .is('deleted_at', null)
         .limit(10000), // Limit to prevent huge data transfer
       
       // Active users (last 7 days)
@@ -325,6 +329,7 @@ const getDashboardStats = async (req, res) => {
         .from('ledger_entries')
         .select('*', { count: 'exact', head: true })
         .eq('chk', false)
+        .is('deleted_at', null)
     ]);
 
     // Process results with error handling
@@ -430,13 +435,15 @@ const getAllUsers = async (req, res) => {
       supabase
         .from('parties')
         .select('user_id')
-        .in('user_id', userIds),
+        .in('user_id', userIds)
+        .is('deleted_at', null),
       
       // Get transaction counts for all users at once
       supabase
         .from('ledger_entries')
         .select('user_id')
         .in('user_id', userIds)
+        .is('deleted_at', null)
     ]);
 
     // Process results efficiently
@@ -637,6 +644,9 @@ const deleteUser = async (req, res) => {
 
     console.log('✅ User deleted from Supabase:', userId);
 
+    // Ledger entries, parties and settings were removed in bulk with the user
+    await recordAudit({ entityType: ENTITY_TYPES.USER, action: ACTIONS.DELETE, userId, before: user });
+
     // Delete Firebase user if it exists
     try {
       if (user.firebase_uid) {
@@ -820,12 +830,14 @@ const getUserById = async (req, res) => {
     const { count: partyCount } = await supabase
       .from('parties')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
 
     const { count: transactionCount } = await supabase
       .from('ledger_entries')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
 
     const userWithStats = {
       ...user,
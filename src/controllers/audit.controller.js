@@ -0,0 +1,109 @@
+/**
+ * Audit Controller
+ *
+ * Read access to the audit trail of the authenticated user's ledger entries,
+ * parties and settings.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const AuditLog = require('../models/supabase/AuditLog');
+const { ENTITY_TYPES, formatAuditRow } = require('../services/audit.service');
+const { DATE_ONLY_PATTERN } = require('../services/ledgerValidation');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Error response utility
+const sendErrorResponse = (res, statusCode, message, error = null) => {
+  const response = {
+    success: false,
+    message,
+    timestamp: new Date().toISOString(),
+    path: res.req?.originalUrl || 'unknown'
+  };
+
+  if (process.env.NODE_ENV === 'development' && error) {
+    response.error = error.message;
+    response.stack = error.stack;
+  }
+
+  res.status(statusCode).json(response);
+};
+
+// Success response utility
+const sendSuccessResponse = (res, data, message = 'Operation completed successfully') => {
+  res.json({
+    success: true,
+    message,
+    data,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Parse a from/to filter; date-only values cover the whole day
+ * @returns {string|null} ISO timestamp, null when absent, undefined when invalid
+ */
+const parseBoundary = (value, endOfDay) => {
+  if (!value) {
+    return null;
+  }
+  if (DATE_ONLY_PATTERN.test(value)) {
+    return `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+  }
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? undefined : parsed.toISOString();
+};
+
+/**
+ * Get audit log rows with filters and pagination
+ * Query: entity, entityId, from, to, page, limit
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { entity, entityId } = req.query;
+
+    const entityTypes = Object.values(ENTITY_TYPES);
+    if (entity && !entityTypes.includes(entity)) {
+      return sendErrorResponse(res, 400, `Invalid entity. Expected one of: ${entityTypes.join(', ')}`);
+    }
+
+    const from = parseBoundary(req.query.from, false);
+    const to = parseBoundary(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return sendErrorResponse(res, 400, 'from and to must be valid dates');
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { data, total } = await AuditLog.findAll({
+      userId,
+      entityType: entity,
+      entityId,
+      from,
+      to,
+      page,
+      limit
+    });
+
+    sendSuccessResponse(res, {
+      entries: data.map(formatAuditRow),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }, 'Audit log retrieved successfully');
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to retrieve audit log', error);
+  }
+};
+
+module.exports = {
+  getAuditLog
+};
@@ -0,0 +1,150 @@
+/**
+ * Commission Rules Controller
+ *
+ * Lists, creates, versions and retires the authenticated user's commission
+ * rules. Changing a rule adds a version; entries keep pointing at the
+ * version they were priced with.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const {
+  createRule,
+  updateRule,
+  retireRule,
+  listRules,
+  getRuleVersions,
+  getRuleVersion
+} = require('../services/commissionRules.service');
+const { LedgerError } = require('../services/ledgerErrors');
+
+// Error response utility
+const sendErrorResponse = (res, statusCode, message, error = null) => {
+  const response = {
+    success: false,
+    message,
+    timestamp: new Date().toISOString(),
+    path: res.req?.originalUrl || 'unknown'
+  };
+
+  if (error instanceof LedgerError) {
+    response.code = error.code;
+    response.details = error.details;
+  }
+
+  if (process.env.NODE_ENV === 'development' && error) {
+    response.error = error.message;
+    response.stack = error.stack;
+  }
+
+  res.status(statusCode).json(response);
+};
+
+// Success response utility
+const sendSuccessResponse = (res, data, message = 'Operation completed successfully', statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Ledger errors carry their own status (400 invalid rules, 404 unknown rules)
+const sendRuleErrorResponse = (res, fallbackMessage, error) => {
+  if (error instanceof LedgerError) {
+    return sendErrorResponse(res, error.statusCode, error.message, error);
+  }
+  sendErrorResponse(res, 500, fallbackMessage, error);
+};
+
+/**
+ * List the latest version of each rule
+ * Query: role, partyName, includeRetired
+ */
+const getCommissionRules = async (req, res) => {
+  try {
+    const { role, partyName, includeRetired } = req.query;
+    const rules = await listRules(req.user.id, {
+      role,
+      partyName,
+      includeRetired: includeRetired === 'true'
+    });
+    sendSuccessResponse(res, rules, 'Commission rules retrieved successfully');
+  } catch (error) {
+    sendRuleErrorResponse(res, 'Failed to retrieve commission rules', error);
+  }
+};
+
+/**
+ * Get every version of a rule
+ */
+const getCommissionRuleVersions = async (req, res) => {
+  try {
+    const versions = await getRuleVersions(req.user.id, req.params.ruleKey);
+    sendSuccessResponse(res, versions, 'Commission rule versions retrieved successfully');
+  } catch (error) {
+    sendRuleErrorResponse(res, 'Failed to retrieve commission rule', error);
+  }
+};
+
+/**
+ * Get one rule version by id (e.g. entries' commission_rule_id)
+ */
+const getCommissionRuleVersion = async (req, res) => {
+  try {
+    const rule = await getRuleVersion(req.user.id, req.params.ruleId);
+    sendSuccessResponse(res, rule, 'Commission rule version retrieved successfully');
+  } catch (error) {
+    sendRuleErrorResponse(res, 'Failed to retrieve commission rule version', error);
+  }
+};
+
+/**
+ * Create a rule
+ * Body: { name, role, partyName?, counterpartyName?, rateType, rate?, slabs?,
+ *         minAmount?, maxAmount?, effectiveFrom? }
+ */
+const createCommissionRule = async (req, res) => {
+  try {
+    const rule = await createRule(req.user.id, req.body || {});
+    sendSuccessResponse(res, rule, 'Commission rule created successfully', 201);
+  } catch (error) {
+    sendRuleErrorResponse(res, 'Failed to create commission rule', error);
+  }
+};
+
+/**
+ * Change a rule by adding a version
+ * Body: any pricing fields of createCommissionRule (role and parties cannot change)
+ */
+const updateCommissionRule = async (req, res) => {
+  try {
+    const rule = await updateRule(req.user.id, req.params.ruleKey, req.body || {});
+    sendSuccessResponse(res, rule, `Commission rule updated to version ${rule.version}`);
+  } catch (error) {
+    sendRuleErrorResponse(res, 'Failed to update commission rule', error);
+  }
+};
+
+/**
+ * Retire a rule
+ */
+const retireCommissionRule = async (req, res) => {
+  try {
+    const result = await retireRule(req.user.id, req.params.ruleKey);
+    sendSuccessResponse(res, result, 'Commission rule retired successfully');
+  } catch (error) {
+    sendRuleErrorResponse(res, 'Failed to retire commission rule', error);
+  }
+};
+
+module.exports = {
+  getCommissionRules,
+  getCommissionRuleVersions,
+  getCommissionRuleVersion,
+  createCommissionRule,
+  updateCommissionRule,
+  retireCommissionRule
+};
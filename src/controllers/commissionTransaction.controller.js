@@ -2,11 +2,16 @@
  * Commission Transaction Controller - Supabase Version
  * 
  * Handles commission transactions using Supabase
- * Implements AQC Company waterfall commission model:
- * 1. Client pays to AQC (with commission deduction)
- * 2. AQC pays to Vendor (net amount)
- * 3. Vendor pays back to AQC (full amount)
- * 4. AQC pays incentive to Vendor
+ * Implements the company waterfall commission model by default, through the
+ * user's configured company account (AQC by default):
+ * 1. Client pays to the company (with commission deduction)
+ * 2. Company pays to Vendor (net amount)
+ * 3. Vendor pays back to the company (full amount)
+ * 4. Company pays incentive to Vendor
+ * Other models (receipt, brokerage, split) are chosen with the request's
+ * model field; see services/commissionModels.
+ * Also serves the commission statement of vendors and agents and records
+ * commission payouts (services/commissionStatement).
  * 
  * @author Account Ledger Team
  * @version 2.1.0
@@ -15,6 +20,29 @@
 // Import required models
 const LedgerEntry = require('../models/supabase/LedgerEntry');
 const Party = require('../models/supabase/Party');
+const UserSettings = require('../models/supabase/UserSettings');
+const { ensurePostingAccounts } = require('../services/postingRules.service');
+const { postEntries, reverseVoucher, roundAmount } = require('../services/ledgerPosting.service');
+const { LedgerError } = require('../services/ledgerErrors');
+const { DEFAULT_MODEL, getCommissionModel, listCommissionModels } = require('../services/commissionModels');
+const {
+  validateTransactionInput,
+  priceTransaction,
+  buildTransactionLegs,
+  buildRecordColumns,
+  insertCommissionTransaction,
+  markCommissionTransactionCancelled,
+  listCommissionTransactions,
+  getCommissionTransactionDetail,
+  summarizeCommissionTransactions,
+  updateCommissionTransaction: updateTransactionRecord
+} = require('../services/commissionTransactions.service');
+const {
+  getCommissionStatement: buildCommissionStatement,
+  getCounterpartyStatement,
+  listCommissionPayouts,
+  payOutCommission
+} = require('../services/commissionStatement.service');
 
 /**
  * Generate unique transaction ID
@@ -26,293 +54,168 @@ const generateTransactionId = (prefix = 'CT') => {
 };
 
 /**
- * Create commission transaction - AQC Waterfall Model
+ * Send a ledger error with its own status, anything else as a 500
+ */
+const sendLedgerErrorResponse = (res, fallbackMessage, error) => {
+  if (error instanceof LedgerError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      details: error.details
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+/**
+ * List the commission models a transaction can use
+ */
+const getCommissionModels = async (req, res) => {
+  res.json({
+    success: true,
+    message: 'Commission models retrieved successfully',
+    data: listCommissionModels()
+  });
+};
+
+/**
+ * Create commission transaction - AQC waterfall unless another model is chosen
+ * Body: { model?, clientName, vendorName, originalAmount, clientCommissionRate?,
+ *   vendorCommissionRate?, remarks?, transactionDate?, ...model fields }
  */
 const createCommissionTransaction = async (req, res) => {
   try {
     const userId = req.user.id;
     const {
-      clientName,
-      vendorName,
+      model: modelKey = DEFAULT_MODEL,
       originalAmount,
-      clientCommissionRate = 3, // Default 3% from client
-      vendorCommissionRate = 1, // Default 1% to vendor
       remarks = '',
       transactionDate = new Date().toISOString().split('T')[0]
     } = req.body;
 
-    // Validate required fields
-    if (!clientName || !vendorName || !originalAmount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Client name, vendor name, and original amount are required'
-      });
-    }
-
-    // Validate amounts
-    if (originalAmount <= 0) {
+    // Validate the model, its required fields, amounts and rates
+    const invalid = validateTransactionInput({ ...req.body, model: modelKey });
+    if (invalid) {
       return res.status(400).json({
         success: false,
-        message: 'Original amount must be greater than 0'
+        message: invalid
       });
     }
-
-    // Calculate commission amounts according to AQC model
-    const clientCommissionAmount = Math.round((originalAmount * clientCommissionRate) / 100);
-    const vendorCommissionAmount = Math.round((originalAmount * vendorCommissionRate) / 100);
-    const netAmountToVendor = originalAmount - clientCommissionAmount;
-    const netProfit = clientCommissionAmount - vendorCommissionAmount;
+    const model = getCommissionModel(modelKey);
+
+    // Company legs post to the user's configured company account
+    const companyAccount = await UserSettings.getCompanyAccount(userId);
+    await ensurePostingAccounts(userId, [companyAccount]);
+
+    // Calculate commission amounts according to the model
+    const terms = await priceTransaction(userId, {
+      ...req.body,
+      model: model.key,
+      companyAccount,
+      remarks,
+      transactionDate
+    });
+    const {
+      clientName,
+      vendorName,
+      clientPricing,
+      vendorPricing,
+      clientCommissionAmount,
+      vendorCommissionAmount,
+      netAmountToVendor,
+      netProfit
+    } = terms;
 
     // Create transaction ID
     const transactionId = generateTransactionId();
+    const legs = buildTransactionLegs(userId, transactionId, terms);
+
+    // Post all legs as one voucher so they are created, edited and deleted together
+    const { voucherId, entries: createdEntries, limitWarnings } = await postEntries(userId, legs, {
+      enforceLimits: true,
+      // Structured record of the transaction, committed with its voucher
+      onPosted: (client, posted) => insertCommissionTransaction(client, userId, {
+        ...buildRecordColumns(transactionId, terms),
+        voucher_id: posted.voucherId,
+        entry_ids: posted.entries.map(entry => entry.id)
+      })
+    });
 
-    // Create ledger entries for AQC waterfall commission transaction
-    const entries = [];
-
-    // PHASE 1: Client → AQC Company (Forward Flow)
-    // Entry 1: Client pays to AQC Company (DR from client perspective)
-    const clientEntry = {
-      user_id: userId,
-      party_name: clientName,
-      date: transactionDate,
-      remarks: `Commission Transaction ${transactionId}: Payment to AQC for ${vendorName} - Amount: ₹${originalAmount}, Commission: ₹${clientCommissionAmount}`,
-      tns_type: 'DR',
-      debit: originalAmount,
-      credit: 0,
-      balance: 0,
-      chk: false,
-      ti: transactionId,
-      is_old_record: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // Entry 2: AQC Company receives from client (CR to AQC)
-    const aqcReceiveEntry = {
-      user_id: userId,
-      party_name: 'AQC Company',
-      date: transactionDate,
-      remarks: `Commission Transaction ${transactionId}: Received from ${clientName} for ${vendorName} - Gross: ₹${originalAmount}, Commission: ₹${clientCommissionAmount}`,
-      tns_type: 'CR',
-      debit: 0,
-      credit: originalAmount,
-      balance: 0,
-      chk: false,
-      ti: transactionId,
-      is_old_record: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // Entry 3: AQC Company pays to vendor (DR from AQC)
-    const vendorEntry = {
-      user_id: userId,
-      party_name: vendorName,
-      date: transactionDate,
-      remarks: `Commission Transaction ${transactionId}: Payment from AQC on behalf of ${clientName} - Net Amount: ₹${netAmountToVendor}`,
-      tns_type: 'CR',
-      debit: 0,
-      credit: netAmountToVendor,
-      balance: 0,
-      chk: false,
-      ti: transactionId,
-      is_old_record: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // Entry 4: Vendor receives from AQC Company (CR to vendor)
-    const vendorReceiveEntry = {
-      user_id: userId,
-      party_name: 'AQC Company',
-      date: transactionDate,
-      remarks: `Commission Transaction ${transactionId}: Paid to ${vendorName} on behalf of ${clientName} - Net: ₹${netAmountToVendor}`,
-      tns_type: 'DR',
-      debit: netAmountToVendor,
-      credit: 0,
-      balance: 0,
-      chk: false,
-      ti: transactionId,
-      is_old_record: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // PHASE 2: Vendor → AQC Company (Backward Flow)
-    // Entry 5: Vendor pays back to AQC Company (DR from vendor)
-    const vendorPaybackEntry = {
-      user_id: userId,
-      party_name: vendorName,
-      date: transactionDate,
-      remarks: `Commission Transaction ${transactionId}: Payment back to AQC - Full Amount: ₹${originalAmount}`,
-      tns_type: 'DR',
-      debit: originalAmount,
-      credit: 0,
-      balance: 0,
-      chk: false,
-      ti: transactionId,
-      is_old_record: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // Entry 6: AQC Company receives from vendor (CR to AQC)
-    const aqcReceiveVendorEntry = {
-      user_id: userId,
-      party_name: 'AQC Company',
-      date: transactionDate,
-      remarks: `Commission Transaction ${transactionId}: Received from ${vendorName} - Full Amount: ₹${originalAmount}`,
-      tns_type: 'CR',
-      debit: 0,
-      credit: originalAmount,
-      balance: 0,
-      chk: false,
-      ti: transactionId,
-      is_old_record: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // Entry 7: AQC Company pays incentive to vendor (DR from AQC)
-    const vendorIncentiveEntry = {
-      user_id: userId,
-      party_name: vendorName,
-      date: transactionDate,
-      remarks: `Commission Transaction ${transactionId}: Incentive payment to ${vendorName} - Commission: ₹${vendorCommissionAmount}`,
-      tns_type: 'CR',
-      debit: 0,
-      credit: vendorCommissionAmount,
-      balance: 0,
-      chk: false,
-      ti: transactionId,
-      is_old_record: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // Entry 8: Vendor receives incentive from AQC (CR to vendor)
-    const vendorIncentiveReceiveEntry = {
-      user_id: userId,
-      party_name: 'AQC Company',
-      date: transactionDate,
-      remarks: `Commission Transaction ${transactionId}: Paid incentive to ${vendorName} - Amount: ₹${vendorCommissionAmount}`,
-      tns_type: 'DR',
-      debit: vendorCommissionAmount,
-      credit: 0,
-      balance: 0,
-      chk: false,
-      ti: transactionId,
-      is_old_record: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // Create all entries in sequence
-    const createdEntries = [];
-    
-    // Phase 1: Forward Flow
-    createdEntries.push(await LedgerEntry.create(clientEntry));
-    createdEntries.push(await LedgerEntry.create(aqcReceiveEntry));
-    createdEntries.push(await LedgerEntry.create(vendorEntry));
-    createdEntries.push(await LedgerEntry.create(vendorReceiveEntry));
-    
-    // Phase 2: Backward Flow
-    createdEntries.push(await LedgerEntry.create(vendorPaybackEntry));
-    createdEntries.push(await LedgerEntry.create(aqcReceiveVendorEntry));
-    createdEntries.push(await LedgerEntry.create(vendorIncentiveEntry));
-    createdEntries.push(await LedgerEntry.create(vendorIncentiveReceiveEntry));
-
-    // Calculate final balances for AQC Company
-    const aqcNetBalance = originalAmount - netAmountToVendor + originalAmount - vendorCommissionAmount;
-    const aqcNetProfit = clientCommissionAmount - vendorCommissionAmount;
+    // What the transaction leaves on the company account
+    const aqcNetBalance = roundAmount(legs
+      .filter(leg => leg.party_name === companyAccount)
+      .reduce((sum, leg) => sum + leg.credit - leg.debit, 0));
 
     res.status(201).json({
       success: true,
-      message: 'AQC Commission Transaction created successfully',
+      message: `${model.name} commission transaction created successfully`,
       data: {
         transactionId,
+        voucherId,
+        model: model.key,
+        details: terms.details,
         clientName,
         vendorName,
+        companyAccount,
         originalAmount,
-        clientCommissionRate: `${clientCommissionRate}%`,
-        vendorCommissionRate: `${vendorCommissionRate}%`,
+        clientCommissionRate: `${clientPricing.effectiveRate}%`,
+        vendorCommissionRate: `${vendorPricing.effectiveRate}%`,
+        clientCommissionRule: clientPricing.ruleId
+          ? { ruleId: clientPricing.ruleId, ruleKey: clientPricing.ruleKey, version: clientPricing.ruleVersion }
+          : null,
+        vendorCommissionRule: vendorPricing.ruleId
+          ? { ruleId: vendorPricing.ruleId, ruleKey: vendorPricing.ruleKey, version: vendorPricing.ruleVersion }
+          : null,
         clientCommissionAmount,
         vendorCommissionAmount,
         netAmountToVendor,
-        netProfit: aqcNetProfit,
+        netProfit,
         aqcNetBalance,
         transactionDate,
         remarks,
         entries: createdEntries,
+        limitWarning: limitWarnings.length > 0,
+        limitWarnings,
         summary: {
-          phase1: 'Client → AQC → Vendor (Forward Flow)',
-          phase2: 'Vendor → AQC (Backward Flow)',
+          ...model.flow,
           totalEntries: createdEntries.length,
-          aqcProfit: aqcNetProfit
+          aqcProfit: netProfit
         }
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create commission transaction',
-      error: error.message
-    });
+    sendLedgerErrorResponse(res, 'Failed to create commission transaction', error);
   }
 };
 
 /**
  * Get all commission transactions
+ * Query: page, limit, status ('active' | 'cancelled')
  */
 const getAllCommissionTransactions = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 10 } = req.query;
-
-    // Get all ledger entries for user
-    const entries = await LedgerEntry.findByUserId(userId);
-    
-    // Filter commission transactions
-    const commissionEntries = entries.filter(entry => 
-      entry.remarks && entry.remarks.includes('Commission Transaction')
-    );
-
-    // Group by transaction ID
-    const transactions = {};
-    commissionEntries.forEach(entry => {
-      const match = entry.remarks.match(/Commission Transaction (CT\d+)/);
-      if (match) {
-        const transactionId = match[1];
-        if (!transactions[transactionId]) {
-          transactions[transactionId] = {
-            id: transactionId,
-            entries: [],
-            totalAmount: 0,
-            createdAt: entry.created_at
-          };
-        }
-        transactions[transactionId].entries.push(entry);
-        transactions[transactionId].totalAmount += entry.credit || entry.debit || 0;
-      }
-    });
+    const { page = 1, limit = 10, status } = req.query;
 
-    // Convert to array and paginate
-    const transactionArray = Object.values(transactions);
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedTransactions = transactionArray.slice(startIndex, endIndex);
+    const result = await listCommissionTransactions(userId, { page, limit, status });
+    const totalPages = Math.ceil(result.total / result.limit);
 
     res.json({
       success: true,
       message: 'Commission transactions retrieved successfully',
       data: {
-        transactions: paginatedTransactions,
+        transactions: result.transactions,
         pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(transactionArray.length / limit),
-          totalTransactions: transactionArray.length,
-          hasNext: endIndex < transactionArray.length,
-          hasPrev: page > 1
+          currentPage: result.page,
+          totalPages,
+          totalTransactions: result.total,
+          hasNext: result.page < totalPages,
+          hasPrev: result.page > 1
         }
       }
     });
@@ -332,49 +235,21 @@ const getCommissionTransaction = async (req, res) => {
     const userId = req.user.id;
     const { transactionId } = req.params;
 
-    // Get all ledger entries for user
-    const entries = await LedgerEntry.findByUserId(userId);
-    
-    // Filter by transaction ID
-    const transactionEntries = entries.filter(entry => 
-      entry.remarks && entry.remarks.includes(`Commission Transaction ${transactionId}`)
-    );
+    const transaction = await getCommissionTransactionDetail(userId, transactionId);
 
-    if (transactionEntries.length === 0) {
+    if (!transaction) {
       return res.status(404).json({
         success: false,
         message: 'Commission transaction not found'
       });
     }
 
-    // Calculate transaction summary
-    let totalAmount = 0;
-    let clientName = '';
-    let vendorName = '';
-
-    transactionEntries.forEach(entry => {
-      totalAmount += entry.credit || entry.debit || 0;
-      
-      // Extract client and vendor names
-      if (entry.remarks.includes('Received from')) {
-        const match = entry.remarks.match(/Received from (.+)/);
-        if (match) clientName = match[1];
-      }
-      if (entry.remarks.includes('Paid to')) {
-        const match = entry.remarks.match(/Paid to (.+)/);
-        if (match) vendorName = match[1];
-      }
-    });
-
     res.json({
       success: true,
       message: 'Commission transaction retrieved successfully',
       data: {
-        transactionId,
-        clientName,
-        vendorName,
-        totalAmount,
-        entries: transactionEntries
+        ...transaction,
+        totalAmount: transaction.originalAmount
       }
     });
   } catch (error) {
@@ -386,175 +261,56 @@ const getCommissionTransaction = async (req, res) => {
 };
 
 /**
- * Get commission transaction summary with AQC balance
+ * Get commission transaction summary with AQC balance and per-model figures
+ * Query: startDate, endDate (YYYY-MM-DD, either may be omitted)
  */
 const getCommissionTransactionSummary = async (req, res) => {
   try {
     const userId = req.user.id;
     const { startDate, endDate } = req.query;
 
-    // Get all ledger entries for user
-    let entries = await LedgerEntry.findByUserId(userId);
-    
-    // Filter by date range if provided
-    if (startDate && endDate) {
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      entries = entries.filter(entry => {
-        const entryDate = new Date(entry.date);
-        return entryDate >= start && entryDate <= end;
-      });
-    }
-
-    // Filter commission transactions
-    const commissionEntries = entries.filter(entry => 
-      entry.remarks && entry.remarks.includes('Commission Transaction')
-    );
-
-    // Calculate AQC balance from commission transactions
-    let aqcCompanyBalance = 0;
-    let totalCommissionCollected = 0;
-    let totalCommissionPaid = 0;
-    let totalBusinessVolume = 0;
-    let commissionTransactionCount = 0;
-
-    // Group entries by transaction ID
-    const transactionGroups = {};
-    commissionEntries.forEach(entry => {
-      const match = entry.remarks.match(/Commission Transaction (CT\d+)/);
-      if (match) {
-        const transactionId = match[1];
-        if (!transactionGroups[transactionId]) {
-          transactionGroups[transactionId] = [];
-        }
-        transactionGroups[transactionId].push(entry);
-      }
-    });
-
-    // Calculate balance for each transaction
-    Object.values(transactionGroups).forEach(transactionEntries => {
-      let transactionBalance = 0;
-      let transactionVolume = 0;
-      let clientCommission = 0;
-      let vendorCommission = 0;
-
-      transactionEntries.forEach(entry => {
-        if (entry.party_name === 'AQC Company') {
-          if (entry.tns_type === 'CR') {
-            transactionBalance += entry.credit;
-          } else if (entry.tns_type === 'DR') {
-            transactionBalance -= entry.debit;
-          }
-        }
-
-        // Extract commission amounts from remarks
-        if (entry.remarks.includes('Commission:')) {
-          const commissionMatch = entry.remarks.match(/Commission: ₹(\d+)/);
-          if (commissionMatch) {
-            const amount = parseInt(commissionMatch[1]);
-            if (entry.remarks.includes('Received from') && entry.party_name === 'AQC Company') {
-              clientCommission = amount;
-            } else if (entry.remarks.includes('Incentive payment to') && entry.party_name === 'AQC Company') {
-              vendorCommission = amount;
-            }
-          }
-        }
-
-        // Extract original amount
-        if (entry.remarks.includes('Amount: ₹')) {
-          const amountMatch = entry.remarks.match(/Amount: ₹(\d+)/);
-          if (amountMatch && !transactionVolume) {
-            transactionVolume = parseInt(amountMatch[1]);
-          }
-        }
-      });
-
-      aqcCompanyBalance += transactionBalance;
-      totalBusinessVolume += transactionVolume;
-      totalCommissionCollected += clientCommission;
-      totalCommissionPaid += vendorCommission;
-      commissionTransactionCount++;
-    });
-
-    // Calculate net profit
-    const netCommissionProfit = totalCommissionCollected - totalCommissionPaid;
-
-    // Group by month for trends
-    const monthlyStats = {};
-    commissionEntries.forEach(entry => {
-      const date = new Date(entry.date);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      
-      if (!monthlyStats[monthKey]) {
-        monthlyStats[monthKey] = {
-          month: monthKey,
-          transactions: 0,
-          volume: 0,
-          commissionCollected: 0,
-          commissionPaid: 0,
-          netProfit: 0
-        };
-      }
-      
-      // Extract amounts from remarks
-      if (entry.remarks.includes('Amount: ₹')) {
-        const amountMatch = entry.remarks.match(/Amount: ₹(\d+)/);
-        if (amountMatch) {
-          monthlyStats[monthKey].volume += parseInt(amountMatch[1]);
-        }
-      }
-      
-      if (entry.remarks.includes('Commission: ₹')) {
-        const commissionMatch = entry.remarks.match(/Commission: ₹(\d+)/);
-        if (commissionMatch) {
-          const amount = parseInt(commissionMatch[1]);
-          if (entry.remarks.includes('Received from') && entry.party_name === 'AQC Company') {
-            monthlyStats[monthKey].commissionCollected += amount;
-          } else if (entry.remarks.includes('Incentive payment to') && entry.party_name === 'AQC Company') {
-            monthlyStats[monthKey].commissionPaid += amount;
-          }
-        }
-      }
-    });
-
-    // Calculate monthly net profit
-    Object.values(monthlyStats).forEach(month => {
-      month.netProfit = month.commissionCollected - month.commissionPaid;
-    });
-
-    // Count transactions per month
-    Object.values(transactionGroups).forEach(transactionEntries => {
-      if (transactionEntries.length > 0) {
-        const date = new Date(transactionEntries[0].date);
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        if (monthlyStats[monthKey]) {
-          monthlyStats[monthKey].transactions++;
-        }
-      }
-    });
+    const companyAccount = await UserSettings.getCompanyAccount(userId);
+    const { totals, monthly, byModel } = await summarizeCommissionTransactions(userId, { startDate, endDate, companyAccount });
 
     res.json({
       success: true,
       message: 'Commission transaction summary retrieved successfully',
       data: {
         summary: {
-          totalTransactions: commissionTransactionCount,
-          totalBusinessVolume,
-          totalCommissionCollected,
-          totalCommissionPaid,
-          netCommissionProfit,
-          aqcCompanyBalance,
-          dateRange: startDate && endDate ? { startDate, endDate } : 'All dates'
+          totalTransactions: totals.transactions,
+          totalBusinessVolume: totals.volume,
+          totalCommissionCollected: totals.commissionCollected,
+          totalCommissionPaid: totals.commissionPaid,
+          netCommissionProfit: totals.netProfit,
+          aqcCompanyBalance: totals.companyBalance,
+          dateRange: startDate || endDate ? { startDate: startDate || null, endDate: endDate || null } : 'All dates'
         },
-        monthlyStats: Object.values(monthlyStats),
+        monthlyStats: monthly.map(month => ({
+          month: month.month,
+          transactions: month.transactions,
+          volume: month.volume,
+          commissionCollected: month.commissionCollected,
+          commissionPaid: month.commissionPaid,
+          netProfit: month.netProfit
+        })),
+        modelStats: byModel.map(row => ({
+          model: row.model,
+          name: getCommissionModel(row.model)?.name || row.model,
+          transactions: row.transactions,
+          volume: row.volume,
+          commissionCollected: row.commissionCollected,
+          commissionPaid: row.commissionPaid,
+          netProfit: row.netProfit,
+          companyBalance: row.companyBalance
+        })),
         aqcCompanyBalance: {
-          netBalance: aqcCompanyBalance,
-          commissionCollected: totalCommissionCollected,
-          commissionPaid: totalCommissionPaid,
-          netCommissionProfit,
-          businessActivity: totalBusinessVolume,
-          commissionTransactionCount
+          companyAccount,
+          netBalance: totals.companyBalance,
+          commissionCollected: totals.commissionCollected,
+          commissionPaid: totals.commissionPaid,
+          netCommissionProfit: totals.netProfit,
+          businessActivity: totals.volume,
+          commissionTransactionCount: totals.transactions
         }
       }
     });
@@ -567,6 +323,35 @@ const getCommissionTransactionSummary = async (req, res) => {
   }
 };
 
+/**
+ * Edit commission transaction - re-prices it and regenerates all legs
+ * Body: any of { clientName, vendorName, originalAmount, clientCommissionRate,
+ *   vendorCommissionRate, transactionDate, remarks } and the model's own fields
+ */
+const updateCommissionTransaction = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { transactionId } = req.params;
+
+    const result = await updateTransactionRecord(userId, transactionId, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Commission transaction updated successfully',
+      data: {
+        ...result.transaction,
+        previous: result.previous,
+        entries: result.entries,
+        deletedEntryIds: result.deletedEntryIds,
+        limitWarning: result.limitWarnings.length > 0,
+        limitWarnings: result.limitWarnings
+      }
+    });
+  } catch (error) {
+    sendLedgerErrorResponse(res, 'Failed to update commission transaction', error);
+  }
+};
+
 /**
  * Cancel commission transaction
  */
@@ -578,39 +363,41 @@ const cancelCommissionTransaction = async (req, res) => {
     // Get all ledger entries for user
     const entries = await LedgerEntry.findByUserId(userId);
     
-    // Find entries for this transaction
-    const transactionEntries = entries.filter(entry => 
-      entry.remarks && entry.remarks.includes(`Commission Transaction ${transactionId}`)
+    // Find entries for this transaction (earlier cancellation rows quote the same remarks)
+    const matchedEntries = entries.filter(entry =>
+      !entry.reversal_of &&
+      !(entry.remarks && entry.remarks.startsWith('CANCELLED:')) &&
+      (entry.ti === transactionId ||
+        (entry.remarks && entry.remarks.includes(`Commission Transaction ${transactionId}`)))
     );
 
-    if (transactionEntries.length === 0) {
+    if (matchedEntries.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'Commission transaction not found'
       });
     }
 
-    // Create reversal entries
+    // Reverse each voucher once; reverseVoucher picks up all of its legs.
+    // Legacy rows without a voucher are reversed one by one.
+    const voucherEntries = new Map();
+    for (const entry of matchedEntries) {
+      const key = entry.voucher_id || entry.id;
+      if (!voucherEntries.has(key)) {
+        voucherEntries.set(key, entry);
+      }
+    }
+
+    const voucherIds = [];
     const reversalEntries = [];
-    
-    for (const entry of transactionEntries) {
-      const reversalEntry = {
-        user_id: userId,
-        party_name: entry.party_name,
-        date: new Date().toISOString().split('T')[0],
-        remarks: `CANCELLED: ${entry.remarks}`,
-        tns_type: entry.tns_type === 'CR' ? 'DR' : 'CR',
-        debit: entry.tns_type === 'CR' ? entry.credit : 0,
-        credit: entry.tns_type === 'DR' ? entry.debit : 0,
-        balance: 0,
-        chk: false,
-        ti: '',
-        is_old_record: false,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-      
-      reversalEntries.push(await LedgerEntry.create(reversalEntry));
+    for (const entry of voucherEntries.values()) {
+      const reversal = await reverseVoucher(userId, entry, {
+        remarksPrefix: 'CANCELLED:',
+        allowCommissionLegs: true,
+        onPosted: (client, reversed) => markCommissionTransactionCancelled(client, userId, transactionId, reversed.voucherId)
+      });
+      voucherIds.push(reversal.voucherId);
+      reversalEntries.push(...reversal.reversalEntries);
     }
 
     res.json({
@@ -618,21 +405,132 @@ const cancelCommissionTransaction = async (req, res) => {
       message: 'Commission transaction cancelled successfully',
       data: {
         transactionId,
+        voucherIds,
         cancelledEntries: reversalEntries
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to cancel commission transaction'
+    sendLedgerErrorResponse(res, 'Failed to cancel commission transaction', error);
+  }
+};
+
+/**
+ * Commission statement of every vendor and agent: earned, paid, outstanding and ageing
+ * Query: startDate, endDate (YYYY-MM-DD; endDate defaults to today)
+ */
+const getCommissionStatement = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const statement = await buildCommissionStatement(req.user.id, { startDate, endDate });
+
+    res.json({
+      success: true,
+      message: 'Commission statement retrieved successfully',
+      data: statement
     });
+  } catch (error) {
+    sendLedgerErrorResponse(res, 'Failed to get commission statement', error);
+  }
+};
+
+/**
+ * Commission statement of one vendor or agent with its lines and payouts
+ * Query: startDate, endDate (YYYY-MM-DD; endDate defaults to today)
+ */
+const getCounterpartyCommissionStatement = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const statement = await getCounterpartyStatement(req.user.id, req.params.counterpartyName, { startDate, endDate });
+
+    res.json({
+      success: true,
+      message: 'Commission statement retrieved successfully',
+      data: statement
+    });
+  } catch (error) {
+    sendLedgerErrorResponse(res, 'Failed to get commission statement', error);
+  }
+};
+
+/**
+ * List commission payouts
+ * Query: counterpartyName
+ */
+const getCommissionPayouts = async (req, res) => {
+  try {
+    const payouts = await listCommissionPayouts(req.user.id, { counterpartyName: req.query.counterpartyName });
+
+    res.json({
+      success: true,
+      message: 'Commission payouts retrieved successfully',
+      data: payouts
+    });
+  } catch (error) {
+    sendLedgerErrorResponse(res, 'Failed to get commission payouts', error);
+  }
+};
+
+/**
+ * Pay out commission owed to a vendor or agent and settle the lines paid
+ * Body: { counterpartyName, transactionIds? (default: all outstanding), payoutDate?,
+ *   paymentAccount? (default: the company account), amount?, remarks? }
+ */
+const createCommissionPayout = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { counterpartyName, transactionIds, payoutDate, amount, remarks = '' } = req.body || {};
+
+    // Paid from the given account, else from the user's company account
+    let { paymentAccount } = req.body || {};
+    if (paymentAccount) {
+      if (!(await Party.findByPartyName(userId, paymentAccount))) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment account "${paymentAccount}" must be an existing party`,
+          code: 'INVALID_PAYMENT_ACCOUNT'
+        });
+      }
+    } else {
+      paymentAccount = await UserSettings.getCompanyAccount(userId);
+      await ensurePostingAccounts(userId, [paymentAccount]);
+    }
+
+    const result = await payOutCommission(userId, {
+      counterpartyName,
+      paymentAccount,
+      payoutId: generateTransactionId('CP'),
+      payoutDate,
+      transactionIds,
+      amount,
+      remarks
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Commission of ₹${result.payout.amount} paid out to ${result.payout.counterpartyName}`,
+      data: {
+        ...result.payout,
+        transactions: result.transactions,
+        entries: result.entries,
+        limitWarning: result.limitWarnings.length > 0,
+        limitWarnings: result.limitWarnings
+      }
+    });
+  } catch (error) {
+    sendLedgerErrorResponse(res, 'Failed to pay out commission', error);
   }
 };
 
 module.exports = {
+  getCommissionModels,
   createCommissionTransaction,
   getAllCommissionTransactions,
   getCommissionTransaction,
   getCommissionTransactionSummary,
-  cancelCommissionTransaction
+  updateCommissionTransaction,
+  cancelCommissionTransaction,
+  getCommissionStatement,
+  getCounterpartyCommissionStatement,
+  getCommissionPayouts,
+  createCommissionPayout
 }; 
\ No newline at end of file
@@ -10,6 +10,10 @@
 // Import required models
 const Party = require('../models/supabase/Party');
 const LedgerEntry = require('../models/supabase/LedgerEntry');
+const UserSettings = require('../models/supabase/UserSettings');
+const { pool } = require('../config/postgres');
+const { getClosingBalances } = require('../services/ledgerLimits');
+const { summarizeCommissionTransactions } = require('../services/commissionTransactions.service');
 
 /**
  * Get dashboard statistics with AQC balance - OPTIMIZED VERSION
@@ -32,7 +36,8 @@ const getDashboardStats = async (req, res) => {
       supabase
         .from('parties')
         .select('id, party_name, sr_no, address, phone, email')
-        .eq('user_id', userId),
+        .eq('user_id', userId)
+        .is('deleted_at', null),
       
       // Get all ledger data in one optimized query with database aggregation
       supabase
@@ -48,6 +53,7 @@ const getDashboardStats = async (req, res) => {
           created_at
         `)
         .eq('user_id', userId)
+        .is('deleted_at', null)
         .order('created_at', { ascending: false })
         .limit(1000) // Limit to prevent huge data transfer
     ]);
@@ -60,7 +66,6 @@ const getDashboardStats = async (req, res) => {
     const recentEntries = allEntries.slice(0, 10); // Get recent 10 entries
     const creditData = allEntries.filter(entry => entry.tns_type === 'CR' && entry.credit);
     const debitData = allEntries.filter(entry => entry.tns_type === 'DR' && entry.debit);
-    const commissionData = allEntries.filter(entry => entry.remarks && entry.remarks.includes('Commission'));
 
     // Calculate basic statistics - OPTIMIZED
     const totalParties = parties.length;
@@ -71,32 +76,13 @@ const getDashboardStats = async (req, res) => {
     const totalDebit = debitData.reduce((sum, entry) => sum + (entry.debit || 0), 0);
     const totalBalance = totalCredit - totalDebit;
 
-    // Calculate AQC balance from commission transactions - OPTIMIZED
-    let aqcCompanyBalance = 0;
-    let totalCommissionCollected = 0;
-    let totalCommissionPaid = 0;
-    let totalBusinessVolume = 0;
-    let commissionTransactionCount = 0;
-
-    // Process commission data efficiently
-    commissionData.forEach(entry => {
-      const amount = entry.tns_type === 'CR' ? (entry.credit || 0) : (entry.debit || 0);
-      
-      if (entry.remarks && entry.remarks.includes('Auto-calculated')) {
-        if (entry.tns_type === 'CR') {
-          totalCommissionPaid += amount;
-          aqcCompanyBalance -= amount;
-        } else if (entry.tns_type === 'DR') {
-          totalCommissionCollected += amount;
-          aqcCompanyBalance += amount;
-        }
-      }
-      
-      commissionTransactionCount++;
-    });
-
-    // Calculate net profit
-    const netCommissionProfit = totalCommissionCollected - totalCommissionPaid;
+    // Company balance: the closing balance of the user's configured company
+    // account, with the commission figures of the transactions run through it
+    const companyAccount = await UserSettings.getCompanyAccount(userId);
+    const [companyBalances, { totals: commissionTotals }] = await Promise.all([
+      getClosingBalances(pool, userId, [companyAccount]),
+      summarizeCommissionTransactions(userId, { companyAccount })
+    ]);
 
     // Get recent activity - OPTIMIZED (already limited to 10)
     const recentActivity = recentEntries.map(entry => ({
@@ -133,12 +119,13 @@ const getDashboardStats = async (req, res) => {
           totalBalance
         },
         companyBalance: {
-          netBalance: aqcCompanyBalance,
-          commissionCollected: totalCommissionCollected,
-          commissionPaid: totalCommissionPaid,
-          netCommissionProfit,
-          businessActivity: totalBusinessVolume,
-          commissionTransactionCount,
+          companyAccount,
+          netBalance: companyBalances.get(companyAccount) || 0,
+          commissionCollected: commissionTotals.commissionCollected,
+          commissionPaid: commissionTotals.commissionPaid,
+          netCommissionProfit: commissionTotals.netProfit,
+          businessActivity: commissionTotals.volume,
+          commissionTransactionCount: commissionTotals.transactions,
           autoCalculated: true
         },
         recentActivity: recentActivity,
@@ -172,7 +159,8 @@ const getSummaryStats = async (req, res) => {
     let query = supabase
       .from('ledger_entries')
       .select('tns_type, credit, debit, party_name, date')
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
     
     // Apply date range filter if provided
     if (startDate && endDate) {
@@ -10,6 +10,21 @@
  */
 
 const Party = require('../models/supabase/Party');
+const { softDeleteParties } = require('../services/recycleBin.service');
+const { LedgerError } = require('../services/ledgerErrors');
+const {
+  validateOpeningBalance,
+  getPartyOpeningBalance,
+  setOpeningBalance,
+  createPartyWithOpeningBalance
+} = require('../services/openingBalance.service');
+const {
+  DEFAULT_LIMIT_MODE,
+  LIMIT_MODES,
+  isValidLimitMode,
+  listOverLimitParties
+} = require('../services/ledgerLimits');
+const { invalidateCache } = require('./FinalTrialBalance.controller');
 
 // Business constants
 const BUSINESS_CONSTANTS = {
@@ -173,6 +188,18 @@ const validatePagination = (page, limit) => {
   return { page: pageNum, limit: limitNum };
 };
 
+// Balance limit and what a posting past it does
+const validateBalanceLimitSettings = ({ balanceLimit, limitMode }) => {
+  if (balanceLimit !== undefined && balanceLimit !== null && balanceLimit !== '' &&
+      !(Number.isFinite(Number(balanceLimit)) && Number(balanceLimit) >= 0)) {
+    return 'Balance limit must be a number of 0 or more (0 means no limit)';
+  }
+  if (limitMode !== undefined && !isValidLimitMode(limitMode)) {
+    return `Limit mode must be one of: ${Object.values(LIMIT_MODES).join(', ')}`;
+  }
+  return null;
+};
+
 // Input sanitization function with enhanced security
 const sanitizeInput = (input, maxLength = 1000) => {
   if (typeof input !== 'string') return input;
@@ -204,6 +231,11 @@ const sendErrorResponse = (res, statusCode, message, error = null) => {
     timestamp: new Date().toISOString(),
     path: res.req?.originalUrl || 'unknown'
   };
+
+  if (error instanceof LedgerError) {
+    response.code = error.code;
+    response.details = error.details;
+  }
   
   if (process.env.NODE_ENV === 'development' && error) {
     response.error = error.message;
@@ -323,6 +355,7 @@ const getAllParties = async (req, res) => {
       mondayFinal: party.monday_final || BUSINESS_CONSTANTS.DEFAULT_MONDAY_FINAL,
       commiSystem: party.commi_system || BUSINESS_CONSTANTS.DEFAULT_COMMI_SYSTEM,
       balanceLimit: party.balance_limit || BUSINESS_CONSTANTS.DEFAULT_BALANCE_LIMIT,
+      limitMode: party.limit_mode || DEFAULT_LIMIT_MODE,
       mCommission: party.m_commission || BUSINESS_CONSTANTS.DEFAULT_COMMISSION,
       rate: party.rate || BUSINESS_CONSTANTS.DEFAULT_RATE,
       created_at: party.created_at,
@@ -365,6 +398,7 @@ const getPartyById = async (req, res) => {
       status: party.status || 'R',
       commiSystem: party.commi_system || 'Take',
       balanceLimit: party.balance_limit || '0',
+      limitMode: party.limit_mode || DEFAULT_LIMIT_MODE,
       mCommission: party.m_commission || 'No Commission',
       rate: party.rate || '0',
       mondayFinal: party.monday_final || 'No',
@@ -419,6 +453,14 @@ const createParty = async (req, res) => {
       });
     }
 
+    const limitError = validateBalanceLimitSettings(partyData);
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
     // Check if party name already exists for THIS USER ONLY
     const existingParties = await Party.findByUserId(userId);
     const existingParty = existingParties.find(p => 
@@ -444,6 +486,20 @@ const createParty = async (req, res) => {
       });
     }
 
+    // Optional opening balance for a party migrated onto the system
+    const opening = partyData.openingBalance !== undefined && partyData.openingBalance !== null && partyData.openingBalance !== ''
+      ? { amount: partyData.openingBalance, date: partyData.openingBalanceDate }
+      : null;
+    if (opening) {
+      const openingError = validateOpeningBalance(opening);
+      if (openingError) {
+        return res.status(400).json({
+          success: false,
+          message: openingError
+        });
+      }
+    }
+
     // Transform data for Supabase with only the fields sent by frontend
     const supabaseData = {
       user_id: userId,
@@ -452,6 +508,7 @@ const createParty = async (req, res) => {
       status: partyData.status || 'R',
       commi_system: partyData.commiSystem || 'Take',
       balance_limit: partyData.balanceLimit || '0',
+      limit_mode: partyData.limitMode || DEFAULT_LIMIT_MODE,
       m_commission: partyData.mCommission || 'No Commission',
       rate: partyData.rate || '0',
       monday_final: partyData.mondayFinal || 'No',
@@ -459,7 +516,15 @@ const createParty = async (req, res) => {
       updated_at: new Date().toISOString()
     };
 
-    const party = await Party.create(supabaseData);
+    // With an opening balance the party and its opening row are created in one transaction
+    let party;
+    let openingBalance = null;
+    if (opening && Number(opening.amount) !== 0) {
+      ({ party, openingBalance } = await createPartyWithOpeningBalance(userId, supabaseData, opening));
+      await invalidateCache(userId, null, party.party_name);
+    } else {
+      party = await Party.create(supabaseData);
+    }
 
     // Transform created party for frontend compatibility
     const transformedParty = {
@@ -469,9 +534,12 @@ const createParty = async (req, res) => {
       status: party.status || 'R',
       commiSystem: party.commi_system || 'Take',
       balanceLimit: party.balance_limit || '0',
+      limitMode: party.limit_mode || DEFAULT_LIMIT_MODE,
       mCommission: party.m_commission || 'No Commission',
       rate: party.rate || '0',
       mondayFinal: party.monday_final || 'No',
+      openingBalance: openingBalance ? openingBalance.amount : 0,
+      openingBalanceDate: openingBalance ? openingBalance.date : null,
       createdAt: party.created_at,
       updatedAt: party.updated_at
     };
@@ -482,6 +550,10 @@ const createParty = async (req, res) => {
       data: transformedParty
     });
   } catch (error) {
+    if (error instanceof LedgerError) {
+      return sendErrorResponse(res, error.statusCode, error.message, error);
+    }
+
     // Handle validation errors
     if (error.name === 'ValidationError') {
       const validationErrors = Object.values(error.errors).map(err => err.message);
@@ -524,6 +596,14 @@ const updateParty = async (req, res) => {
       });
     }
 
+    const limitError = validateBalanceLimitSettings(updateData);
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
     // Check if party name is being changed and if it conflicts for THIS USER ONLY
     if (updateData.partyName && updateData.partyName !== existingParty.party_name) {
       const allParties = await Party.findByUserId(userId);
@@ -565,6 +645,7 @@ const updateParty = async (req, res) => {
       status: updateData.status,
       commi_system: updateData.commiSystem,
       balance_limit: updateData.balanceLimit,
+      limit_mode: updateData.limitMode,
       m_commission: updateData.mCommission,
       rate: updateData.rate,
       monday_final: updateData.mondayFinal,
@@ -581,6 +662,7 @@ const updateParty = async (req, res) => {
       status: updatedParty.status || 'R',
       commiSystem: updatedParty.commi_system || 'Take',
       balanceLimit: updatedParty.balance_limit || '0',
+      limitMode: updatedParty.limit_mode || DEFAULT_LIMIT_MODE,
       mCommission: updatedParty.m_commission || 'No Commission',
       rate: updatedParty.rate || '0',
       mondayFinal: updatedParty.monday_final || 'No',
@@ -601,7 +683,67 @@ const updateParty = async (req, res) => {
   }
 };
 
-// Delete party
+// Parties whose current balance is beyond their balance limit
+const getOverLimitParties = async (req, res) => {
+  try {
+    const parties = await listOverLimitParties(req.user.id);
+    sendSuccessResponse(res, { parties, count: parties.length }, `${parties.length} parties over their balance limit`);
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to get parties over their balance limit', error);
+  }
+};
+
+// Get the opening balance of a party
+const getOpeningBalance = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const party = await Party.findById(id);
+    if (!party || party.user_id !== userId) {
+      return sendErrorResponse(res, 404, 'Party not found');
+    }
+
+    const openingBalance = await getPartyOpeningBalance(userId, party.party_name);
+    sendSuccessResponse(res, openingBalance, 'Opening balance retrieved successfully');
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to get opening balance', error);
+  }
+};
+
+// Set, change or (amount 0) remove the opening balance of a party
+const updateOpeningBalance = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { amount, date } = req.body || {};
+
+    const openingError = validateOpeningBalance({ amount, date });
+    if (openingError) {
+      return sendErrorResponse(res, 400, openingError);
+    }
+
+    const party = await Party.findById(id);
+    if (!party || party.user_id !== userId) {
+      return sendErrorResponse(res, 404, 'Party not found');
+    }
+
+    const openingBalance = await setOpeningBalance(userId, party.party_name, { amount, date });
+    await invalidateCache(userId, null, party.party_name);
+
+    const message = openingBalance.entry
+      ? `Opening balance of ${party.party_name} set to ${openingBalance.amount} on ${openingBalance.date}`
+      : `Opening balance of ${party.party_name} removed`;
+    sendSuccessResponse(res, openingBalance, message);
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return sendErrorResponse(res, error.statusCode, error.message, error);
+    }
+    sendErrorResponse(res, 500, 'Failed to update opening balance', error);
+  }
+};
+
+// Move party to the recycle bin
 const deleteParty = async (req, res) => {
   try {
     const { id } = req.params;
@@ -630,24 +772,23 @@ const deleteParty = async (req, res) => {
       });
     }
 
-    // Delete all ledger entries for this party first
-    for (const entry of entries) {
-      await LedgerEntry.delete(entry.id);
-    }
-
-    // Then delete the party
-    await Party.delete(id);
+    // Move the party and all its ledger entries to the recycle bin
+    const { deletedEntries } = await softDeleteParties(userId, [id]);
 
     res.json({
       success: true,
-      message: `Party "${partyName}" and all its transactions deleted successfully`,
+      message: `Party "${partyName}" and all its transactions moved to the recycle bin`,
       data: {
         id: party.id,
         partyName: party.party_name,
-        deletedTransactions: entries.length
+        deletedTransactions: deletedEntries,
+        recycleBin: true
       }
     });
   } catch (error) {
+    if (error instanceof LedgerError) {
+      return sendErrorResponse(res, error.statusCode, error.message, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to delete party'
@@ -655,7 +796,7 @@ const deleteParty = async (req, res) => {
   }
 };
 
-// Bulk delete parties
+// Bulk move parties to the recycle bin
 const bulkDeleteParties = async (req, res) => {
   try {
     const { partyIds } = req.body;
@@ -680,14 +821,17 @@ const bulkDeleteParties = async (req, res) => {
       });
     }
 
-    await Party.deleteMultiple(validPartyIds);
+    const { parties: deletedParties, deletedEntries } = await softDeleteParties(userId, validPartyIds);
 
     res.json({
       success: true,
-      message: `${validPartyIds.length} parties deleted successfully`,
-      data: { deletedCount: validPartyIds.length }
+      message: `${deletedParties.length} parties moved to the recycle bin`,
+      data: { deletedCount: deletedParties.length, deletedEntries, recycleBin: true }
     });
   } catch (error) {
+    if (error instanceof LedgerError) {
+      return sendErrorResponse(res, error.statusCode, error.message, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to delete parties'
@@ -699,8 +843,11 @@ module.exports = {
   getNextSrNo,
   getAllParties,
   getPartyById,
+  getOverLimitParties,
   createParty,
   updateParty,
+  getOpeningBalance,
+  updateOpeningBalance,
   deleteParty,
   bulkDeleteParties
 }; 
\ No newline at end of file
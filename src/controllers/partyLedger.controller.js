@@ -12,6 +12,48 @@
 // Import required models and utilities
 const LedgerEntry = require('../models/supabase/LedgerEntry');
 const Party = require('../models/supabase/Party');
+const UserSettings = require('../models/supabase/UserSettings');
+const {
+  postEntries,
+  updatePostedEntry,
+  deletePostedEntry,
+  recalculateBalances,
+  recalculateAllBalances: recalculateAllPartyBalances,
+  reverseVoucher
+} = require('../services/ledgerPosting.service');
+const { softDeleteParties } = require('../services/recycleBin.service');
+const { getIntegrityReport } = require('../services/ledgerIntegrity.service');
+const {
+  priceEntryCommission,
+  buildPostingLegs,
+  ensurePostingAccounts,
+  COMMISSION_ACCOUNT
+} = require('../services/postingRules.service');
+const { LedgerError } = require('../services/ledgerErrors');
+const { sortLedgerEntries } = require('../services/ledgerOrdering');
+const {
+  LEDGER_ENTRY_TYPES,
+  DATE_ONLY_PATTERN,
+  isValidDateOnly,
+  isOpeningBalanceEntry
+} = require('../services/ledgerValidation');
+const { getEntryHistories } = require('../services/audit.service');
+const { getPartyEntriesAsOf } = require('../services/ledgerHistory.service');
+const {
+  getPartyLedgerPage,
+  pageEntries,
+  getOpeningBalance,
+  streamPartyLedger
+} = require('../services/ledgerPaging.service');
+const {
+  runMondayFinal,
+  previewMondayFinal,
+  listPartySettlements,
+  getSettlementStatement,
+  deleteSettlement,
+  listRuns,
+  RUN_TYPES
+} = require('../services/mondayFinal.service');
 const { invalidateCache } = require('./FinalTrialBalance.controller');
 const { getCache, setCache, deleteCache } = require('../config/redis');
 
@@ -50,6 +92,98 @@ const validateUserId = (userId) => {
   return userId;
 };
 
+/**
+ * Parse the ?from=&to=&asOf= period of a ledger request.
+ * A date-only asOf means the end of that day.
+ * @returns {Object} { from, to, asOf } or { error }
+ */
+const parseLedgerPeriod = ({ from, to, asOf }) => {
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && !isValidDateOnly(value)) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (from && to && from > to) {
+    return { error: 'from must be on or before to' };
+  }
+
+  let asOfTimestamp = null;
+  if (asOf) {
+    const parsed = new Date(DATE_ONLY_PATTERN.test(asOf) ? `${asOf}T23:59:59.999Z` : asOf);
+    if (typeof asOf !== 'string' || Number.isNaN(parsed.getTime())) {
+      return { error: 'asOf must be a date (YYYY-MM-DD) or an ISO timestamp' };
+    }
+    asOfTimestamp = parsed.toISOString();
+  }
+
+  return { from: from || null, to: to || null, asOf: asOfTimestamp };
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Parse the cutoffDate / entryIds of a Monday Final request
+ * @returns {Object} { cutoffDate, entryIds } or { error }
+ */
+const parseSettlementScope = ({ cutoffDate, entryIds }) => {
+  if (cutoffDate !== undefined && cutoffDate !== null && !isValidDateOnly(cutoffDate)) {
+    return { error: 'cutoffDate must be a date in YYYY-MM-DD format' };
+  }
+  if (entryIds !== undefined && entryIds !== null &&
+      !(Array.isArray(entryIds) && entryIds.length > 0 && entryIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id)))) {
+    return { error: 'entryIds must be a non-empty array of entry IDs' };
+  }
+  return { cutoffDate: cutoffDate || undefined, entryIds: entryIds ? [...new Set(entryIds)] : undefined };
+};
+
+/**
+ * Parse the paidAmounts / paymentAccount of a Monday Final request:
+ * { partyName: amount } for the parties being settled
+ * @returns {Object} { paidAmounts, paymentAccount } or { error }
+ */
+const parseSettlementPayments = ({ paidAmounts, paymentAccount }, partyNames) => {
+  if (paidAmounts !== undefined && paidAmounts !== null) {
+    if (typeof paidAmounts !== 'object' || Array.isArray(paidAmounts)) {
+      return { error: 'paidAmounts must be an object of party name to amount' };
+    }
+    for (const [partyName, amount] of Object.entries(paidAmounts)) {
+      if (!partyNames.includes(partyName)) {
+        return { error: `paidAmounts has an amount for "${partyName}", which is not being settled` };
+      }
+      if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || Math.round(amount * 100) !== amount * 100) {
+        return { error: `Paid amount for "${partyName}" must be a positive amount with at most 2 decimals` };
+      }
+    }
+  }
+  if (paymentAccount !== undefined && paymentAccount !== null &&
+      (typeof paymentAccount !== 'string' || paymentAccount.trim().length === 0)) {
+    return { error: 'paymentAccount must be a party name' };
+  }
+  return { paidAmounts: paidAmounts || undefined, paymentAccount: paymentAccount || undefined };
+};
+
+/**
+ * Keep the entries dated within the period; entries before it only carry
+ * their running balance forward as the opening balance
+ * @returns {Object} { openingBalance, entries }
+ */
+const limitToPeriod = (entries, { from, to }) => {
+  let openingBalance = 0;
+  const periodEntries = [];
+
+  for (const entry of sortLedgerEntries(entries)) {
+    if (from && entry.date < from) {
+      if (!entry.remarks?.includes('Monday Final Settlement')) {
+        openingBalance = parseFloat(entry.balance || 0);
+      }
+    } else if (!to || entry.date <= to) {
+      periodEntries.push(entry);
+    }
+  }
+
+  return { openingBalance, entries: periodEntries };
+};
+
 const sanitizeInput = (input, maxLength = 1000) => {
   if (typeof input !== 'string') return input;
   return input
@@ -68,6 +202,14 @@ const sendErrorResponse = (res, statusCode, message, error = null) => {
     timestamp: new Date().toISOString(),
     path: res.req?.originalUrl || 'unknown'
   };
+
+  // Refused postings carry a stable code and details the client can act on
+  if (error instanceof LedgerError) {
+    response.code = error.code;
+    if (error.details) {
+      response.details = error.details;
+    }
+  }
   
   if (process.env.NODE_ENV === 'development' && error) {
     response.error = error.message;
@@ -77,6 +219,14 @@ const sendErrorResponse = (res, statusCode, message, error = null) => {
   res.status(statusCode).json(response);
 };
 
+// Failure response for ledger writes: refused postings keep their own status/message
+const sendPostingErrorResponse = (res, fallbackMessage, error) => {
+  if (error instanceof LedgerError) {
+    return sendErrorResponse(res, error.statusCode, error.message, error);
+  }
+  return sendErrorResponse(res, 500, fallbackMessage, error);
+};
+
 // Success response utility
 const sendSuccessResponse = (res, data, message = 'Operation completed successfully') => {
   res.json({
@@ -135,8 +285,146 @@ const getAllParties = async (req, res) => {
   }
 };
 
+const isReversalPair = (entry) => entry.is_reversed || Boolean(entry.reversal_of);
+
+// Add tnsType field for frontend compatibility
+const withTnsType = (entry) => ({ ...entry, tnsType: entry.tns_type });
+
+/**
+ * Entries of an as-of ledger within the period, with the balance carried into it
+ * @returns {Object} { openingBalance, entries }
+ */
+const getAsOfPeriodEntries = async (userId, partyName, period, hideReversed) => {
+  const asOfEntries = await getPartyEntriesAsOf(userId, partyName, period.asOf);
+  const { openingBalance, entries } = limitToPeriod(asOfEntries, period);
+  return {
+    openingBalance,
+    entries: hideReversed ? entries.filter(entry => !isReversalPair(entry)) : entries
+  };
+};
+
+/**
+ * Send one keyset page of a party ledger (?limit=&cursor=)
+ */
+const sendPartyLedgerPage = async (req, res, userId, partyName, period, hideReversed) => {
+  const options = {
+    cursor: req.query.cursor,
+    limit: req.query.limit,
+    from: period.from,
+    to: period.to,
+    hideReversed
+  };
+
+  let page;
+  if (period.asOf) {
+    const { openingBalance, entries } = await getAsOfPeriodEntries(userId, partyName, period, hideReversed);
+    page = pageEntries(entries, options, openingBalance);
+  } else {
+    page = await getPartyLedgerPage(userId, partyName, options);
+  }
+
+  sendSuccessResponse(res, {
+    entries: page.entries.map(withTnsType),
+    pageInfo: page.pageInfo,
+    period
+  });
+};
+
+/**
+ * Stream a whole party ledger as NDJSON (?format=ndjson): a meta line, one
+ * line per entry in ledger order, then a summary line. Rows are read in
+ * keyset batches, so the ledger is never held in memory.
+ */
+const streamPartyLedgerResponse = async (req, res, userId, partyName, period, hideReversed) => {
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  const waitForDrain = () => new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  const writeLines = async (records) => {
+    const chunk = records.map(record => `${JSON.stringify(record)}\n`).join('');
+    if (!res.write(chunk)) {
+      await waitForDrain();
+    }
+    res.flush?.(); // Push through the compression middleware
+  };
+
+  let openingBalance;
+  let asOfEntries = null;
+  if (period.asOf) {
+    ({ openingBalance, entries: asOfEntries } = await getAsOfPeriodEntries(userId, partyName, period, hideReversed));
+  } else {
+    openingBalance = await getOpeningBalance(userId, partyName, period.from);
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  const totals = { totalCredit: 0, totalDebit: 0, totalEntries: 0, openingBalanceAmount: 0, closingBalance: openingBalance };
+  const onBatch = async (entries) => {
+    for (const entry of entries) {
+      if (entry.remarks?.includes('Monday Final Settlement')) {
+        continue;
+      }
+      totals.closingBalance = parseFloat(entry.balance || 0);
+      // Opening balances move the running balance but are not activity of the period
+      if (isOpeningBalanceEntry(entry)) {
+        totals.openingBalanceAmount += parseFloat(entry.credit || 0) - parseFloat(entry.debit || 0);
+        continue;
+      }
+      totals.totalCredit += parseFloat(entry.credit || 0);
+      totals.totalDebit += parseFloat(entry.debit || 0);
+      totals.totalEntries++;
+    }
+    await writeLines(entries.map(entry => ({ type: 'entry', data: withTnsType(entry) })));
+    return !clientGone;
+  };
+
+  try {
+    await writeLines([{ type: 'meta', partyName, period, openingBalance }]);
+
+    if (asOfEntries) {
+      await onBatch(asOfEntries);
+    } else {
+      await streamPartyLedger(userId, partyName, { from: period.from, to: period.to, hideReversed }, onBatch);
+    }
+
+    if (!clientGone) {
+      await writeLines([{
+        type: 'summary',
+        ...totals,
+        calculatedBalance: totals.openingBalanceAmount + totals.totalCredit - totals.totalDebit
+      }]);
+    }
+  } catch (error) {
+    // Headers are already sent; report the failure in-band
+    console.error(`❌ Ledger stream failed for ${partyName}:`, error.message);
+    if (!clientGone) {
+      res.write(`${JSON.stringify({ type: 'error', message: 'Failed to stream party ledger' })}\n`);
+    }
+  }
+  res.end();
+};
+
 /**
  * Get party ledger entries with enhanced validation and error handling
+ * Query: from, to (YYYY-MM-DD) limit the listed entries and carry the balance
+ * before `from` as openingBalance; asOf shows the ledger as it stood then;
+ * hideReversed, includeHistory.
+ * limit/cursor return one keyset page instead of the whole ledger;
+ * format=ndjson streams the whole ledger
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -165,8 +453,29 @@ const getPartyLedger = async (req, res) => {
       return sendErrorResponse(res, 404, `Party "${partyName}" not found. Available parties: ${parties.map(p => p.party_name).join(', ')}`);
     }
     
-    // Get all ledger entries for this party with optimized query
-    const allEntries = await LedgerEntry.findByPartyName(userId, partyName, null);
+    const period = parseLedgerPeriod(req.query);
+    if (period.error) {
+      return sendErrorResponse(res, 400, period.error);
+    }
+
+    // Reversed vouchers and their reversals net to zero; hide both on request (?hideReversed=true)
+    const hideReversed = req.query.hideReversed === 'true';
+
+    if (req.query.format === 'ndjson') {
+      return await streamPartyLedgerResponse(req, res, userId, partyName, period, hideReversed);
+    }
+    if (req.query.limit !== undefined || req.query.cursor !== undefined) {
+      return await sendPartyLedgerPage(req, res, userId, partyName, period, hideReversed);
+    }
+
+    // Current ledger, or the ledger as it stood at ?asOf= rebuilt from the audit log
+    const partyEntries = period.asOf
+      ? await getPartyEntriesAsOf(userId, partyName, period.asOf)
+      : await LedgerEntry.findByPartyName(userId, partyName, null);
+
+    // Only entries dated within ?from=&to= are listed and totalled
+    const { openingBalance, entries: periodEntries } = limitToPeriod(partyEntries || [], period);
+    const allEntries = hideReversed ? periodEntries.filter(entry => !isReversalPair(entry)) : periodEntries;
     
     // Debug logging for data consistency
     console.log(`🔍 DEBUG: Found ${allEntries ? allEntries.length : 0} entries for party: ${partyName}`);
@@ -190,7 +499,9 @@ const getPartyLedger = async (req, res) => {
       return sendSuccessResponse(res, {
         ledgerEntries: [],
         oldRecords: [],
-        closingBalance: 0,
+        openingBalance,
+        closingBalance: openingBalance,
+        period,
         summary: {
           totalCredit: 0,
           totalDebit: 0,
@@ -224,38 +535,12 @@ const getPartyLedger = async (req, res) => {
       });
     }
 
-    // Sort current entries by date and creation time
-    const sortedCurrentEntries = currentEntries.sort((a, b) => {
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      
-      if (dateA.getTime() !== dateB.getTime()) {
-        return dateA - dateB;
-      }
-      
-      const timeA = a.created_at ? new Date('1970-01-01T' + a.created_at).getTime() : 0;
-      const timeB = b.created_at ? new Date('1970-01-01T' + b.created_at).getTime() : 0;
-      
-      return timeA - timeB;
-    });
-
-    // Sort old records by date and creation time
-    const sortedOldRecords = oldRecords.sort((a, b) => {
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      
-      if (dateA.getTime() !== dateB.getTime()) {
-        return dateA - dateB;
-      }
-      
-      const timeA = a.created_at ? new Date('1970-01-01T' + a.created_at).getTime() : 0;
-      const timeB = b.created_at ? new Date('1970-01-01T' + b.created_at).getTime() : 0;
-      
-      return timeA - timeB;
-    });
+    // Sort entries in ledger order (date, then position within the day)
+    const sortedCurrentEntries = sortLedgerEntries(currentEntries);
+    const sortedOldRecords = sortLedgerEntries(oldRecords);
 
     // Calculate closing balance from last transaction
-    let closingBalance = 0;
+    let closingBalance = openingBalance;
     if (sortedCurrentEntries.length > 0) {
       const lastEntry = sortedCurrentEntries[sortedCurrentEntries.length - 1];
       closingBalance = parseFloat(lastEntry.balance || 0);
@@ -264,16 +549,21 @@ const getPartyLedger = async (req, res) => {
       closingBalance = parseFloat(lastOldEntry.balance || 0);
     }
 
-    // Calculate summary totals (excluding Monday Final Settlement entries)
+    // Calculate summary totals (excluding Monday Final Settlement entries and opening balances)
     let totalCredit = 0;
     let totalDebit = 0;
     let totalEntries = 0;
+    let openingBalanceAmount = 0;
 
     // Process current entries for totals
     sortedCurrentEntries.forEach((entry, index) => {
       if (entry.remarks?.includes('Monday Final Settlement')) {
         return; // Skip settlement entries for totals
       }
+      if (isOpeningBalanceEntry(entry)) {
+        openingBalanceAmount += parseFloat(entry.credit || 0) - parseFloat(entry.debit || 0);
+        return; // Opening balances are not activity of the period
+      }
       
       const entryCredit = parseFloat(entry.credit || 0);
       const entryDebit = parseFloat(entry.debit || 0);
@@ -289,6 +579,10 @@ const getPartyLedger = async (req, res) => {
       if (entry.remarks?.includes('Monday Final Settlement')) {
         return; // Skip settlement entries for totals
       }
+      if (isOpeningBalanceEntry(entry)) {
+        openingBalanceAmount += parseFloat(entry.credit || 0) - parseFloat(entry.debit || 0);
+        return; // Opening balances are not activity of the period
+      }
       
       const entryCredit = parseFloat(entry.credit || 0);
       const entryDebit = parseFloat(entry.debit || 0);
@@ -300,11 +594,11 @@ const getPartyLedger = async (req, res) => {
     });
 
     // Calculate final balance
-    const calculatedBalance = totalCredit - totalDebit;
+    const calculatedBalance = openingBalanceAmount + totalCredit - totalDebit;
 
     // Get Monday Final data
     const mondayFinalEntries = allEntries.filter(entry => 
-      entry.remarks?.includes('Monday Final Settlement')
+      entry.remarks?.includes('Monday Final Settlement') && entry.entry_type !== LEDGER_ENTRY_TYPES.CARRY_FORWARD
     );
 
     const mondayFinalData = {
@@ -315,21 +609,30 @@ const getPartyLedger = async (req, res) => {
       finalBalance: mondayFinalEntries.length > 0 ? parseFloat(mondayFinalEntries[mondayFinalEntries.length - 1].balance || 0) : 0
     };
 
+    // Optional per-entry change history from the audit log (?includeHistory=true)
+    const histories = req.query.includeHistory === 'true'
+      ? await getEntryHistories(userId, allEntries.map(entry => entry.id))
+      : null;
+
     // Add tnsType field to all entries for frontend compatibility
     const addTnsTypeField = (entries) => {
       return entries.map(entry => ({
         ...entry,
-        tnsType: entry.tns_type
+        tnsType: entry.tns_type,
+        ...(histories && { history: histories[entry.id] || [] })
       }));
     };
 
     const responseData = {
       ledgerEntries: addTnsTypeField(sortedCurrentEntries),
       oldRecords: addTnsTypeField(sortedOldRecords),
+      openingBalance,
       closingBalance,
+      period,
       summary: {
         totalCredit,
         totalDebit,
+        openingBalanceAmount,
         calculatedBalance,
         totalEntries
       },
@@ -344,65 +647,7 @@ const getPartyLedger = async (req, res) => {
     
     sendSuccessResponse(res, responseData);
   } catch (error) {
-    sendErrorResponse(res, 500, 'Failed to get party ledger', error);
-  }
-};
-
-/**
- * Calculate running balance for a party
- */
-const calculateRunningBalance = async (userId, partyName, currentAmount, tnsType) => {
-  try {
-    // Get all previous entries for this party (excluding current entry)
-    const previousEntries = await LedgerEntry.findByPartyAndUser(userId, partyName);
-    
-    // Sort entries by date and creation time for proper chronological order
-    const sortedEntries = previousEntries.sort((a, b) => {
-      // First sort by date
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      
-      if (dateA.getTime() !== dateB.getTime()) {
-        return dateA - dateB; // Oldest date first
-      }
-      
-      // If same date, sort by creation time (original order)
-      const timeA = a.created_at ? new Date('1970-01-01T' + a.created_at).getTime() : 0;
-      const timeB = b.created_at ? new Date('1970-01-01T' + b.created_at).getTime() : 0;
-      
-      return timeA - timeB; // Earlier creation time first (original order)
-    });
-    
-    let runningBalance = 0;
-    
-    // Recalculate balance for ALL entries in chronological order
-    for (const entry of sortedEntries) {
-      // Skip Monday Final settlement entries - they don't affect balance
-      if (entry.remarks?.includes('Monday Final Settlement')) {
-        continue;
-      }
-      
-      const entryCredit = parseFloat(entry.credit || 0);
-      const entryDebit = parseFloat(entry.debit || 0);
-      
-      if (entry.tns_type === 'CR') {
-        runningBalance += entryCredit;
-      } else if (entry.tns_type === 'DR') {
-        runningBalance -= entryDebit;
-      }
-    }
-    
-    // Add current transaction to running balance
-    if (tnsType === 'CR') {
-      runningBalance += parseFloat(currentAmount || 0);
-    } else if (tnsType === 'DR') {
-      runningBalance -= parseFloat(currentAmount || 0);
-    }
-    
-    return runningBalance;
-  } catch (error) {
-    // Return 0 as fallback to prevent transaction failure
-    return 0;
+    sendPostingErrorResponse(res, 'Failed to get party ledger', error);
   }
 };
 
@@ -412,13 +657,19 @@ const calculateRunningBalance = async (userId, partyName, currentAmount, tnsType
 const addEntry = async (req, res) => {
   try {
     const userId = validateUserId(req.user.id);
-    const { partyName, date, remarks, tnsType, debit, credit, balance } = req.body;
+    const {
+      partyName, date, remarks, tnsType, debit, credit, balance, insertBefore, insertAfter, commissionOptOut
+    } = req.body;
 
     // Validate required fields
     if (!partyName || !date || !tnsType) {
       return sendErrorResponse(res, 400, 'Party name, date, and transaction type are required');
     }
 
+    if (insertBefore && insertAfter) {
+      return sendErrorResponse(res, 400, 'Provide either insertBefore or insertAfter, not both');
+    }
+
     // Check if party exists - all parties are real
     const parties = await Party.findByUserId(userId);
     
@@ -444,19 +695,15 @@ const addEntry = async (req, res) => {
     // Calculate current transaction amount
     const currentAmount = tnsType === 'CR' ? creditAmount : debitAmount;
     
-    // Calculate running balance automatically
-    const calculatedBalance = await calculateRunningBalance(userId, partyName, currentAmount, tnsType);
-    
-    // Create ledger entry with calculated balance
+    // Create ledger entry - balance is rewritten inside the posting transaction
     const entryData = {
-      user_id: userId,
       party_name: partyName,
       date: new Date(date).toISOString().split('T')[0],
       remarks: remarks || `Transaction: ${tnsType} ${currentAmount}`,
       tns_type: tnsType,
       debit: debitAmount,
       credit: creditAmount,
-      balance: calculatedBalance,
+      balance: 0,
       chk: false,
       ti: `TXN_${Date.now()}`,
       is_old_record: false,
@@ -464,24 +711,35 @@ const addEntry = async (req, res) => {
       updated_at: new Date().toISOString()
     };
 
-    const entry = await LedgerEntry.create(entryData);
-    
-    // Debug logging for entry creation
-    console.log(`🔍 DEBUG: Entry created successfully:`, {
-      id: entry.id,
-      party_name: entry.party_name,
-      tns_type: entry.tns_type,
-      credit: entry.credit,
-      debit: entry.debit,
-      balance: entry.balance,
-      is_old_record: entry.is_old_record
+    // Back-dated entries can be placed next to an existing entry of the same day
+    const placement = insertBefore || insertAfter
+      ? { entryId: insertBefore || insertAfter, position: insertBefore ? 'before' : 'after' }
+      : null;
+
+    // The party's commission configuration adds commission and company legs
+    // unless the entry opts out
+    const optOut = commissionOptOut === true || commissionOptOut === 'true';
+    const companyAccount = await UserSettings.getCompanyAccount(userId);
+    const legs = buildPostingLegs(party, entryData, {
+      companyAccount,
+      optOut,
+      commission: optOut ? null : await priceEntryCommission(userId, party, entryData)
     });
-    
-    // Update all subsequent entries' balances for this party
-    await updateSubsequentBalances(userId, partyName, entry.id);
+    if (legs.length > 1) {
+      await ensurePostingAccounts(userId, legs.slice(1).map(leg => leg.party_name));
+    }
+
+    // Insert and rewrite party balances in a single database transaction
+    const { entries: [entry, ...relatedEntries], limitWarnings } = await postEntries(userId, legs, {
+      placement,
+      enforceLimits: true
+    });
+    const calculatedBalance = parseFloat(entry.balance || 0);
     
     // Invalidate Final Trial Balance cache to ensure real-time data
-    await invalidateCache(userId, null, partyName);
+    for (const legParty of new Set(legs.map(leg => leg.party_name))) {
+      await invalidateCache(userId, null, legParty);
+    }
     
     sendSuccessResponse(res, {
       ...entry,
@@ -489,68 +747,26 @@ const addEntry = async (req, res) => {
       calculatedBalance,
       partyName,
       transactionType: tnsType,
-      amount: currentAmount
-    }, `Ledger entry added successfully for ${partyName}`);
+      amount: currentAmount,
+      relatedEntries,
+      limitWarning: limitWarnings.length > 0,
+      limitWarnings
+    }, limitWarnings.length > 0
+      ? `Ledger entry added for ${partyName}; balance is past the party's limit`
+      : `Ledger entry added successfully for ${partyName}`);
   } catch (error) {
-    sendErrorResponse(res, 500, 'Failed to add ledger entry', error);
+    sendPostingErrorResponse(res, 'Failed to add ledger entry', error);
   }
 };
 
 /**
- * Update balances for all subsequent entries after a new entry
+ * Load every leg of the voucher an entry belongs to
  */
-const updateSubsequentBalances = async (userId, partyName, currentEntryId) => {
-  try {
-    
-    // Get ALL entries for this party to recalculate from beginning
-    const allEntries = await LedgerEntry.findByPartyName(userId, partyName, null);
-    
-    // Sort entries by date and creation time for proper chronological order
-    const sortedEntries = allEntries.sort((a, b) => {
-      // First sort by date
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      
-      if (dateA.getTime() !== dateB.getTime()) {
-        return dateA - dateB; // Oldest date first
-      }
-      
-      // If same date, sort by creation time (original order)
-      const timeA = a.created_at ? new Date('1970-01-01T' + a.created_at).getTime() : 0;
-      const timeB = b.created_at ? new Date('1970-01-01T' + b.created_at).getTime() : 0;
-      
-      return timeA - timeB; // Earlier creation time first (original order)
-    });
-    
-    let runningBalance = 0;
-    
-    // Recalculate balance for ALL entries in chronological order
-    for (const entry of sortedEntries) {
-      // Skip Monday Final settlement entries - they don't affect balance
-      if (entry.remarks?.includes('Monday Final Settlement')) {
-        continue;
-      }
-      
-      const entryCredit = parseFloat(entry.credit || 0);
-      const entryDebit = parseFloat(entry.debit || 0);
-      
-      if (entry.tns_type === 'CR') {
-        runningBalance += entryCredit;
-      } else if (entry.tns_type === 'DR') {
-        runningBalance -= entryDebit;
-      }
-      
-      // Update entry with new balance
-      await LedgerEntry.update(entry.id, {
-        balance: runningBalance,
-        updated_at: new Date().toISOString()
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error updating subsequent balances:', error);
-    throw error; // Re-throw to let calling function handle it
+const getVoucherLegs = async (userId, entry) => {
+  if (!entry.voucher_id) {
+    return [entry];
   }
+  return LedgerEntry.findByVoucherId(userId, entry.voucher_id);
 };
 
 /**
@@ -569,7 +785,8 @@ const updateEntry = async (req, res) => {
     }
 
     // OLD RECORDS PROTECTION: Prevent modification of old records after Monday Final
-    if (entry.is_old_record === true) {
+    const voucherLegs = await getVoucherLegs(userId, entry);
+    if (voucherLegs.some(leg => leg.is_old_record === true)) {
       return sendErrorResponse(res, 403, 'Cannot modify old records. This entry was settled in Monday Final and cannot be changed. Delete the Monday Final entry first to unsettle transactions.', { code: 'OLD_RECORD_PROTECTED' });
     }
 
@@ -587,125 +804,55 @@ const updateEntry = async (req, res) => {
       updated_at: new Date().toISOString()
     };
 
-    const updatedEntry = await LedgerEntry.update(id, supabaseData);
-    
-    // Recalculate balances for all entries of this party after update
-    await recalculateAllBalancesForParty(userId, entry.party_name);
+    // Generated commission/company legs are re-priced from the edited principal
+    const party = await Party.findByPartyName(userId, supabaseData.party_name);
+    const companyAccount = await UserSettings.getCompanyAccount(userId);
+    if (party && voucherLegs.some(leg => leg.parent_entry_id === entry.id)) {
+      await ensurePostingAccounts(userId, [COMMISSION_ACCOUNT, companyAccount]);
+    }
+    const regenerateLegs = async (principal) => buildPostingLegs(party || { party_name: principal.party_name }, principal, {
+      companyAccount,
+      optOut: principal.commission_opt_out,
+      commission: party && !principal.commission_opt_out ? await priceEntryCommission(userId, party, principal) : null
+    });
+
+    // Update the entry, carry date/amount changes to the rest of its voucher and
+    // recalculate balances of the affected parties in one transaction
+    const { entry: updatedEntry, voucherEntries } = await updatePostedEntry(userId, entry, supabaseData, { regenerateLegs });
+
+    const affectedParties = [supabaseData.party_name, ...voucherEntries.map(leg => leg.party_name)];
+    for (const party of new Set(affectedParties)) {
+      await invalidateCache(userId, null, party);
+    }
     
     sendSuccessResponse(res, updatedEntry, 'Entry updated successfully with balance recalculation');
   } catch (error) {
-    sendErrorResponse(res, 500, 'Failed to update entry', error);
+    sendPostingErrorResponse(res, 'Failed to update entry', error);
   }
 };
 
 /**
- * Recalculate all balances for a party (used after updates/deletes)
+ * Recalculate all balances for parties (repair endpoint)
  */
-const recalculateAllBalancesForParty = async (userId, partyName) => {
+const recalculatePartyBalances = async (req, res) => {
   try {
-    // Get all entries for this party in chronological order
-    const allEntries = await LedgerEntry.findByPartyName(userId, partyName, null);
-    
-    // Sort entries by date and creation time for proper chronological order
-    const sortedEntries = allEntries.sort((a, b) => {
-      // First sort by date
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      
-      if (dateA.getTime() !== dateB.getTime()) {
-        return dateA - dateB; // Oldest date first
-      }
-      
-      // If same date, sort by creation time (original order)
-      const timeA = a.created_at ? new Date('1970-01-01T' + a.created_at).getTime() : 0;
-      const timeB = b.created_at ? new Date('1970-01-01T' + b.created_at).getTime() : 0;
-      
-      return timeA - timeB; // Earlier creation time first (original order)
-    });
-    
-    let runningBalance = 0;
-    
-    // Recalculate balance for all entries in chronological order
-    for (const entry of sortedEntries) {
-      // Skip Monday Final settlement entries - they don't affect balance
-      if (entry.remarks?.includes('Monday Final Settlement')) {
-        continue;
-      }
-      
-      if (entry.tns_type === 'CR') {
-        runningBalance += parseFloat(entry.credit || 0);
-      } else if (entry.tns_type === 'DR') {
-        runningBalance -= parseFloat(entry.debit || 0);
-      }
-      
-      // Update entry with new calculated balance
-      await LedgerEntry.update(entry.id, {
-        balance: runningBalance,
-        updated_at: new Date().toISOString()
-      });
+    const userId = validateUserId(req.user.id);
+    const { partyName, partyNames } = req.body;
+
+    const names = (partyNames || (partyName ? [partyName] : [])).map(name => validatePartyName(name));
+    if (names.length === 0) {
+      return sendErrorResponse(res, 400, 'partyName or partyNames is required');
     }
-    
-  } catch (error) {
-    console.error('Error recalculating all balances for party:', error);
-    throw error; // Re-throw to let calling function handle it
-  }
-};
 
-/**
- * Recalculate all balances for a party (utility function)
- */
-const recalculatePartyBalances = async (userId, partyName) => {
-  try {
-    
-    // Get all entries for this party
-    const allEntries = await LedgerEntry.findByPartyName(userId, partyName, null);
-    
-    // Sort entries by date and creation time
-    const sortedEntries = allEntries.sort((a, b) => {
-      // First sort by date
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      
-      if (dateA.getTime() !== dateB.getTime()) {
-        return dateA - dateB; // Oldest date first
-      }
-      
-      // If same date, sort by creation time (original order)
-      const timeA = a.created_at ? new Date('1970-01-01T' + a.created_at).getTime() : 0;
-      const timeB = b.created_at ? new Date('1970-01-01T' + b.created_at).getTime() : 0;
-      
-      return timeA - timeB; // Earlier creation time first (original order)
-    });
-    
-    let runningBalance = 0;
-    
-    // Recalculate balance for all entries in chronological order
-    for (const entry of sortedEntries) {
-      // Skip Monday Final settlement entries - they don't affect balance
-      if (entry.remarks?.includes('Monday Final Settlement')) {
-        continue;
-      }
-      
-      const entryCredit = parseFloat(entry.credit || 0);
-      const entryDebit = parseFloat(entry.debit || 0);
-      
-      if (entry.tns_type === 'CR') {
-        runningBalance += entryCredit;
-      } else if (entry.tns_type === 'DR') {
-        runningBalance -= entryDebit;
-      }
-      
-      // Update entry with new balance
-      await LedgerEntry.update(entry.id, {
-        balance: runningBalance,
-        updated_at: new Date().toISOString()
-      });
+    const balances = await recalculateBalances(userId, names);
+
+    for (const name of names) {
+      await invalidateCache(userId, null, name);
     }
-    
-    return runningBalance;
-    
+
+    sendSuccessResponse(res, { balances }, `Balances recalculated for ${names.length} parties`);
   } catch (error) {
-    throw error;
+    sendErrorResponse(res, 500, 'Failed to recalculate party balances', error);
   }
 };
 
@@ -719,54 +866,10 @@ const recalculateAllBalances = async (req, res) => {
     // Get all parties for the user
     const parties = await Party.findByUserId(userId);
     
-    let totalEntriesUpdated = 0;
-    
-    // Recalculate balances for each party
-    for (const party of parties) {
-      const allEntries = await LedgerEntry.findByPartyAndUser(userId, party.party_name);
-      
-      // Sort entries by date and creation time for proper chronological order
-      const sortedEntries = allEntries.sort((a, b) => {
-        // First sort by date
-        const dateA = new Date(a.date);
-        const dateB = new Date(b.date);
-        
-        if (dateA.getTime() !== dateB.getTime()) {
-          return dateA - dateB; // Oldest date first
-        }
-        
-        // If same date, sort by creation time (original order)
-        const timeA = a.created_at ? new Date('1970-01-01T' + a.created_at).getTime() : 0;
-        const timeB = b.created_at ? new Date('1970-01-01T' + b.created_at).getTime() : 0;
-        
-        return timeA - timeB; // Earlier creation time first (original order)
-      });
-      
-      let runningBalance = 0;
-      
-      // Recalculate balance for all entries in chronological order
-      for (const entry of sortedEntries) {
-        // Skip Monday Final settlement entries - they don't affect balance
-        if (entry.remarks?.includes('Monday Final Settlement')) {
-          continue;
-        }
-        
-        if (entry.tns_type === 'CR') {
-          runningBalance += parseFloat(entry.credit || 0);
-        } else if (entry.tns_type === 'DR') {
-          runningBalance -= parseFloat(entry.debit || 0);
-        }
-        
-        // Update entry with new calculated balance
-        await LedgerEntry.update(entry.id, {
-          balance: runningBalance,
-          updated_at: new Date().toISOString()
-        });
-        
-        totalEntriesUpdated++;
-      }
-      
-    }
+    // Single set-based rewrite across every party of the user
+    const totalEntriesUpdated = await recalculateAllPartyBalances(userId);
+
+    await invalidateCache(userId);
 
     sendSuccessResponse(res, {
       success: true,
@@ -783,60 +886,66 @@ const recalculateAllBalances = async (req, res) => {
 };
 
 /**
- * Find related transactions (company and commission) for a given party transaction
+ * Post the reversal of an entry's voucher and send the result
  */
-const findRelatedTransactions = async (userId, partyName, amount, date, remarks) => {
+const sendReversalResponse = async (res, userId, entry, options) => {
+  const result = await reverseVoucher(userId, entry, options);
+
+  const affectedParties = new Set(result.reversalEntries.map(reversal => reversal.party_name));
+  for (const party of affectedParties) {
+    await invalidateCache(userId, null, party);
+  }
+
+  sendSuccessResponse(res, {
+    reversed: true,
+    voucherId: result.voucherId,
+    originalVoucherId: result.originalVoucherId,
+    reversalEntries: result.reversalEntries,
+    reversedEntryIds: result.reversedEntries.map(reversed => reversed.id),
+    balances: result.balances
+  }, `Entry reversed with ${result.reversalEntries.length} reversal entries`);
+};
+
+/**
+ * Reverse a posted entry (and the rest of its voucher) with an opposite-signed voucher
+ */
+const reverseEntry = async (req, res) => {
   try {
-    console.log(`🔍 Finding related transactions for: ${partyName} - ${amount} on ${date}`);
-    
-    // Get user settings to find company name
-    const UserSettings = require('../models/supabase/UserSettings');
-    const userSettings = await UserSettings.findByUserId(userId);
-    const companyName = userSettings?.company_account || 'AQC';
-    
-    const relatedTransactions = [];
-    
-    // Find company transactions with same amount and date
-    const companyEntries = await LedgerEntry.findByUserIdAndParty(userId, companyName);
-    for (const entry of companyEntries) {
-      const entryAmount = entry.tns_type === 'CR' ? entry.credit : entry.debit;
-      if (entryAmount === amount && entry.date === date && !entry.is_old_record) {
-        // Check if this looks like a related transaction
-        if (entry.remarks?.includes(partyName) || 
-            entry.remarks?.includes('Commission') ||
-            entry.remarks?.includes('Company') ||
-            entry.remarks?.includes('AQC')) {
-          relatedTransactions.push(entry);
-          console.log(`🔍 Found related company transaction: ${entry.id} - ${entryAmount}`);
-        }
-      }
+    const userId = validateUserId(req.user.id);
+    const { id } = req.params;
+    const { date, remarks } = req.body || {};
+
+    const entry = await LedgerEntry.findById(id);
+    if (!entry || entry.user_id !== userId) {
+      return sendErrorResponse(res, 404, 'Entry not found');
     }
-    
-    // Find commission transactions with same amount and date
-    const commissionEntries = await LedgerEntry.findByUserIdAndParty(userId, 'Commission');
-    for (const entry of commissionEntries) {
-      const entryAmount = entry.tns_type === 'CR' ? entry.credit : entry.debit;
-      if (entryAmount === amount && entry.date === date && !entry.is_old_record) {
-        // Check if this looks like a related transaction
-        if (entry.remarks?.includes(partyName) || 
-            entry.remarks?.includes('Commission') ||
-            entry.remarks?.includes(companyName)) {
-          relatedTransactions.push(entry);
-          console.log(`🔍 Found related commission transaction: ${entry.id} - ${entryAmount}`);
-        }
+
+    const voucherLegs = await getVoucherLegs(userId, entry);
+    if (voucherLegs.some(leg => leg.is_old_record === true)) {
+      return sendErrorResponse(res, 403, 'Cannot reverse old records. This entry was settled in Monday Final. Delete the Monday Final entry first to unsettle transactions.');
+    }
+
+    let reversalDate;
+    if (date) {
+      const parsed = new Date(date);
+      if (Number.isNaN(parsed.getTime())) {
+        return sendErrorResponse(res, 400, 'Invalid reversal date');
       }
+      reversalDate = parsed.toISOString().split('T')[0];
     }
-    
-    console.log(`🔍 Found ${relatedTransactions.length} related transactions`);
-    return relatedTransactions;
+
+    await sendReversalResponse(res, userId, entry, {
+      date: reversalDate,
+      remarks: remarks ? sanitizeInput(remarks) : undefined
+    });
   } catch (error) {
-    console.error('❌ Error finding related transactions:', error);
-    return [];
+    sendPostingErrorResponse(res, 'Failed to reverse entry', error);
   }
 };
 
 /**
  * Delete ledger entry with balance recalculation
+ * Query: mode=hard (default, needs allow_hard_delete) | mode=reverse
  */
 const deleteEntry = async (req, res) => {
   try {
@@ -850,66 +959,65 @@ const deleteEntry = async (req, res) => {
     }
 
     // OLD RECORDS PROTECTION: Prevent deletion of old records after Monday Final
-    if (entry.is_old_record === true) {
+    const voucherLegs = await getVoucherLegs(userId, entry);
+    if (voucherLegs.some(leg => leg.is_old_record === true)) {
       return sendErrorResponse(res, 403, 'Cannot delete old records. This entry was settled in Monday Final and cannot be deleted. Delete the Monday Final entry first to unsettle transactions.', { code: 'OLD_RECORD_PROTECTED' });
     }
 
+    const mode = req.query.mode || 'hard';
+    if (!['hard', 'reverse'].includes(mode)) {
+      return sendErrorResponse(res, 400, 'mode must be either "hard" or "reverse"');
+    }
+
+    if (mode === 'reverse') {
+      return await sendReversalResponse(res, userId, entry, {});
+    }
+
+    const userSettings = await UserSettings.findByUserId(userId);
+    if (userSettings?.allow_hard_delete === false) {
+      throw new LedgerError('HARD_DELETE_DISABLED', 'Deleting posted entries is disabled in your settings. Reverse the entry instead.', {
+        statusCode: 403
+      });
+    }
+
     // Store party name before deletion for balance recalculation
     const partyName = entry.party_name;
     const entryAmount = entry.tns_type === 'CR' ? entry.credit : entry.debit;
-    const entryDate = entry.date;
-    const entryRemarks = entry.remarks;
 
-    console.log(`🗑️ Deleting entry: ${partyName} - ${entryAmount} on ${entryDate}`);
+    console.log(`🗑️ Deleting entry: ${partyName} - ${entryAmount} on ${entry.date}`);
 
-    // Find and delete related transactions (company and commission)
-    const relatedTransactions = await findRelatedTransactions(userId, partyName, entryAmount, entryDate, entryRemarks);
-    
-    let deletedCount = 1; // Original entry
-    let relatedDeletedCount = 0;
-
-    // Delete related transactions first
-    for (const relatedEntry of relatedTransactions) {
-      try {
-        console.log(`🗑️ Deleting related transaction: ${relatedEntry.party_name} - ${relatedEntry.tns_type === 'CR' ? relatedEntry.credit : relatedEntry.debit} on ${relatedEntry.date}`);
-        await LedgerEntry.delete(relatedEntry.id);
-        relatedDeletedCount++;
-        deletedCount++;
-      } catch (error) {
-        console.error(`❌ Error deleting related transaction ${relatedEntry.id}:`, error);
-      }
-    }
+    // Move every leg of the entry's voucher to the recycle bin and rewrite
+    // balances of every affected party in a single database transaction
+    const { voucherId, relatedEntries: relatedTransactions } = await deletePostedEntry(userId, entry);
 
-    // Delete the original entry
-    await LedgerEntry.delete(id);
-    
-    // Recalculate balances for all parties involved
+    const relatedDeletedCount = relatedTransactions.length;
+    const deletedCount = 1 + relatedDeletedCount;
+
+    // Invalidate Final Trial Balance cache for all parties involved
     const allParties = [partyName, ...relatedTransactions.map(t => t.party_name)];
-    for (const party of allParties) {
-      await recalculateAllBalancesForParty(userId, party);
+    for (const party of new Set(allParties)) {
       await invalidateCache(userId, null, party);
     }
-    
-    // Invalidate Final Trial Balance cache to ensure real-time data
-    await invalidateCache(userId, null, partyName);
 
     const message = relatedDeletedCount > 0 
-      ? `Entry and ${relatedDeletedCount} related transactions deleted successfully (${deletedCount} total)`
-      : 'Entry deleted successfully';
+      ? `Entry and ${relatedDeletedCount} related transactions moved to the recycle bin (${deletedCount} total)`
+      : 'Entry moved to the recycle bin';
 
     sendSuccessResponse(res, { 
       deleted: true, 
+      recycleBin: true,
+      voucherId,
       deletedCount,
       relatedDeletedCount,
       relatedParties: relatedTransactions.map(t => t.party_name)
     }, message);
   } catch (error) {
-    sendErrorResponse(res, 500, 'Failed to delete entry', error);
+    sendPostingErrorResponse(res, 'Failed to delete entry', error);
   }
 };
 
 /**
- * Delete parties and their ledger entries
+ * Move parties and their ledger entries to the recycle bin
  */
 const deleteParties = async (req, res) => {
   try {
@@ -944,25 +1052,23 @@ const deleteParties = async (req, res) => {
       return sendErrorResponse(res, 403, `Cannot delete parties with old records. The following parties have Monday Final settled transactions: ${partiesWithOldRecords.join(', ')}. Delete the Monday Final entries first to unsettle transactions.`, { partiesWithOldRecords });
     }
 
-    // Delete ledger entries for each party
-    for (const partyName of validPartyNames) {
-      const entries = await LedgerEntry.findByPartyName(userId, partyName);
-      for (const entry of entries) {
-        await LedgerEntry.delete(entry.id);
-      }
-    }
+    // Move the parties and their ledger entries to the recycle bin
+    const partyIds = allParties
+      .filter(p => validPartyNames.includes(p.party_name))
+      .map(p => p.id);
+    const { parties: deletedParties, deletedEntries } = await softDeleteParties(userId, partyIds);
 
-    // Delete parties
     for (const partyName of validPartyNames) {
-      const party = allParties.find(p => p.party_name === partyName);
-      if (party) {
-        await Party.delete(party.id);
-      }
+      await invalidateCache(userId, null, partyName);
     }
 
-    sendSuccessResponse(res, { deletedCount: validPartyNames.length }, `${validPartyNames.length} parties and their entries deleted successfully`);
+    sendSuccessResponse(res, {
+      deletedCount: deletedParties.length,
+      deletedEntries,
+      recycleBin: true
+    }, `${deletedParties.length} parties and their entries moved to the recycle bin`);
   } catch (error) {
-    sendErrorResponse(res, 500, 'Failed to delete parties', error);
+    sendPostingErrorResponse(res, 'Failed to delete parties', error);
   }
 };
 
@@ -999,262 +1105,195 @@ const unsettleTransactions = async (req, res) => {
 };
 
 /**
- * Update Monday Final status for parties and settle transactions
+ * Update Monday Final status for parties and settle transactions.
+ * cutoffDate settles only entries on or before it ("up to last Sunday") and
+ * entryIds only the listed entries. paidAmounts records the cash/bank amount
+ * paid or received per party (against paymentAccount, by default the company
+ * account); a residual is carried forward into the next period.
+ * Runs as a logged manual Monday Final run; an Idempotency-Key header (or
+ * idempotencyKey in the body) makes a retried request return the same run
+ * instead of settling twice.
  */
 const updateMondayFinal = async (req, res) => {
   try {
     const userId = validateUserId(req.user.id);
     const { partyNames } = req.body;
 
-    if (!partyNames || !Array.isArray(partyNames)) {
+    if (!partyNames || !Array.isArray(partyNames) || partyNames.some(partyName => typeof partyName !== 'string')) {
       return sendErrorResponse(res, 400, 'Party names array is required');
     }
 
-    // Get user's company name to check for company parties
-    const { createClient } = require('@supabase/supabase-js');
-    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
-    
-    const { data: settings } = await supabase
-      .from('user_settings')
-      .select('company_account')
-      .eq('user_id', userId)
-      .single();
-    
-    const companyName = settings?.company_account;
+    const scope = parseSettlementScope(req.body);
+    if (scope.error) {
+      return sendErrorResponse(res, 400, scope.error);
+    }
 
-    let totalSettledEntries = 0;
+    const payments = parseSettlementPayments(req.body, partyNames);
+    if (payments.error) {
+      return sendErrorResponse(res, 400, payments.error);
+    }
 
-    // Update Monday Final status and settle transactions for each party
-    for (const partyName of partyNames) {
-      // Check if this is a company party
-      if (companyName && partyName === companyName) {
-        console.log(`🚫 Skipping Monday Final for company party: ${partyName}`);
-        continue; // Skip company parties
-      }
-      const party = await Party.findByUserId(userId).then(parties => 
-        parties.find(p => p.party_name === partyName)
-      );
-      
-      if (party) {
-        // 1. Update party Monday Final status
-        await Party.update(party.id, {
-          monday_final: 'Yes',
-          updated_at: new Date().toISOString()
-        });
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || idempotencyKey.length > 200)) {
+      return sendErrorResponse(res, 400, 'Idempotency key must be a string of at most 200 characters');
+    }
 
-        // 2. Find all current ledger entries for this party
-        const currentEntries = await LedgerEntry.findByPartyName(userId, partyName);
-        
-        // 3. Check if party needs settlement (has any transactions)
-        if (currentEntries.length > 0) {
-          // 4. Enhanced settlement - handle multiple Monday Final scenarios
-          const unsettledEntries = currentEntries.filter(entry => !entry.is_old_record);
-          
-          // 4a. Check for existing Monday Final entries that need to be settled first
-          const existingMondayFinals = unsettledEntries.filter(entry => 
-            entry.remarks?.includes('Monday Final Settlement')
-          );
-          
-          // 4b. Regular transactions (excluding Monday Final entries)
-          const regularTransactions = unsettledEntries.filter(entry => 
-            !entry.remarks?.includes('Monday Final Settlement')
-          );
-          
-          if (unsettledEntries.length > 0) {
-            // Batch update all unsettled entries
-            const updatePromises = unsettledEntries.map(entry => 
-              LedgerEntry.update(entry.id, {
-                is_old_record: true,
-                settlement_date: new Date().toISOString(),
-                settlement_monday_final_id: null,
-                updated_at: new Date().toISOString()
-              })
-            );
-            
-            // Execute all updates in parallel for speed
-            await Promise.all(updatePromises);
-            
-            // Get updated entries after marking as old records
-            const updatedEntries = await LedgerEntry.findByPartyName(userId, partyName);
-            
-            // Calculate settlement amounts from updated entries
-            const totalSettlementCredit = updatedEntries
-              .filter(entry => entry.tns_type === 'CR' && entry.is_old_record)
-              .reduce((sum, entry) => sum + parseFloat(entry.credit || 0), 0);
-              
-            const totalSettlementDebit = updatedEntries
-              .filter(entry => entry.tns_type === 'DR' && entry.is_old_record)
-              .reduce((sum, entry) => sum + parseFloat(entry.debit || 0), 0);
-            
-            // 5. Enhanced settlement transaction creation
-            const netSettlementAmount = totalSettlementCredit - totalSettlementDebit;
-            const settlementType = netSettlementAmount >= 0 ? 'CR' : 'DR';
-            const settlementAmount = Math.abs(netSettlementAmount);
-            
-            // Generate unique Monday Final ID for this settlement
-            const mondayFinalId = `monday_final_${Date.now()}`;
-            
-            // Enhanced remarks to show what was settled
-            let settlementRemarks = `Monday Final Settlement - ${unsettledEntries.length} transactions settled`;
-            if (existingMondayFinals.length > 0) {
-              settlementRemarks += ` (including ${existingMondayFinals.length} previous Monday Final entries)`;
-            }
-            
-            // Settlement entry should show the net settlement amount in balance
-            // This represents the actual settlement amount (positive for credit, negative for debit)
-            const settlementEntry = {
-              user_id: userId,
-              party_name: partyName,
-              date: new Date().toISOString().split('T')[0],
-              remarks: settlementRemarks,
-              tns_type: settlementType,
-              debit: settlementType === 'DR' ? settlementAmount : 0,
-              credit: settlementType === 'CR' ? settlementAmount : 0,
-              balance: netSettlementAmount, // Show net settlement amount (positive/negative)
-              chk: false,
-              ti: mondayFinalId,
-              is_old_record: false,
-              settlement_date: null,
-              settlement_monday_final_id: null,
-              created_at: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            };
-            
-            // Create settlement entry
-            const createdSettlementEntry = await LedgerEntry.create(settlementEntry);
-            
-            // 6. Update all settled transactions with this Monday Final ID
-            
-            const linkPromises = unsettledEntries.map(entry => 
-              LedgerEntry.update(entry.id, {
-                settlement_monday_final_id: createdSettlementEntry.id, // Use actual entry ID (UUID)
-                updated_at: new Date().toISOString()
-              })
-            );
-            
-            await Promise.all(linkPromises);
-            
-            // Update total count
-            totalSettledEntries += unsettledEntries.length;
-          }
-        }
+    const { run, parties, skippedParties, alreadyCompleted } = await runMondayFinal(userId, {
+      runType: RUN_TYPES.MANUAL,
+      idempotencyKey: idempotencyKey ? `${RUN_TYPES.MANUAL}:${idempotencyKey}` : undefined,
+      partyNames,
+      cutoffDate: scope.cutoffDate,
+      entryIds: scope.entryIds,
+      paidAmounts: payments.paidAmounts,
+      paymentAccount: payments.paymentAccount
+    });
 
-      }
+    for (const party of parties) {
+      await invalidateCache(userId, null, party.party_name);
     }
 
+    const settledEntries = parties.reduce((sum, party) => sum + party.entries_settled, 0);
+    const settlementDate = run.cutoff_date ||
+      (run.finished_at ? new Date(run.finished_at) : new Date()).toISOString().split('T')[0];
+
     sendSuccessResponse(res, {
-      updatedCount: partyNames.length,
-      settledEntries: totalSettledEntries,
-      updatedParties: partyNames,
-      settlementDetails: partyNames.map(partyName => ({
-        partyName,
+      runId: run.id,
+      alreadyCompleted,
+      updatedCount: parties.length,
+      settledEntries,
+      updatedParties: parties.map(party => party.party_name),
+      skippedParties,
+      settlementDetails: parties.map(party => ({
+        partyName: party.party_name,
         status: 'Settled',
-        settlementDate: new Date().toISOString().split('T')[0]
+        settlementDate,
+        settlementEntryId: party.settlement_entry_id,
+        settledEntries: party.entries_settled,
+        settlementType: party.settlement_type,
+        settlementAmount: parseFloat(party.settlement_amount || 0),
+        paidAmount: party.paid_amount === null ? null : parseFloat(party.paid_amount),
+        residualAmount: party.residual_amount === null ? null : parseFloat(party.residual_amount),
+        carryForwardEntryId: party.carry_forward_entry_id
       }))
-    }, `Monday Final status updated successfully. ${totalSettledEntries} transactions settled.`);
+    }, `Monday Final status updated successfully. ${settledEntries} transactions settled.`);
   } catch (error) {
-    sendErrorResponse(res, 500, 'Failed to update Monday Final status', error);
+    sendPostingErrorResponse(res, 'Failed to update Monday Final status', error);
   }
 };
 
 /**
- * Delete Monday Final entry and unsettle only its settled transactions
+ * Preview what updateMondayFinal would settle, per party, without writing anything
  */
-const deleteMondayFinalEntry = async (req, res) => {
+const previewUpdateMondayFinal = async (req, res) => {
   try {
     const userId = validateUserId(req.user.id);
-    const { entryId } = req.params;
+    const { partyNames } = req.body;
 
-    // 1. Find the Monday Final entry
-    const mondayFinalEntry = await LedgerEntry.findById(entryId);
-    
-    if (!mondayFinalEntry || mondayFinalEntry.user_id !== userId) {
-      return sendErrorResponse(res, 404, 'Monday Final entry not found');
+    if (!partyNames || !Array.isArray(partyNames) || partyNames.some(partyName => typeof partyName !== 'string')) {
+      return sendErrorResponse(res, 400, 'Party names array is required');
     }
 
-    // 2. Check if it's actually a Monday Final entry
-    if (!mondayFinalEntry.remarks?.includes('Monday Final Settlement')) {
-      return sendErrorResponse(res, 400, 'This is not a Monday Final entry');
+    const scope = parseSettlementScope(req.body);
+    if (scope.error) {
+      return sendErrorResponse(res, 400, scope.error);
     }
 
-    const partyName = mondayFinalEntry.party_name;
-    const settlementDate = mondayFinalEntry.date;
-    const mondayFinalId = mondayFinalEntry.ti; // Transaction ID
+    const payments = parseSettlementPayments(req.body, partyNames);
+    if (payments.error) {
+      return sendErrorResponse(res, 400, payments.error);
+    }
 
-    // 3. Find transactions that were settled by this Monday Final
-    // We need to find entries that were settled on the same date as this Monday Final
-    // but BEFORE this Monday Final was created
-    const allEntries = await LedgerEntry.findByPartyName(userId, partyName);
-    
-    // Get the creation time of this Monday Final entry
-    const mondayFinalCreatedAt = new Date(mondayFinalEntry.created_at).getTime();
-    
-    // Find entries that were settled by THIS specific Monday Final
-    // Using the new settlement_monday_final_id field for precise tracking
-    const entriesToUnsettle = allEntries.filter(entry => {
-      // Only unsettle entries that are marked as old records
-      if (!entry.is_old_record) return false;
-      
-      // Only unsettle entries that were settled by THIS Monday Final
-      if (entry.settlement_monday_final_id !== mondayFinalEntry.id) return false;
-      
-      // IMPORTANT: Don't unsettle other Monday Final entries
-      // Only unsettle regular transactions, not settlement entries
-      if (entry.remarks?.includes('Monday Final Settlement')) {
-        return false;
-      }
-      
-      return true;
-    });
+    const preview = await previewMondayFinal(userId, { partyNames, ...scope, ...payments });
+    const data = {
+      ...preview,
+      parties: preview.parties.map(party => ({
+        ...party,
+        unsettledEntries: party.unsettledEntries.map(withTnsType)
+      }))
+    };
 
-    // 4. Unsettle the transactions (mark them as current again)
-    if (entriesToUnsettle.length > 0) {
-      const unsettlePromises = entriesToUnsettle.map(entry => 
-        LedgerEntry.update(entry.id, {
-          is_old_record: false,
-          settlement_date: null,
-          settlement_monday_final_id: null, // Clear the settlement tracking
-          updated_at: new Date().toISOString()
-        })
-      );
-      
-      await Promise.all(unsettlePromises);
-      
-      // Additional safeguard: Check for any orphaned transactions
-      const allPartyEntries = await LedgerEntry.findByPartyName(userId, partyName);
-      const orphanedEntries = allPartyEntries.filter(entry => 
-        entry.settlement_monday_final_id === mondayFinalEntry.id && 
-        entry.is_old_record === true
-      );
-      
-      if (orphanedEntries.length > 0) {
-        const fixOrphanedPromises = orphanedEntries.map(entry => 
-          LedgerEntry.update(entry.id, {
-            is_old_record: false,
-            settlement_date: null,
-            settlement_monday_final_id: null,
-            updated_at: new Date().toISOString()
-          })
-        );
-        await Promise.all(fixOrphanedPromises);
-      }
-    }
+    sendSuccessResponse(res, data, `Monday Final would settle ${preview.totals.entries} transactions`);
+  } catch (error) {
+    sendPostingErrorResponse(res, 'Failed to preview Monday Final', error);
+  }
+};
 
-    // 5. Delete the Monday Final entry
-    await LedgerEntry.delete(entryId);
+/**
+ * Monday Final settlements of a party, newest first
+ */
+const getPartySettlements = async (req, res) => {
+  try {
+    const userId = validateUserId(req.user.id);
+    const partyName = validatePartyName(req.params.partyName);
 
-    // 6. Recalculate balances for the party
-    await recalculateAllBalancesForParty(userId, partyName);
+    const settlements = await listPartySettlements(userId, partyName);
+    sendSuccessResponse(res, { partyName, settlements }, 'Settlements retrieved successfully');
+  } catch (error) {
+    sendPostingErrorResponse(res, 'Failed to retrieve settlements', error);
+  }
+};
+
+/**
+ * Statement of one Monday Final settlement: the settled entries, opening and
+ * closing position and the settlement row
+ */
+const getSettlementStatementById = async (req, res) => {
+  try {
+    const userId = validateUserId(req.user.id);
+    const statement = await getSettlementStatement(userId, req.params.settlementId);
 
     sendSuccessResponse(res, {
-      deletedEntryId: entryId,
-      unsettledTransactions: entriesToUnsettle.length,
-      partyName,
-      settlementDate
-    }, 'Monday Final entry deleted and transactions unsettled successfully');
+      ...statement,
+      settlement: withTnsType(statement.settlement),
+      entries: statement.entries.map(withTnsType)
+    }, 'Settlement statement retrieved successfully');
+  } catch (error) {
+    sendPostingErrorResponse(res, 'Failed to retrieve settlement statement', error);
+  }
+};
+
+/**
+ * Monday Final run log, newest first (?page=&limit=)
+ */
+const getMondayFinalRuns = async (req, res) => {
+  try {
+    const userId = validateUserId(req.user.id);
+    const result = await listRuns(userId, { page: req.query.page, limit: req.query.limit });
+    sendSuccessResponse(res, result, 'Monday Final runs retrieved successfully');
+  } catch (error) {
+    sendErrorResponse(res, 500, 'Failed to retrieve Monday Final runs', error);
+  }
+};
+
+/**
+ * Delete Monday Final entry and unsettle only its settled transactions
+ */
+const deleteMondayFinalEntry = async (req, res) => {
+  try {
+    const userId = validateUserId(req.user.id);
+    const result = await deleteSettlement(userId, req.params.entryId);
+
+    sendSuccessResponse(res, result, 'Monday Final entry deleted and transactions unsettled successfully');
+  } catch (error) {
+    sendPostingErrorResponse(res, 'Failed to delete Monday Final entry', error);
+  }
+};
+
+/**
+ * Double-entry integrity report: unbalanced vouchers and dates
+ */
+const getLedgerIntegrity = async (req, res) => {
+  try {
+    const userId = validateUserId(req.user.id);
+    const report = await getIntegrityReport(userId);
+
+    const message = report.balanced
+      ? 'All vouchers and dates balance'
+      : `Found ${report.summary.unbalancedVoucherCount} unbalanced vouchers and ${report.summary.unbalancedDateCount} unbalanced dates`;
 
+    sendSuccessResponse(res, report, message);
   } catch (error) {
-    sendErrorResponse(res, 500, 'Failed to delete Monday Final entry', error);
+    sendErrorResponse(res, 500, 'Failed to build ledger integrity report', error);
   }
 };
 
@@ -1268,6 +1307,12 @@ module.exports = {
   recalculateAllBalances,
   unsettleTransactions,
   updateMondayFinal,
+  previewUpdateMondayFinal,
+  getMondayFinalRuns,
+  getPartySettlements,
+  getSettlementStatementById,
   recalculatePartyBalances,
-  deleteMondayFinalEntry
+  deleteMondayFinalEntry,
+  getLedgerIntegrity,
+  reverseEntry
 }; 
\ No newline at end of file
@@ -10,6 +10,7 @@
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const { isOpeningBalanceEntry } = require('../services/ledgerValidation');
 
 // Create optimized Supabase client with connection pooling
 const supabase = createClient(
@@ -91,12 +92,16 @@ const getPartyLedgerUltraOptimized = async (req, res) => {
         debit,
         balance,
         is_old_record,
-        created_at
+        created_at,
+        sequence_no,
+        entry_type
       `)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .eq('party_name', partyName)
       .order('date', { ascending: true })
-      .order('created_at', { ascending: true });
+      .order('sequence_no', { ascending: true })
+      .order('id', { ascending: true });
     
     const queryTime = Date.now() - queryStart;
     console.log(`Database query took: ${queryTime}ms`);
@@ -140,14 +145,19 @@ const getPartyLedgerUltraOptimized = async (req, res) => {
     const oldRecords = [];
     let totalCredit = 0;
     let totalDebit = 0;
+    let openingBalanceAmount = 0;
     let closingBalance = 0;
     
-    // Single pass processing
+    // Single pass processing (opening balances are not activity of the period)
     for (const entry of ledgerData) {
       if (entry.is_old_record) {
         oldRecords.push(entry);
       } else {
         currentEntries.push(entry);
+        if (isOpeningBalanceEntry(entry)) {
+          openingBalanceAmount += parseFloat(entry.credit || 0) - parseFloat(entry.debit || 0);
+          continue;
+        }
         totalCredit += parseFloat(entry.credit || 0);
         totalDebit += parseFloat(entry.debit || 0);
       }
@@ -171,7 +181,8 @@ const getPartyLedgerUltraOptimized = async (req, res) => {
       summary: {
         totalCredit,
         totalDebit,
-        calculatedBalance: totalCredit - totalDebit,
+        openingBalanceAmount,
+        calculatedBalance: openingBalanceAmount + totalCredit - totalDebit,
         totalEntries: currentEntries.length
       }
     };
@@ -250,6 +261,7 @@ const getAllPartiesUltraOptimized = async (req, res) => {
         created_at
       `)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .order('party_name', { ascending: true });
     
     if (error) {
@@ -0,0 +1,106 @@
+/**
+ * Period Close Controller
+ *
+ * Shows, closes and reopens the period the authenticated user's books are
+ * closed up to. Ledger writes dated inside a closed period are refused with
+ * PERIOD_CLOSED.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const {
+  closePeriod,
+  reopenPeriod,
+  getPeriodStatus
+} = require('../services/periodClose.service');
+const { LedgerError } = require('../services/ledgerErrors');
+
+// Error response utility
+const sendErrorResponse = (res, statusCode, message, error = null) => {
+  const response = {
+    success: false,
+    message,
+    timestamp: new Date().toISOString(),
+    path: res.req?.originalUrl || 'unknown'
+  };
+
+  if (error instanceof LedgerError) {
+    response.code = error.code;
+    response.details = error.details;
+  }
+
+  if (process.env.NODE_ENV === 'development' && error) {
+    response.error = error.message;
+    response.stack = error.stack;
+  }
+
+  res.status(statusCode).json(response);
+};
+
+// Success response utility
+const sendSuccessResponse = (res, data, message = 'Operation completed successfully') => {
+  res.json({
+    success: true,
+    message,
+    data,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Ledger errors carry their own status (400 invalid dates, 409 conflicts)
+const sendPeriodCloseErrorResponse = (res, fallbackMessage, error) => {
+  if (error instanceof LedgerError) {
+    return sendErrorResponse(res, error.statusCode, error.message, error);
+  }
+  sendErrorResponse(res, 500, fallbackMessage, error);
+};
+
+/**
+ * Get the current lock date and the close/reopen history
+ */
+const getPeriodCloseStatus = async (req, res) => {
+  try {
+    const data = await getPeriodStatus(req.user.id, { limit: req.query.limit });
+    sendSuccessResponse(res, data, 'Period close status retrieved successfully');
+  } catch (error) {
+    sendPeriodCloseErrorResponse(res, 'Failed to retrieve period close status', error);
+  }
+};
+
+/**
+ * Close the books up to a date
+ * Body: { closeUpto: 'YYYY-MM-DD', reason? }
+ */
+const closeBooks = async (req, res) => {
+  try {
+    const { closeUpto, reason } = req.body || {};
+    const result = await closePeriod(req.user.id, closeUpto, reason);
+    sendSuccessResponse(res, result, `Books closed up to ${result.booksClosedUpto}`);
+  } catch (error) {
+    sendPeriodCloseErrorResponse(res, 'Failed to close books', error);
+  }
+};
+
+/**
+ * Reopen closed books
+ * Body: { reopenTo?: 'YYYY-MM-DD' (omit to reopen everything), reason }
+ */
+const reopenBooks = async (req, res) => {
+  try {
+    const { reopenTo = null, reason } = req.body || {};
+    const result = await reopenPeriod(req.user.id, reopenTo, reason);
+    const message = result.booksClosedUpto
+      ? `Books reopened; now closed up to ${result.booksClosedUpto}`
+      : 'Books reopened';
+    sendSuccessResponse(res, result, message);
+  } catch (error) {
+    sendPeriodCloseErrorResponse(res, 'Failed to reopen books', error);
+  }
+};
+
+module.exports = {
+  getPeriodCloseStatus,
+  closeBooks,
+  reopenBooks
+};
@@ -0,0 +1,151 @@
+/**
+ * Recycle Bin Controller
+ *
+ * Lists, restores and purges parties and ledger entries the authenticated
+ * user has deleted.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const {
+  listRecycleBin,
+  restoreParty,
+  restoreEntry,
+  purgeParty,
+  purgeEntry,
+  purgeExpired
+} = require('../services/recycleBin.service');
+const { LedgerError } = require('../services/ledgerErrors');
+const { invalidateCache } = require('./FinalTrialBalance.controller');
+
+// Error response utility
+const sendErrorResponse = (res, statusCode, message, error = null) => {
+  const response = {
+    success: false,
+    message,
+    timestamp: new Date().toISOString(),
+    path: res.req?.originalUrl || 'unknown'
+  };
+
+  if (error instanceof LedgerError) {
+    response.code = error.code;
+    response.details = error.details;
+  }
+
+  if (process.env.NODE_ENV === 'development' && error) {
+    response.error = error.message;
+    response.stack = error.stack;
+  }
+
+  res.status(statusCode).json(response);
+};
+
+// Success response utility
+const sendSuccessResponse = (res, data, message = 'Operation completed successfully') => {
+  res.json({
+    success: true,
+    message,
+    data,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Ledger errors carry their own status (404 unknown item, 409 conflicts)
+const sendRecycleBinErrorResponse = (res, fallbackMessage, error) => {
+  if (error instanceof LedgerError) {
+    return sendErrorResponse(res, error.statusCode, error.message, error);
+  }
+  sendErrorResponse(res, 500, fallbackMessage, error);
+};
+
+/**
+ * Get deleted parties and vouchers
+ */
+const getRecycleBin = async (req, res) => {
+  try {
+    const data = await listRecycleBin(req.user.id);
+    sendSuccessResponse(res, data, 'Recycle bin retrieved successfully');
+  } catch (error) {
+    sendRecycleBinErrorResponse(res, 'Failed to retrieve recycle bin', error);
+  }
+};
+
+/**
+ * Restore a party with the entries deleted with it
+ */
+const restoreDeletedParty = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await restoreParty(userId, req.params.id);
+
+    await invalidateCache(userId, null, result.party.party_name);
+
+    sendSuccessResponse(res, result, `Party "${result.party.party_name}" restored with ${result.restoredEntries} entries`);
+  } catch (error) {
+    sendRecycleBinErrorResponse(res, 'Failed to restore party', error);
+  }
+};
+
+/**
+ * Restore a deleted entry together with the rest of its voucher
+ */
+const restoreDeletedEntry = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await restoreEntry(userId, req.params.id);
+
+    for (const partyName of Object.keys(result.balances)) {
+      await invalidateCache(userId, null, partyName);
+    }
+
+    sendSuccessResponse(res, result, `${result.restoredEntries.length} entries restored`);
+  } catch (error) {
+    sendRecycleBinErrorResponse(res, 'Failed to restore entry', error);
+  }
+};
+
+/**
+ * Permanently delete a party from the recycle bin
+ */
+const purgeDeletedParty = async (req, res) => {
+  try {
+    const result = await purgeParty(req.user.id, req.params.id);
+    sendSuccessResponse(res, result, `Party "${result.partyName}" permanently deleted`);
+  } catch (error) {
+    sendRecycleBinErrorResponse(res, 'Failed to purge party', error);
+  }
+};
+
+/**
+ * Permanently delete an entry (and the rest of its voucher) from the recycle bin
+ */
+const purgeDeletedEntry = async (req, res) => {
+  try {
+    const result = await purgeEntry(req.user.id, req.params.id);
+    sendSuccessResponse(res, result, `${result.purgedEntries} entries permanently deleted`);
+  } catch (error) {
+    sendRecycleBinErrorResponse(res, 'Failed to purge entry', error);
+  }
+};
+
+/**
+ * Permanently delete everything older than the retention period
+ */
+const purgeExpiredItems = async (req, res) => {
+  try {
+    const result = await purgeExpired(req.user.id);
+    sendSuccessResponse(res, result, `Purged ${result.purgedParties} parties and ${result.purgedEntries} entries older than ${result.retentionDays} days`);
+  } catch (error) {
+    sendRecycleBinErrorResponse(res, 'Failed to purge recycle bin', error);
+  }
+};
+
+module.exports = {
+  getRecycleBin,
+  restoreDeletedParty,
+  restoreDeletedEntry,
+  purgeDeletedParty,
+  purgeDeletedEntry,
+  purgeExpiredItems
+};
@@ -1,5 +1,6 @@
 const UserSettings = require('../models/supabase/UserSettings');
 const Party = require('../models/supabase/Party');
+const { validateScheduleSettings } = require('../services/mondayFinal.service');
 
 // Get user settings
 const getUserSettings = async (req, res) => {
@@ -41,6 +42,13 @@ const createUserSettings = async (req, res) => {
     const userId = req.user.id;
     const settingsData = { ...req.body, user_id: userId };
 
+    if (settingsData.books_closed_upto !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'books_closed_upto can only be changed through /api/period-close'
+      });
+    }
+
     // Check if settings already exist
     const existingSettings = await UserSettings.findByUserId(userId);
     if (existingSettings) {
@@ -80,6 +88,38 @@ const updateUserSettings = async (req, res) => {
       });
     }
 
+    if (updateData.allow_hard_delete !== undefined && typeof updateData.allow_hard_delete !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'allow_hard_delete must be true or false'
+      });
+    }
+
+    if (updateData.recycle_bin_retention_days !== undefined &&
+        !(Number.isInteger(updateData.recycle_bin_retention_days) &&
+          updateData.recycle_bin_retention_days >= 1 &&
+          updateData.recycle_bin_retention_days <= 3650)) {
+      return res.status(400).json({
+        success: false,
+        message: 'recycle_bin_retention_days must be a whole number of days between 1 and 3650'
+      });
+    }
+
+    if (updateData.books_closed_upto !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'books_closed_upto can only be changed through /api/period-close'
+      });
+    }
+
+    const scheduleError = validateScheduleSettings(updateData);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
     let settings = await UserSettings.findByUserId(requestedUserId);
     const oldCompanyName = settings?.company_account;
     
@@ -0,0 +1,56 @@
+/**
+ * Request Context Middleware
+ *
+ * Gives every request an ID and keeps it, the endpoint and the authenticated
+ * user available to code deeper in the call stack (models, services) through
+ * AsyncLocalStorage, without threading them through every function call.
+ *
+ * Features:
+ * - Request ID from the X-Request-Id header or a generated UUID
+ * - Request ID echoed back in the X-Request-Id response header
+ * - Actor resolved lazily, so it is set once authenticateToken has run
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Accept caller supplied IDs only when they look like an ID, not arbitrary text
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const requestContext = (req, res, next) => {
+  const incomingId = req.headers['x-request-id'];
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : randomUUID();
+
+  req.requestId = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  storage.run({ requestId, req }, next);
+};
+
+/**
+ * Context of the current request (empty values outside a request, e.g. scripts)
+ * @returns {Object} { requestId, endpoint, actorId }
+ */
+const getRequestContext = () => {
+  const store = storage.getStore();
+  if (!store) {
+    return { requestId: null, endpoint: null, actorId: null };
+  }
+
+  const { req } = store;
+  return {
+    requestId: store.requestId,
+    endpoint: `${req.method} ${(req.originalUrl || req.url).split('?')[0]}`,
+    actorId: req.user?.id || null
+  };
+};
+
+module.exports = {
+  requestContext,
+  getRequestContext
+};
@@ -0,0 +1,77 @@
+const { supabase } = require('../../config/supabase');
+
+// Keeps .in() filters well below PostgREST URL length limits
+const ENTITY_ID_CHUNK_SIZE = 200;
+
+class AuditLog {
+  /**
+   * Append audit rows (the table is append-only)
+   */
+  static async createMany(rows) {
+    const { data, error } = await supabase
+      .from('audit_log')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Paginated audit rows of a user's data, newest first
+   * @param {Object} filters - { userId, entityType, entityId, from, to, page, limit }
+   * @returns {Object} { data, total }
+   */
+  static async findAll({ userId, entityType, entityId, from, to, page = 1, limit = 50 }) {
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (entityType) {
+      query = query.eq('entity_type', entityType);
+    }
+    if (entityId) {
+      query = query.eq('entity_id', String(entityId));
+    }
+    if (from) {
+      query = query.gte('created_at', from);
+    }
+    if (to) {
+      query = query.lte('created_at', to);
+    }
+
+    const offset = (page - 1) * limit;
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { data: data || [], total: count || 0 };
+  }
+
+  /**
+   * All audit rows of the given entities, oldest first
+   */
+  static async findByEntityIds(userId, entityType, entityIds) {
+    const rows = [];
+    for (let i = 0; i < entityIds.length; i += ENTITY_ID_CHUNK_SIZE) {
+      const chunk = entityIds.slice(i, i + ENTITY_ID_CHUNK_SIZE).map(String);
+      const { data, error } = await supabase
+        .from('audit_log')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('entity_type', entityType)
+        .in('entity_id', chunk)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      rows.push(...(data || []));
+    }
+    return rows;
+  }
+}
+
+module.exports = AuditLog;
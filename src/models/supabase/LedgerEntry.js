@@ -1,4 +1,5 @@
 const { supabase } = require('../../config/supabase');
+const { recordAudit, ENTITY_TYPES, ACTIONS } = require('../../services/audit.service');
 
 class LedgerEntry {
   static async create(entryData) {
@@ -10,6 +11,7 @@ class LedgerEntry {
         .single();
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.LEDGER_ENTRY, action: ACTIONS.CREATE, after: data });
       return data;
     } catch (error) {
       throw error;
@@ -21,11 +23,13 @@ class LedgerEntry {
       // Optimized query with specific columns only
       let query = supabase
         .from('ledger_entries')
-        .select('id, date, remarks, tns_type, credit, debit, balance, party_name, is_old_record, created_at, ti')
+        .select('id, date, remarks, tns_type, credit, debit, balance, party_name, is_old_record, created_at, ti, voucher_id, sequence_no, is_reversed, reversal_of, entry_type, parent_entry_id, leg_role, commission_opt_out, commission_rule_id, commission_rule_version')
         .eq('user_id', userId)
+        .is('deleted_at', null) // Recycle bin rows are hidden
         .eq('party_name', partyName)
         .order('date', { ascending: true })
-        .order('created_at', { ascending: true }); // Add created_at ordering for proper chronological order
+        .order('sequence_no', { ascending: true }) // Position within the day, see ledgerOrdering
+        .order('id', { ascending: true });
       
       // Only filter by is_old_record if explicitly specified
       if (isOldRecord !== null) {
@@ -47,6 +51,7 @@ class LedgerEntry {
         .from('ledger_entries')
         .select('*')
         .eq('id', id)
+        .is('deleted_at', null)
         .single();
 
       if (error && error.code !== 'PGRST116') throw error;
@@ -58,6 +63,7 @@ class LedgerEntry {
 
   static async update(id, updateData) {
     try {
+      const before = await LedgerEntry.findById(id);
       const { data, error } = await supabase
         .from('ledger_entries')
         .update(updateData)
@@ -66,6 +72,7 @@ class LedgerEntry {
         .single();
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.LEDGER_ENTRY, action: ACTIONS.UPDATE, entityId: id, before, after: data });
       return data;
     } catch (error) {
       throw error;
@@ -74,12 +81,14 @@ class LedgerEntry {
 
   static async delete(id) {
     try {
+      const before = await LedgerEntry.findById(id);
       const { error } = await supabase
         .from('ledger_entries')
         .delete()
         .eq('id', id);
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.LEDGER_ENTRY, action: ACTIONS.DELETE, entityId: id, before });
       return true;
     } catch (error) {
       throw error;
@@ -92,6 +101,7 @@ class LedgerEntry {
         .from('ledger_entries')
         .select('*')
         .eq('user_id', userId)
+        .is('deleted_at', null)
         .order('date', { ascending: false });
 
       if (error) throw error;
@@ -101,13 +111,20 @@ class LedgerEntry {
     }
   }
 
-  static async findBySettlementId(settlementId) {
+  /**
+   * Find the entries settled by a Monday Final settlement row, in ledger order
+   */
+  static async findBySettlementId(userId, settlementId) {
     try {
       const { data, error } = await supabase
         .from('ledger_entries')
         .select('*')
+        .eq('user_id', userId)
         .eq('settlement_monday_final_id', settlementId)
-        .order('date', { ascending: true });
+        .is('deleted_at', null)
+        .order('date', { ascending: true })
+        .order('sequence_no', { ascending: true })
+        .order('id', { ascending: true });
 
       if (error) throw error;
       return data;
@@ -116,6 +133,22 @@ class LedgerEntry {
     }
   }
 
+  /**
+   * Find all legs of a voucher (rows posted together as one journal)
+   */
+  static async findByVoucherId(userId, voucherId) {
+    const { data, error } = await supabase
+      .from('ledger_entries')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('voucher_id', voucherId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
   /**
    * Find all entries for a specific party and user
    */
@@ -126,8 +159,10 @@ class LedgerEntry {
         .select('*')
         .eq('user_id', userId)
         .eq('party_name', partyName)
+        .is('deleted_at', null)
         .order('date', { ascending: true })
-        .order('created_at', { ascending: true });
+        .order('sequence_no', { ascending: true })
+        .order('id', { ascending: true });
 
       if (error) throw error;
       return data || [];
@@ -146,10 +181,12 @@ class LedgerEntry {
         .select('*')
         .eq('user_id', userId)
         .eq('party_name', partyName)
+        .is('deleted_at', null)
         .gte('date', date)
         .gt('created_at', createdAfter)
         .order('date', { ascending: true })
-        .order('created_at', { ascending: true });
+        .order('sequence_no', { ascending: true })
+        .order('id', { ascending: true });
 
       if (error) throw error;
       return data || [];
@@ -160,11 +197,25 @@ class LedgerEntry {
 
   static async updateMultiple(entries) {
     try {
+      const ids = entries.map(entry => entry.id).filter(Boolean);
+      const { data: beforeRows } = ids.length > 0
+        ? await supabase.from('ledger_entries').select('*').in('id', ids)
+        : { data: [] };
       const { data, error } = await supabase
         .from('ledger_entries')
-        .upsert(entries, { onConflict: 'id' });
+        .upsert(entries, { onConflict: 'id' })
+        .select();
 
       if (error) throw error;
+      await recordAudit((data || []).map(after => {
+        const before = (beforeRows || []).find(row => row.id === after.id) || null;
+        return {
+          entityType: ENTITY_TYPES.LEDGER_ENTRY,
+          action: before ? ACTIONS.UPDATE : ACTIONS.CREATE,
+          before,
+          after
+        };
+      }));
       return data;
     } catch (error) {
       throw error;
@@ -1,4 +1,5 @@
 const { supabase } = require('../../config/supabase');
+const { recordAudit, ENTITY_TYPES, ACTIONS } = require('../../services/audit.service');
 
 class Party {
   static async create(partyData) {
@@ -10,6 +11,7 @@ class Party {
         .single();
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.PARTY, action: ACTIONS.CREATE, after: data });
       return data;
     } catch (error) {
       throw error;
@@ -21,7 +23,8 @@ class Party {
       let query = supabase
         .from('parties')
         .select('*')
-        .eq('user_id', userId);
+        .eq('user_id', userId)
+        .is('deleted_at', null); // Recycle bin rows are hidden
 
       if (search) {
         query = query.or(`party_name.ilike.%${search}%,sr_no.ilike.%${search}%`);
@@ -43,6 +46,7 @@ class Party {
         .select('*')
         .eq('user_id', userId)
         .eq('party_name', partyName)
+        .is('deleted_at', null)
         .single();
 
       if (error && error.code !== 'PGRST116') throw error;
@@ -58,6 +62,7 @@ class Party {
         .from('parties')
         .select('*')
         .eq('id', id)
+        .is('deleted_at', null)
         .single();
 
       if (error && error.code !== 'PGRST116') throw error;
@@ -69,6 +74,7 @@ class Party {
 
   static async update(id, updateData) {
     try {
+      const before = await Party.findById(id);
       const { data, error } = await supabase
         .from('parties')
         .update(updateData)
@@ -77,6 +83,7 @@ class Party {
         .single();
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.PARTY, action: ACTIONS.UPDATE, entityId: id, before, after: data });
       return data;
     } catch (error) {
       throw error;
@@ -85,12 +92,14 @@ class Party {
 
   static async delete(id) {
     try {
+      const before = await Party.findById(id);
       const { error } = await supabase
         .from('parties')
         .delete()
         .eq('id', id);
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.PARTY, action: ACTIONS.DELETE, entityId: id, before });
       return true;
     } catch (error) {
       throw error;
@@ -99,12 +108,21 @@ class Party {
 
   static async deleteMultiple(ids) {
     try {
+      const { data: beforeRows } = await supabase
+        .from('parties')
+        .select('*')
+        .in('id', ids);
       const { error } = await supabase
         .from('parties')
         .delete()
         .in('id', ids);
 
       if (error) throw error;
+      await recordAudit((beforeRows || []).map(before => ({
+        entityType: ENTITY_TYPES.PARTY,
+        action: ACTIONS.DELETE,
+        before
+      })));
       return true;
     } catch (error) {
       throw error;
@@ -1,4 +1,5 @@
 const { supabase } = require('../../config/supabase');
+const { recordAudit, ENTITY_TYPES, ACTIONS } = require('../../services/audit.service');
 
 class UserSettings {
   // Find settings by user ID
@@ -24,6 +25,12 @@ class UserSettings {
     }
   }
 
+  // Company account name of a user (the party company legs are posted to)
+  static async getCompanyAccount(userId) {
+    const settings = await this.findByUserId(userId);
+    return settings?.company_account || 'AQC';
+  }
+
   // Create new settings
   static async create(settingsData) {
     try {
@@ -34,6 +41,7 @@ class UserSettings {
         .single();
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.USER_SETTINGS, action: ACTIONS.CREATE, after: data });
       return data;
     } catch (error) {
       throw error;
@@ -43,6 +51,7 @@ class UserSettings {
   // Update existing settings
   static async update(userId, updateData) {
     try {
+      const before = await UserSettings.findByUserId(userId);
       const { data, error } = await supabase
         .from('user_settings')
         .update(updateData)
@@ -51,6 +60,7 @@ class UserSettings {
         .single();
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.USER_SETTINGS, action: ACTIONS.UPDATE, userId, before, after: data });
       return data;
     } catch (error) {
       throw error;
@@ -60,6 +70,7 @@ class UserSettings {
   // Upsert settings (create if not exists, update if exists)
   static async upsert(userId, settingsData) {
     try {
+      const before = await UserSettings.findByUserId(userId);
       const { data, error } = await supabase
         .from('user_settings')
         .upsert([{ user_id: userId, ...settingsData }], {
@@ -69,6 +80,13 @@ class UserSettings {
         .single();
 
       if (error) throw error;
+      await recordAudit({
+        entityType: ENTITY_TYPES.USER_SETTINGS,
+        action: before ? ACTIONS.UPDATE : ACTIONS.CREATE,
+        userId,
+        before,
+        after: data
+      });
       return data;
     } catch (error) {
       throw error;
@@ -78,12 +96,14 @@ class UserSettings {
   // Delete settings
   static async delete(userId) {
     try {
+      const before = await UserSettings.findByUserId(userId);
       const { error } = await supabase
         .from('user_settings')
         .delete()
         .eq('user_id', userId);
 
       if (error) throw error;
+      await recordAudit({ entityType: ENTITY_TYPES.USER_SETTINGS, action: ACTIONS.DELETE, userId, before });
       return true;
     } catch (error) {
       throw error;
@@ -0,0 +1,25 @@
+/**
+ * Audit Routes
+ *
+ * Defines API endpoints for the audit trail of ledger, party and settings
+ * changes in the Account Ledger Software.
+ *
+ * Endpoints:
+ * - GET / - List audit rows (?entity=&entityId=&from=&to=&page=&limit=)
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middlewares/auth');
+const { getAuditLog } = require('../controllers/audit.controller');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get audit log with filters and pagination
+router.get('/', getAuditLog);
+
+module.exports = router;
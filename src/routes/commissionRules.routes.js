@@ -0,0 +1,41 @@
+/**
+ * Commission Rules Routes
+ *
+ * Defines API endpoints for managing the commission rules that price
+ * generated commission legs in the Account Ledger Software.
+ *
+ * Endpoints:
+ * - GET / - Latest version of each rule (?role, ?partyName, ?includeRetired)
+ * - GET /versions/:ruleId - One stored rule version
+ * - GET /:ruleKey - Every version of a rule
+ * - POST / - Create a rule
+ * - PUT /:ruleKey - Change a rule (adds a version)
+ * - DELETE /:ruleKey - Retire a rule
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middlewares/auth');
+const {
+  getCommissionRules,
+  getCommissionRuleVersions,
+  getCommissionRuleVersion,
+  createCommissionRule,
+  updateCommissionRule,
+  retireCommissionRule
+} = require('../controllers/commissionRules.controller');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+router.get('/', getCommissionRules);
+router.get('/versions/:ruleId', getCommissionRuleVersion);
+router.get('/:ruleKey', getCommissionRuleVersions);
+router.post('/', createCommissionRule);
+router.put('/:ruleKey', updateCommissionRule);
+router.delete('/:ruleKey', retireCommissionRule);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * Commission Statement Routes
+ *
+ * Commission statements and payouts of vendors and agents. Mounted under
+ * /api/commission-transactions ahead of the cached transaction routes, so
+ * balances owed are never served stale or from another user's response.
+ *
+ * Endpoints:
+ * - GET /statement - Earned, paid and outstanding per vendor or agent
+ * - GET /statement/:counterpartyName - One vendor or agent with lines and payouts
+ * - GET /payouts - List commission payouts
+ * - POST /payouts - Pay out commission owed
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middlewares/auth');
+const {
+  getCommissionStatement,
+  getCounterpartyCommissionStatement,
+  getCommissionPayouts,
+  createCommissionPayout
+} = require('../controllers/commissionTransaction.controller');
+
+// Authenticated per route: other commission-transaction paths pass through this router
+
+/**
+ * @route GET /api/commission-transactions/statement
+ * @desc Commission earned, paid and outstanding per vendor or agent, with ageing
+ * @access Private
+ */
+router.get('/statement', authenticateToken, getCommissionStatement);
+
+/**
+ * @route GET /api/commission-transactions/statement/:counterpartyName
+ * @desc Commission statement of one vendor or agent with its lines and payouts
+ * @access Private
+ */
+router.get('/statement/:counterpartyName', authenticateToken, getCounterpartyCommissionStatement);
+
+/**
+ * @route GET /api/commission-transactions/payouts
+ * @desc List commission payouts
+ * @access Private
+ */
+router.get('/payouts', authenticateToken, getCommissionPayouts);
+
+/**
+ * @route POST /api/commission-transactions/payouts
+ * @desc Pay out commission owed to a vendor or agent and settle the lines paid
+ * @access Private
+ */
+router.post('/payouts', authenticateToken, createCommissionPayout);
+
+module.exports = router;
@@ -11,10 +11,12 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middlewares/auth');
 const {
+  getCommissionModels,
   createCommissionTransaction,
   getAllCommissionTransactions,
   getCommissionTransaction,
   getCommissionTransactionSummary,
+  updateCommissionTransaction,
   cancelCommissionTransaction
 } = require('../controllers/commissionTransaction.controller');
 
@@ -35,6 +37,13 @@ router.post('/', createCommissionTransaction);
  */
 router.get('/', getAllCommissionTransactions);
 
+/**
+ * @route GET /api/commission-transactions/models
+ * @desc List the commission models a transaction can use
+ * @access Private
+ */
+router.get('/models', getCommissionModels);
+
 /**
  * @route GET /api/commission-transactions/summary
  * @desc Get commission transaction summary and statistics
@@ -49,6 +58,13 @@ router.get('/summary', getCommissionTransactionSummary);
  */
 router.get('/:transactionId', getCommissionTransaction);
 
+/**
+ * @route PUT /api/commission-transactions/:transactionId
+ * @desc Edit a commission transaction and regenerate its ledger legs
+ * @access Private
+ */
+router.put('/:transactionId', updateCommissionTransaction);
+
 /**
  * @route POST /api/commission-transactions/:transactionId/cancel
  * @desc Cancel a commission transaction
@@ -10,7 +10,10 @@
  * - POST / - Create new party
  * - PUT /:id - Update party information
  * - DELETE /:id - Delete party
+ * - GET /:id/opening-balance - Get the party's opening balance
+ * - PUT /:id/opening-balance - Set, change or remove the party's opening balance
  * - GET /next-sr-no - Get next SR number
+ * - GET /over-limit - Parties currently beyond their balance limit
  * 
  * @author Account Ledger Team
  * @version 1.0.0
@@ -23,8 +26,11 @@ const {
   getNextSrNo,
   getAllParties,
   getPartyById,
+  getOverLimitParties,
   createParty,
   updateParty,
+  getOpeningBalance,
+  updateOpeningBalance,
   deleteParty,
   bulkDeleteParties
 } = require('../controllers/newParty.controller');
@@ -35,6 +41,9 @@ router.use(authenticateToken);
 // Get next SR number
 router.get('/next-sr-no', getNextSrNo);
 
+// Parties beyond their balance limit
+router.get('/over-limit', getOverLimitParties);
+
 // Get all parties
 router.get('/', getAllParties);
 
@@ -47,6 +56,10 @@ router.post('/', createParty);
 // Update party
 router.put('/:id', updateParty);
 
+// Opening balance
+router.get('/:id/opening-balance', getOpeningBalance);
+router.put('/:id/opening-balance', updateOpeningBalance);
+
 // Delete party
 router.delete('/:id', deleteParty);
 
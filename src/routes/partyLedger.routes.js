@@ -8,10 +8,20 @@
  * 
  * Endpoints:
  * - GET / - Get all parties for ledger view
+ * - GET /integrity - Double-entry integrity report (unbalanced vouchers/dates)
  * - GET /:partyName - Get ledger entries for specific party
- * - POST /entry - Add new ledger entry
+ *   (?from=&to= period with opening balance, ?asOf= past state, ?includeHistory=true adds audit history per entry,
+ *   ?limit=&cursor= keyset pages with carried balances, ?format=ndjson streams the whole ledger)
+ * - GET /:partyName/settlements - Monday Final settlements of a party (date, entry count, net amount, CR/DR)
+ * - GET /monday-final/:settlementId/statement - Settled entries, opening/closing position and settlement row
+ * - POST /entry - Add new ledger entry (optional insertBefore/insertAfter entry ID)
  * - PUT /entry/:id - Update ledger entry
- * - DELETE /entry/:id - Delete ledger entry
+ * - POST /entry/:id/reverse - Reverse ledger entry with an opposite-signed voucher
+ * - DELETE /entry/:id - Delete ledger entry (?mode=reverse reverses instead)
+ * - POST /update-monday-final - Settle parties now as a manual Monday Final run (Idempotency-Key header,
+ *   optional cutoffDate / entryIds for a partial settlement, paidAmounts / paymentAccount to record payments)
+ * - POST /update-monday-final/preview - What update-monday-final would settle, without writing anything
+ * - GET /monday-final/runs - Monday Final run log, scheduled and manual (?page=&limit=)
  * - DELETE /parties - Delete multiple parties
  * 
  * @author Account Ledger Team
@@ -31,8 +41,14 @@ const {
   recalculateAllBalances,
   unsettleTransactions,
   updateMondayFinal,
+  previewUpdateMondayFinal,
+  getMondayFinalRuns,
+  getPartySettlements,
+  getSettlementStatementById,
   recalculatePartyBalances,
-  deleteMondayFinalEntry
+  deleteMondayFinalEntry,
+  getLedgerIntegrity,
+  reverseEntry
 } = require('../controllers/partyLedger.controller');
 
 // Apply authentication to all routes
@@ -41,9 +57,15 @@ router.use(authenticateToken);
 // Get all parties for ledger (original version)
 router.get('/', getAllParties);
 
+// Double-entry integrity report (must be registered before /:partyName)
+router.get('/integrity', getLedgerIntegrity);
+
 // Get ledger for specific party (original version)
 router.get('/:partyName', getPartyLedger);
 
+// Monday Final settlement history of a party
+router.get('/:partyName/settlements', getPartySettlements);
+
 // Add new ledger entry
 router.post('/entry', addEntry);
 
@@ -53,6 +75,9 @@ router.put('/entry/:id', updateEntry);
 // Delete ledger entry
 router.delete('/entry/:id', deleteEntry);
 
+// Reverse ledger entry
+router.post('/entry/:id/reverse', reverseEntry);
+
 // Recalculate all balances (admin utility)
 router.post('/recalculate-balances', recalculateAllBalances);
 
@@ -62,6 +87,15 @@ router.post('/unsettle-transactions', unsettleTransactions);
 // Update Monday Final status
 router.post('/update-monday-final', updateMondayFinal);
 
+// Preview Monday Final settlement (dry run)
+router.post('/update-monday-final/preview', previewUpdateMondayFinal);
+
+// Monday Final run log
+router.get('/monday-final/runs', getMondayFinalRuns);
+
+// Monday Final settlement statement
+router.get('/monday-final/:settlementId/statement', getSettlementStatementById);
+
 // Delete Monday Final entry and unsettle its transactions
 router.delete('/monday-final/:entryId', deleteMondayFinalEntry);
 
@@ -0,0 +1,32 @@
+/**
+ * Period Close Routes
+ *
+ * Defines API endpoints for closing and reopening a user's books in the
+ * Account Ledger Software.
+ *
+ * Endpoints:
+ * - GET / - Current lock date and the latest closes and reopens
+ * - POST /close - Close the books up to a date
+ * - POST /reopen - Reopen closed books (reason required)
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middlewares/auth');
+const {
+  getPeriodCloseStatus,
+  closeBooks,
+  reopenBooks
+} = require('../controllers/periodClose.controller');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+router.get('/', getPeriodCloseStatus);
+router.post('/close', closeBooks);
+router.post('/reopen', reopenBooks);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Recycle Bin Routes
+ *
+ * Defines API endpoints for deleted parties and ledger entries in the
+ * Account Ledger Software.
+ *
+ * Endpoints:
+ * - GET / - List deleted parties and vouchers with their purge dates
+ * - POST /parties/:id/restore - Restore a party and the entries deleted with it
+ * - POST /entries/:id/restore - Restore an entry and the rest of its voucher
+ * - DELETE /parties/:id - Permanently delete a party from the recycle bin
+ * - DELETE /entries/:id - Permanently delete an entry's voucher from the recycle bin
+ * - POST /purge - Permanently delete everything older than the retention period
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middlewares/auth');
+const {
+  getRecycleBin,
+  restoreDeletedParty,
+  restoreDeletedEntry,
+  purgeDeletedParty,
+  purgeDeletedEntry,
+  purgeExpiredItems
+} = require('../controllers/recycleBin.controller');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// List recycle bin
+router.get('/', getRecycleBin);
+
+// Restore items
+router.post('/parties/:id/restore', restoreDeletedParty);
+router.post('/entries/:id/restore', restoreDeletedEntry);
+
+// Purge expired items
+router.post('/purge', purgeExpiredItems);
+
+// Permanently delete items
+router.delete('/parties/:id', purgeDeletedParty);
+router.delete('/entries/:id', purgeDeletedEntry);
+
+module.exports = router;
@@ -0,0 +1,164 @@
+/**
+ * Audit Service
+ *
+ * Records an append-only audit_log row for every ledger entry, party,
+ * settings, commission rule and commission transaction write: owner, actor,
+ * request ID, endpoint, action and the row's before/after images. Actor,
+ * request ID and endpoint come from the request context middleware, so
+ * callers only describe the change itself.
+ *
+ * Derived columns maintained by the posting service (running balances and
+ * sequence renumbering) are not audited - they can always be recomputed from
+ * the audited rows.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const AuditLog = require('../models/supabase/AuditLog');
+const { getRequestContext } = require('../middlewares/requestContext');
+
+const ENTITY_TYPES = {
+  LEDGER_ENTRY: 'ledger_entry',
+  PARTY: 'party',
+  USER_SETTINGS: 'user_settings',
+  USER: 'user',
+  COMMISSION_RULE: 'commission_rule',
+  COMMISSION_TRANSACTION: 'commission_transaction',
+  COMMISSION_PAYOUT: 'commission_payout'
+};
+
+const ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete', // Moved to the recycle bin
+  RESTORE: 'restore',
+  PURGE: 'purge', // Permanently removed
+  CLOSE: 'close', // Books closed up to a date (user settings)
+  REOPEN: 'reopen'
+};
+
+const AUDIT_COLUMNS = [
+  'user_id',
+  'actor_id',
+  'request_id',
+  'endpoint',
+  'entity_type',
+  'entity_id',
+  'action',
+  'before_data',
+  'after_data'
+];
+
+/**
+ * Turn a change description into an audit_log row
+ * @param {Object} event - { entityType, action, entityId, userId, before, after }
+ */
+const buildAuditRow = ({ entityType, action, entityId = null, userId = null, before = null, after = null }) => {
+  const context = getRequestContext();
+  const id = entityId ?? after?.id ?? before?.id ?? null;
+
+  return {
+    user_id: userId || after?.user_id || before?.user_id || context.actorId,
+    actor_id: context.actorId,
+    request_id: context.requestId,
+    endpoint: context.endpoint,
+    entity_type: entityType,
+    entity_id: id === null ? null : String(id),
+    action,
+    before_data: before,
+    after_data: after
+  };
+};
+
+/**
+ * Record audit rows for writes made through the Supabase models.
+ * The write has already happened, so a failing audit insert is logged
+ * rather than turned into a failed request.
+ * @param {Object|Array<Object>} events - Change descriptions (see buildAuditRow)
+ */
+const recordAudit = async (events) => {
+  const rows = [].concat(events).filter(Boolean).map(buildAuditRow);
+  if (rows.length === 0) {
+    return;
+  }
+
+  try {
+    await AuditLog.createMany(rows);
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message, rows.map(row => `${row.entity_type}:${row.entity_id}:${row.action}`));
+  }
+};
+
+/**
+ * Record audit rows inside a pg transaction, so they commit or roll back
+ * together with the write they describe
+ * @param {Object} client - pg client with an open transaction
+ * @param {Object|Array<Object>} events - Change descriptions (see buildAuditRow)
+ */
+const recordAuditInTransaction = async (client, events) => {
+  const rows = [].concat(events).filter(Boolean).map(buildAuditRow);
+  if (rows.length === 0) {
+    return;
+  }
+
+  const values = [];
+  const tuples = rows.map((row, rowIndex) => {
+    const placeholders = AUDIT_COLUMNS.map((column, columnIndex) => {
+      const value = row[column];
+      values.push(column.endsWith('_data') && value !== null ? JSON.stringify(value) : value);
+      return `$${rowIndex * AUDIT_COLUMNS.length + columnIndex + 1}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+
+  await client.query(
+    `INSERT INTO audit_log (${AUDIT_COLUMNS.join(', ')}) VALUES ${tuples.join(', ')}`,
+    values
+  );
+};
+
+/**
+ * Shape audit rows for API responses
+ */
+const formatAuditRow = (row) => ({
+  id: row.id,
+  entityType: row.entity_type,
+  entityId: row.entity_id,
+  action: row.action,
+  actorId: row.actor_id,
+  requestId: row.request_id,
+  endpoint: row.endpoint,
+  before: row.before_data,
+  after: row.after_data,
+  createdAt: row.created_at
+});
+
+/**
+ * Audit history of ledger entries, grouped by entry ID
+ * @returns {Object} entryId -> Array of formatted audit rows (oldest first)
+ */
+const getEntryHistories = async (userId, entryIds) => {
+  const histories = {};
+  if (entryIds.length === 0) {
+    return histories;
+  }
+
+  const rows = await AuditLog.findByEntityIds(userId, ENTITY_TYPES.LEDGER_ENTRY, entryIds);
+  for (const row of rows) {
+    if (!histories[row.entity_id]) {
+      histories[row.entity_id] = [];
+    }
+    histories[row.entity_id].push(formatAuditRow(row));
+  }
+  return histories;
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  ACTIONS,
+  recordAudit,
+  recordAuditInTransaction,
+  formatAuditRow,
+  getEntryHistories
+};
@@ -0,0 +1,402 @@
+/**
+ * Commission Models
+ *
+ * Registry of the commission flows a commission transaction can post. Each
+ * model declares the fields it needs, the legs it posts, how it prices the
+ * commission and how it builds those legs:
+ * - waterfall: client pays the company, company pays the vendor net, vendor
+ *   pays back in full and the company pays the vendor an incentive (8 legs)
+ * - receipt:   commission on receipt only - the forward half of the
+ *   waterfall, no payback or incentive (4 legs)
+ * - brokerage: direct brokerage - the client pays the company its
+ *   commission, the deal itself is settled outside the books (2 legs)
+ * - split:     the client's commission is split between two agents, the
+ *   remainder going to the company (up to 4 legs)
+ *
+ * Client commissions are priced with 'client' commission rules, the
+ * waterfall's vendor incentive with 'vendor' rules (see
+ * commissionRules.service). A model is added by registering it here.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { pool } = require('../config/postgres');
+const { roundAmount } = require('./ledgerPosting.service');
+const { RULE_ROLES, priceCommission } = require('./commissionRules.service');
+
+const DEFAULT_MODEL = 'waterfall';
+
+// Rates used when neither the request nor a commission rule sets one
+const DEFAULT_CLIENT_COMMISSION_RATE = 3;
+const DEFAULT_VENDOR_COMMISSION_RATE = 1;
+
+const DEFAULT_AGENT_SHARE_PERCENT = 50;
+
+const NO_COMMISSION = { amount: 0, effectiveRate: 0, ruleId: null, ruleKey: null, ruleVersion: null };
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Split shares in percent: the first agent's defaults to 50, the second
+ * agent's to the rest
+ */
+const splitShares = (agentSharePercent, secondAgentSharePercent) => {
+  const agentShare = isBlank(agentSharePercent) ? DEFAULT_AGENT_SHARE_PERCENT : Number(agentSharePercent);
+  const secondAgentShare = isBlank(secondAgentSharePercent) ? roundAmount(100 - agentShare) : Number(secondAgentSharePercent);
+  return { agentShare, secondAgentShare };
+};
+
+/**
+ * Price one side of a commission transaction: an explicit rate wins, else
+ * the applicable commission rule, else the default rate
+ */
+const priceSide = async (userId, scope, amount, explicitRate, defaultRate) => {
+  if (!isBlank(explicitRate)) {
+    const rate = Number(explicitRate);
+    return { amount: roundAmount((amount * rate) / 100), effectiveRate: rate, ruleId: null, ruleKey: null, ruleVersion: null };
+  }
+  return priceCommission(pool, userId, scope, amount, defaultRate);
+};
+
+const priceClientSide = (userId, input, amount) => priceSide(userId, {
+  role: RULE_ROLES.CLIENT,
+  partyName: input.clientName,
+  counterpartyName: input.vendorName || null,
+  date: input.transactionDate
+}, amount, input.clientCommissionRate, DEFAULT_CLIENT_COMMISSION_RATE);
+
+/**
+ * Terms every model returns; model specific values go in details
+ */
+const buildTerms = (input, originalAmount, {
+  clientPricing,
+  vendorPricing,
+  netAmountToVendor,
+  netProfit,
+  secondAgentName = null,
+  secondAgentCommissionAmount = 0,
+  details = {}
+}) => ({
+  clientName: input.clientName,
+  vendorName: input.vendorName || null,
+  companyAccount: input.companyAccount,
+  transactionDate: input.transactionDate,
+  originalAmount,
+  remarks: input.remarks || '',
+  clientPricing,
+  vendorPricing,
+  clientCommissionAmount: clientPricing.amount,
+  vendorCommissionAmount: vendorPricing.amount,
+  secondAgentName,
+  secondAgentCommissionAmount,
+  netAmountToVendor,
+  netProfit,
+  details
+});
+
+/**
+ * Waterfall pricing: client commission kept by the company, vendor incentive paid out of it
+ */
+const priceWaterfall = async (userId, input, originalAmount) => {
+  const clientPricing = await priceClientSide(userId, input, originalAmount);
+  const vendorPricing = await priceSide(userId, {
+    role: RULE_ROLES.VENDOR,
+    partyName: input.vendorName,
+    counterpartyName: input.clientName,
+    date: input.transactionDate
+  }, originalAmount, input.vendorCommissionRate, DEFAULT_VENDOR_COMMISSION_RATE);
+
+  return buildTerms(input, originalAmount, {
+    clientPricing,
+    vendorPricing,
+    netAmountToVendor: roundAmount(originalAmount - clientPricing.amount),
+    netProfit: roundAmount(clientPricing.amount - vendorPricing.amount)
+  });
+};
+
+const ruleStamp = (pricing) => ({
+  commission_rule_id: pricing.ruleId,
+  commission_rule_version: pricing.ruleVersion
+});
+
+/**
+ * A generated leg of a commission transaction; legs without pricing carry no rule stamp
+ */
+const buildLeg = (userId, transactionId, terms, { partyName, tnsType, amount, remarks, pricing }) => ({
+  user_id: userId,
+  party_name: partyName,
+  date: terms.transactionDate,
+  remarks: `Commission Transaction ${transactionId}: ${remarks}`,
+  tns_type: tnsType,
+  debit: tnsType === 'DR' ? amount : 0,
+  credit: tnsType === 'CR' ? amount : 0,
+  balance: 0,
+  chk: false,
+  ti: transactionId,
+  is_old_record: false,
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+  ...(pricing ? ruleStamp(pricing) : {})
+});
+
+/**
+ * The eight ledger legs of a waterfall, in posting order
+ * @param {Object} terms - From priceTerms
+ * @returns {Array<Object>} Rows for postEntries
+ */
+const buildWaterfallLegs = (userId, transactionId, terms) => {
+  const {
+    clientName,
+    vendorName,
+    companyAccount,
+    originalAmount,
+    clientPricing,
+    vendorPricing,
+    clientCommissionAmount,
+    vendorCommissionAmount,
+    netAmountToVendor
+  } = terms;
+  const leg = (partyName, tnsType, amount, remarks, pricing) =>
+    buildLeg(userId, transactionId, terms, { partyName, tnsType, amount, remarks, pricing });
+
+  return [
+    // PHASE 1: Client → AQC Company (Forward Flow)
+    // Client pays the company; the company receives the gross amount
+    leg(clientName, 'DR', originalAmount,
+      `Payment to ${companyAccount} for ${vendorName} - Amount: ₹${originalAmount}, Commission: ₹${clientCommissionAmount}`, clientPricing),
+    leg(companyAccount, 'CR', originalAmount,
+      `Received from ${clientName} for ${vendorName} - Gross: ₹${originalAmount}, Commission: ₹${clientCommissionAmount}`, clientPricing),
+    // The company pays the vendor net of its commission
+    leg(vendorName, 'CR', netAmountToVendor,
+      `Payment from ${companyAccount} on behalf of ${clientName} - Net Amount: ₹${netAmountToVendor}`, clientPricing),
+    leg(companyAccount, 'DR', netAmountToVendor,
+      `Paid to ${vendorName} on behalf of ${clientName} - Net: ₹${netAmountToVendor}`, clientPricing),
+
+    // PHASE 2: Vendor → AQC Company (Backward Flow)
+    // The vendor pays back the full amount
+    leg(vendorName, 'DR', originalAmount,
+      `Payment back to ${companyAccount} - Full Amount: ₹${originalAmount}`),
+    leg(companyAccount, 'CR', originalAmount,
+      `Received from ${vendorName} - Full Amount: ₹${originalAmount}`),
+    // The company pays the vendor its incentive
+    leg(vendorName, 'CR', vendorCommissionAmount,
+      `Incentive payment to ${vendorName} - Commission: ₹${vendorCommissionAmount}`, vendorPricing),
+    leg(companyAccount, 'DR', vendorCommissionAmount,
+      `Paid incentive to ${vendorName} - Amount: ₹${vendorCommissionAmount}`, vendorPricing)
+  ];
+};
+
+const COMMISSION_MODELS = {
+  waterfall: {
+    key: 'waterfall',
+    name: 'AQC waterfall',
+    description: 'Client pays the company, the company pays the vendor net, the vendor pays back in full and earns an incentive',
+    requiredFields: ['clientName', 'vendorName'],
+    legs: [
+      'Client DR gross amount / company CR gross amount',
+      'Vendor CR net amount / company DR net amount',
+      'Vendor DR gross amount / company CR gross amount',
+      'Vendor CR incentive / company DR incentive'
+    ],
+    flow: {
+      phase1: 'Client → AQC → Vendor (Forward Flow)',
+      phase2: 'Vendor → AQC (Backward Flow)'
+    },
+    price: priceWaterfall,
+    buildLegs: buildWaterfallLegs,
+    fromRecord: (record) => ({ clientName: record.client_name, vendorName: record.vendor_name })
+  },
+
+  receipt: {
+    key: 'receipt',
+    name: 'Commission on receipt',
+    description: 'Client pays the company, which keeps its commission and pays the vendor net; no payback or incentive',
+    requiredFields: ['clientName', 'vendorName'],
+    legs: [
+      'Client DR gross amount / company CR gross amount',
+      'Vendor CR net amount / company DR net amount'
+    ],
+    flow: {
+      phase1: 'Client → Company → Vendor (on receipt)'
+    },
+    price: async (userId, input, originalAmount) => {
+      const clientPricing = await priceClientSide(userId, input, originalAmount);
+      return buildTerms(input, originalAmount, {
+        clientPricing,
+        vendorPricing: NO_COMMISSION,
+        netAmountToVendor: roundAmount(originalAmount - clientPricing.amount),
+        netProfit: clientPricing.amount
+      });
+    },
+    // The forward flow of the waterfall
+    buildLegs: (userId, transactionId, terms) => buildWaterfallLegs(userId, transactionId, terms).slice(0, 4),
+    fromRecord: (record) => ({ clientName: record.client_name, vendorName: record.vendor_name })
+  },
+
+  brokerage: {
+    key: 'brokerage',
+    name: 'Direct brokerage',
+    description: 'Client and vendor settle the deal directly; the client pays the company its brokerage',
+    requiredFields: ['clientName'],
+    requiresCommission: true,
+    legs: ['Client DR brokerage / company CR brokerage'],
+    flow: {
+      phase1: 'Client → Company (brokerage)'
+    },
+    price: async (userId, input, originalAmount) => {
+      const clientPricing = await priceClientSide(userId, input, originalAmount);
+      return buildTerms(input, originalAmount, {
+        clientPricing,
+        vendorPricing: NO_COMMISSION,
+        netAmountToVendor: 0,
+        netProfit: clientPricing.amount
+      });
+    },
+    buildLegs: (userId, transactionId, terms) => {
+      const { clientName, vendorName, companyAccount, originalAmount, clientCommissionAmount, clientPricing } = terms;
+      const deal = vendorName ? ` with ${vendorName}` : '';
+      return [
+        buildLeg(userId, transactionId, terms, {
+          partyName: clientName,
+          tnsType: 'DR',
+          amount: clientCommissionAmount,
+          remarks: `Brokerage to ${companyAccount} on deal${deal} - Amount: ₹${originalAmount}, Commission: ₹${clientCommissionAmount}`,
+          pricing: clientPricing
+        }),
+        buildLeg(userId, transactionId, terms, {
+          partyName: companyAccount,
+          tnsType: 'CR',
+          amount: clientCommissionAmount,
+          remarks: `Brokerage from ${clientName}${deal} - Commission: ₹${clientCommissionAmount}`,
+          pricing: clientPricing
+        })
+      ];
+    },
+    fromRecord: (record) => ({ clientName: record.client_name, vendorName: record.vendor_name })
+  },
+
+  split: {
+    key: 'split',
+    name: 'Split commission',
+    description: 'The client\'s commission is split between two agents (agentSharePercent, 50 by default, and ' +
+      'secondAgentSharePercent, the rest by default); what is left goes to the company',
+    requiredFields: ['clientName', 'agentName', 'secondAgentName'],
+    requiresCommission: true,
+    legs: [
+      'Client DR commission',
+      'Agent CR the agent\'s share',
+      'Second agent CR the second agent\'s share',
+      'Company CR the remainder'
+    ],
+    flow: {
+      phase1: 'Client → Agent + Second agent (+ Company) (split)'
+    },
+    validate: ({ agentName, secondAgentName, agentSharePercent, secondAgentSharePercent }) => {
+      const invalidShare = (value) => {
+        const share = Number(value);
+        return !isBlank(value) && !(Number.isFinite(share) && share >= 0 && share <= 100);
+      };
+      if (invalidShare(agentSharePercent) || invalidShare(secondAgentSharePercent)) {
+        return 'agentSharePercent and secondAgentSharePercent must be between 0 and 100';
+      }
+      if (agentName === secondAgentName) {
+        return 'agentName and secondAgentName must be different parties';
+      }
+      const { agentShare, secondAgentShare } = splitShares(agentSharePercent, secondAgentSharePercent);
+      return agentShare + secondAgentShare > 100 ? 'The agents\' shares cannot add up to more than 100%' : null;
+    },
+    price: async (userId, input, originalAmount) => {
+      const { agentShare: sharePercent, secondAgentShare: secondSharePercent } =
+        splitShares(input.agentSharePercent, input.secondAgentSharePercent);
+      const clientPricing = await priceClientSide(userId, { ...input, vendorName: input.agentName }, originalAmount);
+      const agentShare = roundAmount((clientPricing.amount * sharePercent) / 100);
+      // Capped so rounding both shares up never takes more than the commission
+      const secondAgentShare = Math.min(
+        roundAmount((clientPricing.amount * secondSharePercent) / 100),
+        roundAmount(clientPricing.amount - agentShare)
+      );
+      const vendorPricing = {
+        ...NO_COMMISSION,
+        amount: agentShare,
+        effectiveRate: originalAmount > 0 ? roundAmount((agentShare / originalAmount) * 100) : 0
+      };
+
+      return buildTerms({ ...input, vendorName: input.agentName }, originalAmount, {
+        clientPricing,
+        vendorPricing,
+        netAmountToVendor: 0,
+        netProfit: roundAmount(clientPricing.amount - agentShare - secondAgentShare),
+        secondAgentName: input.secondAgentName,
+        secondAgentCommissionAmount: secondAgentShare,
+        details: { agentSharePercent: sharePercent, secondAgentSharePercent: secondSharePercent }
+      });
+    },
+    buildLegs: (userId, transactionId, terms) => {
+      const { clientName, vendorName: agentName, secondAgentName, companyAccount, originalAmount, clientCommissionAmount, clientPricing } = terms;
+      const { agentSharePercent, secondAgentSharePercent } = terms.details;
+      const shareLeg = (partyName, percent, amount) => buildLeg(userId, transactionId, terms, {
+        partyName,
+        tnsType: 'CR',
+        amount,
+        remarks: `Commission share from ${clientName} (${percent}%) - Amount: ₹${amount}`,
+        pricing: clientPricing
+      });
+
+      const agentShare = terms.vendorCommissionAmount;
+      const secondAgentShare = terms.secondAgentCommissionAmount;
+      const companyShare = roundAmount(clientCommissionAmount - agentShare - secondAgentShare);
+      const legs = [
+        buildLeg(userId, transactionId, terms, {
+          partyName: clientName,
+          tnsType: 'DR',
+          amount: clientCommissionAmount,
+          remarks: `Commission to ${agentName} and ${secondAgentName} - Amount: ₹${originalAmount}, Commission: ₹${clientCommissionAmount}`,
+          pricing: clientPricing
+        })
+      ];
+      if (agentShare > 0) {
+        legs.push(shareLeg(agentName, agentSharePercent, agentShare));
+      }
+      if (secondAgentShare > 0) {
+        legs.push(shareLeg(secondAgentName, secondAgentSharePercent, secondAgentShare));
+      }
+      if (companyShare > 0) {
+        legs.push(shareLeg(companyAccount, roundAmount(100 - agentSharePercent - secondAgentSharePercent), companyShare));
+      }
+      return legs;
+    },
+    fromRecord: (record) => ({
+      clientName: record.client_name,
+      agentName: record.vendor_name,
+      secondAgentName: record.second_agent_name,
+      agentSharePercent: record.details?.agentSharePercent,
+      secondAgentSharePercent: record.details?.secondAgentSharePercent
+    })
+  }
+};
+
+/**
+ * Registered model by key, or null
+ */
+const getCommissionModel = (key) => (Object.prototype.hasOwnProperty.call(COMMISSION_MODELS, key) ? COMMISSION_MODELS[key] : null);
+
+/**
+ * Public description of every model
+ */
+const listCommissionModels = () => Object.values(COMMISSION_MODELS).map(model => ({
+  key: model.key,
+  name: model.name,
+  description: model.description,
+  requiredFields: model.requiredFields,
+  legs: model.legs,
+  isDefault: model.key === DEFAULT_MODEL
+}));
+
+module.exports = {
+  DEFAULT_MODEL,
+  COMMISSION_MODELS,
+  getCommissionModel,
+  listCommissionModels,
+  isBlank
+};
@@ -0,0 +1,416 @@
+/**
+ * Commission Rules Service
+ *
+ * Versioned commission rules and the engine that prices a commission with
+ * them. A rule computes one kind of commission (its role) as:
+ * - percentage: rate% of the amount
+ * - flat:       a fixed rate per transaction
+ * - slab:       the whole amount at the rate% of the slab it falls in
+ * - tiered:     each band of the amount at its own rate% (marginal)
+ * and the result is held between min_amount and max_amount.
+ *
+ * A rule applies from effective_from onwards. Editing a rule inserts a new
+ * version instead of changing the old one, and entries store the version they
+ * were priced with, so any generated commission can be explained later. For a
+ * given date the most specific rule wins (pair, then party, then default),
+ * then the latest effective_from, then the latest version.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { randomUUID } = require('crypto');
+const { pool, parseResult } = require('../config/postgres');
+const { withTransaction, roundAmount } = require('./ledgerPosting.service');
+const { LedgerError } = require('./ledgerErrors');
+const { isValidDateOnly } = require('./ledgerValidation');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+const { getRequestContext } = require('../middlewares/requestContext');
+
+const RULE_ROLES = {
+  CLIENT: 'client',
+  VENDOR: 'vendor',
+  PARTY: 'party'
+};
+
+const RATE_TYPES = {
+  PERCENTAGE: 'percentage',
+  FLAT: 'flat',
+  SLAB: 'slab',
+  TIERED: 'tiered'
+};
+
+const RULE_COLUMNS = [
+  'name', 'role', 'party_name', 'counterparty_name', 'rate_type', 'rate', 'slabs',
+  'min_amount', 'max_amount', 'effective_from'
+];
+
+// Scope fields identify a rule; a new version can change how it prices, not what it applies to
+const SCOPE_COLUMNS = ['role', 'party_name', 'counterparty_name'];
+
+const invalidRule = (message, details) => new LedgerError('INVALID_COMMISSION_RULE', message, { details });
+
+const optionalAmount = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw invalidRule(`${field} must be a number of 0 or more`, { [field]: value });
+  }
+  return amount;
+};
+
+/**
+ * Slabs sorted by upper bound, the last one open-ended
+ * @param {Array<Object>} slabs - [{ upTo: number|null, rate: number }]
+ */
+const normalizeSlabs = (slabs) => {
+  if (!Array.isArray(slabs) || slabs.length === 0) {
+    throw invalidRule('slabs must be a non-empty array of { upTo, rate }', { slabs });
+  }
+
+  const normalized = slabs.map(slab => ({
+    upTo: slab?.upTo === null || slab?.upTo === undefined ? null : Number(slab.upTo),
+    rate: Number(slab?.rate)
+  }));
+  const invalid = normalized.find(slab =>
+    !Number.isFinite(slab.rate) || slab.rate < 0 || (slab.upTo !== null && !(Number.isFinite(slab.upTo) && slab.upTo > 0))
+  );
+  if (invalid) {
+    throw invalidRule('Each slab needs a rate of 0 or more and an upTo above 0 (null for the last slab)', { slabs });
+  }
+
+  const bounded = normalized.filter(slab => slab.upTo !== null).sort((a, b) => a.upTo - b.upTo);
+  const open = normalized.filter(slab => slab.upTo === null);
+  if (open.length !== 1 || new Set(bounded.map(slab => slab.upTo)).size !== bounded.length) {
+    throw invalidRule('Slabs need distinct upTo values and exactly one open-ended slab (upTo null)', { slabs });
+  }
+  return [...bounded, open[0]];
+};
+
+/**
+ * Validated rule columns from a request body (camelCase)
+ * @param {Object} input - Rule fields
+ * @param {Object} [current] - Current version when creating a new one
+ * @returns {Object} snake_case rule columns
+ * @throws {LedgerError} INVALID_COMMISSION_RULE
+ */
+const buildRuleColumns = (input, current = null) => {
+  const pick = (camel, snake) => (input[camel] !== undefined ? input[camel] : current?.[snake]);
+
+  if (current) {
+    const changed = SCOPE_COLUMNS.filter(column => {
+      const camel = column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+      return input[camel] !== undefined && (input[camel] || null) !== current[column];
+    });
+    if (changed.length > 0) {
+      throw invalidRule('A rule\'s role and parties cannot change; create a new rule instead', { fields: changed });
+    }
+  }
+
+  const name = typeof pick('name', 'name') === 'string' ? pick('name', 'name').trim() : '';
+  if (!name || name.length > 100) {
+    throw invalidRule('name is required (at most 100 characters)');
+  }
+
+  const role = pick('role', 'role');
+  if (!Object.values(RULE_ROLES).includes(role)) {
+    throw invalidRule(`role must be one of: ${Object.values(RULE_ROLES).join(', ')}`, { role });
+  }
+
+  const partyName = pick('partyName', 'party_name') || null;
+  const counterpartyName = pick('counterpartyName', 'counterparty_name') || null;
+  if (counterpartyName && !partyName) {
+    throw invalidRule('counterpartyName needs a partyName (pair rules apply to a party and its counterparty)');
+  }
+
+  const rateType = pick('rateType', 'rate_type');
+  if (!Object.values(RATE_TYPES).includes(rateType)) {
+    throw invalidRule(`rateType must be one of: ${Object.values(RATE_TYPES).join(', ')}`, { rateType });
+  }
+
+  let rate = null;
+  let slabs = null;
+  if (rateType === RATE_TYPES.SLAB || rateType === RATE_TYPES.TIERED) {
+    slabs = normalizeSlabs(pick('slabs', 'slabs'));
+  } else {
+    rate = optionalAmount(pick('rate', 'rate'), 'rate');
+    if (rate === null) {
+      throw invalidRule(`rate is required for ${rateType} rules`);
+    }
+  }
+
+  const minAmount = optionalAmount(pick('minAmount', 'min_amount'), 'minAmount');
+  const maxAmount = optionalAmount(pick('maxAmount', 'max_amount'), 'maxAmount');
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw invalidRule('minAmount cannot be more than maxAmount', { minAmount, maxAmount });
+  }
+
+  const effectiveFrom = pick('effectiveFrom', 'effective_from') || new Date().toISOString().slice(0, 10);
+  if (!isValidDateOnly(effectiveFrom)) {
+    throw invalidRule('effectiveFrom must be a date in YYYY-MM-DD format', { effectiveFrom });
+  }
+
+  return {
+    name,
+    role,
+    party_name: partyName,
+    counterparty_name: counterpartyName,
+    rate_type: rateType,
+    rate,
+    slabs: slabs === null ? null : JSON.stringify(slabs),
+    min_amount: minAmount,
+    max_amount: maxAmount,
+    effective_from: effectiveFrom
+  };
+};
+
+const insertVersion = async (client, userId, ruleKey, version, columns) => {
+  const { rows: [rule] } = parseResult(await client.query(
+    `INSERT INTO commission_rules (user_id, rule_key, version, created_by, ${RULE_COLUMNS.join(', ')})
+     VALUES ($1, $2, $3, $4, ${RULE_COLUMNS.map((_, index) => `$${index + 5}`).join(', ')})
+     RETURNING *`,
+    [userId, ruleKey, version, getRequestContext().actorId || userId, ...RULE_COLUMNS.map(column => columns[column])]
+  ));
+  return rule;
+};
+
+/**
+ * Latest version of a rule, locked for a new version or retirement
+ * @throws {LedgerError} COMMISSION_RULE_NOT_FOUND
+ */
+const lockCurrentVersion = async (client, userId, ruleKey) => {
+  const { rows: [current] } = parseResult(await client.query(
+    `SELECT * FROM commission_rules
+     WHERE user_id = $1 AND rule_key = $2
+     ORDER BY version DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [userId, ruleKey]
+  ));
+  if (!current || current.retired_at) {
+    throw new LedgerError('COMMISSION_RULE_NOT_FOUND', 'Commission rule not found', {
+      statusCode: 404,
+      details: { ruleKey }
+    });
+  }
+  return current;
+};
+
+/**
+ * Create a rule (version 1)
+ * @throws {LedgerError} INVALID_COMMISSION_RULE
+ */
+const createRule = async (userId, input) => {
+  const columns = buildRuleColumns(input);
+  return withTransaction(async (client) => {
+    const rule = await insertVersion(client, userId, randomUUID(), 1, columns);
+    await recordAuditInTransaction(client, {
+      entityType: ENTITY_TYPES.COMMISSION_RULE,
+      action: ACTIONS.CREATE,
+      userId,
+      after: rule
+    });
+    return rule;
+  });
+};
+
+/**
+ * Change a rule by adding a version; earlier versions keep pricing the
+ * dates before the new version's effective_from
+ * @throws {LedgerError} COMMISSION_RULE_NOT_FOUND / INVALID_COMMISSION_RULE
+ */
+const updateRule = async (userId, ruleKey, input) => {
+  return withTransaction(async (client) => {
+    const current = await lockCurrentVersion(client, userId, ruleKey);
+    const columns = buildRuleColumns(input, current);
+    const rule = await insertVersion(client, userId, ruleKey, current.version + 1, columns);
+    await recordAuditInTransaction(client, {
+      entityType: ENTITY_TYPES.COMMISSION_RULE,
+      action: ACTIONS.UPDATE,
+      userId,
+      before: current,
+      after: rule
+    });
+    return rule;
+  });
+};
+
+/**
+ * Retire a rule: no version of it applies any more, but stored versions
+ * still explain the entries priced with them
+ * @throws {LedgerError} COMMISSION_RULE_NOT_FOUND
+ */
+const retireRule = async (userId, ruleKey) => {
+  return withTransaction(async (client) => {
+    const current = await lockCurrentVersion(client, userId, ruleKey);
+    const { rows: retired } = parseResult(await client.query(
+      `UPDATE commission_rules SET retired_at = NOW()
+       WHERE user_id = $1 AND rule_key = $2
+       RETURNING *`,
+      [userId, ruleKey]
+    ));
+    await recordAuditInTransaction(client, {
+      entityType: ENTITY_TYPES.COMMISSION_RULE,
+      action: ACTIONS.DELETE,
+      userId,
+      before: current,
+      after: retired.find(rule => rule.id === current.id)
+    });
+    return { ruleKey, retiredVersions: retired.length };
+  });
+};
+
+/**
+ * Latest version of every rule
+ * @param {Object} [filters] - { role, partyName, includeRetired }
+ */
+const listRules = async (userId, { role, partyName, includeRetired = false } = {}) => {
+  const { rows } = parseResult(await pool.query(
+    `SELECT DISTINCT ON (rule_key) *
+     FROM commission_rules
+     WHERE user_id = $1
+       AND ($2::text IS NULL OR role = $2)
+       AND ($3::text IS NULL OR party_name = $3 OR counterparty_name = $3)
+       AND ($4 OR retired_at IS NULL)
+     ORDER BY rule_key, version DESC`,
+    [userId, role || null, partyName || null, Boolean(includeRetired)]
+  ));
+  return rows.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Every version of a rule, newest first
+ * @throws {LedgerError} COMMISSION_RULE_NOT_FOUND
+ */
+const getRuleVersions = async (userId, ruleKey) => {
+  const { rows } = parseResult(await pool.query(
+    'SELECT * FROM commission_rules WHERE user_id = $1 AND rule_key = $2 ORDER BY version DESC',
+    [userId, ruleKey]
+  ));
+  if (rows.length === 0) {
+    throw new LedgerError('COMMISSION_RULE_NOT_FOUND', 'Commission rule not found', {
+      statusCode: 404,
+      details: { ruleKey }
+    });
+  }
+  return rows;
+};
+
+/**
+ * One stored rule version (e.g. the one an entry was priced with)
+ * @throws {LedgerError} COMMISSION_RULE_NOT_FOUND
+ */
+const getRuleVersion = async (userId, ruleId) => {
+  const { rows: [rule] } = parseResult(await pool.query(
+    'SELECT * FROM commission_rules WHERE user_id = $1 AND id = $2',
+    [userId, ruleId]
+  ));
+  if (!rule) {
+    throw new LedgerError('COMMISSION_RULE_NOT_FOUND', 'Commission rule version not found', {
+      statusCode: 404,
+      details: { ruleId }
+    });
+  }
+  return rule;
+};
+
+/**
+ * Rule version that prices a commission, or null when no rule applies
+ * @param {Object} db - pg client or pool
+ * @param {Object} scope - { role, partyName, counterpartyName, date }
+ */
+const findApplicableRule = async (db, userId, { role, partyName, counterpartyName = null, date }) => {
+  const { rows: [rule] } = parseResult(await db.query(
+    `SELECT * FROM commission_rules
+     WHERE user_id = $1 AND role = $2 AND retired_at IS NULL
+       AND effective_from <= $5::date
+       AND (party_name IS NULL OR party_name = $3)
+       AND (counterparty_name IS NULL OR counterparty_name = $4)
+     ORDER BY (counterparty_name IS NOT NULL) DESC, (party_name IS NOT NULL) DESC,
+       effective_from DESC, version DESC
+     LIMIT 1`,
+    [userId, role, partyName, counterpartyName, date]
+  ));
+  return rule || null;
+};
+
+const parseSlabs = (slabs) => (typeof slabs === 'string' ? JSON.parse(slabs) : slabs || []);
+
+/**
+ * Commission a rule charges on an amount
+ * @param {Object} rule - commission_rules row
+ * @returns {Object} { amount, effectiveRate, ruleId, ruleKey, ruleVersion }
+ */
+const calculateCommission = (rule, amount) => {
+  let commission = 0;
+  const slabs = parseSlabs(rule.slabs);
+
+  if (rule.rate_type === RATE_TYPES.PERCENTAGE) {
+    commission = (amount * parseFloat(rule.rate)) / 100;
+  } else if (rule.rate_type === RATE_TYPES.FLAT) {
+    commission = amount > 0 ? parseFloat(rule.rate) : 0;
+  } else if (rule.rate_type === RATE_TYPES.SLAB) {
+    const slab = slabs.find(candidate => candidate.upTo === null || amount <= candidate.upTo);
+    commission = (amount * slab.rate) / 100;
+  } else if (rule.rate_type === RATE_TYPES.TIERED) {
+    let lowerBound = 0;
+    for (const slab of slabs) {
+      const upper = slab.upTo === null ? amount : Math.min(amount, slab.upTo);
+      if (upper > lowerBound) {
+        commission += ((upper - lowerBound) * slab.rate) / 100;
+      }
+      if (slab.upTo === null || amount <= slab.upTo) {
+        break;
+      }
+      lowerBound = slab.upTo;
+    }
+  }
+
+  if (amount > 0 && rule.min_amount !== null && rule.min_amount !== undefined) {
+    commission = Math.max(commission, parseFloat(rule.min_amount));
+  }
+  if (rule.max_amount !== null && rule.max_amount !== undefined) {
+    commission = Math.min(commission, parseFloat(rule.max_amount));
+  }
+
+  const rounded = roundAmount(commission);
+  return {
+    amount: rounded,
+    effectiveRate: amount > 0 ? roundAmount((rounded / amount) * 100) : 0,
+    ruleId: rule.id,
+    ruleKey: rule.rule_key,
+    ruleVersion: rule.version
+  };
+};
+
+/**
+ * Price a commission with the applicable rule, or with a plain percentage
+ * when no rule applies
+ * @param {Object} scope - { role, partyName, counterpartyName, date }
+ * @param {number} fallbackRate - Percentage used without a rule
+ * @returns {Object} { amount, effectiveRate, ruleId, ruleKey, ruleVersion } (rule fields null without a rule)
+ */
+const priceCommission = async (db, userId, scope, amount, fallbackRate) => {
+  const rule = await findApplicableRule(db, userId, scope);
+  if (rule) {
+    return calculateCommission(rule, amount);
+  }
+  const commission = roundAmount((amount * fallbackRate) / 100);
+  return { amount: commission, effectiveRate: fallbackRate, ruleId: null, ruleKey: null, ruleVersion: null };
+};
+
+module.exports = {
+  RULE_ROLES,
+  RATE_TYPES,
+  createRule,
+  updateRule,
+  retireRule,
+  listRules,
+  getRuleVersions,
+  getRuleVersion,
+  findApplicableRule,
+  calculateCommission,
+  priceCommission
+};
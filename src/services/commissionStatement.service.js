@@ -0,0 +1,404 @@
+/**
+ * Commission Statement Service
+ *
+ * Commission payable to vendors and agents, and its payouts. Every active
+ * commission transaction that credits its counterparty a commission (the
+ * waterfall's vendor incentive, the split's agent share) is one commission
+ * line of that counterparty; a split's second agent share is a second line.
+ * A line is outstanding until a payout settles it.
+ *
+ * The statement shows per counterparty and period the outstanding amount
+ * brought forward, the commission earned, the commission paid and the
+ * outstanding amount at the end of the period (opening + earned - paid), with
+ * the ageing of what is outstanding by transaction date.
+ *
+ * A payout pays whole lines: it posts a payment voucher (counterparty DR,
+ * payment account CR) and, in the same transaction, writes the
+ * commission_payouts row and points the lines at it (payout_id, or
+ * second_agent_payout_id for a second agent line). Paid-out transactions can
+ * no longer be edited or cancelled (commissionTransactions.service).
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { pool, parseResult } = require('../config/postgres');
+const { postEntries, roundAmount } = require('./ledgerPosting.service');
+const { LedgerError } = require('./ledgerErrors');
+const { isValidDateOnly } = require('./ledgerValidation');
+const { TRANSACTION_STATUSES, formatTransaction } = require('./commissionTransactions.service');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+
+// Ageing buckets of outstanding commission, in days since the transaction date
+const AGEING_BUCKETS = [
+  { key: 'current', label: '0-30 days', maxDays: 30 },
+  { key: 'days31To60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61To90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: 'Over 90 days', maxDays: null }
+];
+
+const toNumber = (value) => parseFloat(value || 0);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const invalidPayout = (message, details) => new LedgerError('INVALID_COMMISSION_PAYOUT', message, { details });
+
+// One row per counterparty a transaction owes: the vendor or agent, and the
+// split's second agent. Each carries its counterparty, commission and payout.
+const COMMISSION_LINES = `(
+  SELECT record.*, record.vendor_name AS counterparty_name,
+    record.vendor_commission_amount AS commission, record.payout_id AS line_payout_id
+  FROM commission_transactions AS record
+  UNION ALL
+  SELECT record.*, record.second_agent_name, record.second_agent_commission_amount, record.second_agent_payout_id
+  FROM commission_transactions AS record
+  WHERE record.second_agent_name IS NOT NULL
+)`;
+
+// Commission lines: active transactions that owe their counterparty a commission
+const LINE_FILTER = `ct.user_id = $1 AND ct.status = '${TRANSACTION_STATUSES.ACTIVE}'
+  AND ct.counterparty_name IS NOT NULL AND ct.commission > 0`;
+
+/**
+ * Validate a statement period
+ * @returns {Object} { startDate, endDate } with endDate defaulting to today
+ * @throws {LedgerError} INVALID_STATEMENT_PERIOD
+ */
+const resolvePeriod = ({ startDate, endDate }) => {
+  for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value && !isValidDateOnly(value)) {
+      throw new LedgerError('INVALID_STATEMENT_PERIOD', `${name} must be a date in YYYY-MM-DD format`, { details: { [name]: value } });
+    }
+  }
+  const period = { startDate: startDate || null, endDate: endDate || today() };
+  if (period.startDate && period.startDate > period.endDate) {
+    throw new LedgerError('INVALID_STATEMENT_PERIOD', 'startDate must be on or before endDate', { details: period });
+  }
+  return period;
+};
+
+/**
+ * API shape of a commission_payouts row
+ */
+const formatPayout = (row) => ({
+  id: row.id,
+  payoutId: row.payout_id,
+  counterpartyName: row.counterparty_name,
+  paymentAccount: row.payment_account,
+  payoutDate: row.payout_date,
+  amount: toNumber(row.amount),
+  transactionIds: row.transaction_ids || [],
+  voucherId: row.voucher_id,
+  entryIds: row.entry_ids || [],
+  remarks: row.remarks,
+  createdAt: row.created_at
+});
+
+const formatStatementRow = (row) => {
+  const openingOutstanding = toNumber(row.opening_outstanding);
+  const earned = toNumber(row.earned);
+  const paid = toNumber(row.paid);
+  return {
+    counterpartyName: row.counterparty_name,
+    openingOutstanding,
+    earned,
+    paid,
+    outstanding: toNumber(row.outstanding),
+    transactions: parseInt(row.transactions, 10),
+    outstandingTransactions: parseInt(row.outstanding_transactions, 10),
+    oldestOutstandingDate: row.oldest_outstanding_date,
+    ageing: Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, toNumber(row[`ageing_${bucket.key}`])]))
+  };
+};
+
+/**
+ * Per counterparty figures of the commission lines dated up to the end of the period
+ */
+const queryStatementRows = async (userId, { startDate, endDate }, counterpartyName = null) => {
+  const outstanding = '(p.payout_date IS NULL OR p.payout_date > $3::date)';
+  const age = '($3::date - ct.transaction_date)';
+  const ageing = AGEING_BUCKETS.map((bucket, index) => {
+    const minDays = index === 0 ? null : AGEING_BUCKETS[index - 1].maxDays;
+    const conditions = [
+      outstanding,
+      minDays !== null ? `${age} > ${minDays}` : null,
+      bucket.maxDays !== null ? `${age} <= ${bucket.maxDays}` : null
+    ].filter(Boolean);
+    return `COALESCE(SUM(ct.commission) FILTER (WHERE ${conditions.join(' AND ')}), 0) AS ageing_${bucket.key}`;
+  });
+
+  const { rows } = parseResult(await pool.query(
+    `SELECT ct.counterparty_name,
+       COALESCE(SUM(ct.commission) FILTER (
+         WHERE $2::date IS NOT NULL AND ct.transaction_date < $2::date
+           AND (p.payout_date IS NULL OR p.payout_date >= $2::date)
+       ), 0) AS opening_outstanding,
+       COALESCE(SUM(ct.commission) FILTER (
+         WHERE $2::date IS NULL OR ct.transaction_date >= $2::date
+       ), 0) AS earned,
+       COALESCE(SUM(ct.commission) FILTER (
+         WHERE p.payout_date <= $3::date AND ($2::date IS NULL OR p.payout_date >= $2::date)
+       ), 0) AS paid,
+       COALESCE(SUM(ct.commission) FILTER (WHERE ${outstanding}), 0) AS outstanding,
+       COUNT(*) FILTER (WHERE $2::date IS NULL OR ct.transaction_date >= $2::date) AS transactions,
+       COUNT(*) FILTER (WHERE ${outstanding}) AS outstanding_transactions,
+       to_char(MIN(ct.transaction_date) FILTER (WHERE ${outstanding}), 'YYYY-MM-DD') AS oldest_outstanding_date,
+       ${ageing.join(',\n       ')}
+     FROM ${COMMISSION_LINES} AS ct
+     LEFT JOIN commission_payouts AS p ON p.id = ct.line_payout_id
+     WHERE ${LINE_FILTER}
+       AND ct.transaction_date <= $3::date
+       AND ($4::text IS NULL OR ct.counterparty_name = $4)
+     GROUP BY ct.counterparty_name
+     ORDER BY ct.counterparty_name`,
+    [userId, startDate, endDate, counterpartyName]
+  ));
+
+  // Counterparties with nothing in the period and nothing outstanding are left out
+  return rows
+    .map(formatStatementRow)
+    .filter(row => row.openingOutstanding || row.earned || row.paid || row.outstanding);
+};
+
+/**
+ * Commission statement of every vendor and agent
+ * @param {Object} [filters] - { startDate, endDate } (YYYY-MM-DD; endDate defaults to today)
+ * @returns {Object} { period, ageingBuckets, counterparties, totals }
+ * @throws {LedgerError} INVALID_STATEMENT_PERIOD
+ */
+const getCommissionStatement = async (userId, filters = {}) => {
+  const period = resolvePeriod(filters);
+  const counterparties = await queryStatementRows(userId, period);
+
+  const sum = (pick) => roundAmount(counterparties.reduce((total, row) => total + pick(row), 0));
+  return {
+    period,
+    ageingBuckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    counterparties,
+    totals: {
+      counterparties: counterparties.length,
+      openingOutstanding: sum(row => row.openingOutstanding),
+      earned: sum(row => row.earned),
+      paid: sum(row => row.paid),
+      outstanding: sum(row => row.outstanding),
+      ageing: Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, sum(row => row.ageing[bucket.key])]))
+    }
+  };
+};
+
+/**
+ * Commission statement of one counterparty with its lines and payouts: lines
+ * earned in the period or still outstanding at its end, payouts made in it
+ * @returns {Object} { period, ageingBuckets, statement, lines, payouts }
+ * @throws {LedgerError} INVALID_STATEMENT_PERIOD
+ */
+const getCounterpartyStatement = async (userId, counterpartyName, filters = {}) => {
+  const period = resolvePeriod(filters);
+  const [statement] = await queryStatementRows(userId, period, counterpartyName);
+
+  const { rows: lines } = parseResult(await pool.query(
+    `SELECT ct.*, p.payout_id AS payout_reference, to_char(p.payout_date, 'YYYY-MM-DD') AS paid_on,
+       ($3::date - ct.transaction_date) AS age_days
+     FROM ${COMMISSION_LINES} AS ct
+     LEFT JOIN commission_payouts AS p ON p.id = ct.line_payout_id
+     WHERE ${LINE_FILTER}
+       AND ct.counterparty_name = $4
+       AND ct.transaction_date <= $3::date
+       AND (($2::date IS NULL OR ct.transaction_date >= $2::date) OR p.payout_date IS NULL OR p.payout_date > $3::date)
+     ORDER BY ct.transaction_date ASC, ct.created_at ASC`,
+    [userId, period.startDate, period.endDate, counterpartyName]
+  ));
+
+  const { rows: payouts } = parseResult(await pool.query(
+    `SELECT * FROM commission_payouts
+     WHERE user_id = $1 AND counterparty_name = $4
+       AND payout_date <= $3::date AND ($2::date IS NULL OR payout_date >= $2::date)
+     ORDER BY payout_date ASC, created_at ASC`,
+    [userId, period.startDate, period.endDate, counterpartyName]
+  ));
+
+  return {
+    period,
+    ageingBuckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    statement: statement || formatStatementRow({ counterparty_name: counterpartyName, transactions: 0, outstanding_transactions: 0 }),
+    lines: lines.map(line => {
+      const outstanding = !line.paid_on || line.paid_on > period.endDate;
+      return {
+        ...formatTransaction(line),
+        commission: toNumber(line.commission),
+        lineStatus: outstanding ? 'outstanding' : 'paid',
+        paidOn: outstanding ? null : line.paid_on,
+        payoutReference: outstanding ? null : line.payout_reference,
+        ageDays: outstanding ? line.age_days : null
+      };
+    }),
+    payouts: payouts.map(formatPayout)
+  };
+};
+
+/**
+ * Payouts, newest first
+ * @param {Object} [filters] - { counterpartyName }
+ */
+const listCommissionPayouts = async (userId, { counterpartyName } = {}) => {
+  const { rows } = parseResult(await pool.query(
+    `SELECT * FROM commission_payouts
+     WHERE user_id = $1 AND ($2::text IS NULL OR counterparty_name = $2)
+     ORDER BY payout_date DESC, created_at DESC`,
+    [userId, counterpartyName || null]
+  ));
+  return rows.map(formatPayout);
+};
+
+/**
+ * Outstanding lines of a counterparty dated on or before the payout date
+ * @param {Object} db - pool, or a pg client inside the payout's transaction
+ */
+const findOutstandingLines = async (db, userId, counterpartyName, payoutDate, { transactionIds = null } = {}) => {
+  const { rows } = parseResult(await db.query(
+    `SELECT ct.* FROM ${COMMISSION_LINES} AS ct
+     WHERE ${LINE_FILTER}
+       AND ct.counterparty_name = $2 AND ct.line_payout_id IS NULL AND ct.transaction_date <= $3::date
+       AND ($4::text[] IS NULL OR ct.transaction_id = ANY($4::text[]))
+     ORDER BY ct.transaction_date ASC, ct.created_at ASC`,
+    [userId, counterpartyName, payoutDate, transactionIds]
+  ));
+  return rows;
+};
+
+/**
+ * Pay out commission owed to a vendor or agent: post the payment voucher and
+ * settle the lines it pays
+ * @param {Object} payout - { counterpartyName, paymentAccount, payoutId, payoutDate?, transactionIds?, amount?, remarks? }
+ *   Without transactionIds every line outstanding on the payout date is paid;
+ *   amount, when given, must equal the lines' total.
+ * @returns {Object} { payout, transactions, entries, limitWarnings }
+ * @throws {LedgerError} INVALID_COMMISSION_PAYOUT / COMMISSION_PAYOUT_CONFLICT / PERIOD_CLOSED / BALANCE_LIMIT_EXCEEDED
+ */
+const payOutCommission = async (userId, payout) => {
+  const { counterpartyName, paymentAccount, payoutId, remarks = '' } = payout;
+  const payoutDate = payout.payoutDate || today();
+  if (!counterpartyName) {
+    throw invalidPayout('counterpartyName is required');
+  }
+  if (!isValidDateOnly(payoutDate)) {
+    throw invalidPayout('payoutDate must be a date in YYYY-MM-DD format', { payoutDate });
+  }
+  if (paymentAccount === counterpartyName) {
+    throw invalidPayout('The payment account cannot be the counterparty', { paymentAccount });
+  }
+  const transactionIds = payout.transactionIds === undefined || payout.transactionIds === null
+    ? null
+    : [...new Set([].concat(payout.transactionIds).map(String))];
+  if (transactionIds && transactionIds.length === 0) {
+    throw invalidPayout('transactionIds must name at least one transaction');
+  }
+
+  const lines = await findOutstandingLines(pool, userId, counterpartyName, payoutDate, { transactionIds });
+  if (transactionIds) {
+    const payable = new Set(lines.map(line => line.transaction_id));
+    const notPayable = transactionIds.filter(id => !payable.has(id));
+    if (notPayable.length > 0) {
+      throw invalidPayout(`These transactions have no outstanding commission for ${counterpartyName} on ${payoutDate}`, { transactionIds: notPayable });
+    }
+  }
+  if (lines.length === 0) {
+    throw invalidPayout(`No commission is outstanding for ${counterpartyName} on ${payoutDate}`, { counterpartyName, payoutDate });
+  }
+
+  const amount = roundAmount(lines.reduce((sum, line) => sum + toNumber(line.commission), 0));
+  if (payout.amount !== undefined && payout.amount !== null && payout.amount !== '' && roundAmount(Number(payout.amount)) !== amount) {
+    throw invalidPayout(`A payout settles whole commission lines; the selected lines total ₹${amount}`, {
+      amount: Number(payout.amount),
+      linesTotal: amount
+    });
+  }
+
+  const paidIds = lines.map(line => line.transaction_id);
+  const leg = (partyName, tnsType, legRemarks) => ({
+    user_id: userId,
+    party_name: partyName,
+    date: payoutDate,
+    remarks: `Commission Payout ${payoutId}: ${legRemarks}${remarks ? ` - ${remarks}` : ''}`,
+    tns_type: tnsType,
+    debit: tnsType === 'DR' ? amount : 0,
+    credit: tnsType === 'CR' ? amount : 0,
+    balance: 0,
+    chk: false,
+    ti: payoutId,
+    is_old_record: false,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
+  const legs = [
+    leg(counterpartyName, 'DR', `Commission paid to ${counterpartyName} for ${paidIds.length} transaction(s) - Amount: ₹${amount}`),
+    leg(paymentAccount, 'CR', `Commission paid to ${counterpartyName} - Amount: ₹${amount}`)
+  ];
+
+  let recorded;
+  const { entries, limitWarnings } = await postEntries(userId, legs, {
+    enforceLimits: true,
+    onPosted: async (client, posted) => {
+      // Lock the records first: the lines are a union, which cannot be locked itself
+      const { rows: records } = parseResult(await client.query(
+        `SELECT * FROM commission_transactions
+         WHERE user_id = $1 AND transaction_id = ANY($2::text[])
+         FOR UPDATE`,
+        [userId, paidIds]
+      ));
+      const locked = await findOutstandingLines(client, userId, counterpartyName, payoutDate, { transactionIds: paidIds });
+      const lockedAmount = roundAmount(locked.reduce((sum, line) => sum + toNumber(line.commission), 0));
+      if (locked.length !== paidIds.length || lockedAmount !== amount) {
+        throw new LedgerError('COMMISSION_PAYOUT_CONFLICT', 'Some of these commission lines were paid, edited or cancelled meanwhile; reload the statement and try again', {
+          statusCode: 409,
+          details: { transactionIds: paidIds.filter(id => !locked.some(line => line.transaction_id === id)) }
+        });
+      }
+
+      const { rows: [row] } = parseResult(await client.query(
+        `INSERT INTO commission_payouts
+           (user_id, payout_id, counterparty_name, payment_account, payout_date, amount, transaction_ids, voucher_id, entry_ids, remarks)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [userId, payoutId, counterpartyName, paymentAccount, payoutDate, amount, paidIds,
+          posted.voucherId, posted.entries.map(entry => entry.id), remarks]
+      ));
+      const { rows: settled } = parseResult(await client.query(
+        `UPDATE commission_transactions
+         SET payout_id = CASE WHEN vendor_name = $4 AND payout_id IS NULL THEN $3 ELSE payout_id END,
+           second_agent_payout_id = CASE WHEN second_agent_name = $4 AND second_agent_payout_id IS NULL
+             THEN $3 ELSE second_agent_payout_id END,
+           updated_at = NOW()
+         WHERE user_id = $1 AND transaction_id = ANY($2::text[])
+         RETURNING *`,
+        [userId, paidIds, row.id, counterpartyName]
+      ));
+
+      await recordAuditInTransaction(client, [
+        { entityType: ENTITY_TYPES.COMMISSION_PAYOUT, action: ACTIONS.CREATE, after: row },
+        ...settled.map(after => ({
+          entityType: ENTITY_TYPES.COMMISSION_TRANSACTION,
+          action: ACTIONS.UPDATE,
+          before: records.find(record => record.id === after.id),
+          after
+        }))
+      ]);
+      recorded = { row, settled };
+    }
+  });
+
+  return {
+    payout: formatPayout(recorded.row),
+    transactions: recorded.settled.map(formatTransaction),
+    entries,
+    limitWarnings
+  };
+};
+
+module.exports = {
+  AGEING_BUCKETS,
+  getCommissionStatement,
+  getCounterpartyStatement,
+  listCommissionPayouts,
+  payOutCommission
+};
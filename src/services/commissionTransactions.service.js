@@ -0,0 +1,515 @@
+/**
+ * Commission Transactions Service
+ *
+ * Structured records of commission transactions. Each CT transaction gets a
+ * commission_transactions row holding its parties, amounts, rates, the rule
+ * versions it was priced with and the ledger entries it posted. The row is
+ * written in the same transaction as the ledger voucher (postEntries /
+ * reverseVoucher onPosted), so listings and reports never have to parse
+ * entry remarks.
+ *
+ * Also prices transactions and builds their legs with the commission model
+ * each record names (see commissionModels), for both new transactions and
+ * edits. The company legs post to the user's configured company account
+ * (user_settings.company_account), which each record keeps. An edit replaces
+ * all legs of the voucher in one transaction and bumps the record's revision;
+ * the replaced legs are purged and the audit log keeps them and the previous
+ * record. Once a payout has settled a transaction's commission
+ * (commissionStatement.service) it can no longer be edited or cancelled.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { randomUUID } = require('crypto');
+const { pool, parseResult } = require('../config/postgres');
+const {
+  withTransaction,
+  lockParties,
+  insertEntry,
+  purgeReplacedLegs,
+  findEntryById,
+  roundAmount,
+  rewriteBalancesForParties
+} = require('./ledgerPosting.service');
+const { LEDGER_ORDER_SQL } = require('./ledgerOrdering');
+const { assertVoucherBalanced } = require('./ledgerValidation');
+const { LedgerError } = require('./ledgerErrors');
+const { assertPeriodOpen } = require('./ledgerPeriods');
+const { prepareLimitCheck } = require('./ledgerLimits');
+const { COMMISSION_MODELS, getCommissionModel, isBlank } = require('./commissionModels');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+
+const TRANSACTION_STATUSES = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled'
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+const RECORD_COLUMNS = [
+  'transaction_id', 'model', 'details', 'voucher_id', 'client_name', 'vendor_name', 'company_account', 'transaction_date',
+  'original_amount', 'client_commission_rate', 'client_commission_amount', 'vendor_commission_rate',
+  'vendor_commission_amount', 'second_agent_name', 'second_agent_commission_amount', 'net_amount_to_vendor', 'net_profit', 'client_rule_id', 'client_rule_version',
+  'vendor_rule_id', 'vendor_rule_version', 'remarks', 'status', 'entry_ids', 'cancellation_voucher_id',
+  'cancelled_at', 'revision'
+];
+
+const toNumber = (value) => parseFloat(value || 0);
+
+// Paid out once the commission of its vendor/agent or of the split's second agent is
+const isPaidOut = (record) => Boolean(record.payout_id || record.second_agent_payout_id);
+
+const paidOut = (transactionId, action) => new LedgerError(
+  'COMMISSION_TRANSACTION_PAID_OUT',
+  `The commission of this transaction has been paid out; it can no longer be ${action}`,
+  { statusCode: 409, details: { transactionId } }
+);
+
+/**
+ * API shape of a commission_transactions row
+ */
+const formatTransaction = (row) => ({
+  id: row.transaction_id,
+  transactionId: row.transaction_id,
+  model: row.model,
+  details: row.details || {},
+  voucherId: row.voucher_id,
+  clientName: row.client_name,
+  vendorName: row.vendor_name,
+  companyAccount: row.company_account,
+  transactionDate: row.transaction_date,
+  originalAmount: toNumber(row.original_amount),
+  clientCommissionRate: toNumber(row.client_commission_rate),
+  clientCommissionAmount: toNumber(row.client_commission_amount),
+  vendorCommissionRate: toNumber(row.vendor_commission_rate),
+  vendorCommissionAmount: toNumber(row.vendor_commission_amount),
+  secondAgentName: row.second_agent_name || null,
+  secondAgentCommissionAmount: toNumber(row.second_agent_commission_amount),
+  netAmountToVendor: toNumber(row.net_amount_to_vendor),
+  netProfit: toNumber(row.net_profit),
+  clientRule: row.client_rule_id ? { ruleId: row.client_rule_id, version: row.client_rule_version } : null,
+  vendorRule: row.vendor_rule_id ? { ruleId: row.vendor_rule_id, version: row.vendor_rule_version } : null,
+  remarks: row.remarks,
+  status: row.status,
+  entryIds: row.entry_ids || [],
+  cancellationVoucherId: row.cancellation_voucher_id,
+  cancelledAt: row.cancelled_at,
+  revision: row.revision,
+  payoutId: row.payout_id || null,
+  secondAgentPayoutId: row.second_agent_payout_id || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Validate a new or edited transaction for its model
+ * @param {Object} input - Request fields, including model
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTransactionInput = (input) => {
+  const model = getCommissionModel(input.model);
+  if (!model) {
+    return `model must be one of: ${Object.keys(COMMISSION_MODELS).join(', ')}`;
+  }
+  const missing = model.requiredFields.filter(field => isBlank(input[field]));
+  if (missing.length > 0) {
+    return `The ${model.key} model needs ${missing.join(', ')}`;
+  }
+  if (!(Number(input.originalAmount) > 0)) {
+    return 'Original amount must be greater than 0';
+  }
+  const invalidRate = [input.clientCommissionRate, input.vendorCommissionRate].some(rate =>
+    !isBlank(rate) && !(Number.isFinite(Number(rate)) && Number(rate) >= 0)
+  );
+  if (invalidRate) {
+    return 'Commission rates must be numbers of 0 or more';
+  }
+  return model.validate ? model.validate(input) : null;
+};
+
+/**
+ * Commission amounts of a transaction according to its model
+ * @param {Object} input - { model, clientName, vendorName?, companyAccount, originalAmount,
+ *   transactionDate, clientCommissionRate?, vendorCommissionRate?, ...model fields }
+ *   (rates omitted to price with commission rules)
+ * @returns {Object} Terms for buildTransactionLegs / buildRecordColumns
+ * @throws {LedgerError} INVALID_COMMISSION_TRANSACTION when a model that needs a commission prices it at 0
+ */
+const priceTransaction = async (userId, input) => {
+  const model = getCommissionModel(input.model);
+  const terms = await model.price(userId, input, roundAmount(Number(input.originalAmount)));
+  if (model.requiresCommission && !(terms.clientCommissionAmount > 0)) {
+    throw new LedgerError('INVALID_COMMISSION_TRANSACTION', `The ${model.key} model needs a commission above 0`, {
+      details: { model: model.key, clientCommissionAmount: terms.clientCommissionAmount }
+    });
+  }
+  return { ...terms, model: model.key };
+};
+
+/**
+ * Ledger legs a priced transaction posts, in posting order
+ */
+const buildTransactionLegs = (userId, transactionId, terms) =>
+  getCommissionModel(terms.model).buildLegs(userId, transactionId, terms);
+
+/**
+ * commission_transactions columns for a priced transaction
+ */
+const buildRecordColumns = (transactionId, terms) => ({
+  transaction_id: transactionId,
+  model: terms.model,
+  details: JSON.stringify(terms.details || {}),
+  client_name: terms.clientName,
+  vendor_name: terms.vendorName,
+  company_account: terms.companyAccount,
+  transaction_date: terms.transactionDate,
+  original_amount: terms.originalAmount,
+  client_commission_rate: terms.clientPricing.effectiveRate,
+  client_commission_amount: terms.clientCommissionAmount,
+  vendor_commission_rate: terms.vendorPricing.effectiveRate,
+  vendor_commission_amount: terms.vendorCommissionAmount,
+  second_agent_name: terms.secondAgentName,
+  second_agent_commission_amount: terms.secondAgentCommissionAmount,
+  net_amount_to_vendor: terms.netAmountToVendor,
+  net_profit: terms.netProfit,
+  client_rule_id: terms.clientPricing.ruleId,
+  client_rule_version: terms.clientPricing.ruleVersion,
+  vendor_rule_id: terms.vendorPricing.ruleId,
+  vendor_rule_version: terms.vendorPricing.ruleVersion,
+  remarks: terms.remarks
+});
+
+/**
+ * Insert the record of a commission transaction
+ * @param {Object} db - pg client inside the posting's transaction (or pool for backfills)
+ * @param {Object} record - snake_case commission_transactions columns
+ * @param {Object} [options] - { skipExisting } to leave an existing record alone
+ * @returns {Object|null} Inserted row (null when skipped)
+ */
+const insertCommissionTransaction = async (db, userId, record, { skipExisting = false } = {}) => {
+  const columns = RECORD_COLUMNS.filter(column => record[column] !== undefined);
+  const { rows: [row] } = parseResult(await db.query(
+    `INSERT INTO commission_transactions (user_id, ${columns.join(', ')})
+     VALUES ($1, ${columns.map((_, index) => `$${index + 2}`).join(', ')})
+     ${skipExisting ? 'ON CONFLICT (user_id, transaction_id) DO NOTHING' : ''}
+     RETURNING *`,
+    [userId, ...columns.map(column => record[column])]
+  ));
+  if (row) {
+    await recordAuditInTransaction(db, {
+      entityType: ENTITY_TYPES.COMMISSION_TRANSACTION,
+      action: ACTIONS.CREATE,
+      after: row
+    });
+  }
+  return row || null;
+};
+
+/**
+ * Mark a commission transaction cancelled by a reversal voucher
+ * @param {Object} db - pg client inside the reversal's transaction
+ * @throws {LedgerError} COMMISSION_TRANSACTION_PAID_OUT, rolling the reversal back
+ */
+const markCommissionTransactionCancelled = async (db, userId, transactionId, cancellationVoucherId) => {
+  const before = await findCommissionTransaction(db, userId, transactionId, { forUpdate: true });
+  if (!before) {
+    return null;
+  }
+  if (isPaidOut(before)) {
+    throw paidOut(transactionId, 'cancelled');
+  }
+  const { rows: [row] } = parseResult(await db.query(
+    `UPDATE commission_transactions
+     SET status = $3, cancellation_voucher_id = $4, cancelled_at = NOW(), updated_at = NOW()
+     WHERE user_id = $1 AND transaction_id = $2
+     RETURNING *`,
+    [userId, transactionId, TRANSACTION_STATUSES.CANCELLED, cancellationVoucherId]
+  ));
+  await recordAuditInTransaction(db, {
+    entityType: ENTITY_TYPES.COMMISSION_TRANSACTION,
+    action: ACTIONS.UPDATE,
+    before,
+    after: row
+  });
+  return row;
+};
+
+/**
+ * Raw record of a transaction, or null
+ */
+const findCommissionTransaction = async (db, userId, transactionId, { forUpdate = false } = {}) => {
+  const { rows: [row] } = parseResult(await db.query(
+    `SELECT * FROM commission_transactions WHERE user_id = $1 AND transaction_id = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+    [userId, transactionId]
+  ));
+  return row || null;
+};
+
+/**
+ * Page of commission transactions, newest first
+ * @param {Object} [options] - { page, limit, status }
+ * @returns {Object} { transactions, total, page, limit }
+ */
+const listCommissionTransactions = async (userId, { page, limit, status } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const { rows } = parseResult(await pool.query(
+    `SELECT *, COUNT(*) OVER () AS total_count
+     FROM commission_transactions
+     WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY transaction_date DESC, created_at DESC, id DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, status || null, pageSize, (pageNumber - 1) * pageSize]
+  ));
+
+  let total = rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0;
+  if (rows.length === 0 && pageNumber > 1) {
+    const { rows: [count] } = parseResult(await pool.query(
+      'SELECT COUNT(*) AS total FROM commission_transactions WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)',
+      [userId, status || null]
+    ));
+    total = parseInt(count.total, 10);
+  }
+
+  return { transactions: rows.map(formatTransaction), total, page: pageNumber, limit: pageSize };
+};
+
+/**
+ * One commission transaction with its ledger entries (posted legs and any
+ * cancellation legs)
+ * @returns {Object|null}
+ */
+const getCommissionTransactionDetail = async (userId, transactionId) => {
+  const record = await findCommissionTransaction(pool, userId, transactionId);
+  if (!record) {
+    return null;
+  }
+
+  const { rows: entries } = parseResult(await pool.query(
+    `SELECT * FROM ledger_entries
+     WHERE user_id = $1 AND deleted_at IS NULL
+       AND (id = ANY($2::uuid[]) OR ($3::uuid IS NOT NULL AND voucher_id = $3))
+     ORDER BY ${LEDGER_ORDER_SQL}`,
+    [userId, record.entry_ids || [], record.cancellation_voucher_id]
+  ));
+
+  return { ...formatTransaction(record), entries };
+};
+
+/**
+ * Totals, monthly and per-model figures of active commission transactions
+ * @param {Object} [filters] - { startDate, endDate } (inclusive, YYYY-MM-DD) and
+ *   { companyAccount } to count only transactions through that company account
+ * @returns {Object} { totals, monthly, byModel }
+ */
+const summarizeCommissionTransactions = async (userId, { startDate, endDate, companyAccount } = {}) => {
+  const params = [userId, TRANSACTION_STATUSES.ACTIVE, startDate || null, endDate || null, companyAccount || null];
+  const filter = `user_id = $1 AND status = $2
+    AND ($3::date IS NULL OR transaction_date >= $3::date)
+    AND ($4::date IS NULL OR transaction_date <= $4::date)
+    AND ($5::text IS NULL OR company_account = $5)`;
+  const aggregates = `COUNT(*) AS transactions,
+    COALESCE(SUM(original_amount), 0) AS volume,
+    COALESCE(SUM(client_commission_amount), 0) AS commission_collected,
+    COALESCE(SUM(vendor_commission_amount + second_agent_commission_amount), 0) AS commission_paid,
+    COALESCE(SUM(net_profit), 0) AS net_profit,
+    COALESCE(SUM(CASE model
+      WHEN 'waterfall' THEN 2 * original_amount - net_amount_to_vendor - vendor_commission_amount
+      WHEN 'receipt' THEN original_amount - net_amount_to_vendor
+      ELSE net_profit
+    END), 0) AS company_balance`;
+
+  const { rows: [totals] } = parseResult(await pool.query(
+    `SELECT ${aggregates} FROM commission_transactions WHERE ${filter}`,
+    params
+  ));
+  const { rows: monthly } = parseResult(await pool.query(
+    `SELECT to_char(transaction_date, 'YYYY-MM') AS month, ${aggregates}
+     FROM commission_transactions
+     WHERE ${filter}
+     GROUP BY 1
+     ORDER BY 1`,
+    params
+  ));
+  const { rows: byModel } = parseResult(await pool.query(
+    `SELECT model, ${aggregates}
+     FROM commission_transactions
+     WHERE ${filter}
+     GROUP BY 1
+     ORDER BY 1`,
+    params
+  ));
+
+  const formatTotals = (row) => ({
+    transactions: parseInt(row.transactions, 10),
+    volume: toNumber(row.volume),
+    commissionCollected: toNumber(row.commission_collected),
+    commissionPaid: toNumber(row.commission_paid),
+    netProfit: toNumber(row.net_profit),
+    companyBalance: toNumber(row.company_balance)
+  });
+
+  return {
+    totals: formatTotals(totals),
+    monthly: monthly.map(row => ({ month: row.month, ...formatTotals(row) })),
+    byModel: byModel.map(row => ({ model: row.model, ...formatTotals(row) }))
+  };
+};
+
+/**
+ * Pricing input of an edit: the record's terms overlaid with the changes.
+ * Rates that are not given are kept, unless a rule priced them (re-applied).
+ */
+const buildEditInput = (record, changes) => {
+  const keptRate = (explicit, ruleId, storedRate) => {
+    if (!isBlank(explicit)) return explicit;
+    return ruleId ? undefined : storedRate;
+  };
+  const model = getCommissionModel(record.model);
+  return {
+    ...model.fromRecord(record),
+    ...Object.fromEntries(Object.entries(changes).filter(([, value]) => !isBlank(value))),
+    model: model.key,
+    companyAccount: record.company_account,
+    originalAmount: isBlank(changes.originalAmount) ? record.original_amount : changes.originalAmount,
+    transactionDate: changes.transactionDate || record.transaction_date,
+    remarks: changes.remarks !== undefined ? changes.remarks : record.remarks,
+    clientCommissionRate: keptRate(changes.clientCommissionRate, record.client_rule_id, record.client_commission_rate),
+    vendorCommissionRate: keptRate(changes.vendorCommissionRate, record.vendor_rule_id, record.vendor_commission_rate)
+  };
+};
+
+/**
+ * Edit a commission transaction: re-price it with its model and replace all
+ * legs of its voucher in one transaction, rewriting the balances of every
+ * party the old or new legs touch. Rates that are not given are re-priced by
+ * the commission rules when the transaction was priced by a rule, else kept.
+ * The model itself cannot change.
+ * @param {Object} changes - Any of { clientName, vendorName, originalAmount,
+ *   clientCommissionRate, vendorCommissionRate, transactionDate, remarks }
+ *   and the model's own fields (e.g. agentName, agentSharePercent)
+ * @returns {Object} { transaction, previous, entries, deletedEntryIds, balances, limitWarnings }
+ * @throws {LedgerError} COMMISSION_TRANSACTION_NOT_FOUND / INVALID_COMMISSION_TRANSACTION /
+ *   COMMISSION_TRANSACTION_CANCELLED / COMMISSION_TRANSACTION_SETTLED / COMMISSION_TRANSACTION_PAID_OUT /
+ *   PERIOD_CLOSED / BALANCE_LIMIT_EXCEEDED
+ */
+const updateCommissionTransaction = async (userId, transactionId, changes) => {
+  const notFound = () => new LedgerError('COMMISSION_TRANSACTION_NOT_FOUND', 'Commission transaction not found', {
+    statusCode: 404,
+    details: { transactionId }
+  });
+  const cancelled = () => new LedgerError('COMMISSION_TRANSACTION_CANCELLED', 'A cancelled commission transaction cannot be edited', {
+    statusCode: 409,
+    details: { transactionId }
+  });
+
+  return withTransaction(async (client) => {
+    const previous = await findCommissionTransaction(client, userId, transactionId, { forUpdate: true });
+    if (!previous) {
+      throw notFound();
+    }
+    if (previous.status === TRANSACTION_STATUSES.CANCELLED) {
+      throw cancelled();
+    }
+    if (isPaidOut(previous)) {
+      throw paidOut(transactionId, 'edited');
+    }
+
+    // Priced from the locked record, so a concurrent edit is built upon rather than reverted
+    const input = buildEditInput(previous, changes);
+    const invalid = validateTransactionInput(input);
+    if (invalid) {
+      throw new LedgerError('INVALID_COMMISSION_TRANSACTION', invalid, { details: { transactionId } });
+    }
+    const terms = await priceTransaction(userId, input);
+    const voucherId = previous.voucher_id || randomUUID();
+    const legs = buildTransactionLegs(userId, transactionId, terms);
+    assertVoucherBalanced(legs, voucherId);
+
+    const { rows: oldLegs } = parseResult(await client.query(
+      `SELECT * FROM ledger_entries
+       WHERE user_id = $1 AND id = ANY($2::uuid[]) AND deleted_at IS NULL`,
+      [userId, previous.entry_ids || []]
+    ));
+    if (oldLegs.some(leg => leg.is_reversed)) {
+      throw cancelled();
+    }
+    if (oldLegs.some(leg => leg.is_old_record)) {
+      throw new LedgerError('COMMISSION_TRANSACTION_SETTLED', 'Legs of this commission transaction have been settled and can no longer be edited', {
+        statusCode: 409,
+        details: { transactionId }
+      });
+    }
+
+    await assertPeriodOpen(client, userId, [...oldLegs.map(leg => leg.date), terms.transactionDate]);
+    const partyNames = [...oldLegs, ...legs].map(leg => leg.party_name);
+    await lockParties(client, userId, partyNames);
+    const limitCheck = await prepareLimitCheck(client, userId, [...oldLegs, ...legs]);
+
+    // Purged rather than soft-deleted: restoring them from the recycle bin
+    // next to the regenerated legs would post the transaction twice
+    const deletedRows = await purgeReplacedLegs(client, oldLegs);
+
+    const inserted = [];
+    for (const leg of legs) {
+      inserted.push(await insertEntry(client, { ...leg, user_id: userId, voucher_id: voucherId }));
+    }
+
+    const balances = await rewriteBalancesForParties(client, userId, [...oldLegs, ...inserted]);
+    const limitWarnings = await limitCheck.verify(balances);
+
+    const columns = {
+      ...buildRecordColumns(transactionId, terms),
+      voucher_id: voucherId,
+      entry_ids: inserted.map(entry => entry.id)
+    };
+    const names = Object.keys(columns);
+    const { rows: [transaction] } = parseResult(await client.query(
+      `UPDATE commission_transactions
+       SET ${names.map((name, index) => `${name} = $${index + 3}`).join(', ')},
+         revision = revision + 1, updated_at = NOW()
+       WHERE user_id = $1 AND transaction_id = $2
+       RETURNING *`,
+      [userId, transactionId, ...names.map(name => columns[name])]
+    ));
+    await recordAuditInTransaction(client, {
+      entityType: ENTITY_TYPES.COMMISSION_TRANSACTION,
+      action: ACTIONS.UPDATE,
+      before: previous,
+      after: transaction
+    });
+
+    const entries = [];
+    for (const entry of inserted) {
+      entries.push(await findEntryById(client, entry.id));
+    }
+
+    return {
+      transaction: formatTransaction(transaction),
+      previous: formatTransaction(previous),
+      entries,
+      deletedEntryIds: deletedRows.map(row => row.id),
+      balances,
+      limitWarnings
+    };
+  });
+};
+
+module.exports = {
+  TRANSACTION_STATUSES,
+  validateTransactionInput,
+  priceTransaction,
+  buildTransactionLegs,
+  buildRecordColumns,
+  formatTransaction,
+  insertCommissionTransaction,
+  markCommissionTransactionCancelled,
+  findCommissionTransaction,
+  listCommissionTransactions,
+  getCommissionTransactionDetail,
+  summarizeCommissionTransactions,
+  updateCommissionTransaction
+};
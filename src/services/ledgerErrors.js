@@ -0,0 +1,27 @@
+/**
+ * Ledger Errors
+ *
+ * Structured error raised by the ledger services when a posting is refused.
+ * Controllers turn it into a response with the given HTTP status, a stable
+ * machine-readable code and optional details for the client.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+class LedgerError extends Error {
+  /**
+   * @param {string} code - Stable error code (e.g. VOUCHER_UNBALANCED)
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - { statusCode, details }
+   */
+  constructor(code, message, { statusCode = 400, details = null } = {}) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = { LedgerError };
@@ -0,0 +1,134 @@
+/**
+ * Ledger History Service
+ *
+ * Rebuilds a party ledger as it stood at a past moment from the audit log:
+ * every entry changed since then is replaced by the before-image of its first
+ * later audit row (or left out if that row is its creation), deleted and
+ * purged entries come back from their before-images, and entries created
+ * later are dropped.
+ *
+ * Running balances are not audited (see audit.service), so they are
+ * recomputed for the rebuilt ledger with the same rules as the posting service.
+ *
+ * The result is only exact for changes made after audit_log existed: an
+ * entry changed or removed before that is returned as it is now, or not at all.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { query, parseResult } = require('../config/postgres');
+const { ENTITY_TYPES, ACTIONS } = require('./audit.service');
+const { SETTLEMENT_REMARK } = require('./ledgerValidation');
+const { sortLedgerEntries } = require('./ledgerOrdering');
+const { roundAmount } = require('./ledgerPosting.service');
+
+// Columns returned for each entry, matching LedgerEntry.findByPartyName
+const LEDGER_COLUMNS = [
+  'id', 'date', 'remarks', 'tns_type', 'credit', 'debit', 'balance', 'party_name',
+  'is_old_record', 'created_at', 'ti', 'voucher_id', 'sequence_no', 'is_reversed', 'reversal_of', 'entry_type',
+  'parent_entry_id', 'leg_role', 'commission_opt_out', 'commission_rule_id', 'commission_rule_version'
+];
+
+const TIMESTAMP_COLUMNS = ['created_at', 'updated_at', 'deleted_at'];
+
+// pg returns timestamps as Date objects, audit images hold ISO strings
+const normalizeRow = (row) => {
+  const normalized = { ...row };
+  for (const column of TIMESTAMP_COLUMNS) {
+    if (normalized[column] instanceof Date) {
+      normalized[column] = normalized[column].toISOString();
+    }
+  }
+  return normalized;
+};
+
+const pickColumns = (row) => {
+  const picked = {};
+  for (const column of LEDGER_COLUMNS) {
+    picked[column] = row[column] ?? null;
+  }
+  return picked;
+};
+
+/**
+ * Recompute running balances in ledger order; settlement memo rows keep
+ * their own balance and do not move the running total
+ */
+const applyRunningBalances = (entries) => {
+  let runningBalance = 0;
+  return sortLedgerEntries(entries).map(entry => {
+    if (entry.remarks?.includes(SETTLEMENT_REMARK)) {
+      return entry;
+    }
+    if (entry.tns_type === 'CR') {
+      runningBalance += parseFloat(entry.credit || 0);
+    } else if (entry.tns_type === 'DR') {
+      runningBalance -= parseFloat(entry.debit || 0);
+    }
+    return { ...entry, balance: roundAmount(runningBalance) };
+  });
+};
+
+/**
+ * Entries of a party as they stood at a past moment. Only exact for changes
+ * recorded in audit_log (see above).
+ * @param {string} asOf - ISO timestamp
+ * @returns {Array<Object>} Entries in ledger order with recomputed balances
+ */
+const getPartyEntriesAsOf = async (userId, partyName, asOf) => {
+  // Current rows of the party (recycle bin included) that already existed
+  const { rows: currentRows } = parseResult(await query(
+    `SELECT *
+     FROM ledger_entries
+     WHERE user_id = $1 AND party_name = $2 AND created_at <= $3`,
+    [userId, partyName, asOf]
+  ));
+
+  // First change after the moment of every entry that is on the party now or
+  // was on it before a later change: its before-image is the state at asOf
+  const { rows: changes } = parseResult(await query(
+    `SELECT DISTINCT ON (entity_id) entity_id, action, before_data
+     FROM audit_log
+     WHERE user_id = $1 AND entity_type = $2 AND created_at > $3
+       AND entity_id IN (
+         SELECT entity_id
+         FROM audit_log
+         WHERE user_id = $1 AND entity_type = $2 AND created_at > $3
+           AND before_data->>'party_name' = $4
+         UNION
+         SELECT unnest($5::text[])
+       )
+     ORDER BY entity_id, created_at ASC, id ASC`,
+    [userId, ENTITY_TYPES.LEDGER_ENTRY, asOf, partyName, currentRows.map(row => row.id)]
+  ));
+  const changesById = new Map(changes.map(change => [change.entity_id, change]));
+
+  const states = new Map();
+  for (const row of currentRows) {
+    if (!changesById.has(row.id)) {
+      states.set(row.id, normalizeRow(row));
+    }
+  }
+
+  // Changed entries, including ones since moved to another party or purged
+  for (const change of changes) {
+    if (change.action === ACTIONS.CREATE || !change.before_data) {
+      continue;
+    }
+    states.set(change.entity_id, change.before_data);
+  }
+
+  const asOfTime = new Date(asOf).getTime();
+  const entries = Array.from(states.values()).filter(entry =>
+    entry.party_name === partyName &&
+    (!entry.deleted_at || new Date(entry.deleted_at).getTime() > asOfTime) &&
+    (!entry.created_at || new Date(entry.created_at).getTime() <= asOfTime)
+  );
+
+  return applyRunningBalances(entries.map(pickColumns));
+};
+
+module.exports = {
+  getPartyEntriesAsOf
+};
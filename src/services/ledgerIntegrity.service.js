@@ -0,0 +1,125 @@
+/**
+ * Ledger Integrity Service
+ *
+ * Builds the double-entry integrity report: vouchers whose debits and credits
+ * differ, and dates on which the user's books do not balance. A single-leg
+ * voucher (a party entry posted without a counter leg, or a row not yet
+ * backfilled into a voucher) can never balance, so it is listed too and
+ * flagged as singleLeg. Monday Final settlement memo rows and recycle bin
+ * rows are excluded, as in the balance logic.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { query, parseResult } = require('../config/postgres');
+const { SETTLEMENT_REMARK, BALANCE_TOLERANCE } = require('./ledgerValidation');
+
+// Counted rows of the user with their credit/debit split and voucher size.
+// Rows without a voucher (not yet backfilled) count as their own voucher.
+const COUNTED_LEGS_CTE = `
+  WITH legs AS (
+    SELECT
+      id,
+      voucher_id,
+      date,
+      party_name,
+      CASE WHEN tns_type = 'CR' THEN COALESCE(credit, 0) ELSE 0 END AS cr,
+      CASE WHEN tns_type = 'DR' THEN COALESCE(debit, 0) ELSE 0 END AS dr,
+      COUNT(*) OVER (PARTITION BY COALESCE(voucher_id, id)) AS voucher_legs
+    FROM ledger_entries
+    WHERE user_id = $1 AND deleted_at IS NULL
+      AND (remarks IS NULL OR remarks NOT LIKE '%' || $2::text || '%')
+  )`;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get unbalanced vouchers and dates for a user
+ * @param {string} userId - User ID
+ * @returns {Object} { balanced, summary, unbalancedVouchers, unbalancedDates }
+ */
+const getIntegrityReport = async (userId) => {
+  const params = [userId, SETTLEMENT_REMARK, BALANCE_TOLERANCE];
+
+  const { rows: voucherRows } = parseResult(await query(
+    `${COUNTED_LEGS_CTE}
+     SELECT
+       MIN(voucher_id::text) AS voucher_id,
+       CASE WHEN COUNT(voucher_id) = 0 THEN MIN(id::text) END AS entry_id,
+       MIN(date) AS date,
+       COUNT(*)::int AS legs,
+       SUM(cr) AS total_credit,
+       SUM(dr) AS total_debit,
+       ARRAY_AGG(DISTINCT party_name) AS parties
+     FROM legs
+     GROUP BY COALESCE(voucher_id, id)
+     HAVING ABS(SUM(cr) - SUM(dr)) >= $3
+     ORDER BY MIN(date) ASC, COALESCE(voucher_id, id) ASC`,
+    params
+  ));
+
+  const { rows: dateRows } = parseResult(await query(
+    `${COUNTED_LEGS_CTE}
+     SELECT
+       date,
+       COUNT(*)::int AS entries,
+       COUNT(*) FILTER (WHERE voucher_legs = 1)::int AS single_leg_entries,
+       SUM(cr) AS total_credit,
+       SUM(dr) AS total_debit
+     FROM legs
+     GROUP BY date
+     HAVING ABS(SUM(cr) - SUM(dr)) >= $3
+     ORDER BY date ASC`,
+    params
+  ));
+
+  const { rows: [totals] } = parseResult(await query(
+    `SELECT
+       COUNT(*)::int AS entries,
+       COUNT(*) FILTER (WHERE voucher_id IS NULL)::int AS entries_without_voucher,
+       COUNT(DISTINCT voucher_id)::int AS vouchers
+     FROM ledger_entries
+     WHERE user_id = $1 AND deleted_at IS NULL`,
+    [userId]
+  ));
+
+  const unbalancedVouchers = voucherRows.map(row => ({
+    voucherId: row.voucher_id,
+    entryId: row.entry_id,
+    date: row.date,
+    legs: row.legs,
+    singleLeg: row.legs === 1,
+    parties: row.parties,
+    totalCredit: round(row.total_credit),
+    totalDebit: round(row.total_debit),
+    difference: round(row.total_credit - row.total_debit)
+  }));
+
+  const unbalancedDates = dateRows.map(row => ({
+    date: row.date,
+    entries: row.entries,
+    singleLegEntries: row.single_leg_entries,
+    totalCredit: round(row.total_credit),
+    totalDebit: round(row.total_debit),
+    difference: round(row.total_credit - row.total_debit)
+  }));
+
+  return {
+    balanced: unbalancedVouchers.length === 0 && unbalancedDates.length === 0,
+    summary: {
+      totalEntries: totals.entries,
+      totalVouchers: totals.vouchers,
+      entriesWithoutVoucher: totals.entries_without_voucher,
+      unbalancedVoucherCount: unbalancedVouchers.length,
+      singleLegVoucherCount: unbalancedVouchers.filter(voucher => voucher.singleLeg).length,
+      unbalancedDateCount: unbalancedDates.length
+    },
+    unbalancedVouchers,
+    unbalancedDates
+  };
+};
+
+module.exports = {
+  getIntegrityReport
+};
@@ -0,0 +1,209 @@
+/**
+ * Ledger Limits
+ *
+ * Balance limit check for postings. parties.balance_limit caps how far a
+ * party's balance may run in either direction (0 or blank means no limit);
+ * parties.limit_mode decides what happens when a posting takes the running
+ * balance past it anywhere from its earliest date onwards (a back-dated
+ * posting can push intermediate rows past the limit while the closing
+ * balance stays inside it):
+ * - ignore: nothing
+ * - warn:   the posting goes through and the caller gets a warning
+ * - block:  the posting is refused with BALANCE_LIMIT_EXCEEDED (422)
+ *
+ * Only postings that move the furthest balance of that range further away
+ * from zero are caught, so a party already over its limit can always be
+ * brought back under it.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { pool, parseResult } = require('../config/postgres');
+const { SETTLEMENT_REMARK } = require('./ledgerValidation');
+const { LedgerError } = require('./ledgerErrors');
+
+const LIMIT_MODES = {
+  IGNORE: 'ignore',
+  WARN: 'warn',
+  BLOCK: 'block'
+};
+
+const DEFAULT_LIMIT_MODE = LIMIT_MODES.WARN;
+
+/**
+ * Numeric limit from the stored string, or null for no limit
+ */
+const parseBalanceLimit = (value) => {
+  const limit = parseFloat(value);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+};
+
+const isValidLimitMode = (mode) => Object.values(LIMIT_MODES).includes(mode);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Closing balance (last counted row) of each party
+ * @param {Object} db - pg client or pool
+ * @returns {Map<string, number>}
+ */
+const getClosingBalances = async (db, userId, partyNames) => {
+  const { rows } = parseResult(await db.query(
+    `SELECT party.name AS party_name, COALESCE(last_entry.balance, 0) AS balance
+     FROM unnest($2::text[]) AS party(name)
+     LEFT JOIN LATERAL (
+       SELECT balance
+       FROM ledger_entries
+       WHERE user_id = $1 AND party_name = party.name AND deleted_at IS NULL
+         AND COALESCE(remarks, '') NOT LIKE '%' || $3::text || '%'
+       ORDER BY date DESC, sequence_no DESC, id DESC
+       LIMIT 1
+     ) AS last_entry ON true`,
+    [userId, [...new Set(partyNames)], SETTLEMENT_REMARK]
+  ));
+  return new Map(rows.map(row => [row.party_name, parseFloat(row.balance || 0)]));
+};
+
+/**
+ * Furthest-from-zero running balance of each party from a date onwards: the
+ * balance the party opens the date with or any counted row on or after it
+ * @param {Object} db - pg client or pool
+ * @param {Map<string, string>} fromDates - partyName -> 'YYYY-MM-DD'
+ * @returns {Map<string, number>} partyName -> largest absolute balance
+ */
+const getPeakBalances = async (db, userId, fromDates) => {
+  const { rows } = parseResult(await db.query(
+    `SELECT party.name AS party_name, GREATEST(
+       ABS(COALESCE((
+         SELECT balance
+         FROM ledger_entries
+         WHERE user_id = $1 AND party_name = party.name AND deleted_at IS NULL
+           AND date < party.from_date
+           AND COALESCE(remarks, '') NOT LIKE '%' || $4::text || '%'
+         ORDER BY date DESC, sequence_no DESC, id DESC
+         LIMIT 1
+       ), 0)),
+       COALESCE((
+         SELECT MAX(ABS(balance))
+         FROM ledger_entries
+         WHERE user_id = $1 AND party_name = party.name AND deleted_at IS NULL
+           AND date >= party.from_date
+           AND COALESCE(remarks, '') NOT LIKE '%' || $4::text || '%'
+       ), 0)
+     ) AS peak_balance
+     FROM unnest($2::text[], $3::date[]) AS party(name, from_date)`,
+    [userId, [...fromDates.keys()], [...fromDates.values()], SETTLEMENT_REMARK]
+  ));
+  return new Map(rows.map(row => [row.party_name, parseFloat(row.peak_balance || 0)]));
+};
+
+/**
+ * Start a limit check for a posting: call before the posting with the
+ * parties' locks held, then call verify(balances) with the closing balances
+ * after it. Running balances are compared from the earliest date the posting
+ * touches for each party.
+ * @param {Object} client - pg client inside the posting's transaction
+ * @param {Array<Object>} rows - { party_name, date } of every row the posting inserts, changes or removes
+ * @returns {Object} { verify: async (balances) => Array<warning> }
+ * @throws {LedgerError} BALANCE_LIMIT_EXCEEDED from verify for parties in block mode
+ */
+const prepareLimitCheck = async (client, userId, rows) => {
+  const { rows: parties } = parseResult(await client.query(
+    `SELECT party_name, balance_limit, COALESCE(limit_mode, $3) AS limit_mode
+     FROM parties
+     WHERE user_id = $1 AND party_name = ANY($2) AND deleted_at IS NULL`,
+    [userId, [...new Set(rows.map(row => row.party_name))], DEFAULT_LIMIT_MODE]
+  ));
+  const limited = parties.filter(party =>
+    party.limit_mode !== LIMIT_MODES.IGNORE && parseBalanceLimit(party.balance_limit) !== null
+  );
+
+  const fromDates = new Map();
+  for (const party of limited) {
+    const dates = rows.filter(row => row.party_name === party.party_name).map(row => row.date);
+    fromDates.set(party.party_name, dates.reduce((earliest, date) => (date < earliest ? date : earliest)));
+  }
+  const before = limited.length > 0
+    ? await getClosingBalances(client, userId, limited.map(party => party.party_name))
+    : new Map();
+  const peakBefore = limited.length > 0 ? await getPeakBalances(client, userId, fromDates) : new Map();
+
+  const verify = async (balances) => {
+    const peakAfter = limited.length > 0 ? await getPeakBalances(client, userId, fromDates) : new Map();
+    const breaches = [];
+    for (const party of limited) {
+      const balanceLimit = parseBalanceLimit(party.balance_limit);
+      const previous = before.get(party.party_name) || 0;
+      const balance = balances[party.party_name] ?? previous;
+      const peakBalance = peakAfter.get(party.party_name) || 0;
+      if (peakBalance > balanceLimit && peakBalance > (peakBefore.get(party.party_name) || 0)) {
+        breaches.push({
+          partyName: party.party_name,
+          limitMode: party.limit_mode,
+          balanceLimit,
+          previousBalance: previous,
+          balance,
+          peakBalance,
+          exceededBy: roundAmount(peakBalance - balanceLimit)
+        });
+      }
+    }
+
+    const blocked = breaches.filter(breach => breach.limitMode === LIMIT_MODES.BLOCK);
+    if (blocked.length > 0) {
+      throw new LedgerError(
+        'BALANCE_LIMIT_EXCEEDED',
+        `Posting would take ${blocked.map(breach => breach.partyName).join(', ')} past the balance limit`,
+        { statusCode: 422, details: { parties: blocked } }
+      );
+    }
+    return breaches;
+  };
+
+  return { verify };
+};
+
+/**
+ * Parties whose current balance is beyond their limit, furthest over first
+ * @returns {Array<Object>} { id, partyName, balanceLimit, limitMode, balance, exceededBy }
+ */
+const listOverLimitParties = async (userId) => {
+  const { rows: parties } = parseResult(await pool.query(
+    `SELECT id, party_name, balance_limit, COALESCE(limit_mode, $2) AS limit_mode
+     FROM parties
+     WHERE user_id = $1 AND deleted_at IS NULL`,
+    [userId, DEFAULT_LIMIT_MODE]
+  ));
+  const limited = parties.filter(party => parseBalanceLimit(party.balance_limit) !== null);
+  if (limited.length === 0) {
+    return [];
+  }
+
+  const balances = await getClosingBalances(pool, userId, limited.map(party => party.party_name));
+  return limited
+    .map(party => {
+      const balanceLimit = parseBalanceLimit(party.balance_limit);
+      const balance = balances.get(party.party_name) || 0;
+      return {
+        id: party.id,
+        partyName: party.party_name,
+        balanceLimit,
+        limitMode: party.limit_mode,
+        balance,
+        exceededBy: roundAmount(Math.abs(balance) - balanceLimit)
+      };
+    })
+    .filter(party => party.exceededBy > 0)
+    .sort((a, b) => b.exceededBy - a.exceededBy);
+};
+
+module.exports = {
+  LIMIT_MODES,
+  DEFAULT_LIMIT_MODE,
+  parseBalanceLimit,
+  isValidLimitMode,
+  getClosingBalances,
+  prepareLimitCheck,
+  listOverLimitParties
+};
@@ -0,0 +1,53 @@
+/**
+ * Ledger Ordering
+ *
+ * Single definition of the chronological order of a party ledger:
+ * date, then the per-party sequence_no within that date, then id as a
+ * stable tie-breaker. Balance rewrites, ledger reads and in-memory sorts
+ * all use this order.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+// Spacing between sequence numbers assigned on append (see supabase-schema.sql)
+const SEQUENCE_GAP = 1024;
+
+// SQL ORDER BY clause matching compareLedgerEntries
+const LEDGER_ORDER_SQL = 'date ASC, sequence_no ASC, id ASC';
+
+const sequenceOf = (entry) => {
+  const sequence = entry.sequence_no ?? entry.sequenceNo;
+  return sequence === null || sequence === undefined ? Number.MAX_SAFE_INTEGER : Number(sequence);
+};
+
+/**
+ * Comparator for ledger rows in chronological order
+ */
+const compareLedgerEntries = (a, b) => {
+  if (a.date !== b.date) {
+    return a.date < b.date ? -1 : 1;
+  }
+
+  const sequenceA = sequenceOf(a);
+  const sequenceB = sequenceOf(b);
+  if (sequenceA !== sequenceB) {
+    return sequenceA - sequenceB;
+  }
+
+  const idA = String(a.id);
+  const idB = String(b.id);
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+};
+
+/**
+ * Sort a copy of ledger rows chronologically
+ */
+const sortLedgerEntries = (entries) => [...entries].sort(compareLedgerEntries);
+
+module.exports = {
+  SEQUENCE_GAP,
+  LEDGER_ORDER_SQL,
+  compareLedgerEntries,
+  sortLedgerEntries
+};
@@ -0,0 +1,242 @@
+/**
+ * Ledger Paging Service
+ *
+ * Keyset (cursor) reads of a party ledger in ledger order (date, sequence_no, id).
+ * A cursor is the opaque, URL-safe position of the last row of a page; the
+ * next page starts right after it, so pages stay stable while entries are
+ * posted elsewhere in the ledger.
+ *
+ * Running balances are stored per row (see ledgerPosting.service), so every
+ * page carries the correct balance; a page's opening balance is the balance
+ * of the last counted row before it.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { query, parseResult } = require('../config/postgres');
+const { LEDGER_ORDER_SQL, compareLedgerEntries } = require('./ledgerOrdering');
+const { SETTLEMENT_REMARK, isValidDateOnly } = require('./ledgerValidation');
+const { LedgerError } = require('./ledgerErrors');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const STREAM_BATCH_SIZE = 500;
+
+const LEDGER_COLUMNS = `id, date, remarks, tns_type, credit, debit, balance, party_name, is_old_record,
+  created_at, ti, voucher_id, sequence_no, is_reversed, reversal_of, entry_type, parent_entry_id, leg_role,
+  commission_opt_out, commission_rule_id, commission_rule_version`;
+
+/**
+ * Opaque cursor for the position of a ledger row
+ */
+const encodeCursor = (entry) => Buffer
+  .from(JSON.stringify([entry.date, String(entry.sequence_no ?? ''), entry.id]))
+  .toString('base64url');
+
+/**
+ * @returns {Object} { date, sequence_no, id }
+ * @throws {LedgerError} INVALID_CURSOR
+ */
+const decodeCursor = (cursor) => {
+  let position = null;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    position = null;
+  }
+
+  const [date, sequenceNo, id] = Array.isArray(position) ? position : [];
+  if (!isValidDateOnly(date) ||
+      !/^-?\d+$/.test(sequenceNo) || typeof id !== 'string' || !/^[0-9a-f-]{36}$/i.test(id)) {
+    throw new LedgerError('INVALID_CURSOR', 'cursor is not a valid ledger position', { details: { cursor } });
+  }
+  return { date, sequence_no: sequenceNo, id };
+};
+
+/**
+ * Page size from a ?limit= value
+ */
+const parsePageSize = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/**
+ * WHERE clause and parameters for a party ledger read
+ * @param {Object} options - { after, from, to, hideReversed }
+ */
+const buildLedgerFilter = (userId, partyName, { after, from, to, hideReversed }) => {
+  const conditions = ['user_id = $1', 'party_name = $2', 'deleted_at IS NULL'];
+  const params = [userId, partyName];
+
+  if (after) {
+    params.push(after.date, after.sequence_no, after.id);
+    conditions.push(`(date, sequence_no, id) > ($${params.length - 2}::date, $${params.length - 1}::bigint, $${params.length}::uuid)`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`date >= $${params.length}::date`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`date <= $${params.length}::date`);
+  }
+  if (hideReversed) {
+    conditions.push('NOT COALESCE(is_reversed, false) AND reversal_of IS NULL');
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * Rows after a position in ledger order
+ * @returns {Object} { entries, hasMore }
+ */
+const readBatch = async (userId, partyName, options, limit) => {
+  const { where, params } = buildLedgerFilter(userId, partyName, options);
+  params.push(limit + 1);
+
+  const { rows } = parseResult(await query(
+    `SELECT ${LEDGER_COLUMNS}
+     FROM ledger_entries
+     WHERE ${where}
+     ORDER BY ${LEDGER_ORDER_SQL}
+     LIMIT $${params.length}`,
+    params
+  ));
+
+  return { entries: rows.slice(0, limit), hasMore: rows.length > limit };
+};
+
+/**
+ * Balance of the last counted row before a position (0 at the start of the ledger).
+ * Uses every live row, hidden reversals included, because stored balances do.
+ * @param {Object} position - { date, sequence_no, id }
+ * @param {boolean} [inclusive] - Whether the row at the position itself counts
+ */
+const balanceBefore = async (userId, partyName, position, inclusive = false) => {
+  const { rows } = parseResult(await query(
+    `SELECT balance
+     FROM ledger_entries
+     WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL
+       AND (date, sequence_no, id) ${inclusive ? '<=' : '<'} ($3::date, $4::bigint, $5::uuid)
+       AND COALESCE(remarks, '') NOT LIKE '%' || $6::text || '%'
+     ORDER BY date DESC, sequence_no DESC, id DESC
+     LIMIT 1`,
+    [userId, partyName, position.date, position.sequence_no, position.id, SETTLEMENT_REMARK]
+  ));
+  return rows.length > 0 ? parseFloat(rows[0].balance || 0) : 0;
+};
+
+// Position just before the first row of a date
+const startOfDate = (date) => ({ date, sequence_no: '-9223372036854775808', id: '00000000-0000-0000-0000-000000000000' });
+
+/**
+ * Last counted balance of a list of rows, or the given fallback
+ */
+const lastBalance = (entries, fallback) => {
+  const counted = entries.filter(entry => !entry.remarks?.includes(SETTLEMENT_REMARK));
+  return counted.length > 0 ? parseFloat(counted[counted.length - 1].balance || 0) : fallback;
+};
+
+/**
+ * One page of a party ledger
+ * @param {Object} options - { cursor, limit, from, to, hideReversed }
+ * @returns {Object} { entries, pageInfo: { limit, hasMore, nextCursor, openingBalance, closingBalance } }
+ */
+const getPartyLedgerPage = async (userId, partyName, options = {}) => {
+  const limit = parsePageSize(options.limit);
+  const after = options.cursor ? decodeCursor(options.cursor) : null;
+
+  const { entries, hasMore } = await readBatch(userId, partyName, { ...options, after }, limit);
+
+  let openingBalance = 0;
+  if (entries.length > 0) {
+    openingBalance = await balanceBefore(userId, partyName, entries[0]);
+  } else if (after) {
+    openingBalance = await balanceBefore(userId, partyName, after, true);
+  } else if (options.from) {
+    openingBalance = await balanceBefore(userId, partyName, startOfDate(options.from));
+  }
+
+  return {
+    entries,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(entries[entries.length - 1]) : null,
+      openingBalance,
+      closingBalance: lastBalance(entries, openingBalance)
+    }
+  };
+};
+
+/**
+ * Page through rows that are already in memory (e.g. an as-of ledger) with
+ * the same cursor semantics as getPartyLedgerPage
+ * @param {Array<Object>} entries - Rows in ledger order
+ * @param {number} openingBalance - Balance before the first row
+ */
+const pageEntries = (entries, options = {}, openingBalance = 0) => {
+  const limit = parsePageSize(options.limit);
+  const after = options.cursor ? decodeCursor(options.cursor) : null;
+
+  let startIndex = after ? entries.findIndex(entry => compareLedgerEntries(entry, after) > 0) : 0;
+  if (startIndex === -1) {
+    startIndex = entries.length;
+  }
+  const remaining = entries.slice(startIndex);
+  const page = remaining.slice(0, limit);
+  const hasMore = remaining.length > limit;
+
+  const pageOpening = lastBalance(entries.slice(0, startIndex), openingBalance);
+
+  return {
+    entries: page,
+    pageInfo: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      openingBalance: pageOpening,
+      closingBalance: lastBalance(page, pageOpening)
+    }
+  };
+};
+
+/**
+ * Balance carried into a ledger starting at `from` (0 for the whole ledger)
+ */
+const getOpeningBalance = async (userId, partyName, from) => {
+  return from ? balanceBefore(userId, partyName, startOfDate(from)) : 0;
+};
+
+/**
+ * Read a whole party ledger in keyset batches without holding it in memory
+ * @param {Object} options - { from, to, hideReversed }
+ * @param {Function} onBatch - async (entries) => boolean; return false to stop early
+ */
+const streamPartyLedger = async (userId, partyName, options, onBatch) => {
+  let after = null;
+  let hasMore = true;
+  while (hasMore) {
+    const batch = await readBatch(userId, partyName, { ...options, after }, STREAM_BATCH_SIZE);
+    if (batch.entries.length === 0) {
+      break;
+    }
+    const keepGoing = await onBatch(batch.entries);
+    if (keepGoing === false) {
+      break;
+    }
+    hasMore = batch.hasMore;
+    after = batch.entries[batch.entries.length - 1];
+  }
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  getPartyLedgerPage,
+  pageEntries,
+  getOpeningBalance,
+  streamPartyLedger
+};
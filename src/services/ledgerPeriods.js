@@ -0,0 +1,61 @@
+/**
+ * Ledger Periods
+ *
+ * Lock-date check shared by every ledger write. A user's books are closed up
+ * to user_settings.books_closed_upto: nothing dated on or before that date may
+ * be posted, changed, deleted or restored. Closing and reopening happen in
+ * periodClose.service, which takes the settings row FOR UPDATE, so a write
+ * that checked the lock date FOR SHARE cannot race a close.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { parseResult } = require('../config/postgres');
+const { LedgerError } = require('./ledgerErrors');
+
+// Dates arrive as 'YYYY-MM-DD' from pg and as dates or ISO timestamps from requests
+const toDateOnly = (date) => String(date).slice(0, 10);
+
+/**
+ * Date the user's books are closed up to, or null
+ * @param {Object} db - pg client or pool
+ * @param {Object} [options] - { forShare } hold the settings row until the transaction ends
+ */
+const getBooksClosedUpto = async (db, userId, { forShare = false } = {}) => {
+  const { rows } = parseResult(await db.query(
+    `SELECT books_closed_upto FROM user_settings WHERE user_id = $1${forShare ? ' FOR SHARE' : ''}`,
+    [userId]
+  ));
+  return rows[0]?.books_closed_upto || null;
+};
+
+/**
+ * Refuse a write touching any date inside the closed period
+ * @param {Object} db - pg client (inside the write's transaction) or pool
+ * @param {Array<string>} dates - Every date the write touches (old and new)
+ * @throws {LedgerError} PERIOD_CLOSED
+ */
+const assertPeriodOpen = async (db, userId, dates) => {
+  // FOR SHARE holds off a concurrent close until the write commits (a no-op outside a transaction)
+  const booksClosedUpto = await getBooksClosedUpto(db, userId, { forShare: true });
+  if (!booksClosedUpto) {
+    return;
+  }
+
+  const closedDates = [...new Set(dates.filter(Boolean).map(toDateOnly))]
+    .filter(date => date <= booksClosedUpto)
+    .sort();
+  if (closedDates.length > 0) {
+    throw new LedgerError(
+      'PERIOD_CLOSED',
+      `Books are closed up to ${booksClosedUpto}; entries dated on or before it cannot be changed`,
+      { statusCode: 423, details: { booksClosedUpto, dates: closedDates } }
+    );
+  }
+};
+
+module.exports = {
+  getBooksClosedUpto,
+  assertPeriodOpen
+};
@@ -0,0 +1,844 @@
+/**
+ * Ledger Posting Service
+ *
+ * Performs every ledger write (entry insert, related-party postings and the
+ * running balance rewrite) inside a single PostgreSQL transaction on the
+ * shared pg pool, so a failure midway rolls the whole posting back instead
+ * of leaving balances and counterpart rows half-written.
+ *
+ * Rows posted together share a voucher_id (journal ID); edits and deletes
+ * always act on the whole voucher rather than guessing counterpart rows.
+ * Multi-leg vouchers must balance (see ledgerValidation) or the posting is
+ * refused with a LedgerError. Every row insert, update and delete writes its
+ * audit_log row in the same transaction.
+ *
+ * Nothing dated inside a closed period (see ledgerPeriods) can be posted,
+ * changed or deleted. Postings can opt into the party balance limit check
+ * (see ledgerLimits).
+ *
+ * Deleted rows stay in the table with deleted_at set (the recycle bin, see
+ * recycleBin.service); they are skipped by every balance and voucher query.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { randomUUID } = require('crypto');
+const { getConnection, parseResult } = require('../config/postgres');
+const {
+  SETTLEMENT_REMARK,
+  isVoucherBalanced,
+  assertVoucherBalanced
+} = require('./ledgerValidation');
+const { SEQUENCE_GAP, LEDGER_ORDER_SQL, compareLedgerEntries } = require('./ledgerOrdering');
+const { LedgerError } = require('./ledgerErrors');
+const { assertPeriodOpen } = require('./ledgerPeriods');
+const { prepareLimitCheck } = require('./ledgerLimits');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+const { getRequestContext } = require('../middlewares/requestContext');
+
+// Column names are interpolated into SQL, so only plain identifiers are accepted
+const COLUMN_NAME_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+const assertColumnNames = (columns) => {
+  const invalid = columns.filter(column => !COLUMN_NAME_PATTERN.test(column));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid ledger column name(s): ${invalid.join(', ')}`);
+  }
+};
+
+/**
+ * Run a unit of work inside BEGIN/COMMIT, rolling back on any error
+ * @param {Function} work - async (client) => result
+ */
+const withTransaction = async (work) => {
+  const client = await getConnection();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Serialize concurrent postings to the same party ledger for the rest of the transaction
+ */
+const lockParties = async (client, userId, partyNames) => {
+  // Sorted so two transactions touching the same parties always lock in the same order
+  const uniqueNames = [...new Set(partyNames)].sort();
+  for (const partyName of uniqueNames) {
+    await client.query(
+      'SELECT pg_advisory_xact_lock(hashtext($1))',
+      [`ledger:${userId}:${partyName}`]
+    );
+  }
+};
+
+const insertEntry = async (client, entryData) => {
+  const columns = Object.keys(entryData);
+  assertColumnNames(columns);
+  const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+  const { rows } = parseResult(await client.query(
+    `INSERT INTO ledger_entries (${columns.join(', ')})
+     VALUES (${placeholders.join(', ')})
+     RETURNING *`,
+    Object.values(entryData)
+  ));
+  await recordAuditInTransaction(client, {
+    entityType: ENTITY_TYPES.LEDGER_ENTRY,
+    action: ACTIONS.CREATE,
+    after: rows[0]
+  });
+  return rows[0];
+};
+
+const updateEntryRow = async (client, id, updateData) => {
+  const columns = Object.keys(updateData);
+  assertColumnNames(columns);
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+  const { rows: [before] } = parseResult(await client.query('SELECT * FROM ledger_entries WHERE id = $1 FOR UPDATE', [id]));
+  const { rows } = parseResult(await client.query(
+    `UPDATE ledger_entries SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+    [id, ...Object.values(updateData)]
+  ));
+  await recordAuditInTransaction(client, {
+    entityType: ENTITY_TYPES.LEDGER_ENTRY,
+    action: ACTIONS.UPDATE,
+    entityId: id,
+    before,
+    after: rows[0]
+  });
+  return rows[0];
+};
+
+const findEntryById = async (client, id) => {
+  const { rows } = parseResult(await client.query('SELECT * FROM ledger_entries WHERE id = $1', [id]));
+  return rows[0] || null;
+};
+
+// Position before every possible row: rewriting from here recomputes the whole party
+const LEDGER_START = { date: '-infinity', sequence_no: '-9223372036854775808', id: '00000000-0000-0000-0000-000000000000' };
+
+/**
+ * Earliest affected position per party for a set of touched rows
+ * @returns {Map<string, Object>} partyName -> { date, sequence_no, id }
+ */
+const earliestPositions = (rows) => {
+  const positions = new Map();
+  for (const row of rows) {
+    const current = positions.get(row.party_name);
+    if (!current || compareLedgerEntries(row, current) < 0) {
+      positions.set(row.party_name, { date: row.date, sequence_no: row.sequence_no, id: row.id });
+    }
+  }
+  return positions;
+};
+
+/**
+ * Rewrite running balances of a party from a ledger position onwards.
+ *
+ * Rows before the position keep their stored balance; the last of them is the
+ * opening balance and the rest is a single window-function UPDATE that only
+ * touches rows whose balance actually changes.
+ * @param {Object} [from] - { date, sequence_no, id } of the earliest changed row
+ * @returns {number} Closing balance of the party
+ */
+const rewritePartyBalances = async (client, userId, partyName, from = LEDGER_START) => {
+  await client.query(
+    `WITH opening AS (
+       SELECT COALESCE((
+         SELECT balance
+         FROM ledger_entries
+         WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL
+           AND (date, sequence_no, id) < ($3::date, $4::bigint, $5::uuid)
+           AND COALESCE(remarks, '') NOT LIKE '%' || $6::text || '%'
+         ORDER BY date DESC, sequence_no DESC, id DESC
+         LIMIT 1
+       ), 0) AS balance
+     ),
+     running AS (
+       SELECT
+         id,
+         COALESCE(remarks, '') LIKE '%' || $6::text || '%' AS is_settlement,
+         (SELECT balance FROM opening) + SUM(
+           CASE
+             WHEN COALESCE(remarks, '') LIKE '%' || $6::text || '%' THEN 0
+             WHEN tns_type = 'CR' THEN COALESCE(credit, 0)
+             WHEN tns_type = 'DR' THEN -COALESCE(debit, 0)
+             ELSE 0
+           END
+         ) OVER (ORDER BY ${LEDGER_ORDER_SQL} ROWS UNBOUNDED PRECEDING) AS balance
+       FROM ledger_entries
+       WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL
+         AND (date, sequence_no, id) >= ($3::date, $4::bigint, $5::uuid)
+     )
+     UPDATE ledger_entries AS entry
+     SET balance = running.balance, updated_at = NOW()
+     FROM running
+     WHERE entry.id = running.id
+       AND NOT running.is_settlement
+       AND entry.balance IS DISTINCT FROM running.balance`,
+    [userId, partyName, from.date, from.sequence_no, from.id, SETTLEMENT_REMARK]
+  );
+
+  const { rows } = parseResult(await client.query(
+    `SELECT balance
+     FROM ledger_entries
+     WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL
+       AND COALESCE(remarks, '') NOT LIKE '%' || $3::text || '%'
+     ORDER BY date DESC, sequence_no DESC, id DESC
+     LIMIT 1`,
+    [userId, partyName, SETTLEMENT_REMARK]
+  ));
+
+  return rows.length > 0 ? parseFloat(rows[0].balance || 0) : 0;
+};
+
+/**
+ * Rewrite balances of every party touched by a set of rows, each from its
+ * earliest touched position
+ * @param {Array<Object>} rows - Inserted, updated (old and new versions) or deleted rows
+ * @returns {Object} partyName -> closing balance
+ */
+const rewriteBalancesForParties = async (client, userId, rows) => {
+  const balances = {};
+  for (const [partyName, from] of earliestPositions(rows)) {
+    balances[partyName] = await rewritePartyBalances(client, userId, partyName, from);
+  }
+  return balances;
+};
+
+/**
+ * Recompute the running balance of every party of a user in one statement
+ * @returns {number} Number of rows whose balance changed
+ */
+const rewriteAllBalances = async (client, userId) => {
+  const { rowCount } = await client.query(
+    `WITH running AS (
+       SELECT
+         id,
+         COALESCE(remarks, '') LIKE '%' || $2::text || '%' AS is_settlement,
+         SUM(
+           CASE
+             WHEN COALESCE(remarks, '') LIKE '%' || $2::text || '%' THEN 0
+             WHEN tns_type = 'CR' THEN COALESCE(credit, 0)
+             WHEN tns_type = 'DR' THEN -COALESCE(debit, 0)
+             ELSE 0
+           END
+         ) OVER (PARTITION BY party_name ORDER BY ${LEDGER_ORDER_SQL} ROWS UNBOUNDED PRECEDING) AS balance
+       FROM ledger_entries
+       WHERE user_id = $1 AND deleted_at IS NULL
+     )
+     UPDATE ledger_entries AS entry
+     SET balance = running.balance, updated_at = NOW()
+     FROM running
+     WHERE entry.id = running.id
+       AND NOT running.is_settlement
+       AND entry.balance IS DISTINCT FROM running.balance`,
+    [userId, SETTLEMENT_REMARK]
+  );
+  return rowCount;
+};
+
+/**
+ * Fully recompute balances of the given parties (repair / after bulk changes)
+ * @returns {Object} partyName -> closing balance
+ */
+const recalculateBalances = async (userId, partyNames) => {
+  return withTransaction(async (client) => {
+    await lockParties(client, userId, partyNames);
+
+    const balances = {};
+    for (const partyName of new Set(partyNames)) {
+      balances[partyName] = await rewritePartyBalances(client, userId, partyName);
+    }
+    return balances;
+  });
+};
+
+/**
+ * Fully recompute balances of every party of a user
+ * @returns {number} Number of rows whose balance changed
+ */
+const recalculateAllBalances = async (userId) => {
+  return withTransaction(async (client) => {
+    // Serializes with every posting of this user, whatever the party
+    const { rows } = parseResult(await client.query(
+      'SELECT DISTINCT party_name FROM ledger_entries WHERE user_id = $1 AND deleted_at IS NULL',
+      [userId]
+    ));
+    await lockParties(client, userId, rows.map(row => row.party_name));
+    return rewriteAllBalances(client, userId);
+  });
+};
+
+const findVoucherEntries = async (client, userId, voucherId) => {
+  const { rows } = parseResult(await client.query(
+    `SELECT *
+     FROM ledger_entries
+     WHERE user_id = $1 AND voucher_id = $2 AND deleted_at IS NULL
+     ORDER BY created_at ASC, id ASC
+     FOR UPDATE`,
+    [userId, voucherId]
+  ));
+  return rows;
+};
+
+/**
+ * Load every leg of the voucher an entry belongs to.
+ * Entries that predate vouchers (not yet backfilled) are their own voucher.
+ */
+const loadVoucherLegs = async (client, userId, entry) => {
+  if (!entry.voucher_id) {
+    const { rows } = parseResult(await client.query(
+      'SELECT * FROM ledger_entries WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [entry.id]
+    ));
+    return rows;
+  }
+  return findVoucherEntries(client, userId, entry.voucher_id);
+};
+
+/**
+ * Take the party locks of a voucher, then lock and load its legs. Party
+ * (advisory) locks come before row locks, as in postEntries, so a change to a
+ * voucher cannot deadlock with a posting to the same parties.
+ * @param {Array<string>} [extraPartyNames] - Parties the change moves a leg to
+ */
+const lockVoucherLegs = async (client, userId, entry, extraPartyNames = []) => {
+  const { rows } = entry.voucher_id
+    ? parseResult(await client.query(
+      'SELECT DISTINCT party_name FROM ledger_entries WHERE user_id = $1 AND voucher_id = $2 AND deleted_at IS NULL',
+      [userId, entry.voucher_id]
+    ))
+    : { rows: [] };
+  const locked = new Set([entry.party_name, ...rows.map(row => row.party_name), ...extraPartyNames].filter(Boolean));
+  await lockParties(client, userId, [...locked]);
+
+  const legs = await loadVoucherLegs(client, userId, entry);
+  // A leg moved to another party between the read and the row locks
+  const unlocked = legs.map(leg => leg.party_name).filter(name => !locked.has(name));
+  if (unlocked.length > 0) {
+    await lockParties(client, userId, unlocked);
+  }
+  return legs;
+};
+
+const entryAmount = (entry) => parseFloat((entry.tns_type === 'CR' ? entry.credit : entry.debit) || 0);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Renumber one party's entries on a date SEQUENCE_GAP apart, keeping their order
+ */
+const renumberDay = async (client, userId, partyName, date) => {
+  await client.query(
+    `UPDATE ledger_entries AS entry
+     SET sequence_no = ordered.position * $4
+     FROM (
+       SELECT id, ROW_NUMBER() OVER (ORDER BY sequence_no, id) AS position
+       FROM ledger_entries
+       WHERE user_id = $1 AND party_name = $2 AND date = $3
+     ) AS ordered
+     WHERE entry.id = ordered.id`,
+    [userId, partyName, date, SEQUENCE_GAP]
+  );
+};
+
+/**
+ * Sequence number that places a new row directly before or after a reference
+ * entry on the same day, renumbering the day once if the gap is used up
+ */
+const sequenceForPlacement = async (client, userId, reference, position) => {
+  const before = position === 'before';
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { rows: [current] } = parseResult(await client.query(
+      'SELECT id, sequence_no FROM ledger_entries WHERE id = $1',
+      [reference.id]
+    ));
+    const { rows: [neighbour] } = parseResult(await client.query(
+      `SELECT sequence_no
+       FROM ledger_entries
+       WHERE user_id = $1 AND party_name = $2 AND date = $3
+         AND (sequence_no, id) ${before ? '<' : '>'} ($4::bigint, $5::uuid)
+       ORDER BY sequence_no ${before ? 'DESC' : 'ASC'}, id ${before ? 'DESC' : 'ASC'}
+       LIMIT 1`,
+      [userId, reference.party_name, reference.date, current.sequence_no, current.id]
+    ));
+
+    const referenceSequence = Number(current.sequence_no);
+    if (!neighbour) {
+      return before ? referenceSequence - SEQUENCE_GAP : referenceSequence + SEQUENCE_GAP;
+    }
+
+    const neighbourSequence = Number(neighbour.sequence_no);
+    if (Math.abs(referenceSequence - neighbourSequence) > 1) {
+      return Math.floor((referenceSequence + neighbourSequence) / 2);
+    }
+
+    await renumberDay(client, userId, reference.party_name, reference.date);
+  }
+
+  throw new Error(`Could not allocate a ledger position ${position} entry ${reference.id}`);
+};
+
+/**
+ * Resolve an insertBefore/insertAfter placement for the first leg of a voucher
+ * @throws {LedgerError} when the reference entry is missing or on another party/date
+ */
+const resolvePlacement = async (client, userId, entryData, placement) => {
+  const reference = await findEntryById(client, placement.entryId);
+  if (!reference || reference.user_id !== userId || reference.deleted_at) {
+    throw new LedgerError('POSITION_ENTRY_NOT_FOUND', 'Entry to insert next to was not found', {
+      statusCode: 404,
+      details: { entryId: placement.entryId }
+    });
+  }
+  if (reference.party_name !== entryData.party_name) {
+    throw new LedgerError('POSITION_PARTY_MISMATCH', 'An entry can only be inserted next to an entry of the same party', {
+      details: { entryId: reference.id, partyName: reference.party_name }
+    });
+  }
+  if (reference.date !== entryData.date) {
+    throw new LedgerError('POSITION_DATE_MISMATCH', 'An entry can only be inserted next to an entry on the same date', {
+      details: { entryId: reference.id, date: reference.date }
+    });
+  }
+
+  return sequenceForPlacement(client, userId, reference, placement.position);
+};
+
+/**
+ * Refuse changing a voucher that is part of a reversal pair
+ * @param {boolean} allowReversal - Whether the reversal side itself may be changed
+ */
+const assertNotReversed = (legs, allowReversal = false) => {
+  if (legs.some(leg => leg.is_reversed)) {
+    throw new LedgerError('VOUCHER_REVERSED', 'This entry has been reversed and can no longer be changed', {
+      statusCode: 409,
+      details: { voucherId: legs[0]?.voucher_id || null }
+    });
+  }
+  if (!allowReversal && legs.some(leg => leg.reversal_of)) {
+    throw new LedgerError('REVERSAL_ENTRY', 'Reversal entries cannot be edited', {
+      statusCode: 409,
+      details: { voucherId: legs[0]?.voucher_id || null }
+    });
+  }
+};
+
+// ti of the legs a commission transaction (CT…) or payout (CP…) posts
+const COMMISSION_TI_PATTERN = /^C[TP]\d{13,}$/;
+
+/**
+ * Refuse changing a voucher posted by a commission transaction or payout:
+ * its record holds the amounts, so the legs only change through that record
+ */
+const assertNotCommissionVoucher = (legs) => {
+  const leg = legs.find(candidate => COMMISSION_TI_PATTERN.test(candidate.ti || ''));
+  if (leg) {
+    throw new LedgerError('COMMISSION_LEG', `This entry belongs to commission transaction ${leg.ti}; edit or cancel it from commission transactions instead`, {
+      statusCode: 409,
+      details: { voucherId: leg.voucher_id || null, transactionId: leg.ti }
+    });
+  }
+};
+
+/**
+ * Post one or more ledger rows as a single voucher and rewrite the affected
+ * party balances atomically
+ * @param {string} userId - Owner of the entries
+ * @param {Array<Object>} entries - Rows to insert (snake_case ledger_entries columns)
+ * @param {Object} [options] - { voucherId } to post into a known voucher,
+ *   { placement: { entryId, position: 'before'|'after' } } to insert the first
+ *   leg next to an existing entry instead of at the end of its day,
+ *   { enforceLimits: true } to check the parties' balance limits,
+ *   { onPosted: async (client, result) => {} } to write records that belong
+ *   to the posting in the same transaction
+ * @returns {Object} { voucherId, entries, balances, limitWarnings } with entries re-read after the balance rewrite
+ * @throws {LedgerError} VOUCHER_UNBALANCED when the legs' debits and credits differ,
+ *   PERIOD_CLOSED when a leg is dated inside a closed period,
+ *   BALANCE_LIMIT_EXCEEDED when a party in block mode would go past its limit
+ */
+const postEntries = async (userId, entries, options = {}) => {
+  const voucherId = options.voucherId || randomUUID();
+  assertVoucherBalanced(entries, voucherId);
+
+  return withTransaction(async (client) => {
+    await assertPeriodOpen(client, userId, entries.map(entry => entry.date));
+
+    const partyNames = entries.map(entry => entry.party_name);
+    await lockParties(client, userId, partyNames);
+    const limitCheck = options.enforceLimits ? await prepareLimitCheck(client, userId, entries) : null;
+
+    const rows = entries.map(entryData => ({ ...entryData, user_id: userId, voucher_id: voucherId }));
+    if (options.placement) {
+      rows[0].sequence_no = await resolvePlacement(client, userId, rows[0], options.placement);
+    }
+
+    const inserted = [];
+    for (const row of rows) {
+      inserted.push(await insertEntry(client, row));
+    }
+
+    const balances = await rewriteBalancesForParties(client, userId, inserted);
+    const limitWarnings = limitCheck ? await limitCheck.verify(balances) : [];
+
+    const posted = [];
+    for (const entry of inserted) {
+      posted.push(await findEntryById(client, entry.id));
+    }
+
+    const result = { voucherId, entries: posted, balances, limitWarnings };
+    if (options.onPosted) {
+      await options.onPosted(client, result);
+    }
+    return result;
+  });
+};
+
+const signedAmount = (leg) => (leg.tns_type === 'CR' ? 1 : -1) * entryAmount(leg);
+
+/**
+ * Permanently remove legs a change replaces. They are not moved to the
+ * recycle bin: restoring them next to their replacements would post the
+ * voucher twice. The audit log keeps the removed rows.
+ * @returns {Array<Object>} Removed rows
+ */
+const purgeReplacedLegs = async (client, legs) => {
+  if (legs.length === 0) {
+    return [];
+  }
+  const { rows } = parseResult(await client.query(
+    'DELETE FROM ledger_entries WHERE id = ANY($1) RETURNING *',
+    [legs.map(leg => leg.id)]
+  ));
+  await recordAuditInTransaction(client, rows.map(before => ({
+    entityType: ENTITY_TYPES.LEDGER_ENTRY,
+    action: ACTIONS.PURGE,
+    before
+  })));
+  return rows;
+};
+
+/**
+ * Replace the generated commission/company legs of an edited principal with
+ * freshly priced ones, matched by leg_role
+ * @param {Function} regenerateLegs - async (principal) => legs as postingRules.buildPostingLegs returns them
+ * @returns {Object} { saved, removed }
+ */
+const replaceGeneratedLegs = async (client, userId, principal, generatedLegs, regenerateLegs) => {
+  const [, ...fresh] = await regenerateLegs(principal);
+  await lockParties(client, userId, fresh.map(leg => leg.party_name));
+
+  const saved = [];
+  for (const leg of fresh) {
+    const existing = generatedLegs.find(generated => generated.leg_role === leg.leg_role);
+    const columns = {
+      party_name: leg.party_name,
+      date: leg.date,
+      remarks: leg.remarks,
+      tns_type: leg.tns_type,
+      credit: leg.credit,
+      debit: leg.debit,
+      commission_rule_id: leg.commission_rule_id,
+      commission_rule_version: leg.commission_rule_version,
+      updated_at: new Date().toISOString()
+    };
+    saved.push(existing
+      ? await updateEntryRow(client, existing.id, columns)
+      : await insertEntry(client, {
+        ...leg,
+        id: randomUUID(),
+        user_id: userId,
+        voucher_id: principal.voucher_id,
+        parent_entry_id: principal.id
+      }));
+  }
+
+  const removed = await purgeReplacedLegs(client, generatedLegs.filter(generated =>
+    !fresh.some(leg => leg.leg_role === generated.leg_role)
+  ));
+  return { saved, removed };
+};
+
+/**
+ * Update a posted entry and carry the change to every other leg of its voucher.
+ * Generated commission/company legs are re-priced from the edited principal
+ * (options.regenerateLegs) when its date, amount, type or party changes. Other legs follow the principal: a new date moves
+ * them, a new amount scales them proportionally, with the rounding remainder
+ * on the largest leg so a balanced voucher stays balanced, and a flipped CR/DR
+ * type flips them. Balances of all affected parties are rewritten in the same
+ * transaction. An edit that leaves a previously balanced voucher unbalanced is
+ * rolled back, as is one moving a voucher into or out of a closed period.
+ * Generated legs (parent_entry_id set) are only changed through their principal.
+ * Commission transaction and payout legs are only changed through their record.
+ * @param {Object} [options] - { regenerateLegs: async (principal) => legs } to re-price generated legs
+ */
+const updatePostedEntry = async (userId, entry, updateData, options = {}) => {
+  return withTransaction(async (client) => {
+    const legs = await lockVoucherLegs(client, userId, entry, [updateData.party_name]);
+    // Compare against the locked row: a concurrent edit may have changed it since it was read
+    const current = legs.find(leg => leg.id === entry.id);
+    if (!current) {
+      throw new LedgerError('ENTRY_NOT_FOUND', 'Entry not found', {
+        statusCode: 404,
+        details: { entryId: entry.id }
+      });
+    }
+    if (current.parent_entry_id) {
+      throw new LedgerError('GENERATED_LEG', 'Generated commission and company legs follow their principal entry; edit that entry instead', {
+        statusCode: 409,
+        details: { entryId: current.id, parentEntryId: current.parent_entry_id }
+      });
+    }
+    assertNotReversed(legs);
+    assertNotCommissionVoucher(legs);
+    await assertPeriodOpen(client, userId, [...legs.map(leg => leg.date), updateData.date]);
+
+    const updated = await updateEntryRow(client, current.id, updateData);
+
+    const oldAmount = entryAmount(current);
+    const ratio = oldAmount > 0 ? entryAmount(updated) / oldAmount : 1;
+    const dateChanged = updated.date !== current.date;
+    const typeFlipped = updated.tns_type !== current.tns_type;
+    const repriced = dateChanged || typeFlipped || ratio !== 1 || updated.party_name !== current.party_name;
+
+    const generatedLegs = options.regenerateLegs ? legs.filter(leg => leg.parent_entry_id === entry.id) : [];
+    const regenerated = repriced && generatedLegs.length > 0
+      ? await replaceGeneratedLegs(client, userId, updated, generatedLegs, options.regenerateLegs)
+      : { saved: [], removed: [] };
+    const otherLegs = legs.filter(leg => leg.id !== entry.id && !generatedLegs.includes(leg));
+
+    const planned = [];
+    for (const leg of otherLegs) {
+      if (!dateChanged && !typeFlipped && ratio === 1) {
+        continue;
+      }
+
+      const legUpdate = { updated_at: new Date().toISOString() };
+      if (dateChanged) {
+        legUpdate.date = updated.date;
+      }
+
+      const credit = roundAmount(parseFloat(leg.credit || 0) * ratio);
+      const debit = roundAmount(parseFloat(leg.debit || 0) * ratio);
+      if (typeFlipped) {
+        legUpdate.tns_type = leg.tns_type === 'CR' ? 'DR' : 'CR';
+        legUpdate.credit = debit;
+        legUpdate.debit = credit;
+      } else {
+        legUpdate.credit = credit;
+        legUpdate.debit = debit;
+      }
+      planned.push({ leg, legUpdate });
+    }
+
+    // Scaling rounds each leg on its own; the largest leg absorbs the remainder
+    if (ratio !== 1 && planned.length > 0 && isVoucherBalanced(legs)) {
+      const rows = [updated, ...regenerated.saved, ...planned.map(({ leg, legUpdate }) => ({ ...leg, ...legUpdate }))];
+      const remainder = roundAmount(rows.reduce((sum, row) => sum + signedAmount(row), 0));
+      if (remainder !== 0) {
+        const largest = planned.reduce((max, item) =>
+          (entryAmount({ ...item.leg, ...item.legUpdate }) > entryAmount({ ...max.leg, ...max.legUpdate }) ? item : max)
+        );
+        const tnsType = largest.legUpdate.tns_type || largest.leg.tns_type;
+        if (tnsType === 'CR') {
+          largest.legUpdate.credit = roundAmount(largest.legUpdate.credit - remainder);
+        } else {
+          largest.legUpdate.debit = roundAmount(largest.legUpdate.debit + remainder);
+        }
+      }
+    }
+
+    const updatedLegs = [...regenerated.saved];
+    for (const { leg, legUpdate } of planned) {
+      updatedLegs.push(await updateEntryRow(client, leg.id, legUpdate));
+    }
+
+    if (entry.voucher_id && isVoucherBalanced(legs)) {
+      assertVoucherBalanced(await findVoucherEntries(client, userId, entry.voucher_id), entry.voucher_id);
+    }
+
+    // Old and new positions both bound where balances start to change
+    const touched = [...legs, updated, ...updatedLegs, ...regenerated.removed];
+    const balances = await rewriteBalancesForParties(client, userId, touched);
+    const posted = await findEntryById(client, entry.id);
+
+    return { entry: posted, voucherEntries: legs, balances };
+  });
+};
+
+/**
+ * Move locked voucher legs into the recycle bin. All legs get the same
+ * deleted_at (NOW() is fixed per transaction), which is what lets the recycle
+ * bin restore or purge the voucher as one item. Deleting a reversal
+ * un-reverses its original. Balances are left to the caller.
+ * @returns {Array<Object>} Deleted rows
+ */
+const softDeleteLegs = async (client, userId, legs) => {
+  if (legs.length === 0) {
+    return [];
+  }
+  const { rows: deletedRows } = parseResult(await client.query(
+    `UPDATE ledger_entries
+     SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = ANY($1)
+     RETURNING *`,
+    [legs.map(leg => leg.id), getRequestContext().actorId || userId]
+  ));
+  await recordAuditInTransaction(client, deletedRows.map(after => ({
+    entityType: ENTITY_TYPES.LEDGER_ENTRY,
+    action: ACTIONS.DELETE,
+    before: legs.find(leg => leg.id === after.id),
+    after
+  })));
+
+  for (const originalId of legs.map(leg => leg.reversal_of).filter(Boolean)) {
+    await updateEntryRow(client, originalId, { is_reversed: false });
+  }
+  return deletedRows;
+};
+
+/**
+ * Move every leg of the voucher an entry belongs to into the recycle bin and
+ * rewrite balances of every affected party atomically. Deleting a reversal
+ * voucher un-reverses the original; a reversed original cannot be deleted on its own,
+ * nor can the legs of a commission transaction or payout.
+ */
+const deletePostedEntry = async (userId, entry) => {
+  return withTransaction(async (client) => {
+    const legs = await lockVoucherLegs(client, userId, entry);
+    assertNotReversed(legs, true);
+    assertNotCommissionVoucher(legs);
+    await assertPeriodOpen(client, userId, legs.map(leg => leg.date));
+
+    await softDeleteLegs(client, userId, legs);
+
+    const balances = await rewriteBalancesForParties(client, userId, legs);
+    const relatedEntries = legs.filter(leg => leg.id !== entry.id);
+
+    return { voucherId: entry.voucher_id || null, deletedIds: legs.map(leg => leg.id), relatedEntries, balances };
+  });
+};
+
+/**
+ * Reverse a posted voucher: post an opposite-signed voucher whose legs link
+ * back to the original legs (reversal_of) and mark the original legs reversed.
+ * Nothing is deleted, so the original posting stays visible in the books;
+ * this is also how a voucher in a closed period is corrected, as long as the
+ * reversal itself is dated in an open period.
+ * @param {Object} [options] - { date, remarks, remarksPrefix, onPosted } (onPosted as in postEntries),
+ *   { allowCommissionLegs: true } when cancelling the commission transaction itself
+ * @returns {Object} { voucherId, originalVoucherId, reversalEntries, reversedEntries, balances }
+ * @throws {LedgerError} VOUCHER_ALREADY_REVERSED / CANNOT_REVERSE_REVERSAL / COMMISSION_LEG / PERIOD_CLOSED
+ */
+const reverseVoucher = async (userId, entry, options = {}) => {
+  const voucherId = randomUUID();
+  const date = options.date || new Date().toISOString().split('T')[0];
+  const remarksPrefix = options.remarksPrefix || 'REVERSAL:';
+
+  return withTransaction(async (client) => {
+    const legs = await lockVoucherLegs(client, userId, entry);
+    if (!options.allowCommissionLegs) {
+      assertNotCommissionVoucher(legs);
+    }
+
+    if (legs.some(leg => leg.is_reversed)) {
+      throw new LedgerError('VOUCHER_ALREADY_REVERSED', 'This entry has already been reversed', {
+        statusCode: 409,
+        details: { voucherId: entry.voucher_id || null }
+      });
+    }
+    if (legs.some(leg => leg.reversal_of)) {
+      throw new LedgerError('CANNOT_REVERSE_REVERSAL', 'A reversal entry cannot be reversed again', {
+        statusCode: 409,
+        details: { voucherId: entry.voucher_id || null }
+      });
+    }
+
+    await assertPeriodOpen(client, userId, [date]);
+
+    // The mirror of a voucher balances exactly when the original does, so
+    // legacy unbalanced vouchers can still be reversed
+    const inserted = [];
+    for (const leg of legs) {
+      inserted.push(await insertEntry(client, {
+        user_id: userId,
+        voucher_id: voucherId,
+        party_name: leg.party_name,
+        date,
+        remarks: options.remarks || `${remarksPrefix} ${leg.remarks || ''}`.trim(),
+        tns_type: leg.tns_type === 'CR' ? 'DR' : 'CR',
+        credit: leg.tns_type === 'DR' ? leg.debit : 0,
+        debit: leg.tns_type === 'CR' ? leg.credit : 0,
+        balance: 0,
+        chk: false,
+        ti: '',
+        is_old_record: false,
+        reversal_of: leg.id
+      }));
+    }
+
+    const reversedEntries = [];
+    for (const leg of legs) {
+      reversedEntries.push(await updateEntryRow(client, leg.id, { is_reversed: true }));
+    }
+
+    const balances = await rewriteBalancesForParties(client, userId, inserted);
+
+    const reversalEntries = [];
+    for (const row of inserted) {
+      reversalEntries.push(await findEntryById(client, row.id));
+    }
+
+    const result = {
+      voucherId,
+      originalVoucherId: entry.voucher_id || null,
+      reversalEntries,
+      reversedEntries,
+      balances
+    };
+    if (options.onPosted) {
+      await options.onPosted(client, result);
+    }
+    return result;
+  });
+};
+
+module.exports = {
+  withTransaction,
+  lockParties,
+  insertEntry,
+  updateEntryRow,
+  findEntryById,
+  findVoucherEntries,
+  loadVoucherLegs,
+  lockVoucherLegs,
+  purgeReplacedLegs,
+  softDeleteLegs,
+  assertNotReversed,
+  COMMISSION_TI_PATTERN,
+  assertNotCommissionVoucher,
+  entryAmount,
+  roundAmount,
+  renumberDay,
+  rewritePartyBalances,
+  rewriteBalancesForParties,
+  rewriteAllBalances,
+  recalculateBalances,
+  recalculateAllBalances,
+  postEntries,
+  updatePostedEntry,
+  deletePostedEntry,
+  reverseVoucher
+};
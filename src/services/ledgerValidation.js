@@ -0,0 +1,118 @@
+/**
+ * Ledger Validation
+ *
+ * Double-entry checks shared by the posting service and the integrity report.
+ * A voucher balances when the credits of its legs equal the debits across
+ * all parties. Postings of single-leg vouchers (plain party entries) are not
+ * refused here, but the integrity report lists them as unbalanced; Monday
+ * Final settlement memo rows are not part of either check.
+ *
+ * Also holds the date-only (YYYY-MM-DD) check every request and service uses.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { LedgerError } = require('./ledgerErrors');
+
+const SETTLEMENT_REMARK = 'Monday Final Settlement';
+
+// ledger_entries.entry_type. Settlement and carry-forward rows are memo rows:
+// their remarks start with SETTLEMENT_REMARK, so balances skip them. An
+// opening balance counts in running balances and the trial balance but is
+// not period activity.
+const LEDGER_ENTRY_TYPES = {
+  TRANSACTION: 'transaction',
+  SETTLEMENT: 'settlement',
+  SETTLEMENT_PAYMENT: 'settlement_payment',
+  CARRY_FORWARD: 'carry_forward',
+  OPENING_BALANCE: 'opening_balance'
+};
+
+const MEMO_ENTRY_TYPES = [LEDGER_ENTRY_TYPES.SETTLEMENT, LEDGER_ENTRY_TYPES.CARRY_FORWARD];
+
+// Amounts are stored with 2 decimals, anything below half a paisa is rounding noise
+const BALANCE_TOLERANCE = 0.005;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Real calendar dates only: 2024-02-30 would otherwise reach Postgres and fail there
+const isValidDateOnly = (value) => {
+  if (typeof value !== 'string' || !DATE_ONLY_PATTERN.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+};
+
+const isSettlementRow = (entry) => Boolean(entry.remarks?.includes(SETTLEMENT_REMARK));
+
+const isOpeningBalanceEntry = (entry) => entry.entry_type === LEDGER_ENTRY_TYPES.OPENING_BALANCE;
+
+/**
+ * Sum credits and debits of voucher legs
+ * @param {Array<Object>} legs - ledger_entries rows (snake_case)
+ * @returns {Object} { legs, totalCredit, totalDebit, difference }
+ */
+const getVoucherTotals = (legs) => {
+  const counted = legs.filter(leg => !isSettlementRow(leg));
+  const totalCredit = counted
+    .filter(leg => leg.tns_type === 'CR')
+    .reduce((sum, leg) => sum + parseFloat(leg.credit || 0), 0);
+  const totalDebit = counted
+    .filter(leg => leg.tns_type === 'DR')
+    .reduce((sum, leg) => sum + parseFloat(leg.debit || 0), 0);
+
+  return {
+    legs: counted.length,
+    totalCredit: Math.round(totalCredit * 100) / 100,
+    totalDebit: Math.round(totalDebit * 100) / 100,
+    difference: Math.round((totalCredit - totalDebit) * 100) / 100
+  };
+};
+
+/**
+ * Whether a voucher's counted legs balance. A single leg passes: it is a plain
+ * party entry, accepted at posting and reported by the integrity report.
+ */
+const isVoucherBalanced = (legs) => {
+  const totals = getVoucherTotals(legs);
+  return totals.legs <= 1 || Math.abs(totals.difference) < BALANCE_TOLERANCE;
+};
+
+/**
+ * Refuse a multi-leg voucher whose debits and credits differ
+ * @throws {LedgerError} VOUCHER_UNBALANCED
+ */
+const assertVoucherBalanced = (legs, voucherId = null) => {
+  if (isVoucherBalanced(legs)) {
+    return;
+  }
+
+  const totals = getVoucherTotals(legs);
+  throw new LedgerError(
+    'VOUCHER_UNBALANCED',
+    `Voucher does not balance: credits ₹${totals.totalCredit} vs debits ₹${totals.totalDebit}`,
+    {
+      statusCode: 422,
+      details: {
+        voucherId,
+        ...totals,
+        parties: [...new Set(legs.map(leg => leg.party_name))]
+      }
+    }
+  );
+};
+
+module.exports = {
+  SETTLEMENT_REMARK,
+  LEDGER_ENTRY_TYPES,
+  MEMO_ENTRY_TYPES,
+  BALANCE_TOLERANCE,
+  DATE_ONLY_PATTERN,
+  isValidDateOnly,
+  isOpeningBalanceEntry,
+  getVoucherTotals,
+  isVoucherBalanced,
+  assertVoucherBalanced
+};
@@ -0,0 +1,1036 @@
+/**
+ * Monday Final Service
+ *
+ * Settles party ledgers ("Monday Final"): every unsettled entry of a party is
+ * marked as an old record and linked to a new settlement row carrying the
+ * net of all settled entries.
+ *
+ * Settlements run as logged runs (monday_final_runs). A run is claimed by its
+ * idempotency key, one per user and period ('scheduled:<local date>' for the
+ * scheduler, or the caller's Idempotency-Key for manual runs), and each party
+ * is settled in its own transaction together with its monday_final_run_parties
+ * row. A retried run therefore skips parties it already settled and a
+ * completed run is never repeated. The preview computes the same settlement
+ * (calculateSettlement) without writing. Deleting a settlement
+ * (deleteSettlement) undoes it in one transaction and marks its run party
+ * row reverted.
+ *
+ * A settlement can be partial: with a cut-off date only entries dated on or
+ * before it are settled (and the settlement row is dated at the cut-off),
+ * and explicit entry IDs narrow it further.
+ *
+ * The cash/bank amount actually paid or received can be recorded with the
+ * settlement. It is posted as a real (counted) payment voucher against the
+ * payment account, settled with the period, and any residual between the net
+ * and the payment opens the next period as a carry-forward memo row. Balances
+ * and the trial balance therefore show the residual through the payment itself.
+ *
+ * Scheduled runs (runDueSettlements, run from cron by scripts/run-monday-final.js)
+ * settle every party with monday_final = 'Yes' for users who enabled
+ * monday_final_auto, on their configured weekday, time and timezone, up to
+ * that scheduled date.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { randomUUID } = require('crypto');
+const { query, parseResult } = require('../config/postgres');
+const LedgerEntry = require('../models/supabase/LedgerEntry');
+const {
+  withTransaction,
+  lockParties,
+  insertEntry,
+  findEntryById,
+  findVoucherEntries,
+  lockVoucherLegs,
+  assertNotReversed,
+  roundAmount,
+  softDeleteLegs,
+  rewriteBalancesForParties
+} = require('./ledgerPosting.service');
+const { LEDGER_ORDER_SQL } = require('./ledgerOrdering');
+const { SETTLEMENT_REMARK, LEDGER_ENTRY_TYPES } = require('./ledgerValidation');
+const { LedgerError } = require('./ledgerErrors');
+const { assertPeriodOpen } = require('./ledgerPeriods');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+
+const RUN_TYPES = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual'
+};
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// A run still 'running' after this long is assumed to have died and may be resumed
+const STALE_RUN_MINUTES = 15;
+
+// How long after its scheduled time a missed run (e.g. server down) is still caught up
+const CATCH_UP_HOURS = parseInt(process.env.MONDAY_FINAL_CATCH_UP_HOURS, 10) || 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Whether a string is an IANA timezone the runtime knows
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validation error message for the monday_final_* user settings, or null
+ */
+const validateScheduleSettings = (settings) => {
+  if (settings.monday_final_auto !== undefined && typeof settings.monday_final_auto !== 'boolean') {
+    return 'monday_final_auto must be true or false';
+  }
+  if (settings.monday_final_weekday !== undefined &&
+      !(Number.isInteger(settings.monday_final_weekday) &&
+        settings.monday_final_weekday >= 0 &&
+        settings.monday_final_weekday <= 6)) {
+    return 'monday_final_weekday must be a whole number from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (settings.monday_final_time !== undefined &&
+      !(typeof settings.monday_final_time === 'string' && TIME_PATTERN.test(settings.monday_final_time))) {
+    return 'monday_final_time must be a 24-hour time in HH:MM format';
+  }
+  if (settings.monday_final_timezone !== undefined && !isValidTimezone(settings.monday_final_timezone)) {
+    return 'monday_final_timezone must be an IANA timezone such as "Asia/Kolkata"';
+  }
+  return null;
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {Object} { date: 'YYYY-MM-DD', weekday: 0-6, time: 'HH:MM', offsetMs }
+ */
+const localParts = (instant, timezone) => {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  for (const { type, value } of formatter.formatToParts(instant)) {
+    parts[type] = value;
+  }
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const time = `${parts.hour}:${parts.minute}`;
+  const wallClockMs = Date.parse(`${date}T${time}:00.000Z`);
+
+  return {
+    date,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    time,
+    offsetMs: wallClockMs - Math.floor(instant.getTime() / 60000) * 60000
+  };
+};
+
+/**
+ * Most recent scheduled occurrence at or before an instant
+ * @param {Object} schedule - { weekday, time, timezone }
+ * @returns {Object} { date: local date of the occurrence, scheduledFor: Date }
+ */
+const latestOccurrence = (now, { weekday, time, timezone }) => {
+  const local = localParts(now, timezone);
+
+  let daysBack = (local.weekday - weekday + 7) % 7;
+  if (daysBack === 0 && local.time < time) {
+    daysBack = 7;
+  }
+
+  const date = new Date(Date.parse(`${local.date}T00:00:00.000Z`) - daysBack * DAY_MS).toISOString().split('T')[0];
+  // Uses today's UTC offset; a DST change in between shifts the instant by at most an hour
+  const scheduledFor = new Date(Date.parse(`${date}T${time}:00.000Z`) - local.offsetMs);
+
+  return { date, scheduledFor };
+};
+
+const formatAmount = (amount) => Math.abs(amount).toFixed(2);
+
+/**
+ * Payment and residual of a settlement. The payment goes against the net
+ * (paying out a CR net, receiving a DR net); what is left is carried forward.
+ * @throws {LedgerError} INVALID_SETTLEMENT_PAYMENT
+ */
+const applyPayment = (partyName, netSettlementAmount, paidAmount) => {
+  if (paidAmount === undefined || paidAmount === null) {
+    return { paidAmount: null, paymentType: null, residualAmount: null, residualType: null };
+  }
+  if (netSettlementAmount === 0) {
+    throw new LedgerError('INVALID_SETTLEMENT_PAYMENT', `Nothing is due for "${partyName}", so no payment can be recorded`, {
+      details: { partyName, paidAmount }
+    });
+  }
+
+  const paymentType = netSettlementAmount > 0 ? 'DR' : 'CR';
+  const residualAmount = roundAmount(netSettlementAmount + (paymentType === 'DR' ? -paidAmount : paidAmount));
+  return {
+    paidAmount: roundAmount(paidAmount),
+    paymentType,
+    residualAmount,
+    residualType: residualAmount === 0 ? null : (residualAmount > 0 ? 'CR' : 'DR')
+  };
+};
+
+/**
+ * What settling a party would do: its unsettled entries and the settlement
+ * row for them. Shared by the real run and the preview so they cannot disagree.
+ * The net is the counted position of everything settled (memo rows such as
+ * earlier settlements and carry-forwards are not counted again).
+ * @param {Object} db - pg client or pool
+ * @param {Object} [options] - { forUpdate, cutoffDate, entryIds, paidAmount } forUpdate locks the
+ *   unsettled rows; cutoffDate and entryIds limit which unsettled entries are settled
+ * @returns {Object} { unsettled, netSettlementAmount, settlementType, settlementAmount, remarks,
+ *   paidAmount, paymentType, residualAmount, residualType }
+ * @throws {LedgerError} INVALID_SETTLEMENT_PAYMENT
+ */
+const calculateSettlement = async (db, userId, partyName, { forUpdate = false, cutoffDate, entryIds, paidAmount } = {}) => {
+  const conditions = ['user_id = $1', 'party_name = $2', 'deleted_at IS NULL', 'NOT COALESCE(is_old_record, false)'];
+  const params = [userId, partyName];
+  if (cutoffDate) {
+    params.push(cutoffDate);
+    conditions.push(`date <= $${params.length}::date`);
+  }
+  if (entryIds) {
+    params.push(entryIds);
+    conditions.push(`id = ANY($${params.length}::uuid[])`);
+  }
+
+  const { rows: unsettled } = parseResult(await db.query(
+    `SELECT * FROM ledger_entries
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${LEDGER_ORDER_SQL}
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    params
+  ));
+  if (unsettled.length === 0) {
+    return {
+      unsettled,
+      netSettlementAmount: 0,
+      settlementType: null,
+      settlementAmount: 0,
+      remarks: null,
+      ...applyPayment(partyName, 0, null)
+    };
+  }
+
+  // Net of everything settled so far plus the entries settled now
+  const { rows: [totals] } = parseResult(await db.query(
+    `SELECT
+       COALESCE(SUM(credit) FILTER (WHERE tns_type = 'CR'), 0) AS total_credit,
+       COALESCE(SUM(debit) FILTER (WHERE tns_type = 'DR'), 0) AS total_debit
+     FROM ledger_entries
+     WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL
+       AND (COALESCE(is_old_record, false) OR id = ANY($3))
+       AND COALESCE(remarks, '') NOT LIKE '%' || $4::text || '%'`,
+    [userId, partyName, unsettled.map(entry => entry.id), SETTLEMENT_REMARK]
+  ));
+  const netSettlementAmount = roundAmount(parseFloat(totals.total_credit) - parseFloat(totals.total_debit));
+  const settlementType = netSettlementAmount >= 0 ? 'CR' : 'DR';
+  const payment = applyPayment(partyName, netSettlementAmount, paidAmount);
+
+  const previousSettlements = unsettled.filter(entry => entry.entry_type === LEDGER_ENTRY_TYPES.SETTLEMENT).length;
+  let remarks = `${SETTLEMENT_REMARK} - ${unsettled.length} transactions settled`;
+  if (previousSettlements > 0) {
+    remarks += ` (including ${previousSettlements} previous Monday Final entries)`;
+  }
+  if (payment.paidAmount !== null) {
+    remarks += `, ${payment.paymentType === 'DR' ? 'paid' : 'received'} ${formatAmount(payment.paidAmount)} of ${formatAmount(netSettlementAmount)}`;
+    if (payment.residualAmount !== 0) {
+      remarks += `, ${formatAmount(payment.residualAmount)} carried forward`;
+    }
+  }
+
+  return {
+    unsettled,
+    netSettlementAmount,
+    settlementType,
+    settlementAmount: Math.abs(netSettlementAmount),
+    remarks,
+    ...payment
+  };
+};
+
+/**
+ * Post the payment voucher of a settlement: the party leg against the net and,
+ * with a payment account, the opposite leg on that account
+ * @returns {Array<Object>} Inserted legs
+ */
+const postSettlementPayment = async (client, userId, partyName, settlement, { settlementDate, paymentAccount }) => {
+  const voucherId = randomUUID();
+  const amount = settlement.paidAmount;
+  const legs = [{ partyName, tnsType: settlement.paymentType }];
+  if (paymentAccount) {
+    legs.push({ partyName: paymentAccount, tnsType: settlement.paymentType === 'DR' ? 'CR' : 'DR' });
+  }
+
+  const inserted = [];
+  for (const leg of legs) {
+    inserted.push(await insertEntry(client, {
+      user_id: userId,
+      party_name: leg.partyName,
+      date: settlementDate,
+      remarks: leg.partyName === partyName ? 'Monday Final Payment' : `Monday Final Payment - ${partyName}`,
+      tns_type: leg.tnsType,
+      debit: leg.tnsType === 'DR' ? amount : 0,
+      credit: leg.tnsType === 'CR' ? amount : 0,
+      balance: 0,
+      chk: false,
+      ti: `monday_final_payment_${Date.now()}`,
+      voucher_id: voucherId,
+      entry_type: LEDGER_ENTRY_TYPES.SETTLEMENT_PAYMENT,
+      is_old_record: false
+    }));
+  }
+  await rewriteBalancesForParties(client, userId, inserted);
+  return inserted;
+};
+
+/**
+ * Settle one party inside a transaction and record it on the run.
+ * @param {Object} options - { settlementDate, markMondayFinal, cutoffDate, entryIds, paidAmount, paymentAccount }
+ * @returns {Object|null} The run party row, or null if the party does not exist
+ */
+const settleParty = async (userId, runId, partyName, options) => {
+  const { settlementDate, markMondayFinal, cutoffDate, entryIds, paidAmount, paymentAccount } = options;
+  return withTransaction(async (client) => {
+    // The settlement (and any payment) is posted on the settlement date
+    await assertPeriodOpen(client, userId, [settlementDate]);
+    await lockParties(client, userId, paymentAccount ? [partyName, paymentAccount] : [partyName]);
+
+    const { rows: [party] } = parseResult(await client.query(
+      `SELECT * FROM parties
+       WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [userId, partyName]
+    ));
+    if (!party) {
+      return null;
+    }
+
+    // Settled by an earlier attempt of this run
+    const { rows: [alreadySettled] } = parseResult(await client.query(
+      'SELECT * FROM monday_final_run_parties WHERE run_id = $1 AND party_name = $2',
+      [runId, partyName]
+    ));
+    if (alreadySettled) {
+      return alreadySettled;
+    }
+
+    if (markMondayFinal && party.monday_final !== 'Yes') {
+      const { rows: [updatedParty] } = parseResult(await client.query(
+        `UPDATE parties SET monday_final = 'Yes', updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [party.id]
+      ));
+      await recordAuditInTransaction(client, {
+        entityType: ENTITY_TYPES.PARTY,
+        action: ACTIONS.UPDATE,
+        before: party,
+        after: updatedParty
+      });
+    }
+
+    const settlement = await calculateSettlement(client, userId, partyName, {
+      forUpdate: true,
+      cutoffDate,
+      entryIds,
+      paidAmount
+    });
+    const { unsettled } = settlement;
+
+    let settlementEntry = null;
+    let paymentLegs = [];
+    let carryForwardEntry = null;
+
+    if (unsettled.length > 0) {
+      // The payment is part of the settled period, so it is settled with it
+      if (settlement.paidAmount !== null) {
+        paymentLegs = await postSettlementPayment(client, userId, partyName, settlement, { settlementDate, paymentAccount });
+      }
+      const partyPaymentLeg = paymentLegs.find(leg => leg.party_name === partyName);
+      const unsettledIds = [...unsettled.map(entry => entry.id), ...(partyPaymentLeg ? [partyPaymentLeg.id] : [])];
+      const settlementVoucherId = randomUUID();
+
+      // The settlement row shows the net settlement amount as its balance
+      settlementEntry = await insertEntry(client, {
+        user_id: userId,
+        party_name: partyName,
+        date: settlementDate,
+        remarks: settlement.remarks,
+        tns_type: settlement.settlementType,
+        debit: settlement.settlementType === 'DR' ? settlement.settlementAmount : 0,
+        credit: settlement.settlementType === 'CR' ? settlement.settlementAmount : 0,
+        balance: settlement.netSettlementAmount,
+        chk: false,
+        ti: `monday_final_${Date.now()}`,
+        voucher_id: settlementVoucherId,
+        entry_type: LEDGER_ENTRY_TYPES.SETTLEMENT,
+        is_old_record: false,
+        settlement_date: null,
+        settlement_monday_final_id: null
+      });
+
+      // The unpaid residual opens the next period; a memo row like the
+      // settlement itself, because the payment already moved the balance
+      if (settlement.residualAmount) {
+        carryForwardEntry = await insertEntry(client, {
+          user_id: userId,
+          party_name: partyName,
+          date: settlementDate,
+          remarks: `${SETTLEMENT_REMARK} - ${formatAmount(settlement.residualAmount)} carried forward`,
+          tns_type: settlement.residualType,
+          debit: settlement.residualType === 'DR' ? Math.abs(settlement.residualAmount) : 0,
+          credit: settlement.residualType === 'CR' ? Math.abs(settlement.residualAmount) : 0,
+          balance: settlement.residualAmount,
+          chk: false,
+          ti: `monday_final_carry_forward_${Date.now()}`,
+          voucher_id: settlementVoucherId,
+          entry_type: LEDGER_ENTRY_TYPES.CARRY_FORWARD,
+          is_old_record: false
+        });
+      }
+
+      const { rows: settledRows } = parseResult(await client.query(
+        `UPDATE ledger_entries
+         SET is_old_record = true, settlement_date = $2, settlement_monday_final_id = $3, updated_at = NOW()
+         WHERE id = ANY($1)
+         RETURNING *`,
+        [unsettledIds, settlementDate, settlementEntry.id]
+      ));
+      await recordAuditInTransaction(client, settledRows.map(after => ({
+        entityType: ENTITY_TYPES.LEDGER_ENTRY,
+        action: ACTIONS.UPDATE,
+        before: [...unsettled, ...paymentLegs].find(entry => entry.id === after.id),
+        after
+      })));
+    }
+
+    const { rows: [runParty] } = parseResult(await client.query(
+      `INSERT INTO monday_final_run_parties
+         (run_id, party_name, settlement_entry_id, entries_settled, settlement_type, settlement_amount,
+          paid_amount, residual_amount, payment_voucher_id, carry_forward_entry_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        runId,
+        partyName,
+        settlementEntry?.id || null,
+        unsettled.length,
+        settlementEntry?.tns_type || null,
+        settlement.settlementAmount,
+        settlementEntry ? settlement.paidAmount : null,
+        settlementEntry ? settlement.residualAmount : null,
+        paymentLegs[0]?.voucher_id || null,
+        carryForwardEntry?.id || null
+      ]
+    ));
+    return runParty;
+  });
+};
+
+/**
+ * Claim the run for an idempotency key. A new key starts a run; a failed or
+ * stale run is resumed; a completed run is returned as is.
+ * @returns {Object} { run, alreadyCompleted }
+ * @throws {LedgerError} MONDAY_FINAL_RUN_IN_PROGRESS
+ */
+const claimRun = async (userId, { idempotencyKey, runType, scheduledFor, cutoffDate }) => {
+  const { rows: [created] } = parseResult(await query(
+    `INSERT INTO monday_final_runs (user_id, idempotency_key, run_type, status, scheduled_for, cutoff_date)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, idempotency_key) DO NOTHING
+     RETURNING *`,
+    [userId, idempotencyKey, runType, RUN_STATUS.RUNNING, scheduledFor || null, cutoffDate || null]
+  ));
+  if (created) {
+    return { run: created, alreadyCompleted: false };
+  }
+
+  const { rows: [existing] } = parseResult(await query(
+    'SELECT * FROM monday_final_runs WHERE user_id = $1 AND idempotency_key = $2',
+    [userId, idempotencyKey]
+  ));
+  if (existing.status === RUN_STATUS.COMPLETED) {
+    return { run: existing, alreadyCompleted: true };
+  }
+
+  const { rows: [resumed] } = parseResult(await query(
+    `UPDATE monday_final_runs
+     SET status = $2, error = NULL, started_at = NOW(), finished_at = NULL
+     WHERE id = $1
+       AND (status = $3 OR (status = $2 AND started_at < NOW() - make_interval(mins => $4)))
+     RETURNING *`,
+    [existing.id, RUN_STATUS.RUNNING, RUN_STATUS.FAILED, STALE_RUN_MINUTES]
+  ));
+  if (!resumed) {
+    throw new LedgerError('MONDAY_FINAL_RUN_IN_PROGRESS', 'A Monday Final run with this idempotency key is already in progress', {
+      statusCode: 409,
+      details: { runId: existing.id, idempotencyKey }
+    });
+  }
+  return { run: resumed, alreadyCompleted: false };
+};
+
+const findRunParties = async (runId) => {
+  const { rows } = parseResult(await query(
+    'SELECT * FROM monday_final_run_parties WHERE run_id = $1 ORDER BY settled_at, party_name',
+    [runId]
+  ));
+  return rows;
+};
+
+/**
+ * Parties a run settles: the given names, or every party with Monday Final
+ * enabled. The company account is never settled.
+ */
+const resolvePartyNames = async (userId, partyNames) => {
+  const { rows: [settings] } = parseResult(await query(
+    'SELECT company_account FROM user_settings WHERE user_id = $1',
+    [userId]
+  ));
+  const companyName = settings?.company_account;
+
+  let names = partyNames;
+  if (!names) {
+    const { rows } = parseResult(await query(
+      `SELECT party_name FROM parties
+       WHERE user_id = $1 AND monday_final = 'Yes' AND deleted_at IS NULL
+       ORDER BY party_name`,
+      [userId]
+    ));
+    names = rows.map(row => row.party_name);
+  }
+
+  const uniqueNames = [...new Set(names)];
+  return {
+    companyName,
+    partyNames: uniqueNames.filter(name => !companyName || name !== companyName),
+    skippedParties: uniqueNames.filter(name => companyName && name === companyName)
+  };
+};
+
+/**
+ * Explicit entry IDs must be unsettled (or already settled by this run on an
+ * earlier attempt), live entries of the parties being settled
+ * @throws {LedgerError} INVALID_SETTLEMENT_ENTRIES
+ */
+const assertSettleableEntries = async (userId, partyNames, { cutoffDate, entryIds, idempotencyKey }) => {
+  if (!entryIds) {
+    return;
+  }
+
+  const { rows } = parseResult(await query(
+    `SELECT id FROM ledger_entries
+     WHERE user_id = $1 AND id = ANY($2::uuid[]) AND party_name = ANY($3) AND deleted_at IS NULL
+       AND ($4::date IS NULL OR date <= $4::date)
+       AND (NOT COALESCE(is_old_record, false) OR settlement_monday_final_id IN (
+         SELECT rp.settlement_entry_id
+         FROM monday_final_run_parties rp
+         JOIN monday_final_runs r ON r.id = rp.run_id
+         WHERE r.user_id = $1 AND r.idempotency_key = $5
+       ))`,
+    [userId, entryIds, partyNames, cutoffDate || null, idempotencyKey || null]
+  ));
+
+  const settleable = new Set(rows.map(row => row.id));
+  const invalid = entryIds.filter(id => !settleable.has(id));
+  if (invalid.length > 0) {
+    throw new LedgerError(
+      'INVALID_SETTLEMENT_ENTRIES',
+      'Some entries are not unsettled entries of the selected parties' + (cutoffDate ? ` dated on or before ${cutoffDate}` : ''),
+      { details: { entryIds: invalid } }
+    );
+  }
+};
+
+/**
+ * Account the settlement payments are posted against: the given party or, by
+ * default, the company account when it exists as a party. Without one the
+ * payment is a single party leg.
+ * @throws {LedgerError} INVALID_PAYMENT_ACCOUNT
+ */
+const resolvePaymentAccount = async (userId, partyNames, { paidAmounts, paymentAccount, companyName }) => {
+  if (!paidAmounts || Object.keys(paidAmounts).length === 0) {
+    return null;
+  }
+
+  const accountName = paymentAccount || companyName;
+  if (!accountName) {
+    return null;
+  }
+
+  const { rows } = parseResult(await query(
+    'SELECT 1 FROM parties WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL',
+    [userId, accountName]
+  ));
+  if (rows.length === 0 || partyNames.includes(accountName)) {
+    if (!paymentAccount) {
+      return null;
+    }
+    throw new LedgerError('INVALID_PAYMENT_ACCOUNT', `Payment account "${paymentAccount}" must be an existing party that is not being settled`, {
+      details: { paymentAccount }
+    });
+  }
+  return accountName;
+};
+
+/**
+ * Run (or resume) a Monday Final settlement
+ * @param {Object} [options] - { runType, idempotencyKey, partyNames, scheduledFor, settlementDate, cutoffDate,
+ *   entryIds, paidAmounts, paymentAccount }
+ *   Without partyNames every party with Monday Final enabled is settled;
+ *   with them each listed party is also switched to Monday Final.
+ *   With cutoffDate only entries on or before it are settled and the
+ *   settlement rows are dated at the cut-off; entryIds settles only those entries.
+ *   paidAmounts ({ partyName: amount }) records the payment made for a party.
+ * @returns {Object} { run, parties, skippedParties, alreadyCompleted }
+ * @throws {LedgerError} MONDAY_FINAL_RUN_IN_PROGRESS / INVALID_SETTLEMENT_ENTRIES /
+ *   INVALID_PAYMENT_ACCOUNT / INVALID_SETTLEMENT_PAYMENT
+ */
+const runMondayFinal = async (userId, options = {}) => {
+  const runType = options.runType || RUN_TYPES.MANUAL;
+  const idempotencyKey = options.idempotencyKey || `${runType}:${randomUUID()}`;
+  const { cutoffDate, entryIds } = options;
+  const settlementDate = cutoffDate || options.settlementDate || new Date().toISOString().split('T')[0];
+
+  const paidAmounts = options.paidAmounts || {};
+
+  const { companyName, partyNames, skippedParties } = await resolvePartyNames(userId, options.partyNames);
+  await assertSettleableEntries(userId, partyNames, { cutoffDate, entryIds, idempotencyKey });
+  const paymentAccount = await resolvePaymentAccount(userId, partyNames, {
+    paidAmounts,
+    paymentAccount: options.paymentAccount,
+    companyName
+  });
+
+  const { run, alreadyCompleted } = await claimRun(userId, {
+    idempotencyKey,
+    runType,
+    scheduledFor: options.scheduledFor,
+    cutoffDate
+  });
+  if (alreadyCompleted) {
+    return { run, parties: await findRunParties(run.id), skippedParties: [], alreadyCompleted: true };
+  }
+
+  try {
+    for (const partyName of partyNames) {
+      const runParty = await settleParty(userId, run.id, partyName, {
+        settlementDate,
+        markMondayFinal: Boolean(options.partyNames),
+        cutoffDate,
+        entryIds,
+        paidAmount: paidAmounts[partyName],
+        paymentAccount: paidAmounts[partyName] !== undefined ? paymentAccount : null
+      });
+      if (!runParty) {
+        skippedParties.push(partyName);
+      }
+    }
+
+    const { rows: [completed] } = parseResult(await query(
+      `UPDATE monday_final_runs
+       SET status = $2, finished_at = NOW(),
+           parties_settled = (SELECT COUNT(*) FROM monday_final_run_parties WHERE run_id = $1 AND entries_settled > 0),
+           entries_settled = (SELECT COALESCE(SUM(entries_settled), 0) FROM monday_final_run_parties WHERE run_id = $1)
+       WHERE id = $1
+       RETURNING *`,
+      [run.id, RUN_STATUS.COMPLETED]
+    ));
+
+    return { run: completed, parties: await findRunParties(run.id), skippedParties, alreadyCompleted: false };
+  } catch (error) {
+    await query(
+      'UPDATE monday_final_runs SET status = $2, error = $3, finished_at = NOW() WHERE id = $1',
+      [run.id, RUN_STATUS.FAILED, error.message]
+    );
+    throw error;
+  }
+};
+
+/**
+ * What a Monday Final run would settle, without writing anything
+ * @param {Object} [options] - { partyNames, cutoffDate, entryIds, paidAmounts, paymentAccount } as for runMondayFinal
+ * @returns {Object} { parties, skippedParties, totals }
+ * @throws {LedgerError} INVALID_SETTLEMENT_ENTRIES / INVALID_PAYMENT_ACCOUNT / INVALID_SETTLEMENT_PAYMENT
+ */
+const previewMondayFinal = async (userId, options = {}) => {
+  const { cutoffDate, entryIds } = options;
+  const paidAmounts = options.paidAmounts || {};
+  const { companyName, partyNames, skippedParties } = await resolvePartyNames(userId, options.partyNames);
+  await assertSettleableEntries(userId, partyNames, { cutoffDate, entryIds });
+  const paymentAccount = await resolvePaymentAccount(userId, partyNames, {
+    paidAmounts,
+    paymentAccount: options.paymentAccount,
+    companyName
+  });
+  const companySkipped = [...skippedParties];
+  const notFound = [];
+
+  const { rows: existing } = parseResult(await query(
+    'SELECT party_name FROM parties WHERE user_id = $1 AND party_name = ANY($2) AND deleted_at IS NULL',
+    [userId, partyNames]
+  ));
+  const existingNames = new Set(existing.map(row => row.party_name));
+
+  const parties = [];
+  for (const partyName of partyNames) {
+    if (!existingNames.has(partyName)) {
+      notFound.push(partyName);
+      continue;
+    }
+    const settlement = await calculateSettlement({ query }, userId, partyName, {
+      cutoffDate,
+      entryIds,
+      paidAmount: paidAmounts[partyName]
+    });
+    parties.push({
+      partyName,
+      settlementDate: settlement.unsettled.length > 0 ? cutoffDate || new Date().toISOString().split('T')[0] : null,
+      unsettledEntries: settlement.unsettled,
+      entriesToSettle: settlement.unsettled.length,
+      netSettlementAmount: settlement.netSettlementAmount,
+      settlementType: settlement.settlementType,
+      settlementAmount: settlement.settlementAmount,
+      paidAmount: settlement.paidAmount,
+      paymentAccount: settlement.paidAmount !== null ? paymentAccount : null,
+      residualAmount: settlement.residualAmount,
+      residualType: settlement.residualType,
+      remarks: settlement.remarks
+    });
+  }
+
+  return {
+    parties,
+    skippedParties: [
+      ...companySkipped.map(partyName => ({ partyName, reason: 'company_account' })),
+      ...notFound.map(partyName => ({ partyName, reason: 'not_found' }))
+    ],
+    totals: {
+      parties: parties.filter(party => party.entriesToSettle > 0).length,
+      entries: parties.reduce((sum, party) => sum + party.entriesToSettle, 0)
+    }
+  };
+};
+
+/**
+ * Monday Final settlements of a party, newest first
+ * @returns {Array<Object>} { id, date, createdAt, remarks, entryCount, netSettlementAmount,
+ *   settlementType, settlementAmount, paidAmount, residualAmount, runId, settledBy }
+ */
+const listPartySettlements = async (userId, partyName) => {
+  const { rows } = parseResult(await query(
+    `SELECT s.*, COUNT(e.id)::int AS entry_count, rp.run_id, rp.paid_amount, rp.residual_amount
+     FROM ledger_entries s
+     LEFT JOIN ledger_entries e
+       ON e.settlement_monday_final_id = s.id AND e.user_id = s.user_id AND e.deleted_at IS NULL
+     LEFT JOIN monday_final_run_parties rp ON rp.settlement_entry_id = s.id
+     WHERE s.user_id = $1 AND s.party_name = $2 AND s.deleted_at IS NULL
+       AND COALESCE(s.remarks, '') LIKE '%' || $3::text || '%'
+       AND COALESCE(s.entry_type, '') <> $4
+     GROUP BY s.id, rp.run_id, rp.paid_amount, rp.residual_amount
+     ORDER BY s.date DESC, s.sequence_no DESC, s.id DESC`,
+    [userId, partyName, SETTLEMENT_REMARK, LEDGER_ENTRY_TYPES.CARRY_FORWARD]
+  ));
+
+  return rows.map(row => ({
+    id: row.id,
+    date: row.date,
+    createdAt: row.created_at,
+    remarks: row.remarks,
+    entryCount: row.entry_count,
+    netSettlementAmount: parseFloat(row.balance || 0),
+    settlementType: row.tns_type,
+    settlementAmount: parseFloat((row.tns_type === 'CR' ? row.credit : row.debit) || 0),
+    paidAmount: row.paid_amount === null || row.paid_amount === undefined ? null : parseFloat(row.paid_amount),
+    residualAmount: row.residual_amount === null || row.residual_amount === undefined ? null : parseFloat(row.residual_amount),
+    runId: row.run_id || null,
+    // A later settlement that carried this one forward
+    settledBy: row.is_old_record ? row.settlement_monday_final_id : null
+  }));
+};
+
+/**
+ * Settlement statement: the settlement row, the entries it settled (the
+ * payment included), the running position before the first and after the
+ * last of them and the carry-forward row opening the next period
+ * @returns {Object} { settlement, entries, carryForward, openingBalance, closingBalance, totals }
+ * @throws {LedgerError} SETTLEMENT_NOT_FOUND
+ */
+const getSettlementStatement = async (userId, settlementId) => {
+  const settlement = await LedgerEntry.findById(settlementId);
+  if (!settlement || settlement.user_id !== userId || !settlement.remarks?.includes(SETTLEMENT_REMARK) ||
+      settlement.entry_type === LEDGER_ENTRY_TYPES.CARRY_FORWARD) {
+    throw new LedgerError('SETTLEMENT_NOT_FOUND', 'Monday Final settlement not found', {
+      statusCode: 404,
+      details: { settlementId }
+    });
+  }
+
+  const entries = await LedgerEntry.findBySettlementId(userId, settlementId);
+
+  // Stored running balances span the whole ledger; settlement rows do not move them
+  const counted = entries.filter(entry => !entry.remarks?.includes(SETTLEMENT_REMARK));
+  const first = counted[0];
+  const last = counted[counted.length - 1];
+  const openingBalance = first
+    ? roundAmount(parseFloat(first.balance || 0) - parseFloat(first.credit || 0) + parseFloat(first.debit || 0))
+    : 0;
+  const closingBalance = last ? roundAmount(parseFloat(last.balance || 0)) : openingBalance;
+
+  const payments = entries.filter(entry => entry.entry_type === LEDGER_ENTRY_TYPES.SETTLEMENT_PAYMENT);
+  const voucherLegs = settlement.voucher_id ? await LedgerEntry.findByVoucherId(userId, settlement.voucher_id) : [];
+  const carryForward = voucherLegs.find(leg => leg.entry_type === LEDGER_ENTRY_TYPES.CARRY_FORWARD) || null;
+
+  return {
+    settlement,
+    entries,
+    carryForward,
+    openingBalance,
+    closingBalance,
+    totals: {
+      entries: entries.length,
+      previousSettlements: entries.length - counted.length,
+      credit: roundAmount(counted.reduce((sum, entry) => sum + parseFloat(entry.credit || 0), 0)),
+      debit: roundAmount(counted.reduce((sum, entry) => sum + parseFloat(entry.debit || 0), 0)),
+      netSettlementAmount: parseFloat(settlement.balance || 0),
+      settlementType: settlement.tns_type,
+      paidAmount: payments.length > 0
+        ? roundAmount(payments.reduce((sum, entry) => sum + parseFloat(entry.credit || 0) + parseFloat(entry.debit || 0), 0))
+        : null,
+      residualAmount: carryForward ? parseFloat(carryForward.balance || 0) : (payments.length > 0 ? 0 : null)
+    }
+  };
+};
+
+/**
+ * Delete a Monday Final settlement and unsettle exactly the entries it
+ * settled, in one transaction: the entries become current again, the
+ * settlement row and its carry-forward go to the recycle bin together with
+ * the whole payment voucher recorded with the settlement (the party leg and
+ * the payment account leg), and the run party row is marked reverted.
+ * @returns {Object} { deletedEntryId, unsettledTransactions, deletedPaymentIds, partyName, settlementDate, balances }
+ * @throws {LedgerError} SETTLEMENT_NOT_FOUND / NOT_A_SETTLEMENT / VOUCHER_REVERSED / PERIOD_CLOSED
+ */
+const deleteSettlement = async (userId, settlementId) => {
+  return withTransaction(async (client) => {
+    const found = await findEntryById(client, settlementId);
+    if (!found || found.user_id !== userId || found.deleted_at) {
+      throw new LedgerError('SETTLEMENT_NOT_FOUND', 'Monday Final entry not found', {
+        statusCode: 404,
+        details: { settlementId }
+      });
+    }
+    // Carry-forward rows go with their settlement
+    if (!found.remarks?.includes(SETTLEMENT_REMARK) || found.entry_type === LEDGER_ENTRY_TYPES.CARRY_FORWARD) {
+      throw new LedgerError('NOT_A_SETTLEMENT', 'This is not a Monday Final entry', {
+        details: { settlementId }
+      });
+    }
+
+    // The payment vouchers settled by it also touch the payment account
+    const { rows: paymentVouchers } = parseResult(await client.query(
+      `SELECT DISTINCT voucher_id, party_name FROM ledger_entries
+       WHERE user_id = $1 AND deleted_at IS NULL AND voucher_id IN (
+         SELECT voucher_id FROM ledger_entries
+         WHERE user_id = $1 AND settlement_monday_final_id = $2 AND entry_type = $3 AND deleted_at IS NULL
+       )`,
+      [userId, settlementId, LEDGER_ENTRY_TYPES.SETTLEMENT_PAYMENT]
+    ));
+
+    const legs = await lockVoucherLegs(client, userId, found, paymentVouchers.map(row => row.party_name));
+    const settlement = legs.find(leg => leg.id === settlementId);
+    if (!settlement) {
+      throw new LedgerError('SETTLEMENT_NOT_FOUND', 'Monday Final entry not found', {
+        statusCode: 404,
+        details: { settlementId }
+      });
+    }
+
+    const paymentLegs = [];
+    for (const voucherId of new Set(paymentVouchers.map(row => row.voucher_id))) {
+      paymentLegs.push(...await findVoucherEntries(client, userId, voucherId));
+    }
+    // A payment leg moved to another party between the read and the row locks
+    const lockedParties = new Set([settlement.party_name, ...paymentVouchers.map(row => row.party_name)]);
+    await lockParties(client, userId, paymentLegs.map(leg => leg.party_name).filter(name => !lockedParties.has(name)));
+    assertNotReversed(paymentLegs, true);
+
+    // A settlement dated inside a closed period stays
+    await assertPeriodOpen(client, userId, [...legs, ...paymentLegs].map(leg => leg.date));
+
+    // The link is exact, so a partial (cut-off) settlement unsettles only the
+    // subset it settled. Binned entries are unlinked too, for when they are restored.
+    const { rows: settled } = parseResult(await client.query(
+      `SELECT * FROM ledger_entries
+       WHERE user_id = $1 AND settlement_monday_final_id = $2
+       FOR UPDATE`,
+      [userId, settlementId]
+    ));
+    const { rows: unsettledRows } = parseResult(await client.query(
+      `UPDATE ledger_entries
+       SET is_old_record = false, settlement_date = NULL, settlement_monday_final_id = NULL, updated_at = NOW()
+       WHERE id = ANY($1)
+       RETURNING *`,
+      [settled.map(entry => entry.id)]
+    ));
+    await recordAuditInTransaction(client, unsettledRows.map(after => ({
+      entityType: ENTITY_TYPES.LEDGER_ENTRY,
+      action: ACTIONS.UPDATE,
+      before: settled.find(entry => entry.id === after.id),
+      after
+    })));
+
+    await softDeleteLegs(client, userId, [...legs, ...paymentLegs]);
+    await client.query(
+      'UPDATE monday_final_run_parties SET reverted_at = NOW() WHERE settlement_entry_id = $1 AND reverted_at IS NULL',
+      [settlementId]
+    );
+
+    const balances = await rewriteBalancesForParties(client, userId, [...legs, ...paymentLegs, ...unsettledRows]);
+    const paymentIds = new Set(paymentLegs.map(leg => leg.id));
+
+    return {
+      deletedEntryId: settlementId,
+      unsettledTransactions: unsettledRows.filter(entry => !entry.deleted_at && !paymentIds.has(entry.id)).length,
+      deletedPaymentIds: [...paymentIds],
+      partyName: settlement.party_name,
+      settlementDate: settlement.date,
+      balances
+    };
+  });
+};
+
+/**
+ * Run log of a user, newest first
+ * @param {Object} [options] - { page, limit }
+ * @returns {Object} { runs, pagination }
+ */
+const listRuns = async (userId, { page = 1, limit = 20 } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const { rows: runs } = parseResult(await query(
+    `SELECT * FROM monday_final_runs
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, pageSize, (pageNumber - 1) * pageSize]
+  ));
+  const { rows: [{ total }] } = parseResult(await query(
+    'SELECT COUNT(*)::int AS total FROM monday_final_runs WHERE user_id = $1',
+    [userId]
+  ));
+
+  const { rows: runParties } = runs.length > 0
+    ? parseResult(await query(
+      'SELECT * FROM monday_final_run_parties WHERE run_id = ANY($1) ORDER BY settled_at, party_name',
+      [runs.map(run => run.id)]
+    ))
+    : { rows: [] };
+
+  return {
+    runs: runs.map(run => ({
+      ...run,
+      parties: runParties.filter(runParty => runParty.run_id === run.id)
+    })),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+/**
+ * Run every scheduled settlement that is due: for each user with
+ * monday_final_auto on, the latest occurrence of their weekday and time,
+ * if it is no older than the catch-up window. The run is cut off at that
+ * scheduled local date, so a late (catch-up) run does not settle entries
+ * dated after it.
+ * @returns {Array<Object>} { userId, idempotencyKey, status, partiesSettled, entriesSettled, error }
+ */
+const runDueSettlements = async (now = new Date()) => {
+  const { rows: schedules } = parseResult(await query(
+    `SELECT user_id, monday_final_weekday, monday_final_time, monday_final_timezone
+     FROM user_settings
+     WHERE monday_final_auto = true`
+  ));
+
+  const results = [];
+  for (const schedule of schedules) {
+    const timezone = isValidTimezone(schedule.monday_final_timezone) ? schedule.monday_final_timezone : 'UTC';
+    const { date, scheduledFor } = latestOccurrence(now, {
+      weekday: schedule.monday_final_weekday ?? 1,
+      time: TIME_PATTERN.test(schedule.monday_final_time || '') ? schedule.monday_final_time : '00:00',
+      timezone
+    });
+    if (now.getTime() - scheduledFor.getTime() > CATCH_UP_HOURS * HOUR_MS) {
+      continue;
+    }
+
+    const idempotencyKey = `${RUN_TYPES.SCHEDULED}:${date}`;
+    try {
+      const result = await runMondayFinal(schedule.user_id, {
+        runType: RUN_TYPES.SCHEDULED,
+        idempotencyKey,
+        scheduledFor,
+        cutoffDate: date
+      });
+      if (!result.alreadyCompleted) {
+        results.push({
+          userId: schedule.user_id,
+          idempotencyKey,
+          status: result.run.status,
+          partiesSettled: result.run.parties_settled,
+          entriesSettled: result.run.entries_settled
+        });
+      }
+    } catch (error) {
+      if (error.code !== 'MONDAY_FINAL_RUN_IN_PROGRESS') {
+        results.push({ userId: schedule.user_id, idempotencyKey, status: RUN_STATUS.FAILED, error: error.message });
+      }
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  RUN_TYPES,
+  RUN_STATUS,
+  validateScheduleSettings,
+  runMondayFinal,
+  previewMondayFinal,
+  listPartySettlements,
+  getSettlementStatement,
+  deleteSettlement,
+  listRuns,
+  runDueSettlements
+};
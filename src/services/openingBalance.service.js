@@ -0,0 +1,226 @@
+/**
+ * Opening Balance Service
+ *
+ * Seeds the balance a party brings in when a business migrates onto the
+ * system. The opening balance is a single ledger row with entry_type
+ * 'opening_balance', placed first on its date: it counts in running balances
+ * and the trial balance like any transaction, but ledger summaries leave it
+ * out of period activity totals.
+ *
+ * Amounts are signed like balances: positive is a credit balance, negative a
+ * debit balance, zero removes the opening balance.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { randomUUID } = require('crypto');
+const { pool, parseResult } = require('../config/postgres');
+const {
+  withTransaction,
+  lockParties,
+  insertEntry,
+  updateEntryRow,
+  findEntryById,
+  roundAmount,
+  rewriteBalancesForParties
+} = require('./ledgerPosting.service');
+const { SEQUENCE_GAP, LEDGER_ORDER_SQL } = require('./ledgerOrdering');
+const { LEDGER_ENTRY_TYPES, isValidDateOnly } = require('./ledgerValidation');
+const { LedgerError } = require('./ledgerErrors');
+const { assertPeriodOpen } = require('./ledgerPeriods');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+const { getRequestContext } = require('../middlewares/requestContext');
+
+const OPENING_BALANCE_REMARK = 'Opening Balance';
+
+/**
+ * Validate an opening amount and date from a request
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateOpeningBalance = ({ amount, date }) => {
+  const parsedAmount = Number(amount);
+  if (amount === undefined || amount === null || amount === '' || !Number.isFinite(parsedAmount)) {
+    return 'Opening balance amount must be a number (positive for credit, negative for debit)';
+  }
+  if (parsedAmount !== 0 && !isValidDateOnly(date)) {
+    return 'Opening balance date must be a date in YYYY-MM-DD format';
+  }
+  return null;
+};
+
+const findOpeningEntry = async (db, userId, partyName, { forUpdate = false } = {}) => {
+  const { rows } = parseResult(await db.query(
+    `SELECT * FROM ledger_entries
+     WHERE user_id = $1 AND party_name = $2 AND entry_type = $3 AND deleted_at IS NULL
+     ORDER BY ${LEDGER_ORDER_SQL}
+     LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [userId, partyName, LEDGER_ENTRY_TYPES.OPENING_BALANCE]
+  ));
+  return rows[0] || null;
+};
+
+const formatOpeningBalance = (partyName, entry) => ({
+  partyName,
+  amount: entry ? roundAmount(parseFloat(entry.credit || 0) - parseFloat(entry.debit || 0)) : 0,
+  date: entry?.date || null,
+  entry: entry || null
+});
+
+/**
+ * Sequence number placing the opening balance before every other row of its
+ * date, or null to let the database append it (nothing else on the date)
+ */
+const firstSequenceOnDate = async (client, userId, partyName, date, excludeId) => {
+  const { rows: [first] } = parseResult(await client.query(
+    `SELECT MIN(sequence_no) AS sequence_no
+     FROM ledger_entries
+     WHERE user_id = $1 AND party_name = $2 AND date = $3 AND id <> $4`,
+    [userId, partyName, date, excludeId || '00000000-0000-0000-0000-000000000000']
+  ));
+  return first.sequence_no === null ? null : Number(first.sequence_no) - SEQUENCE_GAP;
+};
+
+/**
+ * Current opening balance of a party
+ * @returns {Object} { partyName, amount, date, entry }
+ */
+const getPartyOpeningBalance = async (userId, partyName) => {
+  return formatOpeningBalance(partyName, await findOpeningEntry(pool, userId, partyName));
+};
+
+/**
+ * Opening balance write of setOpeningBalance inside the caller's transaction
+ * @param {Object} client - pg client with an open transaction
+ */
+const applyOpeningBalance = async (client, userId, partyName, { amount, date }) => {
+  const openingAmount = roundAmount(Number(amount));
+
+  const current = await findOpeningEntry(client, userId, partyName);
+  await assertPeriodOpen(client, userId, [current?.date, openingAmount !== 0 ? date : null]);
+  await lockParties(client, userId, [partyName]);
+
+  const existing = await findOpeningEntry(client, userId, partyName, { forUpdate: true });
+  if (existing && (existing.is_old_record || existing.is_reversed)) {
+    throw new LedgerError(
+      'OPENING_BALANCE_LOCKED',
+      'The opening balance has been settled or reversed and can no longer be changed',
+      { statusCode: 409, details: { entryId: existing.id } }
+    );
+  }
+
+  if (openingAmount === 0) {
+    if (!existing) {
+      return { ...formatOpeningBalance(partyName, null), balances: {} };
+    }
+
+    const { rows: [deleted] } = parseResult(await client.query(
+      `UPDATE ledger_entries
+       SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = $1
+       RETURNING *`,
+      [existing.id, getRequestContext().actorId || userId]
+    ));
+    await recordAuditInTransaction(client, {
+      entityType: ENTITY_TYPES.LEDGER_ENTRY,
+      action: ACTIONS.DELETE,
+      before: existing,
+      after: deleted
+    });
+
+    const balances = await rewriteBalancesForParties(client, userId, [existing]);
+    return { ...formatOpeningBalance(partyName, null), balances };
+  }
+
+  const amounts = openingAmount > 0
+    ? { tns_type: 'CR', credit: openingAmount, debit: 0 }
+    : { tns_type: 'DR', credit: 0, debit: -openingAmount };
+  const sequenceNo = await firstSequenceOnDate(client, userId, partyName, date, existing?.id);
+
+  let saved;
+  if (existing) {
+    saved = await updateEntryRow(client, existing.id, {
+      date,
+      ...amounts,
+      ...(sequenceNo !== null && { sequence_no: sequenceNo }),
+      updated_at: new Date().toISOString()
+    });
+  } else {
+    saved = await insertEntry(client, {
+      user_id: userId,
+      party_name: partyName,
+      date,
+      remarks: OPENING_BALANCE_REMARK,
+      ...amounts,
+      balance: 0,
+      chk: false,
+      ti: `OPEN_${Date.now()}`,
+      is_old_record: false,
+      entry_type: LEDGER_ENTRY_TYPES.OPENING_BALANCE,
+      voucher_id: randomUUID(),
+      ...(sequenceNo !== null && { sequence_no: sequenceNo }),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  const balances = await rewriteBalancesForParties(client, userId, [existing, saved].filter(Boolean));
+  return { ...formatOpeningBalance(partyName, await findEntryById(client, saved.id)), balances };
+};
+
+/**
+ * Set, change or (with amount 0) remove the opening balance of a party and
+ * rewrite its running balances in the same transaction
+ * @param {Object} opening - { amount, date }
+ * @returns {Object} { partyName, amount, date, entry, balances }
+ * @throws {LedgerError} OPENING_BALANCE_LOCKED / PERIOD_CLOSED
+ */
+const setOpeningBalance = async (userId, partyName, opening) =>
+  withTransaction(client => applyOpeningBalance(client, userId, partyName, opening));
+
+/**
+ * Create a party together with its opening balance in one transaction, so a
+ * failed opening balance leaves no party behind
+ * @param {Object} partyRow - parties columns (snake_case, with party_name)
+ * @param {Object} opening - { amount, date }
+ * @returns {Object} { party, openingBalance }
+ * @throws {LedgerError} PARTY_EXISTS / PERIOD_CLOSED
+ */
+const createPartyWithOpeningBalance = async (userId, partyRow, opening) =>
+  withTransaction(async (client) => {
+    await lockParties(client, userId, [partyRow.party_name]);
+
+    const { rows: existing } = parseResult(await client.query(
+      'SELECT 1 FROM parties WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL',
+      [userId, partyRow.party_name]
+    ));
+    if (existing.length > 0) {
+      throw new LedgerError('PARTY_EXISTS', 'Party with this name already exists for your account', {
+        details: { partyName: partyRow.party_name }
+      });
+    }
+
+    const columns = Object.keys(partyRow).filter(column => column !== 'user_id');
+    const { rows: [party] } = parseResult(await client.query(
+      `INSERT INTO parties (user_id, ${columns.join(', ')})
+       VALUES ($1, ${columns.map((_, index) => `$${index + 2}`).join(', ')})
+       RETURNING *`,
+      [userId, ...columns.map(column => partyRow[column])]
+    ));
+    await recordAuditInTransaction(client, {
+      entityType: ENTITY_TYPES.PARTY,
+      action: ACTIONS.CREATE,
+      after: party
+    });
+
+    const openingBalance = await applyOpeningBalance(client, userId, party.party_name, opening);
+    return { party, openingBalance };
+  });
+
+module.exports = {
+  OPENING_BALANCE_REMARK,
+  validateOpeningBalance,
+  getPartyOpeningBalance,
+  setOpeningBalance,
+  createPartyWithOpeningBalance
+};
@@ -0,0 +1,170 @@
+/**
+ * Period Close Service
+ *
+ * Closes a user's books up to a date and reopens them. The lock date lives in
+ * user_settings.books_closed_upto and is enforced on every ledger write by
+ * ledgerPeriods.assertPeriodOpen. Each close and reopen is logged in
+ * period_closures and audited against the settings row, in the same
+ * transaction as the change itself.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { withTransaction } = require('./ledgerPosting.service');
+const { getBooksClosedUpto } = require('./ledgerPeriods');
+const { LedgerError } = require('./ledgerErrors');
+const { isValidDateOnly } = require('./ledgerValidation');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+const { getRequestContext } = require('../middlewares/requestContext');
+const { pool, query, parseResult } = require('../config/postgres');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+
+const CLOSURE_ACTIONS = {
+  CLOSE: 'close',
+  REOPEN: 'reopen'
+};
+
+const invalidDate = (message, details) => new LedgerError('INVALID_CLOSE_DATE', message, { details });
+
+/**
+ * Settings row of the user, created if missing, held FOR UPDATE so ledger
+ * writes (which read it FOR SHARE) wait for the close or reopen to commit
+ */
+const lockSettings = async (client, userId) => {
+  await client.query(
+    'INSERT INTO user_settings (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+    [userId]
+  );
+  const { rows: [settings] } = parseResult(await client.query(
+    'SELECT * FROM user_settings WHERE user_id = $1 FOR UPDATE',
+    [userId]
+  ));
+  return settings;
+};
+
+/**
+ * Move the lock date and log the change
+ * @returns {Object} { booksClosedUpto, closure }
+ */
+const changeLockDate = async (client, userId, settings, { action, closedUpto, reason }) => {
+  const { rows: [updated] } = parseResult(await client.query(
+    `UPDATE user_settings SET books_closed_upto = $2, updated_at = NOW()
+     WHERE user_id = $1
+     RETURNING *`,
+    [userId, closedUpto]
+  ));
+
+  const { rows: [closure] } = parseResult(await client.query(
+    `INSERT INTO period_closures (user_id, action, closed_upto, previous_closed_upto, reason, actor_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [userId, action, closedUpto, settings.books_closed_upto, reason || null, getRequestContext().actorId || userId]
+  ));
+
+  await recordAuditInTransaction(client, {
+    entityType: ENTITY_TYPES.USER_SETTINGS,
+    action: action === CLOSURE_ACTIONS.CLOSE ? ACTIONS.CLOSE : ACTIONS.REOPEN,
+    userId,
+    before: settings,
+    after: updated
+  });
+
+  return { booksClosedUpto: updated.books_closed_upto, closure };
+};
+
+/**
+ * Close the books up to a date (inclusive)
+ * @param {string} closeUpto - YYYY-MM-DD, later than the current lock date and not in the future
+ * @param {string} [reason]
+ * @throws {LedgerError} INVALID_CLOSE_DATE / PERIOD_ALREADY_CLOSED
+ */
+const closePeriod = async (userId, closeUpto, reason) => {
+  if (!isValidDateOnly(closeUpto)) {
+    throw invalidDate('closeUpto must be a date in YYYY-MM-DD format', { closeUpto });
+  }
+  if (closeUpto > new Date().toISOString().slice(0, 10)) {
+    throw invalidDate('Books cannot be closed past today', { closeUpto });
+  }
+
+  return withTransaction(async (client) => {
+    const settings = await lockSettings(client, userId);
+    if (settings.books_closed_upto && closeUpto <= settings.books_closed_upto) {
+      throw new LedgerError(
+        'PERIOD_ALREADY_CLOSED',
+        `Books are already closed up to ${settings.books_closed_upto}`,
+        { statusCode: 409, details: { booksClosedUpto: settings.books_closed_upto, closeUpto } }
+      );
+    }
+
+    return changeLockDate(client, userId, settings, {
+      action: CLOSURE_ACTIONS.CLOSE,
+      closedUpto: closeUpto,
+      reason
+    });
+  });
+};
+
+/**
+ * Reopen closed books, either entirely or back to an earlier lock date
+ * @param {string|null} reopenTo - New lock date (earlier than the current one), or null to reopen everything
+ * @param {string} reason - Why the books are reopened (required)
+ * @throws {LedgerError} REOPEN_REASON_REQUIRED / INVALID_CLOSE_DATE / PERIOD_NOT_CLOSED
+ */
+const reopenPeriod = async (userId, reopenTo, reason) => {
+  if (typeof reason !== 'string' || reason.trim() === '') {
+    throw new LedgerError('REOPEN_REASON_REQUIRED', 'A reason is required to reopen closed books');
+  }
+  if (reopenTo !== null && !isValidDateOnly(reopenTo)) {
+    throw invalidDate('reopenTo must be a date in YYYY-MM-DD format', { reopenTo });
+  }
+
+  return withTransaction(async (client) => {
+    const settings = await lockSettings(client, userId);
+    if (!settings.books_closed_upto) {
+      throw new LedgerError('PERIOD_NOT_CLOSED', 'Books are not closed', { statusCode: 409 });
+    }
+    if (reopenTo !== null && reopenTo >= settings.books_closed_upto) {
+      throw invalidDate(
+        `reopenTo must be earlier than the current lock date ${settings.books_closed_upto}`,
+        { reopenTo, booksClosedUpto: settings.books_closed_upto }
+      );
+    }
+
+    return changeLockDate(client, userId, settings, {
+      action: CLOSURE_ACTIONS.REOPEN,
+      closedUpto: reopenTo,
+      reason: reason.trim()
+    });
+  });
+};
+
+/**
+ * Current lock date and the latest closes and reopens, newest first
+ * @param {Object} [options] - { limit }
+ * @returns {Object} { booksClosedUpto, closures }
+ */
+const getPeriodStatus = async (userId, { limit } = {}) => {
+  const historyLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+
+  const booksClosedUpto = await getBooksClosedUpto(pool, userId);
+  const { rows: closures } = parseResult(await query(
+    `SELECT id, action, closed_upto, previous_closed_upto, reason, actor_id, created_at
+     FROM period_closures
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [userId, historyLimit]
+  ));
+
+  return { booksClosedUpto, closures };
+};
+
+module.exports = {
+  CLOSURE_ACTIONS,
+  closePeriod,
+  reopenPeriod,
+  getPeriodStatus
+};
@@ -0,0 +1,202 @@
+/**
+ * Posting Rules Service
+ *
+ * Expands a party entry into the legs its party's commission configuration
+ * calls for. A party with m_commission 'With Commission' gets, next to the
+ * principal leg:
+ * - a commission leg on the Commission account
+ * - a company leg on the user's company account for the rest
+ *
+ * The commission is priced by a 'party' commission rule scoped to the party
+ * when there is one, else by the party's own rate, else by a default 'party'
+ * rule (see commissionRules.service). Generated legs store the rule version
+ * they were priced with.
+ *
+ * The legs balance as one voucher. With commi_system 'Take' the commission is
+ * taken out of the principal (company A - c, Commission c, both opposite the
+ * principal); with 'Give' it is paid on top (company A + c opposite the
+ * principal, Commission c on the principal's side).
+ *
+ * Generated legs point at their principal through parent_entry_id and carry
+ * a leg_role; an entry posted with commission_opt_out gets no generated legs.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { randomUUID } = require('crypto');
+const { pool, parseResult } = require('../config/postgres');
+const { withTransaction, lockParties, roundAmount } = require('./ledgerPosting.service');
+const { LEDGER_ENTRY_TYPES } = require('./ledgerValidation');
+const { RULE_ROLES, findApplicableRule, calculateCommission } = require('./commissionRules.service');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+
+const COMMISSION_ACCOUNT = 'Commission';
+const WITH_COMMISSION = 'With Commission';
+
+const LEG_ROLES = {
+  PRINCIPAL: 'principal',
+  COMMISSION: 'commission',
+  COMPANY: 'company'
+};
+
+const COMMISSION_SYSTEMS = {
+  TAKE: 'Take',
+  GIVE: 'Give'
+};
+
+const opposite = (tnsType) => (tnsType === 'CR' ? 'DR' : 'CR');
+
+const legAmounts = (tnsType, amount) => ({
+  tns_type: tnsType,
+  credit: tnsType === 'CR' ? amount : 0,
+  debit: tnsType === 'DR' ? amount : 0
+});
+
+/**
+ * Commission rate (percent) a party's configuration applies, or 0
+ */
+const getCommissionRate = (party) => {
+  if (party.m_commission !== WITH_COMMISSION) {
+    return 0;
+  }
+  const rate = parseFloat(party.rate);
+  return Number.isFinite(rate) && rate > 0 ? rate : 0;
+};
+
+const principalAmount = (principal) => parseFloat(principal.tns_type === 'CR' ? principal.credit : principal.debit) || 0;
+
+/**
+ * Commission on a party entry, or null when the party takes no commission
+ * @param {Object} party - parties row of the principal
+ * @param {Object} principal - ledger row to post
+ * @returns {Object|null} { amount, effectiveRate, ruleId, ruleKey, ruleVersion }
+ */
+const priceEntryCommission = async (userId, party, principal) => {
+  if (party.m_commission !== WITH_COMMISSION) {
+    return null;
+  }
+
+  const amount = principalAmount(principal);
+  const rule = await findApplicableRule(pool, userId, {
+    role: RULE_ROLES.PARTY,
+    partyName: party.party_name,
+    date: principal.date
+  });
+  const partyRate = getCommissionRate(party);
+
+  if (rule && (rule.party_name || partyRate === 0)) {
+    return calculateCommission(rule, amount);
+  }
+  if (partyRate > 0) {
+    return { amount: roundAmount((amount * partyRate) / 100), effectiveRate: partyRate, ruleId: null, ruleKey: null, ruleVersion: null };
+  }
+  return null;
+};
+
+/**
+ * Legs to post for a party entry: the principal, followed by its commission
+ * and company legs when a commission applies
+ * @param {Object} party - parties row of the principal
+ * @param {Object} principal - ledger row to post (snake_case, without id)
+ * @param {Object} options - { companyAccount, optOut, commission } with commission from priceEntryCommission
+ * @returns {Array<Object>} Rows for postEntries, principal first
+ */
+const buildPostingLegs = (party, principal, { companyAccount, optOut = false, commission: pricing = null }) => {
+  const principalLeg = {
+    ...principal,
+    id: randomUUID(),
+    leg_role: LEG_ROLES.PRINCIPAL,
+    commission_opt_out: Boolean(optOut)
+  };
+
+  const amount = principalAmount(principal);
+  const isAccount = [COMMISSION_ACCOUNT, companyAccount].includes(party.party_name);
+  const isTransaction = (principal.entry_type || LEDGER_ENTRY_TYPES.TRANSACTION) === LEDGER_ENTRY_TYPES.TRANSACTION;
+  if (optOut || !pricing || pricing.amount <= 0 || amount <= 0 || isAccount || !isTransaction) {
+    return [principalLeg];
+  }
+
+  const rate = pricing.effectiveRate;
+  const commission = roundAmount(pricing.amount);
+  const take = party.commi_system !== COMMISSION_SYSTEMS.GIVE;
+  const companyAmount = roundAmount(take ? amount - commission : amount + commission);
+  const commissionType = take ? opposite(principal.tns_type) : principal.tns_type;
+
+  const generated = (overrides) => ({
+    date: principal.date,
+    balance: 0,
+    chk: false,
+    ti: principal.ti,
+    is_old_record: false,
+    parent_entry_id: principalLeg.id,
+    commission_rule_id: pricing.ruleId,
+    commission_rule_version: pricing.ruleVersion,
+    created_at: principal.created_at,
+    updated_at: principal.updated_at,
+    ...overrides
+  });
+
+  const legs = [principalLeg];
+  if (commission > 0) {
+    legs.push(generated({
+      party_name: COMMISSION_ACCOUNT,
+      remarks: `Commission ${rate}% (${take ? 'taken from' : 'given to'} ${party.party_name}) - ${principal.remarks}`,
+      leg_role: LEG_ROLES.COMMISSION,
+      ...legAmounts(commissionType, commission)
+    }));
+  }
+  if (companyAmount > 0) {
+    legs.push(generated({
+      party_name: companyAccount,
+      remarks: `Transaction with ${party.party_name} - ${principal.remarks}`,
+      leg_role: LEG_ROLES.COMPANY,
+      ...legAmounts(opposite(principal.tns_type), companyAmount)
+    }));
+  }
+  return legs;
+};
+
+/**
+ * Create the accounts generated legs post to when the user does not have them yet
+ * @param {Array<string>} accountNames - e.g. the Commission and company accounts
+ * @returns {Array<Object>} Parties created
+ */
+const ensurePostingAccounts = async (userId, accountNames) => {
+  const names = [...new Set(accountNames)];
+  return withTransaction(async (client) => {
+    await lockParties(client, userId, names);
+
+    const created = [];
+    for (const name of names) {
+      const { rows: [party] } = parseResult(await client.query(
+        `INSERT INTO parties (user_id, party_name, sr_no, status, commi_system, balance_limit, m_commission, rate, monday_final)
+         SELECT $1, $2, $3, 'A', 'Give', '0', 'No Commission', '0', 'No'
+         WHERE NOT EXISTS (
+           SELECT 1 FROM parties WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL
+         )
+         RETURNING *`,
+        [userId, name, `${name === COMMISSION_ACCOUNT ? 'COMM' : 'COMP'}_${Date.now()}`]
+      ));
+      if (party) {
+        created.push(party);
+      }
+    }
+
+    await recordAuditInTransaction(client, created.map(after => ({
+      entityType: ENTITY_TYPES.PARTY,
+      action: ACTIONS.CREATE,
+      after
+    })));
+    return created;
+  });
+};
+
+module.exports = {
+  COMMISSION_ACCOUNT,
+  LEG_ROLES,
+  getCommissionRate,
+  priceEntryCommission,
+  buildPostingLegs,
+  ensurePostingAccounts
+};
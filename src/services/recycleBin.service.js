@@ -0,0 +1,571 @@
+/**
+ * Recycle Bin Service
+ *
+ * Deleted parties and ledger entries are only flagged with deleted_at and
+ * deleted_by. Rows deleted together share the same deleted_at (NOW() is fixed
+ * for a transaction), so a recycle bin item is either:
+ * - a party together with the vouchers deleted with it (every leg of each
+ *   voucher it had a leg in, so other parties' books stay balanced), or
+ * - the legs of a voucher deleted through the ledger
+ *
+ * Items can be restored (balances are rewritten) or purged. Items older than
+ * the user's retention period (user_settings.recycle_bin_retention_days) are
+ * purged by purgeExpired / scripts/purge-recycle-bin.js.
+ *
+ * @author Account Ledger Team
+ * @version 1.0.0
+ */
+
+const { pool, query, parseResult } = require('../config/postgres');
+const {
+  withTransaction,
+  lockParties,
+  updateEntryRow,
+  rewritePartyBalances,
+  rewriteBalancesForParties,
+  COMMISSION_TI_PATTERN,
+  assertNotCommissionVoucher
+} = require('./ledgerPosting.service');
+const { COMMISSION_ACCOUNT } = require('./postingRules.service');
+const UserSettings = require('../models/supabase/UserSettings');
+const { LedgerError } = require('./ledgerErrors');
+const { assertPeriodOpen } = require('./ledgerPeriods');
+const { recordAuditInTransaction, ENTITY_TYPES, ACTIONS } = require('./audit.service');
+const { getRequestContext } = require('../middlewares/requestContext');
+
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS, 10) || 30;
+
+// Audit rows are written in batches to stay under the bind parameter limit
+const AUDIT_BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Condition on ledger_entries "entry": a leg of a voucher deleted together
+ * with the party aliased as partyAlias (the party's own legs and the other
+ * legs of their vouchers)
+ */
+const deletedWithPartySql = (partyAlias) => `entry.user_id = ${partyAlias}.user_id
+  AND entry.deleted_at = ${partyAlias}.deleted_at
+  AND COALESCE(entry.voucher_id, entry.id) IN (
+    SELECT COALESCE(own.voucher_id, own.id) FROM ledger_entries own
+    WHERE own.user_id = ${partyAlias}.user_id
+      AND own.party_name = ${partyAlias}.party_name
+      AND own.deleted_at = ${partyAlias}.deleted_at
+  )`;
+
+// Entries deleted together with a party of the recycle bin
+const DELETED_WITH_PARTY_SQL = `
+  EXISTS (
+    SELECT 1 FROM parties deleted_party
+    WHERE ${deletedWithPartySql('deleted_party')}
+  )`;
+
+const notFound = (message, details) => new LedgerError('RECYCLE_ITEM_NOT_FOUND', message, {
+  statusCode: 404,
+  details
+});
+
+const auditInBatches = async (client, events) => {
+  for (let start = 0; start < events.length; start += AUDIT_BATCH_SIZE) {
+    await recordAuditInTransaction(client, events.slice(start, start + AUDIT_BATCH_SIZE));
+  }
+};
+
+const purgeAfter = (deletedAt, retentionDays) => new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+
+/**
+ * Retention period of a user's recycle bin in days
+ * @param {Object} db - pg pool or a client with an open transaction
+ */
+const getRetentionDays = async (db, userId) => {
+  const { rows } = parseResult(await db.query(
+    'SELECT recycle_bin_retention_days FROM user_settings WHERE user_id = $1',
+    [userId]
+  ));
+  const days = rows[0]?.recycle_bin_retention_days;
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Move parties and all their ledger entries to the recycle bin, together
+ * with the other legs of those entries' vouchers, and rewrite the balances of
+ * the other parties those legs were on.
+ * The Commission and company accounts cannot be deleted: generated legs put
+ * them in nearly every voucher. Nor can parties in a live commission
+ * transaction or payout voucher: its record would stay active without legs.
+ * @param {Array<string>} partyIds - IDs of live parties of the user
+ * @returns {Object} { parties, deletedEntries, balances }
+ * @throws {LedgerError} POSTING_ACCOUNT / PARTY_HAS_COMMISSION_TRANSACTIONS (409),
+ *   PERIOD_CLOSED when a voucher of a party has legs inside a closed period
+ */
+const softDeleteParties = async (userId, partyIds) => {
+  const deletedBy = getRequestContext().actorId || userId;
+  const companyAccount = await UserSettings.getCompanyAccount(userId);
+
+  return withTransaction(async (client) => {
+    const { rows: before } = parseResult(await client.query(
+      `SELECT * FROM parties
+       WHERE user_id = $1 AND id = ANY($2) AND deleted_at IS NULL
+       FOR UPDATE`,
+      [userId, partyIds]
+    ));
+    if (before.length === 0) {
+      return { parties: [], deletedEntries: 0, balances: {} };
+    }
+
+    const partyNames = before.map(party => party.party_name);
+    const accounts = partyNames.filter(name => [COMMISSION_ACCOUNT, companyAccount].includes(name));
+    if (accounts.length > 0) {
+      throw new LedgerError('POSTING_ACCOUNT', `${accounts.join(', ')} cannot be deleted: commission and company legs are posted to it`, {
+        statusCode: 409,
+        details: { parties: accounts }
+      });
+    }
+
+    // Every live leg of a voucher the parties have a leg in
+    const voucherLegsSql = `entry.user_id = $1 AND entry.deleted_at IS NULL
+      AND COALESCE(entry.voucher_id, entry.id) IN (
+        SELECT COALESCE(own.voucher_id, own.id) FROM ledger_entries own
+        WHERE own.user_id = $1 AND own.party_name = ANY($2) AND own.deleted_at IS NULL
+      )`;
+    const { rows: legParties } = parseResult(await client.query(
+      `SELECT entry.party_name, MIN(entry.date) AS first_date
+       FROM ledger_entries entry
+       WHERE ${voucherLegsSql}
+       GROUP BY entry.party_name`,
+      [userId, partyNames]
+    ));
+    await assertPeriodOpen(client, userId, legParties.map(row => row.first_date));
+    const lockedNames = [...new Set([...partyNames, ...legParties.map(row => row.party_name)])];
+    await lockParties(client, userId, lockedNames);
+
+    // Cancelled transactions are reversed pairs and may go with the party
+    const { rows: commissionLegs } = parseResult(await client.query(
+      `SELECT DISTINCT entry.ti
+       FROM ledger_entries entry
+       WHERE ${voucherLegsSql}
+         AND entry.ti ~ $3 AND NOT COALESCE(entry.is_reversed, false)
+       ORDER BY entry.ti`,
+      [userId, partyNames, COMMISSION_TI_PATTERN.source]
+    ));
+    if (commissionLegs.length > 0) {
+      throw new LedgerError(
+        'PARTY_HAS_COMMISSION_TRANSACTIONS',
+        'Parties in commission transactions or payouts cannot be deleted; cancel those transactions first',
+        { statusCode: 409, details: { transactionIds: commissionLegs.map(row => row.ti) } }
+      );
+    }
+
+    const { rows: parties } = parseResult(await client.query(
+      `UPDATE parties
+       SET deleted_at = NOW(), deleted_by = $3
+       WHERE user_id = $1 AND id = ANY($2)
+       RETURNING *`,
+      [userId, before.map(party => party.id), deletedBy]
+    ));
+    const { rows: entries } = parseResult(await client.query(
+      `UPDATE ledger_entries AS entry
+       SET deleted_at = NOW(), deleted_by = $3
+       WHERE ${voucherLegsSql}
+       RETURNING entry.*`,
+      [userId, partyNames, deletedBy]
+    ));
+    // A leg added to one of the vouchers meanwhile is on a party not locked yet
+    const lateNames = [...new Set(entries.map(entry => entry.party_name))].filter(name => !lockedNames.includes(name));
+    if (lateNames.length > 0) {
+      await lockParties(client, userId, lateNames);
+    }
+
+    await auditInBatches(client, [
+      ...parties.map(after => ({
+        entityType: ENTITY_TYPES.PARTY,
+        action: ACTIONS.DELETE,
+        before: before.find(party => party.id === after.id),
+        after
+      })),
+      ...entries.map(after => ({
+        entityType: ENTITY_TYPES.LEDGER_ENTRY,
+        action: ACTIONS.DELETE,
+        after
+      }))
+    ]);
+
+    const balances = await rewriteBalancesForParties(client, userId,
+      entries.filter(entry => !partyNames.includes(entry.party_name)));
+
+    return { parties, deletedEntries: entries.length, balances };
+  });
+};
+
+/**
+ * List the recycle bin of a user
+ * @returns {Object} { retentionDays, parties, vouchers }
+ */
+const listRecycleBin = async (userId) => {
+  const retentionDays = await getRetentionDays(pool, userId);
+
+  const { rows: parties } = parseResult(await query(
+    `SELECT
+       party.id,
+       party.party_name,
+       party.deleted_at,
+       party.deleted_by,
+       (
+         SELECT COUNT(*) FROM ledger_entries entry
+         WHERE ${deletedWithPartySql('party')}
+       )::int AS entry_count
+     FROM parties party
+     WHERE party.user_id = $1 AND party.deleted_at IS NOT NULL
+     ORDER BY party.deleted_at DESC, party.party_name ASC`,
+    [userId]
+  ));
+
+  const { rows: entries } = parseResult(await query(
+    `SELECT entry.*
+     FROM ledger_entries entry
+     WHERE entry.user_id = $1 AND entry.deleted_at IS NOT NULL
+       AND NOT ${DELETED_WITH_PARTY_SQL}
+     ORDER BY entry.deleted_at DESC, entry.date ASC, entry.sequence_no ASC, entry.id ASC`,
+    [userId]
+  ));
+
+  // Legs of one voucher deleted together form one item
+  const vouchers = new Map();
+  for (const entry of entries) {
+    const key = `${entry.voucher_id || entry.id}:${entry.deleted_at.toISOString()}`;
+    if (!vouchers.has(key)) {
+      vouchers.set(key, {
+        entryId: entry.id,
+        voucherId: entry.voucher_id,
+        deletedAt: entry.deleted_at,
+        deletedBy: entry.deleted_by,
+        purgeAfter: purgeAfter(entry.deleted_at, retentionDays),
+        legs: []
+      });
+    }
+    vouchers.get(key).legs.push(entry);
+  }
+
+  return {
+    retentionDays,
+    parties: parties.map(party => ({
+      id: party.id,
+      partyName: party.party_name,
+      deletedAt: party.deleted_at,
+      deletedBy: party.deleted_by,
+      purgeAfter: purgeAfter(party.deleted_at, retentionDays),
+      entryCount: party.entry_count
+    })),
+    vouchers: Array.from(vouchers.values())
+  };
+};
+
+const findDeletedParty = async (client, userId, partyId) => {
+  const { rows: [party] } = parseResult(await client.query(
+    `SELECT * FROM parties
+     WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+     FOR UPDATE`,
+    [partyId, userId]
+  ));
+  if (!party) {
+    throw notFound('Deleted party not found in the recycle bin', { partyId });
+  }
+  return party;
+};
+
+/**
+ * Legs of the voucher deleted together with an entry. Entries deleted with
+ * their party are only restored or purged through the party.
+ */
+const findDeletedVoucherLegs = async (client, userId, entryId) => {
+  const { rows } = parseResult(await client.query(
+    `SELECT entry.*
+     FROM ledger_entries entry
+     JOIN ledger_entries target
+       ON target.id = $1 AND target.user_id = $2 AND target.deleted_at IS NOT NULL
+     WHERE entry.user_id = target.user_id
+       AND COALESCE(entry.voucher_id, entry.id) = COALESCE(target.voucher_id, target.id)
+       AND entry.deleted_at = target.deleted_at
+       AND NOT ${DELETED_WITH_PARTY_SQL}
+     ORDER BY entry.created_at ASC, entry.id ASC
+     FOR UPDATE OF entry`,
+    [entryId, userId]
+  ));
+  if (rows.length === 0) {
+    throw notFound('Deleted entry not found in the recycle bin', { entryId });
+  }
+  return rows;
+};
+
+/**
+ * Restore a party and the vouchers deleted with it, then rewrite the balances
+ * of every party they are on. A voucher that also has a leg on another party
+ * still in the recycle bin stays there until that party is restored.
+ * @returns {Object} { party, restoredEntries, keptVouchers, balance, balances }
+ * @throws {LedgerError} RECYCLE_ITEM_NOT_FOUND / PARTY_NAME_IN_USE / PERIOD_CLOSED
+ */
+const restoreParty = async (userId, partyId) => {
+  return withTransaction(async (client) => {
+    const before = await findDeletedParty(client, userId, partyId);
+
+    const { rows: [clash] } = parseResult(await client.query(
+      'SELECT id FROM parties WHERE user_id = $1 AND party_name = $2 AND deleted_at IS NULL',
+      [userId, before.party_name]
+    ));
+    if (clash) {
+      throw new LedgerError('PARTY_NAME_IN_USE', `A party named "${before.party_name}" already exists. Rename or delete it before restoring.`, {
+        statusCode: 409,
+        details: { partyId: clash.id, partyName: before.party_name }
+      });
+    }
+
+    const { rows: legs } = parseResult(await client.query(
+      `SELECT entry.*
+       FROM ledger_entries entry
+       JOIN parties party ON party.id = $1
+       WHERE ${deletedWithPartySql('party')}`,
+      [partyId]
+    ));
+
+    // Vouchers sharing a leg with another deleted party wait for that party
+    const otherNames = [...new Set(legs.map(leg => leg.party_name))].filter(name => name !== before.party_name);
+    const { rows: deletedParties } = parseResult(await client.query(
+      `SELECT DISTINCT deleted_party.party_name
+       FROM parties deleted_party
+       WHERE deleted_party.user_id = $1
+         AND deleted_party.party_name = ANY($2)
+         AND deleted_party.deleted_at IS NOT NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM parties live
+           WHERE live.user_id = deleted_party.user_id
+             AND live.party_name = deleted_party.party_name
+             AND live.deleted_at IS NULL
+         )`,
+      [userId, otherNames]
+    ));
+    const voucherKey = (leg) => leg.voucher_id || leg.id;
+    const keptVouchers = new Set(legs
+      .filter(leg => deletedParties.some(row => row.party_name === leg.party_name))
+      .map(voucherKey));
+    const restoring = legs.filter(leg => !keptVouchers.has(voucherKey(leg)));
+
+    await assertPeriodOpen(client, userId, restoring.map(leg => leg.date));
+    await lockParties(client, userId, [before.party_name, ...restoring.map(leg => leg.party_name)]);
+
+    const { rows: entries } = parseResult(await client.query(
+      `UPDATE ledger_entries
+       SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = ANY($1)
+       RETURNING *`,
+      [restoring.map(leg => leg.id)]
+    ));
+    const { rows: [party] } = parseResult(await client.query(
+      `UPDATE parties
+       SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [partyId]
+    ));
+
+    await auditInBatches(client, [
+      { entityType: ENTITY_TYPES.PARTY, action: ACTIONS.RESTORE, before, after: party },
+      ...entries.map(after => ({
+        entityType: ENTITY_TYPES.LEDGER_ENTRY,
+        action: ACTIONS.RESTORE,
+        after
+      }))
+    ]);
+
+    const balance = await rewritePartyBalances(client, userId, party.party_name);
+    const balances = await rewriteBalancesForParties(client, userId,
+      entries.filter(entry => entry.party_name !== party.party_name));
+
+    return { party, restoredEntries: entries.length, keptVouchers: keptVouchers.size, balance, balances };
+  });
+};
+
+/**
+ * Restore the voucher an entry was deleted with, then rewrite balances of
+ * every affected party. Restoring a reversal reverses its original again.
+ * Commission transaction and payout legs are not restored on their own.
+ * @throws {LedgerError} RECYCLE_ITEM_NOT_FOUND / PARTY_DELETED / REVERSAL_ORIGINAL_UNAVAILABLE /
+ *   COMMISSION_LEG / PERIOD_CLOSED
+ */
+const restoreEntry = async (userId, entryId) => {
+  return withTransaction(async (client) => {
+    const legs = await findDeletedVoucherLegs(client, userId, entryId);
+    assertNotCommissionVoucher(legs);
+    const partyNames = [...new Set(legs.map(leg => leg.party_name))];
+
+    const { rows: deletedParties } = parseResult(await client.query(
+      `SELECT DISTINCT deleted_party.party_name
+       FROM parties deleted_party
+       WHERE deleted_party.user_id = $1
+         AND deleted_party.party_name = ANY($2)
+         AND deleted_party.deleted_at IS NOT NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM parties live
+           WHERE live.user_id = deleted_party.user_id
+             AND live.party_name = deleted_party.party_name
+             AND live.deleted_at IS NULL
+         )`,
+      [userId, partyNames]
+    ));
+    if (deletedParties.length > 0) {
+      const names = deletedParties.map(row => row.party_name);
+      throw new LedgerError('PARTY_DELETED', `Restore the party ${names.map(name => `"${name}"`).join(', ')} first`, {
+        statusCode: 409,
+        details: { partyNames: names }
+      });
+    }
+
+    const originalIds = legs.map(leg => leg.reversal_of).filter(Boolean);
+    if (originalIds.length > 0) {
+      const { rows: unavailable } = parseResult(await client.query(
+        `SELECT id FROM ledger_entries
+         WHERE id = ANY($1) AND (is_reversed OR deleted_at IS NOT NULL)`,
+        [originalIds]
+      ));
+      if (unavailable.length > 0) {
+        throw new LedgerError('REVERSAL_ORIGINAL_UNAVAILABLE', 'The entry this reversal belongs to has since been reversed again or deleted', {
+          statusCode: 409,
+          details: { entryIds: unavailable.map(row => row.id) }
+        });
+      }
+    }
+
+    await assertPeriodOpen(client, userId, legs.map(leg => leg.date));
+    await lockParties(client, userId, partyNames);
+
+    const { rows: restored } = parseResult(await client.query(
+      `UPDATE ledger_entries
+       SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = ANY($1)
+       RETURNING *`,
+      [legs.map(leg => leg.id)]
+    ));
+    await auditInBatches(client, restored.map(after => ({
+      entityType: ENTITY_TYPES.LEDGER_ENTRY,
+      action: ACTIONS.RESTORE,
+      before: legs.find(leg => leg.id === after.id),
+      after
+    })));
+
+    for (const originalId of originalIds) {
+      await updateEntryRow(client, originalId, { is_reversed: true });
+    }
+
+    const balances = await rewriteBalancesForParties(client, userId, restored);
+
+    return { voucherId: legs[0].voucher_id || null, restoredEntries: restored, balances };
+  });
+};
+
+/**
+ * Permanently remove a deleted party and the vouchers deleted with it
+ */
+const purgeParty = async (userId, partyId) => {
+  return withTransaction(async (client) => {
+    const party = await findDeletedParty(client, userId, partyId);
+
+    const { rows: entries } = parseResult(await client.query(
+      `DELETE FROM ledger_entries AS entry
+       USING parties party
+       WHERE party.id = $1
+         AND ${deletedWithPartySql('party')}
+       RETURNING entry.*`,
+      [partyId]
+    ));
+    await client.query('DELETE FROM parties WHERE id = $1', [partyId]);
+
+    await auditInBatches(client, [
+      { entityType: ENTITY_TYPES.PARTY, action: ACTIONS.PURGE, before: party },
+      ...entries.map(before => ({
+        entityType: ENTITY_TYPES.LEDGER_ENTRY,
+        action: ACTIONS.PURGE,
+        before
+      }))
+    ]);
+
+    return { partyName: party.party_name, purgedEntries: entries.length };
+  });
+};
+
+/**
+ * Permanently remove the voucher an entry was deleted with
+ */
+const purgeEntry = async (userId, entryId) => {
+  return withTransaction(async (client) => {
+    const legs = await findDeletedVoucherLegs(client, userId, entryId);
+
+    await client.query('DELETE FROM ledger_entries WHERE id = ANY($1)', [legs.map(leg => leg.id)]);
+    await auditInBatches(client, legs.map(before => ({
+      entityType: ENTITY_TYPES.LEDGER_ENTRY,
+      action: ACTIONS.PURGE,
+      before
+    })));
+
+    return { voucherId: legs[0].voucher_id || null, purgedEntries: legs.length };
+  });
+};
+
+/**
+ * Permanently remove everything in a user's recycle bin older than the retention period
+ * @returns {Object} { retentionDays, purgedParties, purgedEntries }
+ */
+const purgeExpired = async (userId) => {
+  return withTransaction(async (client) => {
+    const retentionDays = await getRetentionDays(client, userId);
+
+    const { rows: entries } = parseResult(await client.query(
+      `DELETE FROM ledger_entries
+       WHERE user_id = $1 AND deleted_at < NOW() - make_interval(days => $2)
+       RETURNING *`,
+      [userId, retentionDays]
+    ));
+    const { rows: parties } = parseResult(await client.query(
+      `DELETE FROM parties
+       WHERE user_id = $1 AND deleted_at < NOW() - make_interval(days => $2)
+       RETURNING *`,
+      [userId, retentionDays]
+    ));
+
+    await auditInBatches(client, [
+      ...parties.map(before => ({ entityType: ENTITY_TYPES.PARTY, action: ACTIONS.PURGE, before })),
+      ...entries.map(before => ({ entityType: ENTITY_TYPES.LEDGER_ENTRY, action: ACTIONS.PURGE, before }))
+    ]);
+
+    return { retentionDays, purgedParties: parties.length, purgedEntries: entries.length };
+  });
+};
+
+/**
+ * Purge expired recycle bin items of every user
+ * @returns {Array<Object>} Per-user results of purgeExpired
+ */
+const purgeExpiredForAllUsers = async () => {
+  const { rows: users } = parseResult(await query(
+    `SELECT user_id FROM ledger_entries WHERE deleted_at IS NOT NULL
+     UNION
+     SELECT user_id FROM parties WHERE deleted_at IS NOT NULL`
+  ));
+
+  const results = [];
+  for (const { user_id: userId } of users) {
+    results.push({ userId, ...await purgeExpired(userId) });
+  }
+  return results;
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  softDeleteParties,
+  listRecycleBin,
+  restoreParty,
+  restoreEntry,
+  purgeParty,
+  purgeEntry,
+  purgeExpired,
+  purgeExpiredForAllUsers
+};
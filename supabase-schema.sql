@@ -84,10 +84,348 @@ CREATE INDEX IF NOT EXISTS idx_ledger_entries_date ON ledger_entries(date);
 CREATE INDEX IF NOT EXISTS idx_ledger_entries_tns_type ON ledger_entries(tns_type);
 CREATE INDEX IF NOT EXISTS idx_parties_user_id ON parties(user_id);
 
+-- Voucher (journal) grouping: every row posted together shares a voucher_id.
+-- Existing rows stay NULL until scripts/migrate-voucher-ids.js backfills them;
+-- the default only applies to rows inserted from now on.
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS voucher_id UUID;
+ALTER TABLE ledger_entries ALTER COLUMN voucher_id SET DEFAULT gen_random_uuid();
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_voucher_id ON ledger_entries(user_id, voucher_id);
+
+-- Per-party ordering within a date: entries are ordered by (date, sequence_no, id).
+-- Sequence numbers are spaced SEQUENCE_GAP (1024) apart so an entry can be
+-- inserted between two others; the posting service renumbers a day when a gap runs out.
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS sequence_no BIGINT;
+
+-- Backfill existing rows in their creation order
+UPDATE ledger_entries AS entry
+SET sequence_no = ordered.position * 1024
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id, party_name, date ORDER BY created_at, id) AS position
+  FROM ledger_entries
+) AS ordered
+WHERE entry.id = ordered.id AND entry.sequence_no IS NULL;
+
+-- Rows appended without an explicit position (or moved to another date/party)
+-- go to the end of their day
+CREATE OR REPLACE FUNCTION assign_ledger_sequence_no()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (TG_OP = 'INSERT' AND NEW.sequence_no IS NULL)
+     OR (TG_OP = 'UPDATE'
+         AND (NEW.date IS DISTINCT FROM OLD.date OR NEW.party_name IS DISTINCT FROM OLD.party_name)
+         AND NEW.sequence_no IS NOT DISTINCT FROM OLD.sequence_no) THEN
+    SELECT COALESCE(MAX(sequence_no), 0) + 1024 INTO NEW.sequence_no
+    FROM ledger_entries
+    WHERE user_id = NEW.user_id AND party_name = NEW.party_name AND date = NEW.date AND id <> NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS assign_ledger_entries_sequence_no ON ledger_entries;
+CREATE TRIGGER assign_ledger_entries_sequence_no BEFORE INSERT OR UPDATE OF date, party_name ON ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION assign_ledger_sequence_no();
+
+-- Reversals: a reversal voucher mirrors the original legs, each reversal leg
+-- points at the leg it reverses and the original legs are flagged is_reversed
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS reversal_of UUID REFERENCES ledger_entries(id) ON DELETE SET NULL;
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS is_reversed BOOLEAN DEFAULT false;
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_reversal_of ON ledger_entries(reversal_of);
+
+-- Recycle bin: deleted parties and entries are only flagged. Rows deleted
+-- together (a party with its entries, the legs of a voucher) share deleted_at,
+-- which is how they are restored or purged together.
+ALTER TABLE parties ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE parties ADD COLUMN IF NOT EXISTS deleted_by UUID;
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS deleted_by UUID;
+CREATE INDEX IF NOT EXISTS idx_parties_deleted_at ON parties(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_deleted_at ON ledger_entries(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- What a posting past parties.balance_limit does: 'ignore', 'warn' (post and flag) or 'block' (refuse)
+ALTER TABLE parties ADD COLUMN IF NOT EXISTS limit_mode VARCHAR(10) DEFAULT 'warn'
+  CHECK (limit_mode IN ('ignore', 'warn', 'block'));
+
+-- A deleted party's name can be reused; only live parties need unique names
+ALTER TABLE parties DROP CONSTRAINT IF EXISTS parties_user_id_party_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_parties_user_party_name_live ON parties(user_id, party_name) WHERE deleted_at IS NULL;
+
+-- Ledger position index: incremental balance rewrites seek to (date, sequence_no, id)
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_party_position ON ledger_entries(user_id, party_name, date, sequence_no, id);
+
+-- Entry kind: 'transaction', 'settlement' (Monday Final memo row), 'settlement_payment'
+-- (cash/bank paid or received at settlement), 'carry_forward' (memo row opening
+-- the next period with the unpaid residual) or 'opening_balance' (balance a party
+-- brought in when it was migrated onto the system)
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS entry_type VARCHAR(20) DEFAULT 'transaction';
+UPDATE ledger_entries SET entry_type = 'settlement'
+  WHERE remarks LIKE '%Monday Final Settlement%' AND COALESCE(entry_type, 'transaction') = 'transaction';
+
+-- Legs generated from a party's commission configuration (see postingRules.service):
+-- leg_role is 'principal', 'commission' or 'company', generated legs point at their
+-- principal through parent_entry_id, and commission_opt_out marks a principal posted without them
+-- Purging a principal must not take its generated legs (live on other parties) with it
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS parent_entry_id UUID REFERENCES ledger_entries(id) ON DELETE SET NULL;
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_parent_entry_id_fkey;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_parent_entry_id_fkey
+  FOREIGN KEY (parent_entry_id) REFERENCES ledger_entries(id) ON DELETE SET NULL;
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS leg_role VARCHAR(20);
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS commission_opt_out BOOLEAN DEFAULT false;
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_parent_entry_id ON ledger_entries(parent_entry_id);
+
+-- At most one live opening balance per party
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_entries_opening_balance ON ledger_entries(user_id, party_name)
+  WHERE entry_type = 'opening_balance' AND deleted_at IS NULL;
+
+-- User settings table
+CREATE TABLE IF NOT EXISTS user_settings (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  company_account VARCHAR(255) DEFAULT 'AQC',
+  company_name VARCHAR(255),
+  email VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Whether posted entries may be deleted (to the recycle bin) rather than only reversed
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS allow_hard_delete BOOLEAN DEFAULT true;
+
+-- Days a deleted party or entry stays in the recycle bin before it is purged
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS recycle_bin_retention_days INTEGER DEFAULT 30;
+
+-- Books closed up to this date: entries dated on or before it cannot be posted,
+-- changed or deleted. Only changed through the period close/reopen actions.
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS books_closed_upto DATE;
+
+-- Period close log: every close and reopen with the lock date before and after
+CREATE TABLE IF NOT EXISTS period_closures (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('close', 'reopen')),
+  closed_upto DATE,
+  previous_closed_upto DATE,
+  reason TEXT,
+  actor_id UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_period_closures_user_created ON period_closures(user_id, created_at);
+
+-- Monday Final schedule: when monday_final_auto is on, every party with
+-- monday_final = 'Yes' is settled weekly on monday_final_weekday
+-- (0 = Sunday ... 6 = Saturday) at monday_final_time (HH:MM) in monday_final_timezone
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS monday_final_auto BOOLEAN DEFAULT false;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS monday_final_weekday SMALLINT DEFAULT 1;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS monday_final_time VARCHAR(5) DEFAULT '00:00';
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS monday_final_timezone VARCHAR(64) DEFAULT 'UTC';
+
+-- Monday Final run log. idempotency_key is unique per user ('scheduled:<date>'
+-- for scheduled runs), so a retried run resumes instead of settling twice.
+CREATE TABLE IF NOT EXISTS monday_final_runs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  idempotency_key VARCHAR(255) NOT NULL,
+  run_type VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  scheduled_for TIMESTAMP WITH TIME ZONE,
+  parties_settled INTEGER DEFAULT 0,
+  entries_settled INTEGER DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_monday_final_runs_user_created ON monday_final_runs(user_id, created_at);
+
+-- Partial settlements: only entries dated on or before cutoff_date were settled
+ALTER TABLE monday_final_runs ADD COLUMN IF NOT EXISTS cutoff_date DATE;
+
+-- Parties settled by a run, written in the same transaction as the settlement
+CREATE TABLE IF NOT EXISTS monday_final_run_parties (
+  run_id UUID REFERENCES monday_final_runs(id) ON DELETE CASCADE,
+  party_name VARCHAR(255) NOT NULL,
+  settlement_entry_id UUID,
+  entries_settled INTEGER NOT NULL DEFAULT 0,
+  settlement_type VARCHAR(2),
+  settlement_amount DECIMAL(15,2) DEFAULT 0,
+  settled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (run_id, party_name)
+);
+
+-- Settlement payments: the cash/bank amount paid or received for a party and
+-- the residual carried forward into the next period
+ALTER TABLE monday_final_run_parties ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(15,2);
+ALTER TABLE monday_final_run_parties ADD COLUMN IF NOT EXISTS residual_amount DECIMAL(15,2);
+ALTER TABLE monday_final_run_parties ADD COLUMN IF NOT EXISTS payment_voucher_id UUID;
+ALTER TABLE monday_final_run_parties ADD COLUMN IF NOT EXISTS carry_forward_entry_id UUID;
+
+-- Set when the settlement is deleted and its entries unsettled again
+ALTER TABLE monday_final_run_parties ADD COLUMN IF NOT EXISTS reverted_at TIMESTAMP WITH TIME ZONE;
+
+-- Commission rules. A rule is identified by rule_key; every change inserts a new
+-- version row, so the version stored on a ledger entry always explains how its
+-- commission was computed. role is what the rule prices: 'client' and 'vendor'
+-- commission of commission transactions, or 'party' for legs generated from a
+-- party entry. Scope: no party (default), party_name (per party) or
+-- party_name + counterparty_name (per pair); the most specific rule wins.
+CREATE TABLE IF NOT EXISTS commission_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  rule_key UUID NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  name VARCHAR(100) NOT NULL,
+  role VARCHAR(10) NOT NULL CHECK (role IN ('client', 'vendor', 'party')),
+  party_name VARCHAR(255),
+  counterparty_name VARCHAR(255),
+  rate_type VARCHAR(10) NOT NULL CHECK (rate_type IN ('percentage', 'flat', 'slab', 'tiered')),
+  rate DECIMAL(15,4),
+  slabs JSONB,
+  min_amount DECIMAL(15,2),
+  max_amount DECIMAL(15,2),
+  effective_from DATE NOT NULL,
+  retired_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(rule_key, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_rules_lookup ON commission_rules(user_id, role, effective_from);
+
+-- Commission rule version a generated entry was priced with
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS commission_rule_id UUID REFERENCES commission_rules(id);
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS commission_rule_version INTEGER;
+
+-- Commission transactions (client -> company -> vendor waterfall). One row per
+-- CT transaction, written in the same transaction as its ledger voucher, so
+-- reports read amounts from columns instead of parsing entry remarks.
+CREATE TABLE IF NOT EXISTS commission_transactions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  transaction_id VARCHAR(50) NOT NULL,
+  voucher_id UUID,
+  client_name VARCHAR(255) NOT NULL,
+  vendor_name VARCHAR(255) NOT NULL,
+  company_account VARCHAR(255) NOT NULL,
+  transaction_date DATE NOT NULL,
+  original_amount DECIMAL(15,2) NOT NULL,
+  client_commission_rate DECIMAL(9,4) NOT NULL DEFAULT 0,
+  client_commission_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  vendor_commission_rate DECIMAL(9,4) NOT NULL DEFAULT 0,
+  vendor_commission_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  net_amount_to_vendor DECIMAL(15,2) NOT NULL DEFAULT 0,
+  net_profit DECIMAL(15,2) NOT NULL DEFAULT 0,
+  client_rule_id UUID REFERENCES commission_rules(id),
+  client_rule_version INTEGER,
+  vendor_rule_id UUID REFERENCES commission_rules(id),
+  vendor_rule_version INTEGER,
+  remarks TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  entry_ids UUID[] NOT NULL DEFAULT '{}',
+  cancellation_voucher_id UUID,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, transaction_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_transactions_user_date ON commission_transactions(user_id, transaction_date);
+
+-- Edits replace the legs and bump the revision; earlier revisions are in audit_log
+ALTER TABLE commission_transactions ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+
+-- Commission model the transaction was posted with (see services/commissionModels);
+-- details holds model specific terms such as the split's agentSharePercent.
+-- Brokerage transactions need not name a vendor.
+ALTER TABLE commission_transactions ADD COLUMN IF NOT EXISTS model VARCHAR(20) NOT NULL DEFAULT 'waterfall';
+ALTER TABLE commission_transactions ADD COLUMN IF NOT EXISTS details JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE commission_transactions ALTER COLUMN vendor_name DROP NOT NULL;
+
+-- Commission payouts: payments of the commission owed to a vendor or agent.
+-- Each payout posts a payment voucher (payout_id is its ti) and settles the
+-- commission transactions it paid, which point back through payout_id.
+CREATE TABLE IF NOT EXISTS commission_payouts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  payout_id VARCHAR(50) NOT NULL,
+  counterparty_name VARCHAR(255) NOT NULL,
+  payment_account VARCHAR(255) NOT NULL,
+  payout_date DATE NOT NULL,
+  amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+  transaction_ids TEXT[] NOT NULL DEFAULT '{}',
+  voucher_id UUID,
+  entry_ids UUID[] NOT NULL DEFAULT '{}',
+  remarks TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(user_id, payout_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_commission_payouts_user_counterparty ON commission_payouts(user_id, counterparty_name, payout_date);
+
+ALTER TABLE commission_transactions ADD COLUMN IF NOT EXISTS payout_id UUID REFERENCES commission_payouts(id);
+CREATE INDEX IF NOT EXISTS idx_commission_transactions_user_vendor ON commission_transactions(user_id, vendor_name, transaction_date);
+
+-- The split model's second agent: its share is a commission line of its own,
+-- settled by its own payout (second_agent_payout_id)
+ALTER TABLE commission_transactions ADD COLUMN IF NOT EXISTS second_agent_name VARCHAR(255);
+ALTER TABLE commission_transactions ADD COLUMN IF NOT EXISTS second_agent_commission_amount DECIMAL(15,2) NOT NULL DEFAULT 0;
+ALTER TABLE commission_transactions ADD COLUMN IF NOT EXISTS second_agent_payout_id UUID REFERENCES commission_payouts(id);
+CREATE INDEX IF NOT EXISTS idx_commission_transactions_user_second_agent ON commission_transactions(user_id, second_agent_name, transaction_date)
+  WHERE second_agent_name IS NOT NULL;
+
+-- Audit log: append-only history of every ledger, party and settings write.
+-- user_id is the owner of the changed data, actor_id who made the change.
+-- No foreign keys so history survives deletion of the user or the row.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID,
+  actor_id UUID,
+  request_id VARCHAR(100),
+  endpoint VARCHAR(500),
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(255),
+  action VARCHAR(20) NOT NULL,
+  before_data JSONB,
+  after_data JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_created ON audit_log(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_request_id ON audit_log(request_id);
+-- Ledger history of one party (ledgerHistory.service)
+CREATE INDEX IF NOT EXISTS idx_audit_log_ledger_party ON audit_log(user_id, (before_data->>'party_name'), created_at)
+  WHERE entity_type = 'ledger_entry';
+
+-- Audit rows can be inserted but never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
 -- Row Level Security (RLS) Policies
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE parties ENABLE ROW LEVEL SECURITY;
 ALTER TABLE ledger_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE monday_final_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE monday_final_run_parties ENABLE ROW LEVEL SECURITY;
+ALTER TABLE period_closures ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commission_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commission_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commission_payouts ENABLE ROW LEVEL SECURITY;
 
 -- Users can only access their own data
 CREATE POLICY "Users can view own profile" ON users
@@ -107,6 +445,35 @@ CREATE POLICY "Users can manage their parties" ON parties
 CREATE POLICY "Users can manage their ledger entries" ON ledger_entries
   FOR ALL USING (true);
 
+-- Audit log policies (read and append only)
+CREATE POLICY "Audit log can be read" ON audit_log
+  FOR SELECT USING (true);
+
+CREATE POLICY "Audit log can be appended" ON audit_log
+  FOR INSERT WITH CHECK (true);
+
+-- Monday Final run log policies
+CREATE POLICY "Users can manage their Monday Final runs" ON monday_final_runs
+  FOR ALL USING (true);
+
+CREATE POLICY "Users can manage their Monday Final run parties" ON monday_final_run_parties
+  FOR ALL USING (true);
+
+-- Period close log policies
+CREATE POLICY "Users can manage their period closures" ON period_closures
+  FOR ALL USING (true);
+
+-- Commission rule policies
+CREATE POLICY "Users can manage their commission rules" ON commission_rules
+  FOR ALL USING (true);
+
+-- Commission transaction policies
+CREATE POLICY "Users can manage their commission transactions" ON commission_transactions
+  FOR ALL USING (true);
+
+CREATE POLICY "Users can manage their commission payouts" ON commission_payouts
+  FOR ALL USING (true);
+
 -- Functions for automatic timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$